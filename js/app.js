@@ -7,12 +7,45 @@
 (function(window) {
     'use strict';
 
+    // Initial grid filters (also used when opening a new project)
+    const DEFAULT_GRID_FILTERS = {
+        rankFilter: 'all',        // 'all' | 'unranked' | 'ranked' | 'blocked'
+        groupFilter: [],          // [] = all groups, ['A','B'] = only A and B
+        aiScoreRange: [0, 100],   // [min, max]
+        sortBy: 'ai-desc',        // 'ai-desc' | 'ai-asc' | 'alpha-asc' | 'alpha-desc' | 'random'
+        selectionMethod: 'top-ai', // Eval order: 'top-ai' | 'bottom-ai' | 'random' | 'uncertainty'
+        searchText: ''            // Filter by name contains
+    };
+
+    // File name shown for data imported from the clipboard
+    const PASTED_DATA_NAME = 'Pasted data';
+
+    // Mark chat replies whose proposal was never reviewed as not applied (the proposal itself is gone)
+    const discardPendingProposals = conversation => conversation.map(msg => msg.status === 'pending'
+        ? { ...msg, status: 'discarded', content: `Proposed: ${msg.proposalSummary} (not applied)` }
+        : msg);
+
+    // Initial filter matrix (Status × Root Count)
+    // Status rows use { r1: bool, r2: bool, r3: bool } for granular filtering
+    // Layer rows (rootblocked) use string mode: 'show' | 'only' | 'hide'
+    const DEFAULT_FILTER_MATRIX = {
+        unranked:    { r1: true, r2: true, r3: true },
+        blocked:     { r1: true, r2: true, r3: true },
+        tier1:       { r1: true, r2: true, r3: true },
+        tier2:       { r1: true, r2: true, r3: true },
+        tier3:       { r1: true, r2: true, r3: true },
+        rootblocked: 'show'  // 'show' = include blocked, 'only' = only blocked, 'hide' = exclude blocked
+    };
+
     function SlimGraphApp() {
         const { useState, useMemo, useEffect, useCallback, useRef } = React;
 
         // Get icons from namespace
         const { Upload, Download, Plus, Trash2, ZoomIn, ZoomOut, Info, AlertCircle, FileText, Image, File, X, Eye, EyeOff, Maximize2, ArrowUp, ArrowDown, ChevronDown, ChevronUp, ChevronRight, RotateCcw, RotateCw, Copy, Sparkles, Send, Settings, LayoutCanvasPriority, LayoutBalanced, LayoutTablePriority, Sun, Moon } = window.GraphApp.Icons;
 
+        // Rating suffixes on group names (" T1" ... " Blocked")
+        const { getBaseGroup, getGroupWithRating } = window.GraphApp.utils;
+
         // State Management - Start empty (no default demo)
         const [nodes, setNodes] = useState([]);
         const [errors, setErrors] = useState([]);
@@ -57,20 +90,27 @@
 
         // AI Generate state
         const [showSettingsModal, setShowSettingsModal] = useState(false);
-        const [apiKey, setApiKey] = useState(() => {
-            try { return localStorage.getItem('anthropic_api_key') || ''; }
-            catch { return ''; }
-        });
-        const [aiModel, setAiModel] = useState(() => {
-            try { return localStorage.getItem('anthropic_model') || 'claude-sonnet-4-5-20250929'; }
-            catch { return 'claude-sonnet-4-5-20250929'; }
-        });
+        const llmProviders = window.GraphApp.core.llmProviders;
+        // { provider, providers: { [id]: { apiKey, model, baseUrl } } } - see core/llm-providers.js
+        const [aiSettings, setAiSettings] = useState(() => llmProviders.loadSettings());
+        const aiConfig = llmProviders.getActiveConfig(aiSettings);
+        const aiConfigured = llmProviders.isConfigured(aiSettings);
+        const aiProposals = window.GraphApp.core.aiProposals;
+        const [aiAutoApply, setAiAutoApply] = useState(() => aiProposals.loadAutoApply());
         const [showAIModal, setShowAIModal] = useState(false);
         const [aiPrompt, setAiPrompt] = useState('');
         const [aiLoading, setAiLoading] = useState(false);
         const [aiError, setAiError] = useState('');
+        const [aiStreamText, setAiStreamText] = useState('');  // Reply received so far while streaming
+        const aiAbortRef = useRef(null);
+        const aiConversationRef = useRef(null);
         const [aiConversation, setAiConversation] = useState([]);
         // Format: [{ role: 'user'|'assistant', content: string, type: 'message'|'delta'|'full', timestamp: Date }]
+        // Delta replies awaiting review also have { proposalId, proposalSummary, status: 'pending'|'applied'|'discarded' }
+        const [aiProposal, setAiProposal] = useState(null);  // { id, summary, items, autoApplied } - see core/ai-proposals.js
+        const [showAIScoring, setShowAIScoring] = useState(false);
+        const [showAICandidates, setShowAICandidates] = useState(false);
+        const aiScoresChangedRef = useRef(false);  // Scores written since the last history step
 
         // AI Modal position and size (draggable/resizable)
         const [aiModalPos, setAiModalPos] = useState({ x: 100, y: 50 });
@@ -96,25 +136,10 @@
         // ========== GRID-FIRST MODE STATE (v3.0) ==========
         const [gridSize, setGridSize] = useState(3);              // 2-8
         const [currentPage, setCurrentPage] = useState(0);        // 0-indexed
-        const [gridFilters, setGridFilters] = useState({
-            rankFilter: 'all',        // 'all' | 'unranked' | 'ranked' | 'blocked'
-            groupFilter: [],          // [] = all groups, ['A','B'] = only A and B
-            aiScoreRange: [0, 100],   // [min, max]
-            sortBy: 'ai-desc',        // 'ai-desc' | 'ai-asc' | 'alpha-asc' | 'alpha-desc' | 'random'
-            searchText: ''            // Filter by name contains
-        });
+        const [gridFilters, setGridFilters] = useState(DEFAULT_GRID_FILTERS);
 
         // Filter matrix state (Status × Root Count) - separate for clarity
-        // Status rows use { r1: bool, r2: bool, r3: bool } for granular filtering
-        // Layer rows (rootblocked) use string mode: 'show' | 'only' | 'hide'
-        const [filterMatrix, setFilterMatrix] = useState({
-            unranked:    { r1: true, r2: true, r3: true },
-            blocked:     { r1: true, r2: true, r3: true },
-            tier1:       { r1: true, r2: true, r3: true },
-            tier2:       { r1: true, r2: true, r3: true },
-            tier3:       { r1: true, r2: true, r3: true },
-            rootblocked: 'show'  // 'show' = include blocked, 'only' = only blocked, 'hide' = exclude blocked
-        });
+        const [filterMatrix, setFilterMatrix] = useState(DEFAULT_FILTER_MATRIX);
         const [isEvalSession, setIsEvalSession] = useState(false); // Guided mode (locks filters)
 
         // Grid eval wave state
@@ -122,9 +147,70 @@
         const [gridEvalExitingIds, setGridEvalExitingIds] = useState(new Set()); // IDs being animated out
         const [gridEvalAllDone, setGridEvalAllDone] = useState(false); // Show "All Done!" message
         const [gridEvalRatedCount, setGridEvalRatedCount] = useState(0); // Count of rated in session
+        const [gridEvalTotal, setGridEvalTotal] = useState(0); // Candidates selected for session
+        const [gridEvalWave, setGridEvalWave] = useState(0); // Current wave number (1-based)
+        const [savedEvalInfo, setSavedEvalInfo] = useState(null); // Resumable session { scored, total, lastSaved, config }
+
+        // Pairwise comparison state (head-to-head Elo ranking)
+        const [comparison, setComparison] = useState(null); // { candidates, size, count } while open
+        const comparisonRecentRef = useRef([]);  // Recently shown pair keys (avoid repeats)
+        const comparisonSeedRef = useRef(0);     // Seed for reproducible tie-breaking
+
+        // Reviewer profiles (multi-rater) - Rank_xB mirrors the active reviewer's scores
+        const [reviewerProfiles, setReviewerProfiles] = useState(() => window.GraphApp.core.reviewers.loadProfiles());
+        const [addingReviewer, setAddingReviewer] = useState(null); // Name being typed, null when closed
+        const [showConsensus, setShowConsensus] = useState(false);
+        const [showCalibration, setShowCalibration] = useState(false); // AI-vs-human dashboard
+        const activeReviewer = reviewerProfiles.active;
+
+        // Import & merge (reviewer rating files) - preview shown before anything changes
+        const [mergePreview, setMergePreview] = useState(null); // { fileName, plan, blockedRoots }
+        const mergeInputRef = useRef(null);
+
+        // Column-mapping import wizard
+        const [importWizard, setImportWizard] = useState(null); // { fileName, sheets }
+        const mappedInputRef = useRef(null);
+
+        // Re-import over existing data: review the changes before applying
+        const [pendingImport, setPendingImport] = useState(null); // { fileName, nodes, result }
+        const importDiffReport = useMemo(() => {
+            if (!pendingImport) return null;
+            const result = pendingImport.result || {};
+            return window.GraphApp.core.importDiff.buildImportDiff(nodes, pendingImport.nodes, blockedRoots, result.blockedRoots);
+        }, [pendingImport, nodes, blockedRoots]);
+
+        // Pasted list of names waiting for a class
+        const [pasteList, setPasteList] = useState(null); // { names }
+
+        // Markdown / text export with templates
+        const [showTemplateExport, setShowTemplateExport] = useState(false);
+
+        // File being loaded (progress bar); fraction is null while it can't be measured (Excel)
+        const [importProgress, setImportProgress] = useState(null); // { fileName, fraction }
+
+        // Keyboard rating workflow (bindings saved per reviewer)
+        const [keyBindings, setKeyBindings] = useState(() => window.GraphApp.core.keybindings.loadBindings(activeReviewer));
+        const [showKeyboardHelp, setShowKeyboardHelp] = useState(false);
+        const [gridFocus, setGridFocus] = useState(null); // Index into visible cards, null until a key is used
+        const visibleCardsRef = useRef([]);               // [{ id, row, col }] reported by GridDisplay
+
+        // Root suggestions review dialog
+        const [suggestionRoot, setSuggestionRoot] = useState(null); // Root whose suggestions are being reviewed
+
+        // Workspace autosave (IndexedDB) - restore prompt shown on startup if a saved workspace exists
+        const [restorePrompt, setRestorePrompt] = useState(null); // Project metadata { id, name, candidates, rated, savedAt, fileName }
+        const [autosaveReady, setAutosaveReady] = useState(false); // Blocks autosave until restore decision
+
+        // Projects (named workspaces) - each autosaves independently
+        const [activeProjectId, setActiveProjectId] = useState(null);
+        const [projects, setProjects] = useState([]);              // Metadata list from workspaceStore
+        const [showProjectsModal, setShowProjectsModal] = useState(false);
+        const [showArchivedProjects, setShowArchivedProjects] = useState(false);
+        const [renamingProject, setRenamingProject] = useState(null); // { id, name } while editing a name
+        const [projectDeleteId, setProjectDeleteId] = useState(null);  // Project awaiting delete confirmation
 
         // Refs
-        const gridEvalGridRef = useRef(null);  // Grid cell tracking
+        const gridEvalSessionRef = useRef(null);  // Persisted EvaluationEngine session (owns grid cell tracking)
         const gridEvalBatchRef = useRef([]);  // Current batch ref (avoid stale closures)
         const gridFiltersRef = useRef(gridFilters);  // Filters ref (avoid stale closures)
         const fileInputRef = useRef(null);
@@ -426,21 +512,26 @@
         }, [nodes, errorRowMap]);
 
         // Memoized unique groups for evaluation filter UI
+        // In roots mode, candidates generated from the roots are data but not part of the roots list
+        const listedNodes = useMemo(() => {
+            return dataFormat === 'roots' ? nodes.filter(window.GraphApp.utils.isRootRow) : nodes;
+        }, [nodes, dataFormat]);
+
         const uniqueGroups = useMemo(() => {
-            return [...new Set(nodes.map(n => n.Group_xA).filter(Boolean))].sort();
-        }, [nodes]);
+            return [...new Set(listedNodes.map(n => n.Group_xA).filter(Boolean))].sort();
+        }, [listedNodes]);
 
         // Memoized group counts for sidebar display
         const groupCounts = useMemo(() => {
             const counts = {};
-            nodes.forEach(node => {
+            listedNodes.forEach(node => {
                 const group = node.Group_xA;
                 if (group) {
                     counts[group] = (counts[group] || 0) + 1;
                 }
             });
             return counts;
-        }, [nodes]);
+        }, [listedNodes]);
 
         // Memoized rank statistics for permanent stats bar
         const rankStats = useMemo(() => {
@@ -471,37 +562,39 @@
             return ['r1', 'r2', 'r3'].filter(col => counts.has(parseInt(col[1])));
         }, [nodes]);
 
+        // Grid query (filtered + sorted grid, matrix counts): synchronous for small lists,
+        // in the data worker for large ones so filtering doesn't freeze the UI
+        const gridQuery = window.GraphApp.core.gridQuery;
+        const dataWorker = window.GraphApp.core.dataWorker;
+        const useDataWorker = nodes.length >= dataWorker.MIN_NODES;
+        const gridQueryParams = useMemo(() => ({
+            filters: Object.assign({}, gridFilters, { filterMatrix: filterMatrix }),
+            dataFormat,
+            selectedTerritories,
+            showBlockedRoots,
+            blockedRoots
+        }), [gridFilters, filterMatrix, dataFormat, selectedTerritories, showBlockedRoots, blockedRoots]);
+        const [workerGridResult, setWorkerGridResult] = useState(null); // { nodes, indexes, matrixCounts }
+
+        useEffect(() => {
+            if (!useDataWorker) {
+                setWorkerGridResult(null);
+                return;
+            }
+            let cancelled = false;
+            dataWorker.queryGrid(nodes, gridQueryParams)
+                .then(result => {
+                    if (!cancelled) setWorkerGridResult(Object.assign({ nodes }, result));
+                })
+                .catch(e => console.warn('Failed to filter the grid in the data worker', e));
+            return () => { cancelled = true; };
+        }, [useDataWorker, nodes, gridQueryParams]);
+
         // Memoized matrix counts (candidates per status × root count cell)
         const matrixCounts = useMemo(() => {
-            const countRoots = window.GraphApp.utils.countRoots;
-            const getStatusFromRank = window.GraphApp.utils.getStatusFromRank;
-            const counts = {
-                unranked:    { r1: 0, r2: 0, r3: 0 },
-                blocked:     { r1: 0, r2: 0, r3: 0 },
-                tier1:       { r1: 0, r2: 0, r3: 0 },
-                tier2:       { r1: 0, r2: 0, r3: 0 },
-                tier3:       { r1: 0, r2: 0, r3: 0 },
-                rootblocked: { r1: 0, r2: 0, r3: 0 }
-            };
-            nodes.forEach(node => {
-                const status = getStatusFromRank(node.Rank_xB);
-                const rootCount = countRoots(node);
-                const colKey = 'r' + rootCount;
-                if (counts[status] && counts[status][colKey] !== undefined) {
-                    counts[status][colKey]++;
-                }
-                // Also count root-blocked candidates
-                const isRootBlocked = blockedRoots.size > 0 && (
-                    blockedRoots.has(node.Root1_xB) ||
-                    blockedRoots.has(node.Root2_xB) ||
-                    blockedRoots.has(node.Root3_xB)
-                );
-                if (isRootBlocked && counts.rootblocked[colKey] !== undefined) {
-                    counts.rootblocked[colKey]++;
-                }
-            });
-            return counts;
-        }, [nodes, blockedRoots]);
+            if (!useDataWorker) return gridQuery.computeMatrixCounts(nodes, blockedRoots);
+            return workerGridResult ? workerGridResult.matrixCounts : gridQuery.computeMatrixCounts([], blockedRoots);
+        }, [useDataWorker, nodes, blockedRoots, workerGridResult]);
 
         // Initialize app on mount (starts empty - no default demo)
         useEffect(() => {
@@ -514,8 +607,198 @@
             historyRef.current.push([]);
             setCanUndo(historyRef.current.canUndo());
             setCanRedo(historyRef.current.canRedo());
+
+            // Offer to restore the last autosaved project before anything else loads
+            const store = window.GraphApp.core.workspaceStore;
+            (async () => {
+                const info = await store.getProjectInfo(store.getActiveProjectId() || store.LEGACY_KEY);
+                if (info && info.candidates > 0) {
+                    setRestorePrompt(info);
+                } else if (info) {
+                    // Nothing to restore - reopen the (empty) project silently
+                    setActiveProjectId(info.id);
+                    store.setActiveProjectId(info.id);
+                    setAutosaveReady(true);
+                } else {
+                    const id = await store.createProject('Untitled project');
+                    if (id) {
+                        setActiveProjectId(id);
+                        store.setActiveProjectId(id);
+                    }
+                    setAutosaveReady(true);
+                }
+                refreshProjects();
+            })();
+        }, []);
+
+        // ========== PROJECTS / AUTOSAVE ==========
+
+        // Reload project metadata for the switcher
+        const refreshProjects = useCallback(() => {
+            window.GraphApp.core.workspaceStore.listProjects().then(setProjects);
+        }, []);
+
+        // Current workspace state, as stored per project
+        const getWorkspaceSnapshot = () => ({
+            nodes,
+            blockedRoots,
+            selectedTerritories,
+            dataFormat,
+            currentFileName,
+            filterMatrix,
+            gridFilters,
+            gridSize,
+            aiConversation
+        });
+
+        // Autosave active project to IndexedDB (debounced, skipped until restore prompt is resolved)
+        useEffect(() => {
+            if (!autosaveReady || !activeProjectId) return;
+            const timer = setTimeout(() => {
+                window.GraphApp.core.workspaceStore.saveProject(activeProjectId, getWorkspaceSnapshot())
+                    .then(refreshProjects);
+            }, 1000);
+            return () => clearTimeout(timer);
+        }, [autosaveReady, activeProjectId, nodes, blockedRoots, selectedTerritories, dataFormat, currentFileName,
+            filterMatrix, gridFilters, gridSize, aiConversation]);
+
+        // Replace the whole workspace with a loaded project (becomes the new undo baseline)
+        const applyWorkspace = useCallback((saved) => {
+            setNodes(saved.nodes);
+            setBlockedRoots(saved.blockedRoots);
+            setSelectedTerritories(saved.selectedTerritories);
+            setDataFormat(saved.dataFormat);
+            setCurrentFileName(saved.currentFileName);
+            setFilterMatrix(saved.filterMatrix || DEFAULT_FILTER_MATRIX);
+            setGridFilters(saved.gridFilters || DEFAULT_GRID_FILTERS);
+            setGridSize(saved.gridSize || 3);
+            setAiConversation(discardPendingProposals(saved.aiConversation || []));
+            setErrors(window.GraphApp.utils.validateNodes(saved.nodes));
+
+            // Drop an AI reply still streaming and any proposal made for the previous workspace
+            if (aiAbortRef.current) aiAbortRef.current.abort();
+            setAiProposal(null);
+
+            // Leave any running eval session (its batch belongs to the previous workspace)
+            setIsEvalSession(false);
+            setGridEvalBatch([]);
+            setGridEvalExitingIds(new Set());
+            setGridEvalAllDone(false);
+            setGridEvalRatedCount(0);
+            gridEvalSessionRef.current = null;
+
+            historyRef.current.clear();
+            historyRef.current.push(saved.nodes);
+            setCanUndo(historyRef.current.canUndo());
+            setCanRedo(historyRef.current.canRedo());
+        }, []);
+
+        // Make a project the active one (in state and across reloads)
+        const activateProject = useCallback((id) => {
+            setActiveProjectId(id);
+            window.GraphApp.core.workspaceStore.setActiveProjectId(id);
         }, []);
 
+        // Restore the autosaved project offered on startup
+        const handleRestoreWorkspace = useCallback(async () => {
+            const saved = await window.GraphApp.core.workspaceStore.loadProject(restorePrompt.id);
+            if (saved) {
+                applyWorkspace(saved);
+                activateProject(restorePrompt.id);
+            } else {
+                alert('Could not restore the saved workspace.');
+            }
+            setRestorePrompt(null);
+            setAutosaveReady(true);
+        }, [restorePrompt, applyWorkspace, activateProject]);
+
+        // Start with an empty workspace in a new project (the saved one stays in the project list)
+        const handleDiscardWorkspace = useCallback(async () => {
+            const id = await window.GraphApp.core.workspaceStore.createProject('Untitled project');
+            if (id) activateProject(id);
+            setRestorePrompt(null);
+            setAutosaveReady(true);
+            refreshProjects();
+        }, [activateProject, refreshProjects]);
+
+        // Save the active project immediately (before switching away from it)
+        const flushActiveProject = async () => {
+            if (activeProjectId && autosaveReady) {
+                await window.GraphApp.core.workspaceStore.saveProject(activeProjectId, getWorkspaceSnapshot());
+            }
+        };
+
+        // Switch to another project
+        const handleOpenProject = async (id) => {
+            if (id === activeProjectId) {
+                setShowProjectsModal(false);
+                return;
+            }
+            await flushActiveProject();
+            const saved = await window.GraphApp.core.workspaceStore.loadProject(id);
+            if (!saved) {
+                alert('Could not open project.');
+                return;
+            }
+            applyWorkspace(saved);
+            activateProject(id);
+            setShowProjectsModal(false);
+            refreshProjects();
+        };
+
+        // Create an empty project and switch to it
+        const handleCreateProject = async () => {
+            await flushActiveProject();
+            const store = window.GraphApp.core.workspaceStore;
+            const id = await store.createProject('Project ' + (projects.length + 1));
+            if (!id) {
+                alert('Could not create project.');
+                return;
+            }
+            applyWorkspace(await store.loadProject(id));
+            activateProject(id);
+            refreshProjects();
+        };
+
+        // Commit an inline project rename
+        const handleRenameProject = async () => {
+            if (!renamingProject) return;
+            const name = renamingProject.name.trim();
+            if (name) {
+                await window.GraphApp.core.workspaceStore.renameProject(renamingProject.id, name);
+            }
+            setRenamingProject(null);
+            refreshProjects();
+        };
+
+        // Copy a project (the active one is saved first so the copy is current)
+        const handleDuplicateProject = async (project) => {
+            if (project.id === activeProjectId) {
+                await flushActiveProject();
+            }
+            const id = await window.GraphApp.core.workspaceStore.duplicateProject(project.id, project.name + ' (copy)');
+            if (!id) alert('Could not duplicate project.');
+            refreshProjects();
+        };
+
+        // Archive / unarchive a project
+        const handleArchiveProject = async (project) => {
+            await window.GraphApp.core.workspaceStore.setProjectArchived(project.id, !project.archived);
+            refreshProjects();
+        };
+
+        // Delete a project (the active project can't be deleted)
+        const handleDeleteProject = async (id) => {
+            if (id === activeProjectId) return;
+            await window.GraphApp.core.workspaceStore.deleteProject(id);
+            window.GraphApp.core.evaluation.clearSession(id);
+            setProjectDeleteId(null);
+            refreshProjects();
+        };
+
+        // Active project metadata (for the toolbar switcher)
+        const activeProject = projects.find(p => p.id === activeProjectId) || null;
+
         // Helper to save nodes to history
         const saveToHistory = useCallback((newNodes) => {
             historyRef.current.push(newNodes);
@@ -881,10 +1164,27 @@
                     setShowReadmeModal(false);
                     setShowAIModal(false);
                     setAiError('');
+                    if (aiAbortRef.current) aiAbortRef.current.abort();
                     setInfoPopup({ open: false, type: null, groupName: null, nodeIndex: null });
                     setContextMenu({ open: false, type: null, groupName: null, nodeId: null, edgeData: null, position: { x: 0, y: 0 } });
                     setShowSettingsModal(false);
                     setShowDemoMenu(false);
+                    setShowProjectsModal(false);
+                    setComparison(null);
+                    setShowConsensus(false);
+                    setShowCalibration(false);
+                    setSuggestionRoot(null);
+                    setShowKeyboardHelp(false);
+                    setMergePreview(null);
+                    setImportWizard(null);
+                    setPendingImport(null);
+                    setPasteList(null);
+                    setShowTemplateExport(false);
+                    setShowAIScoring(false);
+                    setShowAICandidates(false);
+                    setAddingReviewer(null);
+                    setRenamingProject(null);
+                    setProjectDeleteId(null);
                 }
             };
 
@@ -892,61 +1192,312 @@
             return () => document.removeEventListener('keydown', handleEscape);
         }, [saveToHistory]);
 
+        // Replace the current data with imported nodes
+        // result: { format, blockedRoots } from the CSV importer or the import wizard (omitted for Mermaid)
+        const replaceWithImportedNodes = useCallback((importedNodes, fileName, result) => {
+            if (result && result.format) {
+                setDataFormat(result.format);
+                // Initialize territory filter with all territories selected
+                if (result.format === 'roots') {
+                    const allTerritories = new Set(importedNodes.map(n => n.Group_xA).filter(Boolean));
+                    setSelectedTerritories(allTerritories);
+                }
+            }
+            if (result) {
+                // Replace existing blocked roots on import (cleared if none in import)
+                setBlockedRoots(result.blockedRoots && result.blockedRoots.size > 0 ? result.blockedRoots : new Set());
+            }
+
+            setNodes(importedNodes);
+            setErrors([]);
+            setCurrentFileName(fileName);
+
+            // A pending AI proposal refers to the replaced data
+            setAiProposal(null);
+            setAiConversation(discardPendingProposals);
+
+            // Validate imported data
+            const validationErrors = window.GraphApp.utils.validateNodes(importedNodes);
+            if (validationErrors.length > 0) {
+                setErrors(validationErrors);
+            }
+        }, []);
+
+        // Load imported nodes - over existing data, show what would change first
+        const loadImportedNodes = useCallback((importedNodes, fileName, result) => {
+            if (nodesRef.current.length > 0) {
+                setPendingImport({ fileName, nodes: importedNodes, result });
+            } else {
+                replaceWithImportedNodes(importedNodes, fileName, result);
+            }
+        }, [replaceWithImportedNodes]);
+
+        // Apply the accepted categories of the import diff as a single undo step
+        const handleApplyImportDiff = useCallback((accepted) => {
+            if (!importDiffReport) return;
+            const applied = window.GraphApp.core.importDiff.applyImportDiff(nodes, importDiffReport, accepted, activeReviewer);
+            setNodes(applied.nodes);
+            saveToHistory(applied.nodes);
+            setErrors(window.GraphApp.utils.validateNodes(applied.nodes));
+            if (applied.blockedRoots.length > 0) {
+                setBlockedRoots(prev => new Set([...prev, ...applied.blockedRoots]));
+            }
+            setCurrentFileName(pendingImport.fileName);
+            setPendingImport(null);
+        }, [importDiffReport, pendingImport, nodes, activeReviewer, saveToHistory]);
+
+        // Discard the current data and load the pending import as-is
+        const handleReplaceImport = useCallback(() => {
+            if (!pendingImport) return;
+            replaceWithImportedNodes(pendingImport.nodes, pendingImport.fileName, pendingImport.result);
+            setPendingImport(null);
+        }, [pendingImport, replaceWithImportedNodes]);
+
+        // Read CSV/Excel as raw sheets for the import wizard
+        // headersOnly: just enough for needsWizard() (a large CSV is then parsed once, in the data worker)
+        const readImportSheets = async (file, fileExt, headersOnly) => {
+            const importMapping = window.GraphApp.core.importMapping;
+            if (fileExt === 'xlsx' || fileExt === 'xls') {
+                return window.GraphApp.core.readWorkbookSheets(file);
+            }
+            return [await (headersOnly ? importMapping.readCSVHeaders(file) : importMapping.readCSVSheet(file))];
+        };
+
+        // Decide how to restore the AI skill saved in a project file (custom skill text travels with the project)
+        // Runs before the workspace is replaced: an invalid skill throws, and a different stored custom
+        // skill is only replaced if the user agrees. Returns the restore step, or null to keep the current skill.
+        const planProjectSkill = (skill) => {
+            const skillLoader = window.GraphApp.core.skillLoader;
+            if (!skill) return null;
+            if (skill.isCustom && skill.content) {
+                const validation = skillLoader.validateSkill(skill.content);
+                if (!validation.valid) {
+                    throw new Error('The project\'s AI skill is invalid: ' + validation.errors.join(', '));
+                }
+                const stored = skillLoader.getStoredCustomSkill();
+                if (stored && stored.content !== skill.content &&
+                    !confirm(`Replace your custom AI skill "${stored.name}" with this project's skill "${skill.name}"?\n\nCancel keeps your skill.`)) {
+                    return null;
+                }
+                return async () => {
+                    if (skillLoader.saveCustomSkill(skill.content, skill.name)) {
+                        setCurrentSkill({ content: skill.content, isCustom: true, name: skill.name });
+                    }
+                };
+            }
+            if (!skill.isCustom) {
+                // Keep the stored custom skill, just stop using it (Settings can turn it back on)
+                return async () => {
+                    skillLoader.setCustomSkillActive(false);
+                    setCurrentSkill(await skillLoader.getCurrentSkill());
+                };
+            }
+            return null;
+        };
+
         // File upload handler
-        const handleFileUpload = useCallback(async (event) => {
+        // CSV/Excel files the standard importers don't fully understand (unknown columns,
+        // no Group/Node, several sheets) open the column-mapping wizard instead
+        const handleFileUpload = useCallback(async (event, forceWizard) => {
             const file = event.target.files[0];
             if (!file) return;
 
             const fileExt = file.name.split('.').pop().toLowerCase();
 
             try {
-                let importedNodes = [];
+                if (['xlsx', 'xls', 'csv', 'txt'].includes(fileExt)) {
+                    setImportProgress({ fileName: file.name, fraction: null });
+                    const headersOnly = !forceWizard && (fileExt === 'csv' || fileExt === 'txt');
+                    const sheets = await readImportSheets(file, fileExt, headersOnly);
+                    if (forceWizard || window.GraphApp.core.importMapping.needsWizard(sheets)) {
+                        setImportWizard({
+                            fileName: file.name,
+                            sheets: headersOnly ? await readImportSheets(file, fileExt, false) : sheets
+                        });
+                        return;
+                    }
+                }
 
                 if (fileExt === 'xlsx' || fileExt === 'xls') {
-                    importedNodes = await window.GraphApp.core.importExcel(file);
+                    const result = await window.GraphApp.core.importExcel(file);
+                    loadImportedNodes(result.nodes, file.name, result);
                 } else if (fileExt === 'csv' || fileExt === 'txt') {
-                    const result = await window.GraphApp.exports.importCSV(file);
-                    importedNodes = result.nodes || result;  // Handle new { nodes, format } or legacy array
-                    if (result.format) {
-                        setDataFormat(result.format);
-                        // Initialize territory filter with all territories selected
-                        if (result.format === 'roots') {
-                            const allTerritories = new Set(importedNodes.map(n => n.Group_xA).filter(Boolean));
-                            setSelectedTerritories(allTerritories);
-                        }
-                    }
-                    // Merge imported blocked roots with existing (replace existing on import)
-                    if (result.blockedRoots && result.blockedRoots.size > 0) {
-                        setBlockedRoots(result.blockedRoots);
-                    } else {
-                        setBlockedRoots(new Set());  // Clear blocked roots if none in import
-                    }
+                    const result = await window.GraphApp.core.dataWorker.parseCSV(file, fraction => {
+                        setImportProgress({ fileName: file.name, fraction });
+                    });
+                    loadImportedNodes(result.nodes || result, file.name, result);  // Handle new { nodes, format } or legacy array
                 } else if (fileExt === 'mmd') {
-                    importedNodes = await window.GraphApp.exports.importMermaid(file);
+                    loadImportedNodes(await window.GraphApp.exports.importMermaid(file), file.name, null);
+                } else if (fileExt === 'graphml') {
+                    loadImportedNodes(await window.GraphApp.exports.importGraphML(file), file.name, null);
+                } else if (fileExt === 'dot' || fileExt === 'gv') {
+                    loadImportedNodes(await window.GraphApp.exports.importDOT(file), file.name, null);
+                } else if (fileExt === 'json') {
+                    // Project file: restores the whole workspace (older versions are migrated)
+                    const project = window.GraphApp.core.projectFile.parseProject(await file.text());
+                    const restoreSkill = planProjectSkill(project.skill);
+                    applyWorkspace(Object.assign({}, project.workspace, {
+                        currentFileName: project.workspace.currentFileName || file.name
+                    }));
+                    if (restoreSkill) await restoreSkill();
                 } else {
-                    alert('Unsupported file format. Please use .xlsx, .csv, or .mmd files.');
+                    alert('Unsupported file format. Please use .xlsx, .csv, .json, .mmd, .graphml, or .dot files.');
                     return;
                 }
+            } catch (error) {
+                alert('Error importing file: ' + error.message);
+                console.error(error);
+            } finally {
+                setImportProgress(null);
+                // Reset file inputs
+                if (fileInputRef.current) {
+                    fileInputRef.current.value = '';
+                }
+                if (mappedInputRef.current) {
+                    mappedInputRef.current.value = '';
+                }
+            }
+        }, [loadImportedNodes, applyWorkspace]);
+
+        // Import pasted text: tables take the same path as CSV files, bare lists of names ask for a class
+        const handleImportText = useCallback(async (text) => {
+            const importMapping = window.GraphApp.core.importMapping;
+            const pasted = importMapping.classifyPastedText(text);
+            if (pasted.kind === 'empty') return;
+            if (pasted.kind === 'list') {
+                setPasteList({ names: pasted.names });
+                return;
+            }
 
-                setNodes(importedNodes);
-                setErrors([]);
-                setCurrentFileName(file.name);
+            try {
+                const sheet = await importMapping.readCSVSheet(text, PASTED_DATA_NAME);
+                if (importMapping.needsWizard([sheet])) {
+                    setImportWizard({ fileName: PASTED_DATA_NAME, sheets: [sheet] });
+                    return;
+                }
+                const result = await window.GraphApp.exports.importCSV(text);
+                loadImportedNodes(result.nodes, PASTED_DATA_NAME, result);
+            } catch (error) {
+                alert('Error importing pasted data: ' + error.message);
+                console.error(error);
+            }
+        }, [loadImportedNodes]);
 
-                // Validate imported data
-                const validationErrors = window.GraphApp.utils.validateNodes(importedNodes);
-                if (validationErrors.length > 0) {
-                    setErrors(validationErrors);
+        // Toolbar Paste button (the browser may ask for clipboard permission)
+        const handlePasteButton = async () => {
+            let text;
+            try {
+                text = await navigator.clipboard.readText();
+            } catch (error) {
+                alert('Could not read the clipboard. Press Ctrl+V (Cmd+V) instead.');
+                return;
+            }
+            handleImportText(text);
+        };
+
+        // Add pasted names as new candidates of a class, skipping names it already has (one undo step)
+        const handleAddPastedNames = useCallback((className) => {
+            if (!pasteList) return;
+            const pastedNodes = pasteList.names.map(name => ({
+                Group_xA: className,
+                Node_xA: name,
+                ID_xA: className + '-' + name,
+                Linked_Node_ID_xA: '',
+                Hidden_Node_xB: 0,
+                Hidden_Link_xB: 0,
+                Link_Label_xB: '',
+                Link_Arrow_xB: 'To',
+                AI_Rank_xB: '',
+                Rank_xB: '',
+                Root1_xB: '',
+                Class1_xB: '',
+                Root2_xB: '',
+                Class2_xB: '',
+                Root3_xB: '',
+                Class3_xB: ''
+            }));
+            const added = window.GraphApp.core.merge.buildMergePlan(nodes, pastedNodes).added;
+            setPasteList(null);
+
+            if (added.length === 0) {
+                alert('All pasted names are already in ' + className + '.');
+                return;
+            }
+            const newNodes = nodes.concat(added);
+            setNodes(newNodes);
+            saveToHistory(newNodes);
+            setErrors(window.GraphApp.utils.validateNodes(newNodes));
+            if (dataFormat === 'roots') {
+                setSelectedTerritories(prev => new Set([...prev, className]));
+            }
+            if (added.length < pastedNodes.length) {
+                alert(`Added ${added.length} names. Skipped ${pastedNodes.length - added.length} already in ${className}.`);
+            }
+        }, [pasteList, nodes, dataFormat, saveToHistory]);
+
+        // Finish a wizard import
+        const handleImportWizardDone = useCallback((result) => {
+            if (!importWizard) return;
+            loadImportedNodes(result.nodes, importWizard.fileName, result);
+            setImportWizard(null);
+        }, [importWizard, loadImportedNodes]);
+
+        // Import a reviewer's rating file and preview how it merges into the current data
+        const handleMergeUpload = useCallback(async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            const fileExt = file.name.split('.').pop().toLowerCase();
+
+            try {
+                let theirs = [];
+                let theirBlockedRoots = new Set();
+
+                if (fileExt === 'xlsx' || fileExt === 'xls') {
+                    const result = await window.GraphApp.core.importExcel(file);
+                    theirs = result.nodes;
+                    theirBlockedRoots = result.blockedRoots;
+                } else if (fileExt === 'csv' || fileExt === 'txt') {
+                    const result = await window.GraphApp.exports.importCSV(file);
+                    theirs = result.nodes || result;
+                    theirBlockedRoots = result.blockedRoots || new Set();
+                } else {
+                    alert('Unsupported file format for merge. Please use .xlsx or .csv files.');
+                    return;
                 }
 
-                // Reset file input
-                if (fileInputRef.current) {
-                    fileInputRef.current.value = '';
+                if (nodes.length === 0) {
+                    alert('Nothing to merge into. Import a file first.');
+                    return;
                 }
+
+                setMergePreview({
+                    fileName: file.name,
+                    plan: window.GraphApp.core.merge.buildMergePlan(nodes, theirs),
+                    blockedRoots: theirBlockedRoots
+                });
             } catch (error) {
                 alert('Error importing file: ' + error.message);
                 console.error(error);
+            } finally {
+                if (mergeInputRef.current) {
+                    mergeInputRef.current.value = '';
+                }
             }
-        }, []);
+        }, [nodes]);
+
+        // Apply the merge preview as a single undo step
+        const handleApplyMerge = useCallback((options) => {
+            if (!mergePreview) return;
+            const merged = window.GraphApp.core.merge.applyMerge(nodes, mergePreview.plan, Object.assign({ reviewer: activeReviewer }, options));
+            setNodes(merged);
+            saveToHistory(merged);
+            setErrors(window.GraphApp.utils.validateNodes(merged));
+            if (mergePreview.blockedRoots.size > 0) {
+                setBlockedRoots(prev => new Set([...prev, ...mergePreview.blockedRoots]));
+            }
+            setMergePreview(null);
+        }, [mergePreview, nodes, activeReviewer, saveToHistory]);
 
         // Add new node (format-aware defaults)
         const handleAddNode = useCallback(() => {
@@ -1004,7 +1555,7 @@
         }, [nodes, dataFormat, selectedTerritories, saveToHistory]);
 
         // ============================================================================
-        // AI CHAT FEATURE - Iterative Graph Editing via Claude API
+        // AI CHAT FEATURE - Iterative Graph Editing via the configured LLM provider
         // ============================================================================
         // Features:
         // - Chat-style interface with conversation history
@@ -1092,19 +1643,27 @@
                     case 'ADD':
                         if (op.nodes && Array.isArray(op.nodes)) {
                             op.nodes.forEach(node => {
+                                // The group's rating suffix must match the rank (either may be given)
+                                const utils = window.GraphApp.utils;
+                                const givenRank = node.Rank_xB === '' || node.Rank_xB === undefined || node.Rank_xB === null ? NaN : Number(node.Rank_xB);
+                                const rank = [0, 1, 2, 3].includes(givenRank) ? givenRank : utils.getRatingFromGroup(node.Group_xA);
+                                const group = utils.getGroupWithRating(utils.getBaseGroup(node.Group_xA), rank);
                                 const newNode = {
-                                    Group_xA: node.Group_xA || '',
+                                    Group_xA: group,
                                     Node_xA: node.Node_xA || '',
-                                    ID_xA: `${node.Group_xA}-${node.Node_xA}`,
+                                    ID_xA: `${group}-${node.Node_xA || ''}`,
                                     Linked_Node_ID_xA: node.Linked_Node_ID_xA || '',
                                     Link_Label_xB: node.Link_Label_xB || '',
                                     Hidden_Node_xB: 0,
                                     Hidden_Link_xB: 0,
                                     Link_Arrow_xB: 'To',
                                     AI_Rank_xB: node.AI_Rank_xB !== undefined ? node.AI_Rank_xB : '',
-                                    Rank_xB: node.Rank_xB !== undefined ? node.Rank_xB : '',
+                                    Rank_xB: rank,
+                                    Root1_xB: node.Root1_xB || '',
                                     Class1_xB: node.Class1_xB || '',
+                                    Root2_xB: node.Root2_xB || '',
                                     Class2_xB: node.Class2_xB || '',
+                                    Root3_xB: node.Root3_xB || '',
                                     Class3_xB: node.Class3_xB || '',
                                     Group_Info: '',
                                     Node_Info: ''
@@ -1254,15 +1813,18 @@
         }, []);
 
         /**
-         * Main AI chat handler - sends user message to Claude API and processes response
+         * Main AI chat handler - sends user message to the configured LLM provider and processes response
          * Maintains conversation history, handles all response types, updates graph state
          * @async
          */
         const generateFromAI = useCallback(async () => {
-            if (!apiKey || !aiPrompt.trim()) return;
+            if (!aiConfigured || !aiPrompt.trim()) return;
 
             setAiLoading(true);
             setAiError('');
+            setAiStreamText('');
+            const abortController = new AbortController();
+            aiAbortRef.current = abortController;
 
             try {
                 // Build messages array with conversation history (last 6 messages for token efficiency)
@@ -1276,40 +1838,24 @@
                 const contextString = buildContext(nodes);
                 const systemPrompt = currentSkill.content.replace('{CONTEXT}', contextString);
 
-                const response = await fetch('https://api.anthropic.com/v1/messages', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'x-api-key': apiKey,
-                        'anthropic-version': '2023-06-01',
-                        'anthropic-dangerous-direct-browser-access': 'true'
-                    },
-                    body: JSON.stringify({
-                        model: aiModel,
-                        max_tokens: 4096,
-                        system: systemPrompt,
-                        messages: messages
-                    })
+                // Streamed text is only displayed; nothing is parsed or applied until the reply is complete
+                const responseText = await llmProviders.sendChat(aiSettings, {
+                    system: systemPrompt,
+                    messages: messages,
+                    maxTokens: 4096
+                }, {
+                    signal: abortController.signal,
+                    onText: setAiStreamText
                 });
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    if (response.status === 401) {
-                        throw new Error('Invalid API key. Check your key in Settings.');
-                    } else if (response.status === 429) {
-                        throw new Error('Rate limit exceeded. Please wait a moment and try again.');
-                    } else {
-                        throw new Error(errorData.error?.message || `API error: ${response.status}`);
-                    }
-                }
-
-                const data = await response.json();
-                const responseText = data.content[0].text;
                 const parsed = parseAIResponse(responseText);
 
-                let newNodes = nodes; // Default: no change
+                // The graph may have changed while the reply streamed in
+                const currentNodes = nodesRef.current;
+
+                let newNodes = currentNodes; // Default: no change
                 let assistantMessage;
                 let responseType = parsed.type;
+                let proposal = null;
 
                 if (parsed.type === 'full') {
                     // Full CSV replacement
@@ -1334,8 +1880,9 @@
                     newNodes = importedNodes;
                     assistantMessage = `Created ${newNodes.length} nodes in ${new Set(newNodes.map(n => n.Group_xA)).size} groups`;
 
+                    nodesRef.current = newNodes;
                     setNodes(newNodes);
-                    if (nodes.length === 0) {
+                    if (currentNodes.length === 0) {
                         setCurrentFileName('AI Generated');
                     }
 
@@ -1345,20 +1892,40 @@
                     saveToHistory(newNodes);
 
                 } else if (parsed.type === 'delta') {
-                    // Delta operations
-                    const result = applyDeltaOperations(parsed.operations, nodes);
-                    newNodes = result.nodes;
-                    assistantMessage = result.changes.length > 0
-                        ? result.changes.join('; ')
-                        : parsed.summary || 'No changes applied';
-
-                    if (result.changes.length > 0) {
-                        setNodes(newNodes);
-
-                        // Validate and save to history
-                        const validationErrors = window.GraphApp.utils.validateNodes(newNodes);
-                        setErrors(validationErrors);
-                        saveToHistory(newNodes);
+                    // Delta operations - proposed for review, except non-destructive ones when auto-apply is on
+                    const split = aiAutoApply
+                        ? aiProposals.splitOperations(parsed.operations, currentNodes, applyDeltaOperations)
+                        : { safe: [], review: parsed.operations };
+                    let autoChanges = [];
+
+                    if (split.safe.length > 0) {
+                        const result = applyDeltaOperations(split.safe, currentNodes);
+                        autoChanges = result.changes;
+                        if (result.changes.length > 0) {
+                            newNodes = result.nodes;
+                            nodesRef.current = newNodes;
+                            setNodes(newNodes);
+
+                            // Validate and save to history
+                            const validationErrors = window.GraphApp.utils.validateNodes(newNodes);
+                            setErrors(validationErrors);
+                            saveToHistory(newNodes);
+                        }
+                    }
+
+                    if (split.review.length > 0) {
+                        proposal = {
+                            id: Date.now(),
+                            summary: parsed.summary || 'Changes',
+                            items: aiProposals.buildProposal(split.review, newNodes, applyDeltaOperations),
+                            autoApplied: split.safe.length
+                        };
+                        assistantMessage = (autoChanges.length > 0 ? autoChanges.join('; ') + '. ' : '') +
+                            `Proposed: ${proposal.summary} (awaiting review)`;
+                    } else {
+                        assistantMessage = autoChanges.length > 0
+                            ? autoChanges.join('; ')
+                            : parsed.summary || 'No changes applied';
                     }
 
                 } else {
@@ -1367,22 +1934,136 @@
                     // No setNodes() or saveToHistory() - graph unchanged
                 }
 
-                // Update conversation history
+                // Update conversation history (a new reply replaces any proposal still awaiting review)
                 setAiConversation(prev => [
-                    ...prev,
+                    ...discardPendingProposals(prev),
                     { role: 'user', content: aiPrompt, timestamp: new Date() },
-                    { role: 'assistant', content: assistantMessage, type: responseType, timestamp: new Date() }
+                    proposal
+                        ? { role: 'assistant', content: assistantMessage, type: responseType, timestamp: new Date(),
+                            proposalId: proposal.id, proposalSummary: proposal.summary, status: 'pending' }
+                        : { role: 'assistant', content: assistantMessage, type: responseType, timestamp: new Date() }
                 ]);
+                setAiProposal(proposal);
 
                 // Clear prompt but keep modal open for continued conversation
                 setAiPrompt('');
 
             } catch (err) {
-                setAiError(err.message);
+                // Stopped by the user: keep the prompt so it can be edited and resent
+                if (err.name !== 'AbortError') {
+                    setAiError(err.message);
+                }
             } finally {
+                aiAbortRef.current = null;
+                setAiStreamText('');
                 setAiLoading(false);
             }
-        }, [apiKey, aiModel, aiPrompt, aiConversation, nodes, currentSkill, buildContext, parseAIResponse, applyDeltaOperations, saveToHistory]);
+        }, [aiSettings, aiConfigured, aiAutoApply, aiPrompt, aiConversation, nodes, currentSkill, buildContext, parseAIResponse, applyDeltaOperations, saveToHistory]);
+
+        // Record the outcome of a proposal in its chat message (also what the AI sees as its reply)
+        const resolveAIProposalMessage = useCallback((proposalId, status, content) => {
+            setAiConversation(prev => prev.map(msg =>
+                msg.proposalId === proposalId ? { ...msg, status, content } : msg
+            ));
+        }, []);
+
+        // Apply the approved operations of the pending AI proposal as one undo step
+        const applyAIProposal = useCallback(() => {
+            if (!aiProposal) return;
+            const approved = aiProposal.items.filter(item => item.selected).map(item => item.operation);
+            const result = applyDeltaOperations(approved, nodes);
+
+            if (result.changes.length > 0) {
+                setNodes(result.nodes);
+
+                // Validate and save to history
+                const validationErrors = window.GraphApp.utils.validateNodes(result.nodes);
+                setErrors(validationErrors);
+                saveToHistory(result.nodes);
+            }
+
+            resolveAIProposalMessage(aiProposal.id, 'applied', result.changes.length > 0
+                ? `Applied ${approved.length} of ${aiProposal.items.length} proposed operation(s): ${result.changes.join('; ')}`
+                : `Proposed: ${aiProposal.summary} (no changes applied)`);
+            setAiProposal(null);
+        }, [aiProposal, nodes, applyDeltaOperations, saveToHistory, resolveAIProposalMessage]);
+
+        const discardAIProposal = useCallback(() => {
+            if (!aiProposal) return;
+            resolveAIProposalMessage(aiProposal.id, 'discarded', `Proposed: ${aiProposal.summary} (discarded by user)`);
+            setAiProposal(null);
+        }, [aiProposal, resolveAIProposalMessage]);
+
+        // AI batch scoring: scores arrive per batch; the whole run is one undo step
+        const handleAIScores = useCallback((results) => {
+            const updated = window.GraphApp.core.aiScoring.applyScores(nodesRef.current, results);
+            nodesRef.current = updated;
+            aiScoresChangedRef.current = true;
+            setNodes(updated);
+        }, []);
+
+        const handleAIScoringFinish = useCallback(() => {
+            if (aiScoresChangedRef.current) {
+                aiScoresChangedRef.current = false;
+                saveToHistory(nodesRef.current);
+            }
+        }, [saveToHistory]);
+
+        // Roots of the classes selected in the class filter (roots mode), for AI candidate generation.
+        // Candidates added to a class have Root1_xB set, the class's own roots don't.
+        const aiCandidateRoots = useMemo(() => {
+            if (!showAICandidates) return { roots: [], omitted: 0 };
+            const roots = listedNodes.filter(n => selectedTerritories.has(n.Group_xA));
+            return window.GraphApp.core.aiCandidates.pickRoots(roots, blockedRoots);
+        }, [showAICandidates, listedNodes, selectedTerritories, blockedRoots]);
+
+        // Generate candidates from the selected roots and add them (unranked) as one undo step
+        const handleGenerateCandidates = useCallback(async ({ count, instructions, signal }) => {
+            const aiCandidates = window.GraphApp.core.aiCandidates;
+            const request = aiCandidates.buildGenerationRequest(aiCandidateRoots.roots, { count, instructions });
+            const responseText = await llmProviders.sendChat(aiSettings, request, { signal });
+
+            const currentNodes = nodesRef.current;
+            const prepared = aiCandidates.prepareAddOperation(parseAIResponse(responseText), aiCandidateRoots.roots, currentNodes, count);
+            const result = applyDeltaOperations([prepared.operation], currentNodes);
+            if (result.changes.length > 0) {
+                nodesRef.current = result.nodes;
+                setNodes(result.nodes);
+
+                // Validate and save to history
+                const validationErrors = window.GraphApp.utils.validateNodes(result.nodes);
+                setErrors(validationErrors);
+                saveToHistory(result.nodes);
+            }
+            return { added: result.changes.length, duplicates: prepared.duplicates };
+        }, [aiCandidateRoots, aiSettings, parseAIResponse, applyDeltaOperations, saveToHistory]);
+
+        // Candidates generated in roots mode as a candidates CSV (the roots export leaves them out)
+        const handleExportGeneratedCandidates = useCallback(() => {
+            const candidates = nodes.filter(n => !window.GraphApp.utils.isRootRow(n));
+            window.GraphApp.exports.exportCSV(candidates, 'candidates.csv', blockedRoots);
+        }, [nodes, blockedRoots]);
+
+        const toggleAIProposalItem = useCallback((index) => {
+            setAiProposal(prev => prev && {
+                ...prev,
+                items: prev.items.map((item, i) => i === index ? { ...item, selected: !item.selected } : item)
+            });
+        }, []);
+
+        // Stop the AI request in progress (partial replies are discarded)
+        const stopAIGeneration = useCallback(() => {
+            if (aiAbortRef.current) {
+                aiAbortRef.current.abort();
+            }
+        }, []);
+
+        // Keep the newest message (or the streaming reply) in view
+        useEffect(() => {
+            if (aiConversationRef.current) {
+                aiConversationRef.current.scrollTop = aiConversationRef.current.scrollHeight;
+            }
+        }, [aiConversation, aiStreamText, aiLoading]);
 
         // AI Modal drag/resize handlers - allow moving and resizing the chat window
         const handleAiDragStart = useCallback((e) => {
@@ -1460,30 +2141,32 @@
             }
         }, [infoDragging, infoResizing, handleInfoDragMove, handleInfoDragEnd]);
 
+        // Update the settings of the provider selected in Settings
+        const updateProviderSettings = useCallback((changes) => {
+            setAiSettings(prev => ({
+                ...prev,
+                providers: {
+                    ...prev.providers,
+                    [prev.provider]: { ...prev.providers[prev.provider], ...changes }
+                }
+            }));
+        }, []);
+
         // Save API settings to localStorage
         const saveAPISettings = useCallback(() => {
-            try {
-                if (apiKey) {
-                    localStorage.setItem('anthropic_api_key', apiKey);
-                } else {
-                    localStorage.removeItem('anthropic_api_key');
-                }
-                localStorage.setItem('anthropic_model', aiModel);
-            } catch (e) {
-                console.warn('Could not save to localStorage:', e);
-            }
+            llmProviders.saveSettings(aiSettings);
+            aiProposals.saveAutoApply(aiAutoApply);
             setShowSettingsModal(false);
-        }, [apiKey, aiModel]);
+        }, [aiSettings, aiAutoApply]);
 
-        // Clear API key
+        // Clear the selected provider's API key (also from storage, without saving other edits)
         const clearAPIKey = useCallback(() => {
-            setApiKey('');
-            try {
-                localStorage.removeItem('anthropic_api_key');
-            } catch (e) {
-                console.warn('Could not clear localStorage:', e);
-            }
-        }, []);
+            const provider = aiSettings.provider;
+            updateProviderSettings({ apiKey: '' });
+            const stored = llmProviders.loadSettings();
+            stored.providers[provider].apiKey = '';
+            llmProviders.saveSettings(stored);
+        }, [aiSettings.provider, updateProviderSettings]);
 
         // Upload custom skill file
         const handleSkillUpload = useCallback(async (event) => {
@@ -1526,6 +2209,20 @@
             }
         }, []);
 
+        // Stored custom skill that was set aside for the default one (offered again in Settings)
+        const setAsideSkill = useMemo(() => {
+            if (!showSettingsModal || currentSkill.isCustom) return null;
+            const stored = window.GraphApp.core.skillLoader.getStoredCustomSkill();
+            return stored && !stored.active ? stored : null;
+        }, [showSettingsModal, currentSkill]);
+
+        // Turn the set-aside custom skill back on
+        const activateSetAsideSkill = useCallback(async () => {
+            const skillLoader = window.GraphApp.core.skillLoader;
+            skillLoader.setCustomSkillActive(true);
+            setCurrentSkill(await skillLoader.getCurrentSkill());
+        }, []);
+
         // Reset to default skill
         const resetToDefaultSkill = useCallback(async () => {
             window.GraphApp.core.skillLoader.clearCustomSkill();
@@ -1907,12 +2604,12 @@
 
         const handleExportExcel = useCallback(async () => {
             try {
-                await window.GraphApp.core.exportExcel(nodes, 'graph-data.xlsx');
+                await window.GraphApp.core.exportExcel(nodes, 'graph-data.xlsx', blockedRoots);
                 setShowExportModal(false);
             } catch (error) {
                 alert('Error exporting Excel: ' + error.message);
             }
-        }, [nodes]);
+        }, [nodes, blockedRoots]);
 
         const handleExportMermaid = useCallback(() => {
             const mermaidSyntax = window.GraphApp.core.generateMermaid(nodes, settings, hiddenGroups);
@@ -1921,10 +2618,41 @@
         }, [nodes, settings, hiddenGroups]);
 
 
-        const handleExportJSON = useCallback(() => {
-            window.GraphApp.exports.exportJSON(nodes, 'graph-data.json');
+        // Project file: the whole workspace plus AI conversation and skill (re-importable)
+        const handleExportJSON = () => {
+            const project = window.GraphApp.core.projectFile.buildProject(getWorkspaceSnapshot(), currentSkill);
+            window.GraphApp.exports.exportJSON(project, 'graph-project.json');
             setShowExportModal(false);
-        }, [nodes]);
+        };
+
+        // Shortlist exports are named and titled after the loaded file
+        const exportBaseName = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : '';
+        const shortlistTitle = exportBaseName ? 'Shortlist: ' + exportBaseName : 'Shortlist';
+
+        // Shortlist report for stakeholders (single offline HTML file)
+        const handleExportHTMLReport = useCallback(() => {
+            window.GraphApp.exports.exportHTMLReport(nodes, (exportBaseName || 'shortlist') + '-report.html', blockedRoots, {
+                title: shortlistTitle
+            });
+            setShowExportModal(false);
+        }, [nodes, blockedRoots, exportBaseName, shortlistTitle]);
+
+        // Template export (Markdown / text): to a file or the clipboard
+        const handleTemplateDownload = useCallback((text, filename) => {
+            window.GraphApp.exports.exportText(text, filename);
+            setShowTemplateExport(false);
+        }, []);
+
+        const handleTemplateCopy = useCallback(async (text) => {
+            try {
+                await navigator.clipboard.writeText(text);
+                alert('Copied to clipboard!');
+                setShowTemplateExport(false);
+            } catch (err) {
+                console.error('Failed to copy to clipboard:', err);
+                alert('Failed to copy to clipboard');
+            }
+        }, []);
 
         const handleExportGraphML = useCallback(() => {
             window.GraphApp.exports.exportGraphML(nodes, 'graph.graphml');
@@ -1972,27 +2700,12 @@
 
         // Filter and sort nodes for grid display
         const filteredGridNodes = useMemo(() => {
-            const filterFn = window.GraphApp.utils.filterGridNodes;
-            const sortFn = window.GraphApp.utils.sortGridNodes;
-            if (!filterFn || !sortFn) return nodes;
-
-            // Start with all nodes
-            let filtered = nodes;
-
-            // Apply class filter in root mode (selected classes are visible)
-            if (dataFormat === 'roots') {
-                filtered = filtered.filter(n => selectedTerritories.has(n.Group_xA));
-                // Filter out blocked roots (engagement=0) if showBlockedRoots is false
-                if (!showBlockedRoots) {
-                    filtered = filtered.filter(n => n.AI_Rank_xB !== 0);
-                }
-            }
-
-            // Merge filterMatrix into filters for the filter function
-            const filtersWithMatrix = Object.assign({}, gridFilters, { filterMatrix: filterMatrix });
-            filtered = filterFn(filtered, filtersWithMatrix, blockedRoots);
-            return sortFn(filtered, gridFilters.sortBy || 'ai-desc');
-        }, [nodes, gridFilters, filterMatrix, dataFormat, selectedTerritories, showBlockedRoots, blockedRoots]);
+            if (!useDataWorker) return gridQuery.selectGridNodes(nodes, gridQueryParams);
+            if (!workerGridResult) return [];
+            // Worker results trail edits by a moment; ratings keep positions, so show the current objects
+            const source = workerGridResult.nodes.length === nodes.length ? nodes : workerGridResult.nodes;
+            return workerGridResult.indexes.map(i => source[i]);
+        }, [useDataWorker, nodes, gridQueryParams, workerGridResult]);
 
         // Page count for pagination (compact mode shows more cards per page)
         const gridPageSize = compactView ? gridSize * 20 : gridSize * gridSize;
@@ -2005,24 +2718,9 @@
             setCurrentPage(0);
         }, [gridFilters, gridSize]);
 
-        // Helper: Get base group name (strip rating suffix like " T1", " T2", " T3", " Blocked")
-        const getBaseGroup = useCallback((group) => {
-            if (!group) return '';
-            return group.replace(/\s+(T[123]|Blocked)$/i, '');
-        }, []);
-
-        // Helper: Compute new group name based on rating
-        const getGroupWithRating = useCallback((baseGroup, score) => {
-            if (!baseGroup) return baseGroup;
-            if (score === 0) return baseGroup + ' Blocked';
-            if (score === 1) return baseGroup + ' T1';
-            if (score === 2) return baseGroup + ' T2';
-            if (score === 3) return baseGroup + ' T3';
-            return baseGroup; // Unrated - just base group
-        }, []);
-
         // Helper: Update node with new group, ID, and update references
-        const updateNodeGroupAndId = useCallback((nodes, nodeId, newScore) => {
+        // Every rating is also appended to Score_History_xB (wave = eval wave number, '' outside eval)
+        const updateNodeGroupAndId = useCallback((nodes, nodeId, newScore, wave) => {
             // First pass: find the node and compute new group/ID
             const targetNode = nodes.find(n => n.ID_xA === nodeId);
             if (!targetNode) return nodes;
@@ -2035,9 +2733,10 @@
             // Second pass: update the node and any references to it
             return nodes.map(node => {
                 if (node.ID_xA === oldId) {
-                    // This is the target node - update group, ID, and rank
+                    // This is the target node - update group, ID, and rank (attributed to the active reviewer)
+                    const scored = window.GraphApp.core.reviewers.recordRating(node, activeReviewer, newScore, wave);
                     return {
-                        ...node,
+                        ...scored,
                         Group_xA: newGroup,
                         ID_xA: newId,
                         Rank_xB: newScore
@@ -2048,48 +2747,47 @@
                 }
                 return node;
             });
-        }, [getBaseGroup, getGroupWithRating]);
+        }, [activeReviewer]);
 
-        // Handle grid score (with wave behavior in eval session)
-        const handleGridScore = useCallback((candidateId, score) => {
+        // Serve the next eval wave from the persisted session, or finish when none are left
+        const loadNextGridEvalWave = useCallback(() => {
             const evaluation = window.GraphApp.core.evaluation;
+            const session = gridEvalSessionRef.current;
+            const nextWave = session ? evaluation.startNextWave(session, nodesRef.current) : [];
 
-            // Record for undo
-            historyRef.current.push(nodes);
-            setCanUndo(true);
-            setCanRedo(false);
+            if (nextWave.length > 0) {
+                setGridEvalBatch(nextWave);
+                setGridEvalWave(session.currentBatchIndex + 1);
+            } else {
+                // All done! Show message then auto-exit (nothing left to resume)
+                evaluation.clearSession(session && session.config.projectId);
+                gridEvalSessionRef.current = null;
+                setSavedEvalInfo(null);
+                setGridEvalAllDone(true);
+                setTimeout(function() {
+                    setIsEvalSession(false);
+                    setGridEvalBatch([]);
+                    setGridEvalExitingIds(new Set());
+                    setGridEvalAllDone(false);
+                }, 1500);
+            }
+        }, []);
 
-            // Update Rank_xB, Group_xA, and ID_xA
-            setNodes(prevNodes => {
-                const newNodes = updateNodeGroupAndId(prevNodes, candidateId, score);
-                const validationErrors = window.GraphApp.utils.validateNodes(newNodes);
-                setErrors(validationErrors);
-                return newNodes;
-            });
-
-            // If not in eval session, we're done (simple pagination mode)
-            if (!isEvalSession || !evaluation) return;
+        // Animate a rated/skipped candidate out of the eval wave, then refill when the wave is empty
+        // candidateId is the ID shown in the wave; sessionId is its (possibly renamed) ID in the session
+        const removeFromGridEvalWave = useCallback((candidateId, sessionId, animDuration) => {
+            const evaluation = window.GraphApp.core.evaluation;
 
             // Mark as exiting (triggers fade-out animation)
             setGridEvalExitingIds(prev => new Set([...prev, candidateId]));
-            setGridEvalRatedCount(prev => prev + 1);
-
-            // Find the candidate being removed to release its grid cell
-            const currentBatch = gridEvalBatchRef.current;
-            const departingCandidate = currentBatch.find(c => c.ID_xA === candidateId);
-
-            // Animation duration (quick fade for block/rank-0, 2s for others)
-            const animDuration = score === 0 ? 300 : 2000;
 
             setTimeout(function() {
                 // Use refs for fresh values (avoid stale closures)
                 const batchNow = gridEvalBatchRef.current;
-                const currentNodes = nodesRef.current;
-                const currentFilters = gridFiltersRef.current;
 
                 // Release grid cell
-                if (departingCandidate && departingCandidate.gridRow !== undefined && gridEvalGridRef.current) {
-                    evaluation.releaseCell(departingCandidate.gridRow, departingCandidate.gridCol, gridEvalGridRef.current);
+                if (gridEvalSessionRef.current) {
+                    evaluation.removeFromBatch(gridEvalSessionRef.current, sessionId);
                 }
 
                 // Remove from current batch
@@ -2103,48 +2801,18 @@
                 });
 
                 if (newBatch.length === 0) {
-                    // Wave empty - clear batch and pause before next wave
+                    // Wave empty - clear batch and pause 1 second before next wave
                     setGridEvalBatch([]);
-
-                    // 1-second pause before next wave
-                    setTimeout(function() {
-                        const freshNodes = nodesRef.current;
-                        const freshFilters = gridFiltersRef.current;
-
-                        // Reset grid for new wave (all cells available)
-                        gridEvalGridRef.current = evaluation.createGrid();
-
-                        const nextWave = evaluation.getFilteredBatch(
-                            freshNodes,
-                            freshFilters,
-                            [],  // No exclusions - batch is empty
-                            gridEvalGridRef.current,
-                            6    // Wave size
-                        );
-
-                        if (nextWave && nextWave.length > 0) {
-                            setGridEvalBatch(nextWave);
-                        } else {
-                            // All done! Show message then auto-exit
-                            setGridEvalAllDone(true);
-                            setTimeout(function() {
-                                setIsEvalSession(false);
-                                setGridEvalBatch([]);
-                                setGridEvalExitingIds(new Set());
-                                setGridEvalAllDone(false);
-                                gridEvalGridRef.current = null;
-                            }, 1500);
-                        }
-                    }, 1000);
+                    setTimeout(loadNextGridEvalWave, 1000);
                 } else {
                     // Still candidates in wave - update batch
                     setGridEvalBatch(newBatch);
                 }
             }, animDuration);
-        }, [nodes, isEvalSession, updateNodeGroupAndId]);
+        }, [loadNextGridEvalWave]);
 
-        // Handle grid skip (wave behavior in eval session)
-        const handleGridSkip = useCallback((candidateId) => {
+        // Handle grid score (with wave behavior in eval session)
+        const handleGridScore = useCallback((candidateId, score) => {
             const evaluation = window.GraphApp.core.evaluation;
 
             // Record for undo
@@ -2152,79 +2820,62 @@
             setCanUndo(true);
             setCanRedo(false);
 
-            // Set Rank_xB to empty and reset group to base (unrated)
+            // Update Rank_xB, Group_xA, and ID_xA
+            const wave = isEvalSession && gridEvalSessionRef.current ? gridEvalSessionRef.current.currentBatchIndex + 1 : '';
             setNodes(prevNodes => {
-                const newNodes = updateNodeGroupAndId(prevNodes, candidateId, '');
+                const newNodes = updateNodeGroupAndId(prevNodes, candidateId, score, wave);
+                const validationErrors = window.GraphApp.utils.validateNodes(newNodes);
+                setErrors(validationErrors);
                 return newNodes;
             });
 
             // If not in eval session, we're done (simple pagination mode)
             if (!isEvalSession || !evaluation) return;
 
-            // Mark as exiting (triggers fade-out animation)
-            setGridEvalExitingIds(prev => new Set([...prev, candidateId]));
-
-            // Find the candidate being removed
-            const currentBatch = gridEvalBatchRef.current;
-            const departingCandidate = currentBatch.find(c => c.ID_xA === candidateId);
-
-            // Fade-out animation (2 seconds)
-            setTimeout(function() {
-                const batchNow = gridEvalBatchRef.current;
-                const currentNodes = nodesRef.current;
-                const currentFilters = gridFiltersRef.current;
-
-                // Release grid cell
-                if (departingCandidate && departingCandidate.gridRow !== undefined && gridEvalGridRef.current) {
-                    evaluation.releaseCell(departingCandidate.gridRow, departingCandidate.gridCol, gridEvalGridRef.current);
-                }
+            // Record in the persisted session (rating renames the candidate, so follow its new ID)
+            const session = gridEvalSessionRef.current;
+            const target = nodes.find(n => n.ID_xA === candidateId);
+            const newId = target ? getGroupWithRating(getBaseGroup(target.Group_xA), score) + '-' + target.Node_xA : candidateId;
+            if (session) {
+                evaluation.scoreCandidate(session, candidateId, score);
+                evaluation.renameCandidate(session, candidateId, newId);
+                setGridEvalRatedCount(session.scores.size);
+            }
 
-                // Remove from current batch
-                const newBatch = batchNow.filter(c => c.ID_xA !== candidateId);
+            // Animation duration (quick fade for block/rank-0, 2s for others)
+            removeFromGridEvalWave(candidateId, newId, score === 0 ? 300 : 2000);
+        }, [nodes, isEvalSession, updateNodeGroupAndId, removeFromGridEvalWave]);
 
-                // Remove from exiting set
-                setGridEvalExitingIds(prev => {
-                    const next = new Set(prev);
-                    next.delete(candidateId);
-                    return next;
-                });
+        // Handle grid skip (wave behavior in eval session)
+        const handleGridSkip = useCallback((candidateId) => {
+            const evaluation = window.GraphApp.core.evaluation;
 
-                if (newBatch.length === 0) {
-                    // Wave empty - pause then load next wave
-                    setGridEvalBatch([]);
+            // Record for undo
+            historyRef.current.push(nodes);
+            setCanUndo(true);
+            setCanRedo(false);
 
-                    setTimeout(function() {
-                        const freshNodes = nodesRef.current;
-                        const freshFilters = gridFiltersRef.current;
+            // Set Rank_xB to empty and reset group to base (unrated)
+            setNodes(prevNodes => {
+                const newNodes = updateNodeGroupAndId(prevNodes, candidateId, '');
+                return newNodes;
+            });
 
-                        gridEvalGridRef.current = evaluation.createGrid();
+            // If not in eval session, we're done (simple pagination mode)
+            if (!isEvalSession || !evaluation) return;
 
-                        const nextWave = evaluation.getFilteredBatch(
-                            freshNodes,
-                            freshFilters,
-                            [],
-                            gridEvalGridRef.current,
-                            6
-                        );
+            // Record as undecided in the persisted session (resetting the group may rename it)
+            const session = gridEvalSessionRef.current;
+            const target = nodes.find(n => n.ID_xA === candidateId);
+            const newId = target ? getBaseGroup(target.Group_xA) + '-' + target.Node_xA : candidateId;
+            if (session) {
+                evaluation.skipCandidate(session, candidateId);
+                evaluation.renameCandidate(session, candidateId, newId);
+            }
 
-                        if (nextWave && nextWave.length > 0) {
-                            setGridEvalBatch(nextWave);
-                        } else {
-                            setGridEvalAllDone(true);
-                            setTimeout(function() {
-                                setIsEvalSession(false);
-                                setGridEvalBatch([]);
-                                setGridEvalExitingIds(new Set());
-                                setGridEvalAllDone(false);
-                                gridEvalGridRef.current = null;
-                            }, 1500);
-                        }
-                    }, 1000);
-                } else {
-                    setGridEvalBatch(newBatch);
-                }
-            }, 2000);
-        }, [nodes, isEvalSession, updateNodeGroupAndId]);
+            // Fade-out animation (2 seconds)
+            removeFromGridEvalWave(candidateId, newId, 2000);
+        }, [nodes, isEvalSession, updateNodeGroupAndId, removeFromGridEvalWave]);
 
         // Block a root: add to blockedRoots only (no candidate mutation)
         // Root blocking is a display/filter layer separate from candidate ratings
@@ -2275,6 +2926,50 @@
             ).length;
         }, [nodes]);
 
+        // Suggested tiers for unrated candidates, learned from ratings on shared roots
+        const rootSuggestions = useMemo(() => {
+            if (dataFormat !== 'candidates') return new Map();
+            return window.GraphApp.core.evaluation.suggestTiersFromRoots(nodes);
+        }, [nodes, dataFormat]);
+
+        // Suggestions per root (for the "N suggested" links on cards)
+        const suggestionCounts = useMemo(() => {
+            const counts = new Map();
+            rootSuggestions.forEach(suggestion => {
+                suggestion.roots.forEach(root => counts.set(root, (counts.get(root) || 0) + 1));
+            });
+            return counts;
+        }, [rootSuggestions]);
+
+        const suggestionCountByRoot = useCallback((root) => suggestionCounts.get(root) || 0, [suggestionCounts]);
+
+        // Accept one suggestion (same path as clicking the tier button, so eval waves stay in sync)
+        const handleAcceptSuggestion = useCallback((candidateId) => {
+            const suggestion = rootSuggestions.get(candidateId);
+            if (suggestion) handleGridScore(candidateId, suggestion.tier);
+        }, [rootSuggestions, handleGridScore]);
+
+        // Accept several suggestions as one undo step
+        const handleAcceptRootSuggestions = useCallback((candidateIds) => {
+            const newNodes = candidateIds.reduce((acc, id) => {
+                const suggestion = rootSuggestions.get(id);
+                return suggestion ? updateNodeGroupAndId(acc, id, suggestion.tier) : acc;
+            }, nodes);
+            setNodes(newNodes);
+            saveToHistory(newNodes);
+            setErrors(window.GraphApp.utils.validateNodes(newNodes));
+            setSuggestionRoot(null);
+        }, [rootSuggestions, nodes, updateNodeGroupAndId, saveToHistory]);
+
+        // Candidates with a suggestion coming from the root under review (most confident first)
+        const suggestionRootItems = useMemo(() => {
+            if (!suggestionRoot) return [];
+            return nodes
+                .filter(n => rootSuggestions.has(n.ID_xA) && rootSuggestions.get(n.ID_xA).roots.includes(suggestionRoot))
+                .map(n => ({ node: n, suggestion: rootSuggestions.get(n.ID_xA) }))
+                .sort((a, b) => b.suggestion.confidence - a.suggestion.confidence);
+        }, [suggestionRoot, nodes, rootSuggestions]);
+
         // Start eval session (wave-based, uses CURRENT filter state)
         const handleStartGridEval = useCallback(() => {
             const evaluation = window.GraphApp.core.evaluation;
@@ -2284,39 +2979,397 @@
             }
 
             // Use current filters (don't reset) - eval starts from whatever user has filtered
-            const currentFilters = gridFiltersRef.current;
-
-            // Create grid for cell tracking
-            gridEvalGridRef.current = evaluation.createGrid();
-
-            // Get first wave (6 candidates) using current filter state
-            const firstWave = evaluation.getFilteredBatch(
+            // Filters are locked for the session and restored on resume
+            const session = evaluation.createGridSession(
                 nodes,
-                currentFilters,
-                [],  // No exclusions initially
-                gridEvalGridRef.current,
-                6    // Wave size
+                { gridFilters: gridFiltersRef.current, filterMatrix: filterMatrix },
+                6,    // Wave size
+                activeProjectId
             );
+            if (session.error) {
+                alert(session.error);
+                return;
+            }
+            gridEvalSessionRef.current = session;
+
+            // Get first wave (6 candidates)
+            const firstWave = evaluation.startNextWave(session, nodes);
 
             // Set initial state (filters are now locked during eval)
             setGridEvalBatch(firstWave);
             setGridEvalExitingIds(new Set());
             setGridEvalAllDone(false);
             setGridEvalRatedCount(0);
+            setGridEvalTotal(session.selectedIds.length);
+            setGridEvalWave(1);
+            setSavedEvalInfo(null);
             setCurrentPage(0);
             setIsEvalSession(true);
-        }, [nodes]);
+        }, [nodes, filterMatrix, activeProjectId]);
+
+        // Resume the saved eval session (restores locked filters, rated count and current wave)
+        const handleResumeGridEval = useCallback(() => {
+            const evaluation = window.GraphApp.core.evaluation;
+            const session = evaluation.resumeGridSession(nodes, activeProjectId);
+            if (!session) {
+                alert('The saved eval session no longer matches this data and was discarded.');
+                setSavedEvalInfo(null);
+                return;
+            }
+            gridEvalSessionRef.current = session;
+
+            const locked = session.config.lockedFilters || {};
+            if (locked.gridFilters) setGridFilters(locked.gridFilters);
+            if (locked.filterMatrix) setFilterMatrix(locked.filterMatrix);
+
+            setGridEvalExitingIds(new Set());
+            setGridEvalAllDone(false);
+            setGridEvalRatedCount(session.scores.size);
+            setGridEvalTotal(session.selectedIds.length);
+            setSavedEvalInfo(null);
+            setCurrentPage(0);
+            setIsEvalSession(true);
+
+            // Continue the interrupted wave, or start the next one if it was finished
+            if (session.currentBatchCandidates.length > 0) {
+                setGridEvalBatch(session.currentBatchCandidates);
+                setGridEvalWave(session.currentBatchIndex + 1);
+            } else {
+                loadNextGridEvalWave();
+            }
+        }, [nodes, activeProjectId, loadNextGridEvalWave]);
+
+        // ========== PAIRWISE COMPARISON ==========
+
+        // Pick the next comparison set from a pool (recent pairs are avoided)
+        const pickComparison = useCallback((pool, size) => {
+            const evaluation = window.GraphApp.core.evaluation;
+            comparisonSeedRef.current++;
+            const candidates = evaluation.selectComparison(pool, size, comparisonSeedRef.current, new Set(comparisonRecentRef.current));
+
+            // Remember pairs just shown (keep the last 50)
+            candidates.forEach((a, i) => candidates.slice(i + 1).forEach(b => {
+                comparisonRecentRef.current.push(evaluation.getPairKey(a.ID_xA, b.ID_xA));
+            }));
+            comparisonRecentRef.current = comparisonRecentRef.current.slice(-50);
+            return candidates;
+        }, []);
+
+        // Open comparison mode on the candidates matching the current grid filters
+        const handleStartCompare = useCallback(() => {
+            comparisonSeedRef.current = Date.now();
+            comparisonRecentRef.current = [];
+            setComparison({ candidates: pickComparison(filteredGridNodes, 2), size: 2, count: 0 });
+        }, [filteredGridNodes, pickComparison]);
+
+        // Record the winner, update Elo ratings and serve the next matchup
+        const handleComparisonPick = useCallback((winnerId) => {
+            if (!comparison) return;
+            const loserIds = comparison.candidates.map(c => c.ID_xA).filter(id => id !== winnerId);
+            const newNodes = window.GraphApp.core.evaluation.recordComparison(nodes, winnerId, loserIds);
+            setNodes(newNodes);
+            saveToHistory(newNodes);
+
+            // Next set comes from the same pool, with updated ratings
+            const poolIds = new Set(filteredGridNodes.map(n => n.ID_xA));
+            const pool = newNodes.filter(n => poolIds.has(n.ID_xA));
+            setComparison({
+                candidates: pickComparison(pool, comparison.size),
+                size: comparison.size,
+                count: comparison.count + 1
+            });
+        }, [comparison, nodes, filteredGridNodes, pickComparison, saveToHistory]);
 
-        // Exit eval session
+        // Skip the current matchup without recording a result
+        const handleComparisonSkip = useCallback(() => {
+            if (!comparison) return;
+            setComparison(Object.assign({}, comparison, { candidates: pickComparison(filteredGridNodes, comparison.size) }));
+        }, [comparison, filteredGridNodes, pickComparison]);
+
+        // Change how many candidates are shown at once
+        const handleComparisonSizeChange = useCallback((size) => {
+            if (!comparison) return;
+            setComparison(Object.assign({}, comparison, { size, candidates: pickComparison(filteredGridNodes, size) }));
+        }, [comparison, filteredGridNodes, pickComparison]);
+
+        // ========== REVIEWERS ==========
+
+        // Persist reviewer profiles
+        useEffect(() => {
+            window.GraphApp.core.reviewers.saveProfiles(reviewerProfiles);
+        }, [reviewerProfiles]);
+
+        // Show a reviewer's scores: Rank_xB, group suffix and ID follow that reviewer (links are kept intact)
+        // Ratings nobody owns (made without a reviewer) are kept when the reviewer has no score of their own
+        const applyReviewerScores = useCallback((sourceNodes, reviewer) => {
+            const reviewers = window.GraphApp.core.reviewers;
+            const idChanges = new Map();
+
+            const remapped = sourceNodes.map(node => {
+                const unattributed = Object.keys(node.Reviewer_Scores_xB || {}).length === 0;
+                const ownScore = reviewers.getReviewerScore(node, reviewer);
+                const score = ownScore === '' && unattributed ? node.Rank_xB : ownScore;
+                const newGroup = getGroupWithRating(getBaseGroup(node.Group_xA), score);
+                const newId = newGroup + '-' + node.Node_xA;
+                if (newId !== node.ID_xA) idChanges.set(node.ID_xA, newId);
+                return { ...node, Group_xA: newGroup, ID_xA: newId, Rank_xB: score };
+            });
+
+            if (idChanges.size === 0) return remapped;
+            return remapped.map(node => idChanges.has(node.Linked_Node_ID_xA)
+                ? { ...node, Linked_Node_ID_xA: idChanges.get(node.Linked_Node_ID_xA) }
+                : node);
+        }, []);
+
+        // Follow IDs renamed by a reviewer switch in the running eval session and its current wave
+        const followRenamedCandidates = useCallback((oldNodes, newNodes) => {
+            const session = gridEvalSessionRef.current;
+            if (!isEvalSession && !session) return;
+
+            const renamed = new Map();
+            oldNodes.forEach((node, i) => {
+                if (newNodes[i].ID_xA !== node.ID_xA) renamed.set(node.ID_xA, newNodes[i]);
+            });
+            if (renamed.size === 0) return;
+
+            if (session) {
+                const evaluation = window.GraphApp.core.evaluation;
+                session.selectedIds
+                    .filter(id => renamed.has(id))
+                    .forEach(id => evaluation.renameCandidate(session, id, renamed.get(id).ID_xA));
+            }
+            setGridEvalBatch(prev => prev.map(c => renamed.has(c.ID_xA)
+                ? { ...c, ID_xA: renamed.get(c.ID_xA).ID_xA, Group_xA: renamed.get(c.ID_xA).Group_xA }
+                : c));
+        }, [isEvalSession]);
+
+        // Switch the active reviewer ('' = no reviewer, ratings are left as they are)
+        // Tiers written outside the rating path (merge, import diff, imports) are first recorded
+        // under the outgoing reviewer so the switch doesn't lose them
+        const handleSwitchReviewer = useCallback((name) => {
+            const reviewers = window.GraphApp.core.reviewers;
+            setReviewerProfiles(prev => ({ ...prev, active: name }));
+            if (!name || nodes.length === 0) return;
+
+            const attributed = activeReviewer ? reviewers.attributeShownRanks(nodes, activeReviewer) : nodes;
+            const newNodes = applyReviewerScores(attributed, name);
+            followRenamedCandidates(nodes, newNodes);
+            setNodes(newNodes);
+            saveToHistory(newNodes);
+        }, [nodes, activeReviewer, applyReviewerScores, followRenamedCandidates, saveToHistory]);
+
+        // Add a reviewer profile and make it active
+        // The first reviewer takes ownership of ratings made before profiles existed
+        const handleAddReviewer = useCallback(() => {
+            const reviewers = window.GraphApp.core.reviewers;
+            const name = (addingReviewer || '').trim();
+            const error = reviewers.validateReviewerName(name, reviewerProfiles.reviewers);
+            if (error) {
+                alert(error);
+                return;
+            }
+
+            setReviewerProfiles(prev => ({ reviewers: [...prev.reviewers, name], active: name }));
+            setAddingReviewer(null);
+
+            if (nodes.length === 0) return;
+            let newNodes;
+            if (reviewerProfiles.reviewers.length === 0) {
+                newNodes = reviewers.claimUnattributedRanks(nodes, name);
+            } else {
+                const attributed = activeReviewer ? reviewers.attributeShownRanks(nodes, activeReviewer) : nodes;
+                newNodes = applyReviewerScores(attributed, name);
+                followRenamedCandidates(nodes, newNodes);
+            }
+            setNodes(newNodes);
+            saveToHistory(newNodes);
+        }, [addingReviewer, reviewerProfiles, activeReviewer, nodes, applyReviewerScores, followRenamedCandidates, saveToHistory]);
+
+        // Reviewers shown in the consensus view (profiles plus anyone found in imported data)
+        const consensusReviewers = useMemo(() => {
+            if (!showConsensus) return [];
+            const names = new Set([...reviewerProfiles.reviewers, ...window.GraphApp.core.reviewers.getReviewerNames(nodes)]);
+            return Array.from(names).sort();
+        }, [showConsensus, reviewerProfiles.reviewers, nodes]);
+
+        const consensusRows = useMemo(() => {
+            if (!showConsensus) return [];
+            return window.GraphApp.core.reviewers.computeConsensus(nodes, consensusReviewers);
+        }, [showConsensus, nodes, consensusReviewers]);
+
+        // AI-vs-human calibration report (computed only while the dashboard is open)
+        const calibrationReport = useMemo(() => {
+            if (!showCalibration) return null;
+            return window.GraphApp.core.calibration.buildCalibration(nodes, { currentMin: gridFilters.aiScoreRange[0] });
+        }, [showCalibration, nodes, gridFilters.aiScoreRange]);
+
+        // Use a suggested cut-off as the grid's minimum AI score
+        const handleApplyCalibrationCutoff = useCallback((min) => {
+            setGridFilters(prev => ({ ...prev, aiScoreRange: [min, prev.aiScoreRange[1]] }));
+        }, []);
+
+        // Discard the saved eval session
+        const handleDiscardGridEval = useCallback(() => {
+            window.GraphApp.core.evaluation.clearSession(activeProjectId);
+            setSavedEvalInfo(null);
+        }, [activeProjectId]);
+
+        // Exit eval session (progress stays saved and can be resumed)
         const handleExitGridEval = useCallback(() => {
             setIsEvalSession(false);
             setGridEvalBatch([]);
             setGridEvalExitingIds(new Set());
             setGridEvalAllDone(false);
             setGridEvalRatedCount(0);
-            gridEvalGridRef.current = null;
+            gridEvalSessionRef.current = null;
         }, []);
 
+        // Offer to resume a saved eval session belonging to the active project
+        useEffect(() => {
+            if (isEvalSession || !activeProjectId) return;
+            setSavedEvalInfo(window.GraphApp.core.evaluation.getSavedSessionInfo(activeProjectId));
+        }, [isEvalSession, activeProjectId]);
+
+        // ========== KEYBOARD RATING ==========
+
+        // Each reviewer has their own bindings
+        useEffect(() => {
+            setKeyBindings(window.GraphApp.core.keybindings.loadBindings(activeReviewer));
+        }, [activeReviewer]);
+
+        const handleRebindKey = useCallback((action, key) => {
+            const keybindings = window.GraphApp.core.keybindings;
+            const next = keybindings.rebind(keyBindings, action, key);
+            if (!next) {
+                alert(keybindings.getRebindError(keyBindings, action, key));
+                return;
+            }
+            setKeyBindings(next);
+            keybindings.saveBindings(activeReviewer, next);
+        }, [keyBindings, activeReviewer]);
+
+        const handleResetKeyBindings = useCallback(() => {
+            const keybindings = window.GraphApp.core.keybindings;
+            setKeyBindings(keybindings.DEFAULT_BINDINGS);
+            keybindings.saveBindings(activeReviewer, keybindings.DEFAULT_BINDINGS);
+        }, [activeReviewer]);
+
+        // Move the focus ring to the neighbouring card (by grid cell, not list order)
+        const moveGridFocus = useCallback((dRow, dCol) => {
+            const cards = visibleCardsRef.current;
+            if (cards.length === 0) return;
+            setGridFocus(prev => {
+                if (prev === null) return 0;
+                const current = cards[Math.min(prev, cards.length - 1)];
+                if (dCol !== 0) {
+                    // Left/right walk reading order (wraps onto the next/previous row)
+                    return Math.max(0, Math.min(cards.length - 1, cards.indexOf(current) + dCol));
+                }
+                // Up/down: nearest card in the next row that has cards
+                const rows = cards.map(c => c.row).filter(r => dRow > 0 ? r > current.row : r < current.row);
+                if (rows.length === 0) return cards.indexOf(current);
+                const targetRow = dRow > 0 ? Math.min(...rows) : Math.max(...rows);
+                const inRow = cards.filter(c => c.row === targetRow);
+                const target = inRow.reduce((best, c) => Math.abs(c.col - current.col) < Math.abs(best.col - current.col) ? c : best);
+                return cards.indexOf(target);
+            });
+        }, []);
+
+        // Dialogs that own the keyboard while open
+        const keyboardBlocked = showExportModal || !!deleteConfirm || showHelpModal || showReadmeModal || showAIModal ||
+            infoPopup.open || contextMenu.open || showSettingsModal || showProjectsModal || !!comparison ||
+            showConsensus || showCalibration || !!mergePreview || !!importWizard || !!pendingImport || !!pasteList || showTemplateExport || showAIScoring || showAICandidates || !!suggestionRoot || !!restorePrompt;
+
+        useEffect(() => {
+            const handleGridKey = (e) => {
+                const target = e.target;
+                if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+                    return;
+                }
+
+                const action = window.GraphApp.core.keybindings.getActionForEvent(keyBindings, e);
+                if (!action) return;
+
+                if (action === 'showHelp') {
+                    if (keyboardBlocked) return;
+                    e.preventDefault();
+                    setShowKeyboardHelp(prev => !prev);
+                    return;
+                }
+                if (keyboardBlocked || showKeyboardHelp) return;
+
+                const cards = visibleCardsRef.current;
+                const focused = gridFocus !== null && cards.length > 0 ? cards[Math.min(gridFocus, cards.length - 1)] : null;
+                const focusedNode = focused ? nodes.find(n => n.ID_xA === focused.id) : null;
+
+                switch (action) {
+                    case 'moveUp': moveGridFocus(-1, 0); break;
+                    case 'moveDown': moveGridFocus(1, 0); break;
+                    case 'moveLeft': moveGridFocus(0, -1); break;
+                    case 'moveRight': moveGridFocus(0, 1); break;
+                    case 'prevPage':
+                        if (isEvalSession) return;
+                        setCurrentPage(page => Math.max(0, page - 1));
+                        setGridFocus(0);
+                        break;
+                    case 'nextPage':
+                        if (isEvalSession) return;
+                        setCurrentPage(page => Math.min(gridPageCount - 1, page + 1));
+                        setGridFocus(0);
+                        break;
+                    case 'tier0':
+                    case 'tier1':
+                    case 'tier2':
+                    case 'tier3': {
+                        if (!focusedNode) return;
+                        const score = parseInt(action.slice(4));
+                        if (dataFormat === 'roots') {
+                            // Roots only support blocking (engagement 0)
+                            if (score === 0) handleCellEdit(focusedNode.ID_xA, 'AI_Rank_xB', 0);
+                        } else {
+                            handleGridScore(focusedNode.ID_xA, score);
+                        }
+                        break;
+                    }
+                    case 'skip':
+                        if (!focusedNode || dataFormat === 'roots') return;
+                        handleGridSkip(focusedNode.ID_xA);
+                        break;
+                    case 'blockRoot':
+                        if (!focusedNode || !focusedNode.Root1_xB) return;
+                        handleBlockRoot(focusedNode.Root1_xB);
+                        break;
+                    case 'openInfo':
+                        if (!focusedNode) return;
+                        showNodeInfoFromContext(focusedNode.ID_xA);
+                        break;
+                    default:
+                        return;
+                }
+                e.preventDefault();
+            };
+
+            document.addEventListener('keydown', handleGridKey);
+            return () => document.removeEventListener('keydown', handleGridKey);
+        }, [keyBindings, keyboardBlocked, showKeyboardHelp, gridFocus, nodes, isEvalSession, gridPageCount, dataFormat,
+            moveGridFocus, handleGridScore, handleGridSkip, handleBlockRoot, handleCellEdit, showNodeInfoFromContext]);
+
+        // Paste-to-import (Ctrl/Cmd+V anywhere outside a text field, while no dialog is open)
+        useEffect(() => {
+            const handlePaste = (e) => {
+                const target = e.target;
+                if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+                if (keyboardBlocked || showKeyboardHelp) return;
+                const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+                if (!text.trim()) return;
+                e.preventDefault();
+                handleImportText(text);
+            };
+
+            document.addEventListener('paste', handlePaste);
+            return () => document.removeEventListener('paste', handlePaste);
+        }, [keyboardBlocked, showKeyboardHelp, handleImportText]);
+
         // ========== END GRID-FIRST MODE HANDLERS ==========
 
         // Render main UI
@@ -2344,6 +3397,74 @@
                             title: "Help"
                         }, "?"),
 
+                        // Project switcher
+                        React.createElement('button', {
+                            key: 'projects-btn',
+                            onClick: () => { refreshProjects(); setShowProjectsModal(true); },
+                            className: "flex items-center gap-1 px-2 py-1 text-xs text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded max-w-[180px]",
+                            title: "Switch project"
+                        }, [
+                            React.createElement('span', { key: 'name', className: "truncate" }, activeProject ? activeProject.name : 'Projects'),
+                            React.createElement('span', { key: 'arrow', className: "text-[10px]" }, "▼")
+                        ]),
+
+                        // Reviewer switcher (multi-rater)
+                        React.createElement('div', {
+                            key: 'reviewer',
+                            className: "flex items-center gap-1"
+                        }, addingReviewer !== null ? [
+                            React.createElement('input', {
+                                key: 'name',
+                                autoFocus: true,
+                                value: addingReviewer,
+                                placeholder: "Reviewer name",
+                                onChange: (e) => setAddingReviewer(e.target.value),
+                                onKeyDown: (e) => {
+                                    if (e.key === 'Enter') handleAddReviewer();
+                                    if (e.key === 'Escape') { e.stopPropagation(); setAddingReviewer(null); }
+                                },
+                                className: "w-28 px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                            }),
+                            React.createElement('button', {
+                                key: 'add',
+                                onClick: handleAddReviewer,
+                                className: "px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600"
+                            }, "Add"),
+                            React.createElement('button', {
+                                key: 'cancel',
+                                onClick: () => setAddingReviewer(null),
+                                className: "px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 rounded"
+                            }, "Cancel")
+                        ] : [
+                            React.createElement('select', {
+                                key: 'select',
+                                value: activeReviewer,
+                                onChange: (e) => {
+                                    if (e.target.value === '__add__') setAddingReviewer('');
+                                    else handleSwitchReviewer(e.target.value);
+                                },
+                                className: "px-1 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200",
+                                title: "Active reviewer - ratings are recorded under this name"
+                            }, [
+                                React.createElement('option', { key: 'none', value: '' }, "No reviewer"),
+                                ...reviewerProfiles.reviewers.map(name => React.createElement('option', { key: name, value: name }, name)),
+                                React.createElement('option', { key: 'add', value: '__add__' }, "+ Add reviewer…")
+                            ]),
+                            React.createElement('button', {
+                                key: 'consensus',
+                                onClick: () => setShowConsensus(true),
+                                className: "px-2 py-1 text-xs text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded",
+                                title: "Reviewer agreement per class"
+                            }, "Consensus")
+                        ]),
+
+                        React.createElement('button', {
+                            key: 'calibration-btn',
+                            onClick: () => setShowCalibration(true),
+                            className: "px-2 py-1 text-xs text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded",
+                            title: "Compare AI scores with human tiers"
+                        }, "AI vs Human"),
+
                         // File operations
                         React.createElement('div', {
                             key: 'file-ops',
@@ -2363,12 +3484,51 @@
                                     key: 'input',
                                     ref: fileInputRef,
                                     type: "file",
-                                    accept: ".csv,.xlsx,.xls,.mmd,.txt",
+                                    accept: ".csv,.xlsx,.xls,.mmd,.txt,.json,.graphml,.dot,.gv",
                                     onChange: handleFileUpload,
                                     className: "hidden"
                                 })
                             ]),
 
+                            React.createElement('label', {
+                                key: 'import-mapped',
+                                className: "flex items-center px-2 py-1 text-xs text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded cursor-pointer",
+                                title: "Import a CSV or Excel file with the column-mapping wizard"
+                            }, [
+                                "Map…",
+                                React.createElement('input', {
+                                    key: 'input',
+                                    ref: mappedInputRef,
+                                    type: "file",
+                                    accept: ".csv,.xlsx,.xls,.txt",
+                                    onChange: (e) => handleFileUpload(e, true),
+                                    className: "hidden"
+                                })
+                            ]),
+
+                            React.createElement('button', {
+                                key: 'paste',
+                                onClick: handlePasteButton,
+                                className: "flex items-center px-2 py-1 text-xs text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded",
+                                title: "Import a copied table or list of names (or press Ctrl+V)"
+                            }, "Paste"),
+
+                            React.createElement('label', {
+                                key: 'merge',
+                                className: "flex items-center px-2 py-1 text-xs text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded cursor-pointer",
+                                title: "Import a reviewer's ratings and merge them into the current data"
+                            }, [
+                                "Merge",
+                                React.createElement('input', {
+                                    key: 'input',
+                                    ref: mergeInputRef,
+                                    type: "file",
+                                    accept: ".csv,.xlsx,.xls,.txt",
+                                    onChange: handleMergeUpload,
+                                    className: "hidden"
+                                })
+                            ]),
+
                             React.createElement('button', {
                                 key: 'add',
                                 onClick: handleAddNode,
@@ -2382,8 +3542,8 @@
                                 "Add Node"
                             ]),
 
-                            // AI Generate button (only shown when API key is configured)
-                            ...(apiKey ? [
+                            // AI Generate button (only shown when an AI provider is configured)
+                            ...(aiConfigured ? [
                                 React.createElement('button', {
                                     key: 'ai-generate',
                                     onClick: () => setShowAIModal(true),
@@ -2395,6 +3555,20 @@
                                         className: "mr-1"
                                     }),
                                     "AI Generate"
+                                ]),
+                                // Not in roots mode: there AI_Rank_xB is the roots' engagement, not a name score
+                                nodes.length > 0 && dataFormat !== 'roots' && React.createElement('button', {
+                                    key: 'ai-score',
+                                    onClick: () => setShowAIScoring(true),
+                                    className: "flex items-center px-2 py-1 text-xs bg-purple-500 text-white rounded hover:bg-purple-600",
+                                    title: "Fill AI scores with the configured model"
+                                }, [
+                                    React.createElement(Sparkles, {
+                                        key: 'icon',
+                                        size: 12,
+                                        className: "mr-1"
+                                    }),
+                                    "AI Score"
                                 ])
                             ] : []),
 
@@ -2584,9 +3758,16 @@
                         isEvalSession: isEvalSession,
                         onStartEval: handleStartGridEval,
                         onExitEval: handleExitGridEval,
+                        onStartCompare: handleStartCompare,
                         filteredCount: filteredGridNodes.length,
-                        totalCount: nodes.length,
+                        totalCount: listedNodes.length,
                         evalRatedCount: gridEvalRatedCount,
+                        evalTotal: gridEvalTotal,
+                        evalWave: gridEvalWave,
+                        // Resumable eval session banner
+                        savedEvalInfo: savedEvalInfo,
+                        onResumeEval: handleResumeGridEval,
+                        onDiscardEval: handleDiscardGridEval,
                         // Pagination props
                         currentPage: currentPage,
                         totalPages: gridPageCount,
@@ -2608,6 +3789,7 @@
                         onToggleTerritory: handleToggleTerritory,
                         onShowAllClasses: handleShowAllClasses,
                         onHideAllClasses: handleHideAllClasses,
+                        onGenerateCandidates: aiConfigured ? () => setShowAICandidates(true) : null,
                         // Show/hide blocked roots
                         showBlockedRoots: showBlockedRoots,
                         setShowBlockedRoots: setShowBlockedRoots
@@ -2616,7 +3798,8 @@
                     window.GraphApp.components.GridDisplay && React.createElement(window.GraphApp.components.GridDisplay, {
                         key: 'grid-display',
                         nodes: filteredGridNodes,
-                        filters: Object.assign({}, gridFilters, { filterMatrix: filterMatrix }),
+                        presorted: true,
+                        filters: gridQueryParams.filters,
                         gridSize: gridSize,
                         currentPage: currentPage,
                         onPageChange: setCurrentPage,
@@ -2633,7 +3816,13 @@
                         evalRatedCount: gridEvalRatedCount,
                         compactView: compactView,
                         onEdit: handleCellEdit,
-                        dataFormat: dataFormat
+                        dataFormat: dataFormat,
+                        suggestions: rootSuggestions,
+                        onAcceptSuggestion: handleAcceptSuggestion,
+                        suggestionCountByRoot: suggestionCountByRoot,
+                        onReviewRootSuggestions: setSuggestionRoot,
+                        focusIndex: gridFocus,
+                        onVisibleCardsChange: (cards) => { visibleCardsRef.current = cards; }
                     })
                 ])
             ]),
@@ -2699,6 +3888,22 @@
                     }, [
                         React.createElement(FileText, { key: 'i', size: 14, className: "text-yellow-600" }),
                         React.createElement('span', { key: 'n', className: "text-xs font-medium" }, "JSON")
+                    ]),
+                    React.createElement('button', {
+                        key: 'html-report', onClick: handleExportHTMLReport,
+                        className: "w-full flex items-center gap-2 px-3 py-2 bg-gray-50 hover:bg-blue-50 rounded border border-gray-200 hover:border-blue-200",
+                        title: "Tier 2/3 shortlist by class with the tier chart - one file that works offline and prints"
+                    }, [
+                        React.createElement(FileText, { key: 'i', size: 14, className: "text-blue-600" }),
+                        React.createElement('span', { key: 'n', className: "text-xs font-medium" }, "HTML report")
+                    ]),
+                    React.createElement('button', {
+                        key: 'template', onClick: () => { setShowExportModal(false); setShowTemplateExport(true); },
+                        className: "w-full flex items-center gap-2 px-3 py-2 bg-gray-50 hover:bg-blue-50 rounded border border-gray-200 hover:border-blue-200",
+                        title: "Markdown table, bullet list, Slack message or your own template - to a file or the clipboard"
+                    }, [
+                        React.createElement(FileText, { key: 'i', size: 14, className: "text-purple-600" }),
+                        React.createElement('span', { key: 'n', className: "text-xs font-medium" }, "Markdown / Text…")
                     ])
                 ]),
 
@@ -2715,6 +3920,195 @@
                 }, "Close")
             ])),
 
+            // Pairwise comparison modal
+            comparison && window.GraphApp.components.ComparisonView && React.createElement(window.GraphApp.components.ComparisonView, {
+                key: 'comparison-view',
+                candidates: comparison.candidates,
+                size: comparison.size,
+                comparisonCount: comparison.count,
+                poolSize: filteredGridNodes.length,
+                onPick: handleComparisonPick,
+                onSkip: handleComparisonSkip,
+                onSizeChange: handleComparisonSizeChange,
+                onClose: () => setComparison(null)
+            }),
+
+            // Reviewer consensus (agreement per class)
+            showConsensus && window.GraphApp.components.ConsensusView && React.createElement(window.GraphApp.components.ConsensusView, {
+                key: 'consensus-view',
+                rows: consensusRows,
+                reviewers: consensusReviewers,
+                onClose: () => setShowConsensus(false)
+            }),
+
+            // Keyboard shortcuts overlay ("?")
+            showKeyboardHelp && React.createElement(window.GraphApp.components.KeyboardHelp, {
+                key: 'keyboard-help',
+                bindings: keyBindings,
+                userLabel: activeReviewer || 'this browser',
+                onRebind: handleRebindKey,
+                onReset: handleResetKeyBindings,
+                onClose: () => setShowKeyboardHelp(false)
+            }),
+
+            // Root suggestions review (accept all or some for one root)
+            suggestionRoot && suggestionRootItems.length > 0 && React.createElement(window.GraphApp.components.RootSuggestionsDialog, {
+                key: 'root-suggestions-' + suggestionRoot,
+                root: suggestionRoot,
+                items: suggestionRootItems,
+                onAccept: handleAcceptRootSuggestions,
+                onClose: () => setSuggestionRoot(null)
+            }),
+
+            // AI-vs-human calibration dashboard
+            calibrationReport && React.createElement(window.GraphApp.components.CalibrationView, {
+                key: 'calibration-view',
+                report: calibrationReport,
+                onApplyCutoff: handleApplyCalibrationCutoff,
+                onClose: () => setShowCalibration(false)
+            }),
+
+            // Import & merge preview
+            mergePreview && React.createElement(window.GraphApp.components.MergeDialog, {
+                key: 'merge-dialog',
+                fileName: mergePreview.fileName,
+                plan: mergePreview.plan,
+                nodes: nodes,
+                onApply: handleApplyMerge,
+                onCancel: () => setMergePreview(null)
+            }),
+
+            // Column-mapping import wizard
+            importWizard && React.createElement(window.GraphApp.components.ImportWizard, {
+                key: 'import-wizard',
+                fileName: importWizard.fileName,
+                sheets: importWizard.sheets,
+                onImport: handleImportWizardDone,
+                onCancel: () => setImportWizard(null)
+            }),
+
+            // Import diff (re-import over existing data)
+            importDiffReport && React.createElement(window.GraphApp.components.ImportDiffDialog, {
+                key: 'import-diff',
+                fileName: pendingImport.fileName,
+                diff: importDiffReport,
+                onApply: handleApplyImportDiff,
+                onReplace: handleReplaceImport,
+                onCancel: () => setPendingImport(null)
+            }),
+
+            // Pasted list of names - choose the class
+            pasteList && React.createElement(window.GraphApp.components.PasteListDialog, {
+                key: 'paste-list',
+                names: pasteList.names,
+                classes: Array.from(new Set(nodes.map(n => getBaseGroup(n.Group_xA)).filter(Boolean))).sort(),
+                defaultClass: dataFormat === 'roots' ? Array.from(selectedTerritories).sort()[0] : '',
+                classLabel: dataFormat === 'roots' ? 'class' : 'group',
+                onAdd: handleAddPastedNames,
+                onCancel: () => setPasteList(null)
+            }),
+
+            // Markdown / text export with templates
+            showTemplateExport && React.createElement(window.GraphApp.components.TemplateExportDialog, {
+                key: 'template-export',
+                nodes: nodes,
+                blockedRoots: blockedRoots,
+                title: shortlistTitle,
+                fileBaseName: exportBaseName || 'shortlist',
+                onDownload: handleTemplateDownload,
+                onCopy: handleTemplateCopy,
+                onClose: () => setShowTemplateExport(false)
+            }),
+
+            // AI batch scoring
+            showAIScoring && dataFormat !== 'roots' && React.createElement(window.GraphApp.components.AIScoringDialog, {
+                key: 'ai-scoring',
+                nodes: nodes,
+                visibleNodes: filteredGridNodes,
+                aiSettings: aiSettings,
+                skillContent: currentSkill.content,
+                projectId: activeProjectId,
+                getNodes: () => nodesRef.current,
+                onScores: handleAIScores,
+                onFinish: handleAIScoringFinish,
+                onClose: () => setShowAIScoring(false)
+            }),
+
+            // AI candidate generation (roots mode)
+            showAICandidates && React.createElement(window.GraphApp.components.AICandidateDialog, {
+                key: 'ai-candidates',
+                classes: Array.from(selectedTerritories).sort(),
+                roots: aiCandidateRoots.roots,
+                omittedRoots: aiCandidateRoots.omitted,
+                onGenerate: handleGenerateCandidates,
+                candidateCount: nodes.length - listedNodes.length,
+                onExportCandidates: handleExportGeneratedCandidates,
+                onClose: () => setShowAICandidates(false)
+            }),
+
+            // File loading progress
+            importProgress && React.createElement('div', {
+                key: 'import-progress',
+                className: "fixed top-4 left-1/2 -translate-x-1/2 z-50 w-80 bg-white dark:bg-gray-800 rounded-lg shadow-lg px-4 py-3"
+            }, [
+                React.createElement('div', {
+                    key: 'label',
+                    className: "flex justify-between text-sm text-gray-700 dark:text-gray-300 mb-2"
+                }, [
+                    React.createElement('span', { key: 'name', className: "truncate" }, `Loading ${importProgress.fileName}…`),
+                    importProgress.fraction !== null && React.createElement('span', { key: 'percent', className: "ml-2" },
+                        `${Math.round(importProgress.fraction * 100)}%`)
+                ]),
+                React.createElement('div', {
+                    key: 'track',
+                    className: "h-2 bg-gray-200 dark:bg-gray-700 rounded overflow-hidden"
+                }, React.createElement('div', {
+                    className: "h-full bg-blue-500 transition-all" + (importProgress.fraction === null ? " animate-pulse" : ""),
+                    style: { width: importProgress.fraction === null ? '100%' : `${Math.round(importProgress.fraction * 100)}%` }
+                }))
+            ]),
+
+            // Restore workspace prompt (shown on startup when an autosave exists)
+            restorePrompt && React.createElement('div', {
+                key: 'restore-modal',
+                className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center"
+            }, React.createElement('div', {
+                key: 'modal-content',
+                className: "bg-white rounded-lg shadow-xl p-6 max-w-sm w-full mx-4"
+            }, [
+                React.createElement('h3', {
+                    key: 'title',
+                    className: "text-lg font-semibold mb-3 text-gray-800"
+                }, `Restore last workspace "${restorePrompt.name}"?`),
+                React.createElement('p', {
+                    key: 'summary',
+                    className: "text-sm text-gray-600"
+                }, `${restorePrompt.candidates} candidates, ${restorePrompt.rated} rated, saved at ${new Date(restorePrompt.savedAt).toLocaleString()}`),
+                restorePrompt.fileName && React.createElement('p', {
+                    key: 'file',
+                    className: "text-xs text-gray-500 mt-1"
+                }, restorePrompt.fileName),
+                React.createElement('p', {
+                    key: 'note',
+                    className: "text-xs text-gray-400 mt-2"
+                }, "Start Fresh opens a new project; this one stays available under Projects."),
+                React.createElement('div', {
+                    key: 'buttons',
+                    className: "flex gap-3 justify-end mt-6"
+                }, [
+                    React.createElement('button', {
+                        key: 'discard',
+                        onClick: handleDiscardWorkspace,
+                        className: "px-4 py-2 bg-gray-500 text-white rounded hover:bg-gray-600"
+                    }, "Start Fresh"),
+                    React.createElement('button', {
+                        key: 'restore',
+                        onClick: handleRestoreWorkspace,
+                        className: "px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+                    }, "Restore")
+                ])
+            ])),
+
             // Delete confirmation modal
             deleteConfirm && React.createElement('div', {
                 key: 'delete-modal',
@@ -3565,6 +4959,131 @@
             ]),
 
             // Settings modal
+            // Projects modal (switch / create / rename / duplicate / archive / delete)
+            showProjectsModal && React.createElement('div', {
+                key: 'projects-modal',
+                className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center modal-overlay",
+                onClick: () => setShowProjectsModal(false)
+            }, React.createElement('div', {
+                key: 'modal-content',
+                className: "bg-white rounded-lg shadow-xl p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto",
+                onClick: (e) => e.stopPropagation()
+            }, [
+                React.createElement('div', {
+                    key: 'header',
+                    className: "flex items-center justify-between mb-4"
+                }, [
+                    React.createElement('h3', {
+                        key: 'title',
+                        className: "text-lg font-semibold text-gray-800"
+                    }, "Projects"),
+                    React.createElement('button', {
+                        key: 'new',
+                        onClick: handleCreateProject,
+                        className: "flex items-center px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600"
+                    }, [
+                        React.createElement(Plus, { key: 'icon', size: 12, className: "mr-1" }),
+                        "New Project"
+                    ])
+                ]),
+
+                React.createElement('div', {
+                    key: 'list',
+                    className: "space-y-2"
+                }, projects.filter(p => showArchivedProjects || !p.archived).map(project => {
+                    const isActive = project.id === activeProjectId;
+                    const isRenaming = renamingProject && renamingProject.id === project.id;
+                    const actionClass = "px-2 py-1 text-xs text-gray-600 hover:bg-gray-100 rounded";
+                    return React.createElement('div', {
+                        key: project.id,
+                        className: `p-2 rounded border ${isActive ? 'border-blue-400 bg-blue-50' : 'border-gray-200'} ${project.archived ? 'opacity-60' : ''}`
+                    }, [
+                        React.createElement('div', {
+                            key: 'row',
+                            className: "flex items-center gap-2"
+                        }, [
+                            isRenaming
+                                ? React.createElement('input', {
+                                    key: 'name-input',
+                                    value: renamingProject.name,
+                                    autoFocus: true,
+                                    onChange: (e) => setRenamingProject({ id: project.id, name: e.target.value }),
+                                    onBlur: handleRenameProject,
+                                    onKeyDown: (e) => {
+                                        if (e.key === 'Enter') handleRenameProject();
+                                        if (e.key === 'Escape') { e.stopPropagation(); setRenamingProject(null); }
+                                    },
+                                    className: "flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                })
+                                : React.createElement('button', {
+                                    key: 'name',
+                                    onClick: () => handleOpenProject(project.id),
+                                    className: "flex-1 text-left text-sm font-medium text-gray-800 hover:text-blue-600 truncate",
+                                    title: isActive ? "Current project" : "Open project"
+                                }, project.name + (project.archived ? ' (archived)' : '')),
+                            React.createElement('button', {
+                                key: 'rename',
+                                onClick: () => setRenamingProject({ id: project.id, name: project.name }),
+                                className: actionClass
+                            }, "Rename"),
+                            React.createElement('button', {
+                                key: 'duplicate',
+                                onClick: () => handleDuplicateProject(project),
+                                className: actionClass
+                            }, "Duplicate"),
+                            React.createElement('button', {
+                                key: 'archive',
+                                onClick: () => handleArchiveProject(project),
+                                className: actionClass
+                            }, project.archived ? "Unarchive" : "Archive"),
+                            projectDeleteId === project.id
+                                ? React.createElement('button', {
+                                    key: 'confirm-delete',
+                                    onClick: () => handleDeleteProject(project.id),
+                                    className: "px-2 py-1 text-xs bg-red-500 text-white rounded hover:bg-red-600"
+                                }, "Confirm")
+                                : React.createElement('button', {
+                                    key: 'delete',
+                                    onClick: () => setProjectDeleteId(project.id),
+                                    disabled: isActive,
+                                    className: isActive
+                                        ? "p-1 text-gray-300 cursor-not-allowed"
+                                        : "p-1 text-red-500 hover:bg-red-50 rounded",
+                                    title: isActive ? "Switch to another project before deleting this one" : "Delete project"
+                                }, React.createElement(Trash2, { size: 14 }))
+                        ]),
+                        React.createElement('div', {
+                            key: 'meta',
+                            className: "text-xs text-gray-500 mt-1"
+                        }, `${project.candidates} candidates, ${project.rated} rated, saved ${new Date(project.savedAt).toLocaleString()}` +
+                            (project.fileName ? ` \u00b7 ${project.fileName}` : ''))
+                    ]);
+                })),
+
+                React.createElement('div', {
+                    key: 'footer',
+                    className: "flex items-center justify-between mt-4"
+                }, [
+                    React.createElement('label', {
+                        key: 'show-archived',
+                        className: "flex items-center gap-2 text-xs text-gray-600 cursor-pointer"
+                    }, [
+                        React.createElement('input', {
+                            key: 'checkbox',
+                            type: 'checkbox',
+                            checked: showArchivedProjects,
+                            onChange: (e) => setShowArchivedProjects(e.target.checked)
+                        }),
+                        `Show archived (${projects.filter(p => p.archived).length})`
+                    ]),
+                    React.createElement('button', {
+                        key: 'close',
+                        onClick: () => setShowProjectsModal(false),
+                        className: "px-4 py-2 bg-gray-500 text-white rounded hover:bg-gray-600"
+                    }, "Close")
+                ])
+            ])),
+
             showSettingsModal && React.createElement('div', {
                 key: 'settings-modal',
                 className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center modal-overlay",
@@ -3579,12 +5098,28 @@
                     className: "text-lg font-semibold mb-4 text-gray-800"
                 }, "AI Settings"),
 
+                // Provider selector
+                React.createElement('div', { key: 'provider-section', className: "mb-4" }, [
+                    React.createElement('label', {
+                        key: 'label',
+                        className: "block text-sm font-medium text-gray-700 mb-1"
+                    }, "Provider"),
+                    React.createElement('select', {
+                        key: 'select',
+                        value: aiSettings.provider,
+                        onChange: (e) => setAiSettings(prev => ({ ...prev, provider: e.target.value })),
+                        className: "w-full px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    }, Object.values(llmProviders.PROVIDERS).map(provider =>
+                        React.createElement('option', { key: provider.id, value: provider.id }, provider.name)
+                    ))
+                ]),
+
                 // API Key input
                 React.createElement('div', { key: 'api-key-section', className: "mb-4" }, [
                     React.createElement('label', {
                         key: 'label',
                         className: "block text-sm font-medium text-gray-700 mb-1"
-                    }, "Anthropic API Key"),
+                    }, `${llmProviders.PROVIDERS[aiConfig.provider].name} API Key`),
                     React.createElement('div', {
                         key: 'input-group',
                         className: "flex gap-2"
@@ -3592,9 +5127,9 @@
                         React.createElement('input', {
                             key: 'input',
                             type: 'password',
-                            value: apiKey,
-                            onChange: (e) => setApiKey(e.target.value),
-                            placeholder: 'sk-ant-...',
+                            value: aiConfig.apiKey,
+                            onChange: (e) => updateProviderSettings({ apiKey: e.target.value }),
+                            placeholder: llmProviders.PROVIDERS[aiConfig.provider].keyPlaceholder,
                             className: "flex-1 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
                         }),
                         React.createElement('button', {
@@ -3607,7 +5142,29 @@
                     React.createElement('p', {
                         key: 'help',
                         className: "mt-1 text-xs text-gray-500"
-                    }, "Your key is stored locally in your browser. Never shared.")
+                    }, llmProviders.PROVIDERS[aiConfig.provider].requiresKey
+                        ? "Your key is stored locally in your browser. Never shared."
+                        : "Stored locally in your browser. Not needed for local servers (Ollama, LM Studio).")
+                ]),
+
+                // Base URL input
+                React.createElement('div', { key: 'base-url-section', className: "mb-4" }, [
+                    React.createElement('label', {
+                        key: 'label',
+                        className: "block text-sm font-medium text-gray-700 mb-1"
+                    }, "Base URL"),
+                    React.createElement('input', {
+                        key: 'input',
+                        type: 'text',
+                        value: aiSettings.providers[aiConfig.provider].baseUrl,
+                        onChange: (e) => updateProviderSettings({ baseUrl: e.target.value.trim() }),
+                        placeholder: llmProviders.PROVIDERS[aiConfig.provider].defaultBaseUrl,
+                        className: "w-full px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    }),
+                    React.createElement('p', {
+                        key: 'help',
+                        className: "mt-1 text-xs text-gray-500"
+                    }, "Leave empty for the default endpoint.")
                 ]),
 
                 // Model selector
@@ -3620,39 +5177,55 @@
                         key: 'options',
                         className: "space-y-2"
                     }, [
-                        React.createElement('label', {
-                            key: 'sonnet',
-                            className: "flex items-center gap-2 cursor-pointer"
-                        }, [
-                            React.createElement('input', {
-                                key: 'radio',
-                                type: 'radio',
-                                name: 'model',
-                                checked: aiModel === 'claude-sonnet-4-5-20250929',
-                                onChange: () => setAiModel('claude-sonnet-4-5-20250929'),
-                                className: "text-blue-600"
-                            }),
-                            React.createElement('span', { key: 'text', className: "text-sm" }, "Sonnet 4.5"),
-                            React.createElement('span', { key: 'desc', className: "text-xs text-gray-500" }, "(faster, cheaper)")
-                        ]),
-                        React.createElement('label', {
-                            key: 'opus',
-                            className: "flex items-center gap-2 cursor-pointer"
-                        }, [
-                            React.createElement('input', {
-                                key: 'radio',
-                                type: 'radio',
-                                name: 'model',
-                                checked: aiModel === 'claude-opus-4-5-20250929',
-                                onChange: () => setAiModel('claude-opus-4-5-20250929'),
-                                className: "text-blue-600"
-                            }),
-                            React.createElement('span', { key: 'text', className: "text-sm" }, "Opus 4.5"),
-                            React.createElement('span', { key: 'desc', className: "text-xs text-gray-500" }, "(best quality)")
-                        ])
+                        ...llmProviders.PROVIDERS[aiConfig.provider].models.map(model =>
+                            React.createElement('label', {
+                                key: model.id,
+                                className: "flex items-center gap-2 cursor-pointer"
+                            }, [
+                                React.createElement('input', {
+                                    key: 'radio',
+                                    type: 'radio',
+                                    name: 'model',
+                                    checked: aiConfig.model === model.id,
+                                    onChange: () => updateProviderSettings({ model: model.id }),
+                                    className: "text-blue-600"
+                                }),
+                                React.createElement('span', { key: 'text', className: "text-sm" }, model.name),
+                                model.description && React.createElement('span', { key: 'desc', className: "text-xs text-gray-500" }, `(${model.description})`)
+                            ])
+                        ),
+                        // Any other model ID (new releases, OpenRouter / local model names)
+                        React.createElement('input', {
+                            key: 'custom',
+                            type: 'text',
+                            value: llmProviders.PROVIDERS[aiConfig.provider].models.some(m => m.id === aiConfig.model) ? '' : aiConfig.model,
+                            onChange: (e) => updateProviderSettings({ model: e.target.value.trim() }),
+                            placeholder: 'Other model ID',
+                            className: "w-full px-3 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        })
                     ])
                 ]),
 
+                // Review setting for AI edits
+                React.createElement('div', { key: 'auto-apply-section', className: "mb-4" }, [
+                    React.createElement('label', {
+                        key: 'label',
+                        className: "flex items-center gap-2 cursor-pointer"
+                    }, [
+                        React.createElement('input', {
+                            key: 'checkbox',
+                            type: 'checkbox',
+                            checked: aiAutoApply,
+                            onChange: (e) => setAiAutoApply(e.target.checked)
+                        }),
+                        React.createElement('span', { key: 'text', className: "text-sm text-gray-700" }, "Auto-apply non-destructive AI changes")
+                    ]),
+                    React.createElement('p', {
+                        key: 'help',
+                        className: "mt-1 text-xs text-gray-500"
+                    }, "Adding nodes and new links apply immediately. Deletes, updates, renames and replaced links always ask first.")
+                ]),
+
                 // AI Skill section
                 React.createElement('div', { key: 'skill-section', className: "mb-4 pt-4 border-t border-gray-200" }, [
                     React.createElement('label', {
@@ -3707,7 +5280,13 @@
                             key: 'reset',
                             onClick: resetToDefaultSkill,
                             className: "px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-50 rounded border border-gray-200"
-                        }, "Reset to Default")
+                        }, "Reset to Default"),
+                        // Set-aside custom skill (a project using the default skill was opened)
+                        setAsideSkill && React.createElement('button', {
+                            key: 'use-set-aside',
+                            onClick: activateSetAsideSkill,
+                            className: "px-3 py-1.5 text-sm text-green-700 hover:bg-green-50 rounded border border-green-200"
+                        }, `Use "${setAsideSkill.name}"`)
                     ]),
 
                     // Help text
@@ -3774,7 +5353,7 @@
                         // Close button
                         React.createElement('button', {
                             key: 'close',
-                            onClick: () => { setShowAIModal(false); setAiError(''); },
+                            onClick: () => { stopAIGeneration(); setShowAIModal(false); setAiError(''); },
                             className: "text-gray-400 hover:text-gray-600 p-1 hover:bg-gray-200 rounded",
                             title: "Close"
                         }, React.createElement(X, { size: 18 }))
@@ -3795,15 +5374,16 @@
                     React.createElement('span', {
                         key: 'model',
                         className: "text-xs text-gray-400"
-                    }, aiModel.includes('opus') ? 'Opus 4.5' : 'Sonnet 4.5')
+                    }, llmProviders.getModelLabel(aiConfig.provider, aiConfig.model))
                 ]),
 
                 // Conversation panel (scrollable)
                 React.createElement('div', {
                     key: 'conversation',
+                    ref: aiConversationRef,
                     className: "flex-1 overflow-y-auto p-3 space-y-2",
                     style: { minHeight: '100px' }
-                }, aiConversation.length === 0
+                }, aiConversation.length === 0 && !aiLoading
                     ? React.createElement('div', {
                         key: 'empty-state',
                         className: "text-center text-gray-400 py-6"
@@ -3828,12 +5408,45 @@
                             msg.role === 'assistant' && msg.type !== 'message' && React.createElement('span', {
                                 key: 'badge',
                                 className: "text-xs font-medium block mb-0.5 opacity-70"
-                            }, msg.type === 'full' ? '📊 Generated' : '✏️ Modified'),
+                            }, msg.type === 'full' ? '📊 Generated'
+                                : msg.status === 'pending' ? '📝 Proposed'
+                                : msg.status === 'discarded' ? '🚫 Not applied'
+                                : '✏️ Modified'),
                             React.createElement('span', { key: 'content' }, msg.content)
                         ]))
-                    )
+                    ).concat(aiLoading ? [
+                        // Pending request: the prompt and the reply as it streams in
+                        React.createElement('div', {
+                            key: 'pending-prompt',
+                            className: "flex justify-end"
+                        }, React.createElement('div', {
+                            className: "max-w-[85%] px-2.5 py-1.5 rounded-lg text-xs bg-purple-300 text-white"
+                        }, aiPrompt)),
+                        React.createElement('div', {
+                            key: 'streaming-reply',
+                            className: "flex justify-start"
+                        }, React.createElement('div', {
+                            className: "max-w-[85%] px-2.5 py-1.5 rounded-lg text-xs bg-gray-50 text-gray-600 border border-dashed border-gray-300 whitespace-pre-wrap break-words"
+                        }, [
+                            React.createElement('span', {
+                                key: 'badge',
+                                className: "text-xs font-medium block mb-0.5 opacity-70"
+                            }, aiStreamText ? 'Receiving… (applied when complete)' : 'Waiting for response…'),
+                            React.createElement('span', { key: 'content' }, aiStreamText)
+                        ]))
+                    ] : [])
                 ),
 
+                // Pending AI proposal (review before applying)
+                aiProposal && React.createElement(window.GraphApp.components.AIProposalCard, {
+                    key: 'proposal',
+                    proposal: aiProposal,
+                    autoApplied: aiProposal.autoApplied,
+                    onToggle: toggleAIProposalItem,
+                    onApply: applyAIProposal,
+                    onDiscard: discardAIProposal
+                }),
+
                 // Error display
                 aiError && React.createElement('div', {
                     key: 'error',
@@ -3866,16 +5479,23 @@
                             disabled: aiLoading,
                             className: "flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none disabled:bg-gray-100"
                         }),
-                        React.createElement('button', {
-                            key: 'send',
-                            onClick: generateFromAI,
-                            disabled: aiLoading || !aiPrompt.trim(),
-                            className: "px-4 py-2 text-sm text-white bg-purple-500 hover:bg-purple-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center",
-                            title: "Send (Enter)"
-                        }, aiLoading
-                            ? React.createElement('span', { className: "inline-block w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" })
-                            : React.createElement(Send, { size: 18 })
-                        )
+                        aiLoading
+                            ? React.createElement('button', {
+                                key: 'stop',
+                                onClick: stopAIGeneration,
+                                className: "px-4 py-2 text-sm text-white bg-red-500 hover:bg-red-600 rounded-lg flex items-center justify-center gap-1",
+                                title: "Stop - discards the partial response"
+                            }, [
+                                React.createElement('span', { key: 'spinner', className: "inline-block w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" }),
+                                "Stop"
+                            ])
+                            : React.createElement('button', {
+                                key: 'send',
+                                onClick: generateFromAI,
+                                disabled: !aiPrompt.trim(),
+                                className: "px-4 py-2 text-sm text-white bg-purple-500 hover:bg-purple-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center",
+                                title: "Send (Enter)"
+                            }, React.createElement(Send, { size: 18 }))
                     ]),
                     React.createElement('p', {
                         key: 'hint',
@@ -0,0 +1,168 @@
+/**
+ * AI Candidate Dialog Component
+ *
+ * Asks the configured AI provider to coin new candidate names from the roots of
+ * the classes selected in the class filter (core.aiCandidates). The app adds the
+ * results as unranked candidates; they stay out of the roots list and roots export,
+ * and can be downloaded as a candidates CSV.
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+    var useRef = React.useRef;
+    var useEffect = React.useEffect;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    var DEFAULT_COUNT = 20;
+    var MAX_COUNT = 100;
+
+    /**
+     * AI Candidate Dialog
+     * Props: classes (selected class names), roots (roots to send), omittedRoots (usable roots over the limit),
+     *        onGenerate({ count, instructions, signal }) -> Promise<{ added, duplicates }>,
+     *        candidateCount (generated candidates in the data), onExportCandidates(), onClose
+     */
+    function AICandidateDialog(props) {
+        var _countState = useState(DEFAULT_COUNT);
+        var count = _countState[0];
+        var setCount = _countState[1];
+
+        var _instructionsState = useState('');
+        var instructions = _instructionsState[0];
+        var setInstructions = _instructionsState[1];
+
+        var _runningState = useState(false);
+        var running = _runningState[0];
+        var setRunning = _runningState[1];
+
+        var _resultState = useState(null);  // { added, duplicates }
+        var result = _resultState[0];
+        var setResult = _resultState[1];
+
+        var _errorState = useState('');
+        var error = _errorState[0];
+        var setError = _errorState[1];
+
+        var abortRef = useRef(null);
+
+        // Stop a request in progress when the dialog closes
+        useEffect(function() {
+            return function() {
+                if (abortRef.current) abortRef.current.abort();
+            };
+        }, []);
+
+        var handleGenerate = function() {
+            var controller = new AbortController();
+            abortRef.current = controller;
+            setRunning(true);
+            setError('');
+            setResult(null);
+
+            props.onGenerate({
+                count: count,
+                instructions: instructions.trim(),
+                signal: controller.signal
+            }).then(function(generated) {
+                setResult(generated);
+            }, function(err) {
+                if (err.name !== 'AbortError') setError(err.message);
+            }).then(function() {
+                abortRef.current = null;
+                setRunning(false);
+            });
+        };
+
+        var inputClass = "px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200";
+        var classList = props.classes.length > 3
+            ? props.classes.slice(0, 3).join(', ') + ' +' + (props.classes.length - 3) + ' more'
+            : props.classes.join(', ');
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget && !running) props.onClose();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[480px] max-w-[95vw]"
+            },
+                createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1" }, 'Generate candidates'),
+                createElement('p', { className: "text-xs text-gray-500 dark:text-gray-400 mb-4" },
+                    'From ' + props.roots.length + ' root(s) in ' + (classList || 'no classes') +
+                    '. Blocked roots are left out' +
+                    (props.omittedRoots > 0
+                        ? '; ' + props.omittedRoots + ' more root(s) are over the limit of ' +
+                            window.GraphApp.core.aiCandidates.MAX_ROOTS + ' and not sent (the most engaging are kept).'
+                        : '.')),
+
+                createElement('label', { className: "flex items-center gap-2 mb-3 text-sm text-gray-700 dark:text-gray-300" },
+                    'Number of names',
+                    createElement('input', {
+                        type: 'number',
+                        min: 1,
+                        max: MAX_COUNT,
+                        value: count,
+                        disabled: running,
+                        onChange: function(e) {
+                            setCount(Math.max(1, Math.min(MAX_COUNT, parseInt(e.target.value, 10) || 1)));
+                        },
+                        className: inputClass + " w-20"
+                    })
+                ),
+
+                createElement('textarea', {
+                    value: instructions,
+                    disabled: running,
+                    placeholder: 'Optional guidance, e.g. "short, two syllables, playful"',
+                    onChange: function(e) { setInstructions(e.target.value); },
+                    rows: 3,
+                    className: inputClass + " w-full mb-3 resize-none"
+                }),
+
+                result && createElement('div', {
+                    className: "mb-3 p-2 bg-green-50 border border-green-200 rounded text-xs text-green-800"
+                }, 'Added ' + result.added + ' unranked candidate(s)' +
+                    (result.duplicates > 0 ? ', skipped ' + result.duplicates + ' name(s) already in the data' : '') +
+                    '. They are kept out of the roots list; download them as a candidates CSV.'),
+
+                error && createElement('div', {
+                    className: "mb-3 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-700"
+                }, error),
+
+                createElement('div', { className: "flex justify-end gap-2" },
+                    props.candidateCount > 0 && createElement('button', {
+                        onClick: props.onExportCandidates,
+                        disabled: running,
+                        className: "mr-auto px-4 py-2 text-sm text-purple-700 dark:text-purple-300 border border-purple-200 rounded hover:bg-purple-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    }, 'Download ' + props.candidateCount + ' candidate(s)'),
+                    createElement('button', {
+                        onClick: props.onClose,
+                        disabled: running,
+                        className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    }, 'Close'),
+                    running
+                        ? createElement('button', {
+                            onClick: function() { if (abortRef.current) abortRef.current.abort(); },
+                            className: "px-4 py-2 text-sm text-white bg-red-500 rounded hover:bg-red-600"
+                        }, 'Stop')
+                        : createElement('button', {
+                            onClick: handleGenerate,
+                            disabled: props.roots.length === 0,
+                            className: "px-4 py-2 text-sm bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        }, 'Generate')
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.AICandidateDialog = AICandidateDialog;
+
+})(window);
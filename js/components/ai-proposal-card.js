@@ -0,0 +1,91 @@
+/**
+ * AI Proposal Card Component
+ *
+ * Lists the operations an AI reply proposes, with a before/after preview and a
+ * checkbox per operation. Shown in the AI chat window until applied or discarded
+ * (see core.aiProposals).
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    function renderDetail(detail, index) {
+        return createElement('div', { key: index, className: "flex gap-1 font-mono text-[11px] leading-tight" },
+            detail.field && createElement('span', { className: "text-gray-400" }, detail.field + ':'),
+            detail.before && createElement('span', { className: "text-red-600 line-through break-all" }, detail.before),
+            detail.before && createElement('span', { className: "text-gray-400" }, '→'),
+            createElement('span', { className: "text-green-700 break-all" }, detail.after)
+        );
+    }
+
+    /**
+     * AI Proposal Card
+     * Props: proposal ({ summary, items } - items from aiProposals.buildProposal),
+     *        autoApplied (number of operations already applied automatically),
+     *        onToggle(index), onApply, onDiscard
+     */
+    function AIProposalCard(props) {
+        var items = props.proposal.items;
+        var selectedCount = items.filter(function(item) { return item.selected; }).length;
+
+        return createElement('div', {
+            className: "mx-3 mb-2 border border-amber-300 bg-amber-50 rounded text-xs flex flex-col",
+            style: { maxHeight: '45%' }
+        },
+            createElement('div', { className: "px-2 py-1.5 border-b border-amber-200 font-medium text-amber-900" },
+                'Proposed changes: ' + props.proposal.summary,
+                props.autoApplied > 0 && createElement('span', { className: "block font-normal text-amber-700" },
+                    props.autoApplied + ' non-destructive operation(s) already applied')
+            ),
+            createElement('div', { className: "overflow-y-auto px-2 py-1 space-y-1.5" },
+                items.map(function(item, index) {
+                    return createElement('label', {
+                        key: index,
+                        className: "flex gap-2 items-start cursor-pointer" + (item.matched ? '' : ' opacity-60')
+                    },
+                        createElement('input', {
+                            type: 'checkbox',
+                            checked: item.selected,
+                            disabled: !item.matched,
+                            onChange: function() { props.onToggle(index); },
+                            className: "mt-0.5"
+                        }),
+                        createElement('div', { className: "flex-1 min-w-0" },
+                            createElement('div', { className: "text-gray-800" },
+                                item.label,
+                                item.destructive && createElement('span', {
+                                    className: "ml-1 px-1 rounded bg-red-100 text-red-700 text-[10px]"
+                                }, 'destructive'),
+                                !item.matched && createElement('span', { className: "ml-1 text-gray-500" }, '(no matching nodes)')
+                            ),
+                            item.details.map(renderDetail),
+                            item.moreDetails > 0 && createElement('div', { className: "text-gray-400 text-[11px]" },
+                                '+' + item.moreDetails + ' more')
+                        )
+                    );
+                })
+            ),
+            createElement('div', { className: "flex justify-end gap-2 px-2 py-1.5 border-t border-amber-200" },
+                createElement('button', {
+                    onClick: props.onDiscard,
+                    className: "px-2 py-1 text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50"
+                }, 'Discard'),
+                createElement('button', {
+                    onClick: props.onApply,
+                    disabled: selectedCount === 0,
+                    className: "px-2 py-1 text-white bg-purple-500 rounded hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                }, 'Apply ' + selectedCount + ' of ' + items.length)
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.AIProposalCard = AIProposalCard;
+
+})(window);
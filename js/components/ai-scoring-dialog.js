@@ -0,0 +1,216 @@
+/**
+ * AI Scoring Dialog Component
+ *
+ * Scores candidates with the configured AI provider (core.aiScoring): pick the
+ * unscored candidates or the ones shown in the grid, follow progress, stop and
+ * resume later. Closing the dialog stops the run; the remaining candidates are
+ * kept for resuming.
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+    var useRef = React.useRef;
+    var useEffect = React.useEffect;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    /**
+     * AI Scoring Dialog
+     * Props: nodes, visibleNodes (grid selection), aiSettings, skillContent, projectId,
+     *        getNodes() (latest nodes), onScores(results), onFinish(), onClose
+     */
+    function AIScoringDialog(props) {
+        var aiScoring = window.GraphApp.core.aiScoring;
+
+        var _scopeState = useState('unscored');
+        var scope = _scopeState[0];
+        var setScope = _scopeState[1];
+
+        var _savedJobState = useState(function() { return aiScoring.loadJob(props.projectId); });
+        var savedJob = _savedJobState[0];
+        var setSavedJob = _savedJobState[1];
+
+        var _progressState = useState(null);  // { done, total, scored, failed } while or after running
+        var progress = _progressState[0];
+        var setProgress = _progressState[1];
+
+        var _runningState = useState(false);
+        var running = _runningState[0];
+        var setRunning = _runningState[1];
+
+        var _statusState = useState('');
+        var status = _statusState[0];
+        var setStatus = _statusState[1];
+
+        var _errorState = useState('');
+        var error = _errorState[0];
+        var setError = _errorState[1];
+
+        var abortRef = useRef(null);
+
+        // Stop a run in progress when the dialog closes
+        useEffect(function() {
+            return function() {
+                if (abortRef.current) abortRef.current.abort();
+            };
+        }, []);
+
+        var unscoredNodes = props.nodes.filter(aiScoring.isUnscored);
+        var scopeNodes = scope === 'unscored' ? unscoredNodes : props.visibleNodes;
+
+        var reportProgress = function(job) {
+            setProgress({
+                done: job.total - job.keys.length,
+                total: job.total,
+                scored: job.scored,
+                failed: job.failed.length
+            });
+        };
+
+        var run = function(job) {
+            var controller = new AbortController();
+            abortRef.current = controller;
+            setRunning(true);
+            setError('');
+            setStatus('');
+            setSavedJob(null);
+            reportProgress(job);
+
+            aiScoring.runScoring(props.aiSettings, job, {
+                rubric: aiScoring.getScoringRubric(props.skillContent),
+                getNodes: props.getNodes,
+                signal: controller.signal,
+                onBatch: function(results, updatedJob) {
+                    props.onScores(results);
+                    setStatus('');
+                    reportProgress(updatedJob);
+                },
+                onWait: function(seconds) {
+                    setStatus('Rate limited, retrying in ' + Math.ceil(seconds) + 's…');
+                }
+            }).then(function(finishedJob) {
+                reportProgress(finishedJob);
+                setStatus('Done');
+            }, function(err) {
+                setSavedJob(aiScoring.loadJob(props.projectId));
+                setStatus('');
+                if (err.name !== 'AbortError') setError(err.message);
+            }).then(function() {
+                abortRef.current = null;
+                setRunning(false);
+                props.onFinish();
+            });
+        };
+
+        var handleStart = function() {
+            aiScoring.clearJob(props.projectId);
+            run(aiScoring.createJob(scopeNodes, props.projectId));
+        };
+
+        var handleStop = function() {
+            if (abortRef.current) abortRef.current.abort();
+        };
+
+        var handleDiscardJob = function() {
+            aiScoring.clearJob(props.projectId);
+            setSavedJob(null);
+        };
+
+        var percent = progress && progress.total > 0 ? Math.round(progress.done / progress.total * 100) : 0;
+        var secondaryButton = "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed";
+
+        var scopeOption = function(value, label, count) {
+            return createElement('label', { className: "flex items-center gap-2 cursor-pointer" },
+                createElement('input', {
+                    type: 'radio',
+                    name: 'ai-scoring-scope',
+                    checked: scope === value,
+                    disabled: running,
+                    onChange: function() { setScope(value); }
+                }),
+                label + ' (' + count + ')'
+            );
+        };
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget && !running) props.onClose();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[480px] max-w-[95vw]"
+            },
+                createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1" }, 'AI score'),
+                createElement('p', { className: "text-xs text-gray-500 dark:text-gray-400 mb-4" },
+                    'Scores candidates 0–100 with the active skill\'s rubric, ' + aiScoring.BATCH_SIZE +
+                    ' per request. Scores go into AI score, a one-line rationale into Node Info.'),
+
+                savedJob && !running && createElement('div', {
+                    className: "mb-4 p-2 text-sm bg-amber-50 border border-amber-200 rounded text-amber-900 flex items-center gap-2"
+                },
+                    createElement('span', { className: "flex-1" },
+                        'Unfinished run: ' + savedJob.keys.length + ' of ' + savedJob.total + ' candidates left.'),
+                    createElement('button', {
+                        onClick: function() { run(savedJob); },
+                        className: "px-2 py-1 text-xs text-white bg-purple-500 rounded hover:bg-purple-600"
+                    }, 'Resume'),
+                    createElement('button', {
+                        onClick: handleDiscardJob,
+                        className: "px-2 py-1 text-xs text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50"
+                    }, 'Discard')
+                ),
+
+                createElement('div', { className: "space-y-2 mb-4 text-sm text-gray-700 dark:text-gray-300" },
+                    scopeOption('unscored', 'Unscored candidates', unscoredNodes.length),
+                    scopeOption('visible', 'Candidates shown in the grid (rescores scored ones)', props.visibleNodes.length)
+                ),
+
+                progress && createElement('div', { className: "mb-4" },
+                    createElement('div', { className: "h-2 bg-gray-200 dark:bg-gray-700 rounded overflow-hidden" },
+                        createElement('div', {
+                            className: "h-full bg-purple-500 transition-all",
+                            style: { width: percent + '%' }
+                        })
+                    ),
+                    createElement('div', { className: "mt-1 text-xs text-gray-600 dark:text-gray-400 flex justify-between" },
+                        createElement('span', null, progress.done + ' / ' + progress.total + ' processed, ' + progress.scored + ' scored' +
+                            (progress.failed > 0 ? ', ' + progress.failed + ' without a usable reply' : '')),
+                        createElement('span', null, status)
+                    )
+                ),
+
+                error && createElement('div', {
+                    className: "mb-4 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-700"
+                }, error + (savedJob ? ' The remaining candidates can be resumed.' : '')),
+
+                createElement('div', { className: "flex justify-end gap-2" },
+                    createElement('button', {
+                        onClick: props.onClose,
+                        disabled: running,
+                        className: secondaryButton
+                    }, 'Close'),
+                    running
+                        ? createElement('button', {
+                            onClick: handleStop,
+                            className: "px-4 py-2 text-sm text-white bg-red-500 rounded hover:bg-red-600"
+                        }, 'Stop')
+                        : createElement('button', {
+                            onClick: handleStart,
+                            disabled: scopeNodes.length === 0,
+                            className: "px-4 py-2 text-sm bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        }, 'Score ' + scopeNodes.length)
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.AIScoringDialog = AIScoringDialog;
+
+})(window);
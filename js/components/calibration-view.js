@@ -0,0 +1,164 @@
+/**
+ * Calibration View Component
+ *
+ * AI-vs-human dashboard: heatmap of AI score buckets against human tiers,
+ * Spearman correlation and suggested auto-block cut-offs (all classes or one class).
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    var TIER_HEADERS = ['Blocked', 'T1', 'T2', 'T3'];
+
+    // Strength labels for |rho|
+    var describeRho = function(rho) {
+        if (rho === null) return 'not enough data';
+        var abs = Math.abs(rho);
+        var strength = abs >= 0.7 ? 'strong' : abs >= 0.4 ? 'moderate' : abs >= 0.2 ? 'weak' : 'no';
+        return strength + (strength !== 'no' ? (rho > 0 ? ' positive' : ' negative') : '') + ' correlation';
+    };
+
+    /**
+     * One cut-off suggestion line
+     */
+    function CutoffRow(props) {
+        var result = props.result;
+        if (!result) return null;
+        var pct = result.totals[0] > 0 ? Math.round(100 * result.blocked[0] / result.totals[0]) : 0;
+        var lost = [1, 2, 3].filter(function(t) { return result.blocked[t] > 0; }).map(function(t) {
+            return result.blocked[t] + ' ' + TIER_HEADERS[t];
+        });
+
+        return createElement('div', { className: "flex items-center gap-3 py-1.5 text-sm text-gray-700 dark:text-gray-300" },
+            createElement('span', { className: "w-28 font-medium" }, props.label),
+            createElement('span', { className: "w-20 font-mono" }, 'AI < ' + result.cutoff),
+            createElement('span', { className: "flex-1" },
+                'blocks ' + result.blocked[0] + '/' + result.totals[0] + ' Tier 0s (' + pct + '%)' +
+                (lost.length > 0 ? ', loses ' + lost.join(', ') : ', loses none')
+            ),
+            props.onApply && createElement('button', {
+                onClick: function() { props.onApply(result.cutoff); },
+                className: "px-2 py-0.5 text-xs bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded",
+                title: 'Set the grid AI score filter minimum to ' + result.cutoff
+            }, 'Use as filter')
+        );
+    }
+
+    /**
+     * Calibration View
+     * Props: report (core.calibration.buildCalibration), currentRange, onApplyCutoff(min), onClose
+     */
+    function CalibrationView(props) {
+        var report = props.report;
+
+        var _useState = useState('');
+        var selectedGroup = _useState[0];
+        var setSelectedGroup = _useState[1];
+
+        var view = report.all;
+        if (selectedGroup) {
+            view = report.classes.find(function(c) { return c.group === selectedGroup; }) || report.all;
+        }
+
+        var maxCell = Math.max.apply(null, [1].concat(view.heatmap.map(function(row) {
+            return Math.max.apply(null, row.counts);
+        })));
+
+        var cellClass = "px-2 py-1 text-center text-xs border border-gray-200 dark:border-gray-700";
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onClose();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[760px] max-w-[95vw] max-h-[90vh] overflow-auto"
+            },
+                createElement('div', { className: "flex items-center justify-between mb-1" },
+                    createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100" }, 'AI vs Human Calibration'),
+                    createElement('select', {
+                        value: selectedGroup,
+                        onChange: function(e) { setSelectedGroup(e.target.value); },
+                        className: "px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                    }, [createElement('option', { key: '', value: '' }, 'All classes')].concat(report.classes.map(function(c) {
+                        return createElement('option', { key: c.group, value: c.group }, c.group + ' (' + c.count + ')');
+                    })))
+                ),
+                createElement('p', { className: "text-sm text-gray-600 dark:text-gray-400 mb-4" },
+                    view.count + ' candidates with both an AI score and a human tier'
+                ),
+
+                view.count === 0
+                    ? createElement('p', { className: "text-sm text-gray-500 dark:text-gray-400 py-6 text-center" },
+                        'Rate some candidates that have AI scores to see how well the two agree.')
+                    : createElement('div', null,
+                        // Correlation
+                        createElement('div', { className: "mb-4 text-sm text-gray-700 dark:text-gray-300" },
+                            createElement('span', { className: "font-medium" }, 'Spearman ρ: '),
+                            createElement('span', { className: "font-mono" }, view.rho === null ? '—' : view.rho.toFixed(2)),
+                            createElement('span', { className: "text-gray-500 dark:text-gray-400" }, ' (' + describeRho(view.rho) + ')')
+                        ),
+
+                        // Heatmap
+                        createElement('table', { className: "w-full border-collapse mb-4 text-gray-800 dark:text-gray-200" },
+                            createElement('thead', null,
+                                createElement('tr', null,
+                                    createElement('th', { className: cellClass + " text-left" }, 'AI score'),
+                                    TIER_HEADERS.map(function(label) {
+                                        return createElement('th', { key: label, className: cellClass }, label);
+                                    })
+                                )
+                            ),
+                            createElement('tbody', null, view.heatmap.map(function(row) {
+                                return createElement('tr', { key: row.label },
+                                    createElement('td', { className: cellClass + " text-left font-mono" }, row.label),
+                                    row.counts.map(function(count, tier) {
+                                        var intensity = count / maxCell;
+                                        return createElement('td', {
+                                            key: tier,
+                                            className: cellClass,
+                                            style: {
+                                                backgroundColor: count > 0
+                                                    ? (tier === 0 ? 'rgba(239,68,68,' : 'rgba(59,130,246,') + (0.15 + 0.75 * intensity) + ')'
+                                                    : 'transparent',
+                                                color: intensity > 0.6 ? '#FFFFFF' : undefined
+                                            }
+                                        }, count || '');
+                                    })
+                                );
+                            }))
+                        ),
+
+                        // Cut-off suggestions
+                        createElement('h3', { className: "text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1" }, 'Auto-block cut-offs'),
+                        view.cutoffs.safe
+                            ? createElement('div', null,
+                                createElement(CutoffRow, { label: 'Keeps all T3', result: view.cutoffs.safe, onApply: props.onApplyCutoff }),
+                                createElement(CutoffRow, { label: 'Keeps all T2/T3', result: view.cutoffs.conservative, onApply: props.onApplyCutoff }),
+                                !selectedGroup && report.current && createElement(CutoffRow, { label: 'Current filter', result: report.current })
+                            )
+                            : createElement('p', { className: "text-sm text-gray-500 dark:text-gray-400" }, 'No Tier 0 ratings yet.')
+                    ),
+
+                createElement('div', { className: "flex justify-end mt-4" },
+                    createElement('button', {
+                        onClick: props.onClose,
+                        className: "px-4 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600"
+                    }, 'Close')
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.CalibrationView = CalibrationView;
+
+})(window);
@@ -565,6 +565,8 @@
             parts.push('Random order');
         } else if (config.selectionMethod === 'bottom-ai') {
             parts.push('Lowest AI first');
+        } else if (config.selectionMethod === 'uncertainty') {
+            parts.push('Most uncertain first');
         }
         if (config.rankFilter === 'ranked') {
             parts.push('Re-evaluating ranked');
@@ -881,7 +883,8 @@
                     },
                         createElement('option', { value: 'top-ai' }, 'Highest AI Score First'),
                         createElement('option', { value: 'random' }, 'Random Selection'),
-                        createElement('option', { value: 'bottom-ai' }, 'Lowest AI Score First')
+                        createElement('option', { value: 'bottom-ai' }, 'Lowest AI Score First'),
+                        createElement('option', { value: 'uncertainty' }, 'Most Uncertain First')
                     )
                 ),
 
@@ -995,6 +998,291 @@
         );
     }
 
+    /**
+     * Pairwise Comparison Modal
+     * Shows 2-4 candidates side by side; clicking one records it as the winner
+     */
+    function ComparisonView(props) {
+        var candidates = props.candidates || [];
+        var size = props.size || 2;
+        var comparisonCount = props.comparisonCount || 0;
+        var poolSize = props.poolSize || 0;
+        var onPick = props.onPick;
+        var onSkip = props.onSkip;
+        var onSizeChange = props.onSizeChange;
+        var onClose = props.onClose;
+
+        var _useState10 = useState(null);
+        var hoveredId = _useState10[0];
+        var setHoveredId = _useState10[1];
+
+        var overlayStyle = {
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+        };
+
+        var modalStyle = {
+            backgroundColor: '#FFFFFF',
+            borderRadius: '16px',
+            padding: '32px',
+            maxWidth: '900px',
+            width: '90%',
+            boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+        };
+
+        var titleStyle = {
+            fontSize: '20px',
+            fontWeight: '700',
+            color: '#1F2937',
+            marginBottom: '8px'
+        };
+
+        var subtitleStyle = {
+            fontSize: '14px',
+            color: '#6B7280',
+            marginBottom: '24px'
+        };
+
+        var cardRowStyle = {
+            display: 'flex',
+            gap: '16px',
+            marginBottom: '24px'
+        };
+
+        var cardStyle = function(isHovered) {
+            return {
+                flex: 1,
+                padding: '24px 16px',
+                borderRadius: '12px',
+                border: '2px solid ' + (isHovered ? '#3B82F6' : '#E5E7EB'),
+                backgroundColor: isHovered ? '#EFF6FF' : '#FFFFFF',
+                cursor: 'pointer',
+                textAlign: 'center',
+                transition: 'border-color 0.15s, background-color 0.15s'
+            };
+        };
+
+        var nameStyle = {
+            fontSize: '22px',
+            fontWeight: '700',
+            color: '#1F2937',
+            marginBottom: '8px',
+            wordBreak: 'break-word'
+        };
+
+        var metaStyle = {
+            fontSize: '12px',
+            color: '#6B7280',
+            marginBottom: '4px'
+        };
+
+        var buttonStyle = function(primary) {
+            return {
+                padding: '10px 16px',
+                fontSize: '14px',
+                fontWeight: '600',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                backgroundColor: primary ? '#3B82F6' : '#F3F4F6',
+                color: primary ? '#FFFFFF' : '#4B5563'
+            };
+        };
+
+        var formatRoots = function(c) {
+            return [c.Root1_xB, c.Root2_xB, c.Root3_xB].filter(Boolean).join(' + ');
+        };
+
+        return createElement('div', {
+            style: overlayStyle,
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) {
+                    onClose();
+                }
+            }
+        },
+            createElement('div', { style: modalStyle },
+                createElement('div', { style: titleStyle }, 'Which name is stronger?'),
+                createElement('div', { style: subtitleStyle },
+                    comparisonCount + ' comparisons this session \u00b7 ' + poolSize + ' candidates in pool'
+                ),
+
+                candidates.length < 2
+                    ? createElement('div', { style: subtitleStyle }, 'At least two candidates must match the current filters to compare.')
+                    : createElement('div', { style: cardRowStyle },
+                        candidates.map(function(c) {
+                            var roots = formatRoots(c);
+                            var hasElo = c.Elo_xB !== '' && c.Elo_xB !== undefined && c.Elo_xB !== null;
+                            return createElement('div', {
+                                key: c.ID_xA,
+                                style: cardStyle(hoveredId === c.ID_xA),
+                                onClick: function() { onPick(c.ID_xA); },
+                                onMouseEnter: function() { setHoveredId(c.ID_xA); },
+                                onMouseLeave: function() { setHoveredId(null); }
+                            },
+                                createElement('div', { style: nameStyle }, c.Node_xA || 'Unnamed'),
+                                createElement('div', { style: metaStyle }, c.Group_xA),
+                                roots && createElement('div', { style: metaStyle }, roots),
+                                createElement('div', { style: metaStyle },
+                                    'AI Score: ' + (c.AI_Rank_xB !== '' && c.AI_Rank_xB !== undefined && c.AI_Rank_xB !== null ? c.AI_Rank_xB : '\u2014') +
+                                    ' \u00b7 Elo: ' + (hasElo ? c.Elo_xB + ' (' + (c.Elo_Games_xB || 0) + ')' : '\u2014')
+                                )
+                            );
+                        })
+                    ),
+
+                createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '12px' } },
+                    createElement('label', { style: { fontSize: '13px', color: '#4B5563' } }, 'Show '),
+                    createElement('select', {
+                        value: size,
+                        onChange: function(e) { onSizeChange(parseInt(e.target.value)); },
+                        style: { padding: '6px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '13px' }
+                    },
+                        [2, 3, 4].map(function(n) {
+                            return createElement('option', { key: n, value: n }, n + ' at a time');
+                        })
+                    ),
+                    createElement('div', { style: { flex: 1 } }),
+                    createElement('button', { style: buttonStyle(false), onClick: onSkip }, 'Skip'),
+                    createElement('button', { style: buttonStyle(true), onClick: onClose }, 'Done')
+                )
+            )
+        );
+    }
+
+    /**
+     * Consensus View Component
+     * Per-class agreement table for multi-rater datasets
+     * (mean tier, disagreement spread and Cohen/Fleiss kappa)
+     */
+    function ConsensusView(props) {
+        var rows = props.rows || [];
+        var reviewers = props.reviewers || [];
+        var onClose = props.onClose;
+
+        var overlayStyle = {
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+        };
+
+        var modalStyle = {
+            backgroundColor: '#FFFFFF',
+            borderRadius: '16px',
+            padding: '32px',
+            maxWidth: '900px',
+            width: '90%',
+            maxHeight: '85vh',
+            display: 'flex',
+            flexDirection: 'column',
+            boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+        };
+
+        var cellStyle = {
+            padding: '6px 10px',
+            fontSize: '13px',
+            color: '#374151',
+            borderBottom: '1px solid #E5E7EB',
+            textAlign: 'right'
+        };
+
+        var headerStyle = Object.assign({}, cellStyle, {
+            fontWeight: '600',
+            color: '#6B7280',
+            backgroundColor: '#F9FAFB',
+            position: 'sticky',
+            top: 0
+        });
+
+        var formatNumber = function(value, digits) {
+            return value === null || value === undefined ? '—' : value.toFixed(digits);
+        };
+
+        // Landis & Koch bands
+        var kappaColor = function(kappa) {
+            if (kappa === null) return '#9CA3AF';
+            if (kappa < 0.2) return '#DC2626';
+            if (kappa < 0.4) return '#D97706';
+            if (kappa < 0.6) return '#CA8A04';
+            return '#16A34A';
+        };
+
+        var kappaLabel = reviewers.length === 2 ? "Cohen's κ" : "Fleiss' κ";
+
+        return createElement('div', {
+            style: overlayStyle,
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) {
+                    onClose();
+                }
+            }
+        },
+            createElement('div', { style: modalStyle },
+                createElement('div', { style: { fontSize: '20px', fontWeight: '700', color: '#1F2937', marginBottom: '8px' } }, 'Reviewer Consensus'),
+                createElement('div', { style: { fontSize: '14px', color: '#6B7280', marginBottom: '16px' } },
+                    reviewers.length > 0
+                        ? reviewers.length + ' reviewers: ' + reviewers.join(', ')
+                        : 'No reviewer scores yet. Add a reviewer from the toolbar to start rating.'
+                ),
+
+                reviewers.length < 2 && createElement('div', { style: { fontSize: '13px', color: '#92400E', backgroundColor: '#FEF3C7', padding: '8px 12px', borderRadius: '8px', marginBottom: '12px' } },
+                    'Agreement statistics need at least two reviewers.'
+                ),
+
+                createElement('div', { style: { overflow: 'auto', flex: 1 } },
+                    createElement('table', { style: { width: '100%', borderCollapse: 'collapse' } },
+                        createElement('thead', null,
+                            createElement('tr', null,
+                                createElement('th', { style: Object.assign({}, headerStyle, { textAlign: 'left' }) }, 'Class'),
+                                createElement('th', { style: headerStyle }, 'Candidates'),
+                                createElement('th', { style: headerStyle, title: 'Candidates rated by 2+ reviewers' }, 'Multi-rated'),
+                                createElement('th', { style: headerStyle }, 'Mean tier'),
+                                createElement('th', { style: headerStyle, title: 'Average max-min tier gap per multi-rated candidate' }, 'Spread'),
+                                createElement('th', { style: headerStyle, title: 'Candidates whose ratings differ by 2+ tiers' }, 'Split'),
+                                createElement('th', { style: headerStyle }, kappaLabel)
+                            )
+                        ),
+                        createElement('tbody', null,
+                            rows.map(function(row) {
+                                return createElement('tr', { key: row.group },
+                                    createElement('td', { style: Object.assign({}, cellStyle, { textAlign: 'left', fontWeight: '500' }) }, row.group || '(no class)'),
+                                    createElement('td', { style: cellStyle }, row.candidates),
+                                    createElement('td', { style: cellStyle }, row.multiRated),
+                                    createElement('td', { style: cellStyle }, formatNumber(row.meanTier, 2)),
+                                    createElement('td', { style: cellStyle }, formatNumber(row.spread, 2)),
+                                    createElement('td', { style: Object.assign({}, cellStyle, { color: row.splitCount > 0 ? '#DC2626' : cellStyle.color }) }, row.splitCount),
+                                    createElement('td', { style: Object.assign({}, cellStyle, { color: kappaColor(row.kappa), fontWeight: '600' }) }, formatNumber(row.kappa, 2))
+                                );
+                            })
+                        )
+                    )
+                ),
+
+                createElement('div', { style: { display: 'flex', justifyContent: 'flex-end', marginTop: '16px' } },
+                    createElement('button', {
+                        style: { padding: '10px 16px', fontSize: '14px', fontWeight: '600', border: 'none', borderRadius: '8px', cursor: 'pointer', backgroundColor: '#3B82F6', color: '#FFFFFF' },
+                        onClick: onClose
+                    }, 'Close')
+                )
+            )
+        );
+    }
+
     // Export to namespace
     window.GraphApp.components.EvaluationOverlay = EvaluationOverlay;
     window.GraphApp.components.EvaluationLauncher = EvaluationLauncher;
@@ -1002,5 +1290,7 @@
     window.GraphApp.components.CandidateCard = CandidateCard;
     window.GraphApp.components.ProgressBar = ProgressBar;
     window.GraphApp.components.ControlButtons = ControlButtons;
+    window.GraphApp.components.ComparisonView = ComparisonView;
+    window.GraphApp.components.ConsensusView = ConsensusView;
 
 })(window);
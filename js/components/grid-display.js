@@ -12,6 +12,7 @@
     var useState = React.useState;
     var useEffect = React.useEffect;
     var useMemo = React.useMemo;
+    var useRef = React.useRef;
 
     // Ensure namespace exists
     window.GraphApp = window.GraphApp || {};
@@ -27,107 +28,12 @@
         3: { bg: '#3B82F6', hoverBg: '#2563EB', color: '#FFFFFF', label: 'Tier 3' }
     };
 
-    // ========== FILTER FUNCTIONS ==========
-
-    /**
-     * Filter nodes by criteria
-     * @param {Array} nodes - Nodes to filter
-     * @param {Object} filters - Filter criteria
-     * @param {Set} blockedRoots - Set of blocked root names (optional)
-     */
-    function filterNodes(nodes, filters, blockedRoots) {
-        // Get helper functions from utils
-        var countRoots = window.GraphApp.utils.countRoots;
-        var getStatusFromRank = window.GraphApp.utils.getStatusFromRank;
-        blockedRoots = blockedRoots || new Set();
-
-        return nodes.filter(function(node) {
-            // Rank filter
-            var rank = node.Rank_xB;
-            var isUnranked = rank === '' || rank === undefined || rank === null;
-            var isTier0 = rank === 0;
-            var isRanked = !isUnranked && !isTier0;
-
-            // Check if this node is root-blocked (any root in blockedRoots)
-            var isRootBlocked = blockedRoots.size > 0 && (
-                blockedRoots.has(node.Root1_xB) ||
-                blockedRoots.has(node.Root2_xB) ||
-                blockedRoots.has(node.Root3_xB)
-            );
-
-            // Filter Matrix (Status × Root Count) - takes priority if defined
-            if (filters.filterMatrix && Object.keys(filters.filterMatrix).length > 0) {
-                var status = getStatusFromRank(rank);
-                var rootCount = countRoots(node);
-                var colKey = 'r' + rootCount;
-                var matrixRow = filters.filterMatrix[status];
-
-                // If the cell is unchecked, hide this node
-                if (!matrixRow || !matrixRow[colKey]) {
-                    return false;
-                }
-
-                // Root-blocked filter: three-state mode ('show' | 'only' | 'hide')
-                var rootBlockedMode = filters.filterMatrix['rootblocked'] || 'show';
-                if (rootBlockedMode === 'hide' && isRootBlocked) {
-                    return false;  // Hide blocked candidates
-                }
-                if (rootBlockedMode === 'only' && !isRootBlocked) {
-                    return false;  // Only show blocked candidates
-                }
-                // 'show' mode: include all (no filtering by root-blocked status)
-            } else {
-                // Legacy rank filter (only if matrix not used)
-                if (filters.rankFilter === 'unranked' && !isUnranked) return false;
-                if (filters.rankFilter === 'ranked' && !isRanked) return false;
-                if (filters.rankFilter === 'blocked' && !isTier0) return false;
-                if (filters.rankFilter === 'rank1' && rank !== 1) return false;
-                if (filters.rankFilter === 'rank2' && rank !== 2) return false;
-                if (filters.rankFilter === 'rank3' && rank !== 3) return false;
-            }
-
-            // Group filter (empty = all)
-            if (filters.groupFilter && filters.groupFilter.length > 0) {
-                if (!filters.groupFilter.includes(node.Group_xA)) return false;
-            }
-
-            // AI Score range
-            var aiScore = node.AI_Rank_xB || 0;
-            if (filters.aiScoreRange) {
-                if (aiScore < filters.aiScoreRange[0] || aiScore > filters.aiScoreRange[1]) return false;
-            }
-
-            // Search text
-            if (filters.searchText && filters.searchText.trim()) {
-                var searchLower = filters.searchText.toLowerCase();
-                var nodeName = (node.Node_xA || '').toLowerCase();
-                if (!nodeName.includes(searchLower)) return false;
-            }
-
-            return true;
-        });
-    }
-
-    /**
-     * Sort nodes by grid filter criteria (different from table sort)
-     */
-    function sortGridNodes(nodes, sortBy) {
-        var sorted = nodes.slice(); // Copy array
-        switch (sortBy) {
-            case 'ai-desc':
-                return sorted.sort(function(a, b) { return (b.AI_Rank_xB || 0) - (a.AI_Rank_xB || 0); });
-            case 'ai-asc':
-                return sorted.sort(function(a, b) { return (a.AI_Rank_xB || 0) - (b.AI_Rank_xB || 0); });
-            case 'alpha-asc':
-                return sorted.sort(function(a, b) { return (a.Node_xA || '').localeCompare(b.Node_xA || ''); });
-            case 'alpha-desc':
-                return sorted.sort(function(a, b) { return (b.Node_xA || '').localeCompare(a.Node_xA || ''); });
-            case 'random':
-                return sorted.sort(function() { return Math.random() - 0.5; });
-            default:
-                return sorted;
-        }
-    }
+    // Suggested-tier badge colors by confidence level
+    var SUGGESTION_COLORS = {
+        high: '#059669',
+        medium: '#D97706',
+        low: '#9CA3AF'
+    };
 
     // ========== GRID CARD COMPONENT ==========
 
@@ -150,6 +56,20 @@
         var compactView = props.compactView || false;
         var onEdit = props.onEdit;  // Callback: (nodeId, field, value) => void
         var dataFormat = props.dataFormat || 'candidates';  // 'roots' or 'candidates'
+        var suggestion = props.suggestion;  // Suggested tier from shared roots { tier, confidence, level, roots, count }
+        var onAcceptSuggestion = props.onAcceptSuggestion;  // Callback: (nodeId) => void
+        var suggestionCountByRoot = props.suggestionCountByRoot;  // (root) => number of suggestions from that root
+        var onReviewRootSuggestions = props.onReviewRootSuggestions;  // Callback: (root) => void
+        var isFocused = props.isFocused || false;  // Keyboard focus ring
+
+        var cardRef = useRef(null);
+
+        // Keep the keyboard-focused card in view
+        useEffect(function() {
+            if (isFocused && cardRef.current && cardRef.current.scrollIntoView) {
+                cardRef.current.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+        }, [isFocused]);
 
         var _hoverState = useState(-1);
         var hoveredScore = _hoverState[0];
@@ -293,7 +213,10 @@
             // Animation support
             opacity: opacity,
             transition: isEvalMode ? (isQuickExit ? 'opacity 0.3s ease-out' : 'opacity 2s ease-in-out') : 'none',
-            pointerEvents: isExiting ? 'none' : 'auto'
+            pointerEvents: isExiting ? 'none' : 'auto',
+            // Keyboard focus ring
+            outline: isFocused ? '3px solid var(--accent-primary)' : 'none',
+            outlineOffset: '2px'
         };
 
         var nameStyle = {
@@ -421,10 +344,12 @@
                 border: '1px solid var(--border-primary)',
                 minHeight: (24 * scale) + 'px',
                 opacity: isExiting ? 0 : (mounted ? 1 : 0),
-                transition: isEvalMode ? 'opacity 2s ease-in-out' : 'none'
+                transition: isEvalMode ? 'opacity 2s ease-in-out' : 'none',
+                outline: isFocused ? '3px solid var(--accent-primary)' : 'none',
+                outlineOffset: '2px'
             };
 
-            return createElement('div', { style: compactStyle },
+            return createElement('div', { ref: cardRef, style: compactStyle },
                 createElement('span', {
                     style: {
                         fontSize: (14 * scale) + 'px',
@@ -439,7 +364,7 @@
             );
         }
 
-        return createElement('div', { style: containerStyle },
+        return createElement('div', { ref: cardRef, style: containerStyle },
             // Root-blocked overlay (amber tint)
             rootBlockedOverlay,
 
@@ -460,6 +385,27 @@
                 title: 'Blocked roots: ' + blockedRootsList.join(', ')
             }, 'ROOT'),
 
+            // Suggested tier badge (top-left corner) - click to accept
+            suggestion && createElement('button', {
+                onClick: function() { onAcceptSuggestion && onAcceptSuggestion(node.ID_xA); },
+                style: {
+                    position: 'absolute',
+                    top: (4 * scale) + 'px',
+                    left: (4 * scale) + 'px',
+                    fontSize: (8 * scale) + 'px',
+                    backgroundColor: 'transparent',
+                    color: SUGGESTION_COLORS[suggestion.level],
+                    border: '1px dashed ' + SUGGESTION_COLORS[suggestion.level],
+                    padding: (2 * scale) + 'px ' + (4 * scale) + 'px',
+                    borderRadius: (3 * scale) + 'px',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    zIndex: 2
+                },
+                title: 'Suggested from ' + suggestion.count + ' rating' + (suggestion.count === 1 ? '' : 's') +
+                    ' on ' + suggestion.roots.join(', ') + ' (' + suggestion.level + ' confidence). Click to accept.'
+            }, 'T' + suggestion.tier + '? ' + Math.round(suggestion.confidence * 100) + '%'),
+
             // Name (at top - editable on click)
             editState.field === 'Node_xA'
                 ? createElement('input', {
@@ -521,7 +467,8 @@
                     },
                     onClick: function() { startEdit('AI_Rank_xB', node.AI_Rank_xB); },
                     title: onEdit ? 'Click to edit score' : ''
-                }, 'Score: ' + (node.AI_Rank_xB !== '' && node.AI_Rank_xB !== undefined && node.AI_Rank_xB !== null ? node.AI_Rank_xB : '-')),
+                }, 'Score: ' + (node.AI_Rank_xB !== '' && node.AI_Rank_xB !== undefined && node.AI_Rank_xB !== null ? node.AI_Rank_xB : '-') +
+                    (node.Elo_xB !== '' && node.Elo_xB !== undefined && node.Elo_xB !== null ? ' \u00b7 Elo: ' + node.Elo_xB : '')),
 
             // Rating buttons: Different for roots vs candidates
             // Candidates: [Not rated] [Tier 0] [Tier 1] [Tier 2] [Tier 3]
@@ -578,6 +525,7 @@
             roots.length > 0 && createElement('div', { style: rootsContainerStyle },
                 roots.map(function(root, index) {
                     var count = countByRoot ? countByRoot(root) : 0;
+                    var suggestedCount = suggestionCountByRoot ? suggestionCountByRoot(root) : 0;
                     var isThisRootBlocked = blockedRoots.has(root);
                     // Strikethrough only for THIS root if it's blocked (not based on candidate Tier 0)
                     var rootStrikeOverlay = isThisRootBlocked ? createElement('div', {
@@ -614,7 +562,20 @@
                                 ? 'Unblock all with root "' + root + '"'
                                 : 'Block all with root "' + root + '"'
                         }, isThisRootBlocked ? 'unblock' : 'block'),
-                        createElement('span', { style: rootCountStyle }, '(' + count + ')')
+                        createElement('span', { style: rootCountStyle }, '(' + count + ')'),
+                        suggestedCount > 0 && createElement('button', {
+                            style: {
+                                fontSize: (8 * scale) + 'px',
+                                padding: 0,
+                                border: 'none',
+                                background: 'none',
+                                color: 'var(--accent-primary)',
+                                textDecoration: 'underline',
+                                cursor: 'pointer'
+                            },
+                            onClick: function() { onReviewRootSuggestions && onReviewRootSuggestions(root); },
+                            title: 'Review suggested tiers for unrated candidates with root "' + root + '"'
+                        }, suggestedCount + ' suggested')
                     );
                 })
             ),
@@ -633,6 +594,123 @@
         );
     }
 
+    // ========== ROOT SUGGESTIONS DIALOG ==========
+
+    /**
+     * Review suggested tiers for one root and accept all or some of them
+     * Low-confidence suggestions start unchecked
+     * Props: root, items [{ node, suggestion }], onAccept(ids), onClose
+     */
+    function RootSuggestionsDialog(props) {
+        var items = props.items || [];
+
+        var _checkedState = useState(function() {
+            return new Set(items.filter(function(item) {
+                return item.suggestion.level !== 'low';
+            }).map(function(item) { return item.node.ID_xA; }));
+        });
+        var checked = _checkedState[0];
+        var setChecked = _checkedState[1];
+
+        var toggle = function(id) {
+            setChecked(function(prev) {
+                var next = new Set(prev);
+                if (next.has(id)) next.delete(id); else next.add(id);
+                return next;
+            });
+        };
+
+        var allChecked = items.length > 0 && checked.size === items.length;
+
+        var buttonStyle = function(primary) {
+            return {
+                padding: '8px 14px',
+                fontSize: '13px',
+                fontWeight: '600',
+                border: primary ? 'none' : '1px solid var(--border-secondary)',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                backgroundColor: primary ? '#3B82F6' : 'var(--bg-primary)',
+                color: primary ? '#FFFFFF' : 'var(--text-secondary)'
+            };
+        };
+
+        return createElement('div', {
+            style: {
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                backgroundColor: 'rgba(0,0,0,0.5)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 1000
+            },
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onClose();
+            }
+        },
+            createElement('div', {
+                style: {
+                    backgroundColor: 'var(--bg-primary)',
+                    color: 'var(--text-primary)',
+                    borderRadius: '12px',
+                    padding: '24px',
+                    width: '480px',
+                    maxWidth: '95vw',
+                    maxHeight: '80vh',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+                }
+            },
+                createElement('div', { style: { fontSize: '18px', fontWeight: '700', marginBottom: '4px' } },
+                    'Suggestions for root "' + props.root + '"'),
+                createElement('div', { style: { fontSize: '12px', color: 'var(--text-muted)', marginBottom: '12px' } },
+                    'Based on tiers already given to candidates sharing this root'),
+
+                createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', padding: '4px 0', borderBottom: '1px solid var(--border-primary)' } },
+                    createElement('input', {
+                        type: 'checkbox',
+                        checked: allChecked,
+                        onChange: function() {
+                            setChecked(allChecked ? new Set() : new Set(items.map(function(item) { return item.node.ID_xA; })));
+                        }
+                    }),
+                    'Select all (' + items.length + ')'
+                ),
+
+                createElement('div', { style: { overflow: 'auto', flex: 1 } },
+                    items.map(function(item) {
+                        var id = item.node.ID_xA;
+                        return createElement('label', {
+                            key: id,
+                            style: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', padding: '6px 0', borderBottom: '1px solid var(--border-primary)', cursor: 'pointer' }
+                        },
+                            createElement('input', { type: 'checkbox', checked: checked.has(id), onChange: function() { toggle(id); } }),
+                            createElement('span', { style: { flex: 1, fontWeight: '600' } }, item.node.Node_xA),
+                            createElement('span', { style: { color: 'var(--text-muted)', fontSize: '11px' } }, item.suggestion.count + ' ratings'),
+                            createElement('span', {
+                                style: { color: SUGGESTION_COLORS[item.suggestion.level], fontWeight: '600', width: '90px', textAlign: 'right' }
+                            }, 'Tier ' + item.suggestion.tier + ' \u00b7 ' + Math.round(item.suggestion.confidence * 100) + '%')
+                        );
+                    })
+                ),
+
+                createElement('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '16px' } },
+                    createElement('button', { style: buttonStyle(false), onClick: props.onClose }, 'Cancel'),
+                    createElement('button', {
+                        style: Object.assign(buttonStyle(true), { opacity: checked.size === 0 ? 0.5 : 1 }),
+                        disabled: checked.size === 0,
+                        onClick: function() { props.onAccept(Array.from(checked)); }
+                    }, 'Accept ' + checked.size)
+                )
+            )
+        );
+    }
+
     // ========== GRID DISPLAY COMPONENT ==========
 
     /**
@@ -660,15 +738,23 @@
         var onEdit = props.onEdit;  // Callback for inline card editing
         var dataFormat = props.dataFormat || 'candidates';  // 'roots' or 'candidates'
         var onPageChange = props.onPageChange;  // Callback for page navigation
-
-        // Filter and sort nodes (only used in non-eval mode)
+        var suggestions = props.suggestions;  // Map ID_xA -> suggested tier (from shared roots)
+        var onAcceptSuggestion = props.onAcceptSuggestion;
+        var suggestionCountByRoot = props.suggestionCountByRoot;
+        var onReviewRootSuggestions = props.onReviewRootSuggestions;
+        var focusIndex = props.focusIndex;  // Keyboard focus (index into the visible cards), null when unused
+        var onVisibleCardsChange = props.onVisibleCardsChange;  // Reports [{ id, row, col }] for keyboard navigation
+        var presorted = props.presorted || false;  // nodes are already filtered and sorted (app.js / data worker)
+
+        // Filter and sort nodes (only used in non-eval mode), unless the caller already did
+        var gridQuery = window.GraphApp.core.gridQuery;
         var filteredNodes = useMemo(function() {
-            return filterNodes(nodes, filters, blockedRoots);
-        }, [nodes, filters, blockedRoots]);
+            return presorted ? nodes : gridQuery.filterGridNodes(nodes, filters, blockedRoots);
+        }, [presorted, nodes, filters, blockedRoots]);
 
         var sortedNodes = useMemo(function() {
-            return sortGridNodes(filteredNodes, filters.sortBy || 'ai-desc');
-        }, [filteredNodes, filters.sortBy]);
+            return presorted ? filteredNodes : gridQuery.sortGridNodes(filteredNodes, filters.sortBy || 'ai-desc');
+        }, [presorted, filteredNodes, filters.sortBy]);
 
         // Paginate (only used in non-eval mode)
         // In compact mode, show many more rows (gridSize * 20 instead of gridSize * gridSize)
@@ -679,6 +765,26 @@
         var hasPrevPage = currentPage > 0;
         var hasNextPage = currentPage < totalPages - 1;
 
+        // Cards currently on screen in reading order, with their grid cell (for keyboard navigation)
+        var visibleCards = isEvalSession
+            ? evalBatch
+                .filter(function(c) { return !evalExitingIds.has(c.ID_xA); })
+                .map(function(c, i) {
+                    return { id: c.ID_xA, row: c.gridRow !== undefined ? c.gridRow : Math.floor(i / 3), col: c.gridCol !== undefined ? c.gridCol : i % 3 };
+                })
+                .sort(function(a, b) { return (a.row - b.row) || (a.col - b.col); })
+            : pageNodes.map(function(n, i) {
+                return { id: n.ID_xA, row: Math.floor(i / gridSize), col: i % gridSize };
+            });
+        var visibleKey = visibleCards.map(function(c) { return c.id + '@' + c.row + ',' + c.col; }).join('|');
+        var focusedId = focusIndex !== null && focusIndex !== undefined && visibleCards.length > 0
+            ? visibleCards[Math.min(focusIndex, visibleCards.length - 1)].id
+            : null;
+
+        useEffect(function() {
+            if (onVisibleCardsChange) onVisibleCardsChange(visibleCards);
+        }, [visibleKey]);
+
         // Container style
         var containerStyle = {
             flex: 1,
@@ -798,7 +904,12 @@
                                 isEvalMode: true,
                                 compactView: compactView,
                                 onEdit: onEdit,
-                                dataFormat: dataFormat
+                                dataFormat: dataFormat,
+                                suggestion: suggestions ? suggestions.get(batchNode.ID_xA) : null,
+                                onAcceptSuggestion: onAcceptSuggestion,
+                                suggestionCountByRoot: suggestionCountByRoot,
+                                onReviewRootSuggestions: onReviewRootSuggestions,
+                                isFocused: batchNode.ID_xA === focusedId
                             })
                         );
                     })
@@ -857,7 +968,12 @@
                         isEvalMode: false,
                         compactView: compactView,
                         onEdit: onEdit,
-                        dataFormat: dataFormat
+                        dataFormat: dataFormat,
+                        suggestion: suggestions ? suggestions.get(node.ID_xA) : null,
+                        onAcceptSuggestion: onAcceptSuggestion,
+                        suggestionCountByRoot: suggestionCountByRoot,
+                        onReviewRootSuggestions: onReviewRootSuggestions,
+                        isFocused: node.ID_xA === focusedId
                     });
                 })
             )
@@ -1255,7 +1371,7 @@
     /**
      * Class filter for Root mode
      * Shows Group_xA values as toggle buttons in a 2-column grid
-     * Includes Show All / Hide All buttons
+     * Includes Show All / Hide All buttons, and Generate candidates when onGenerate is given (AI configured)
      */
     function TerritoryMatrix(props) {
         var territories = props.territories || [];      // Array of class names (Group_xA)
@@ -1264,6 +1380,7 @@
         var onShowAll = props.onShowAll;                // Select all callback
         var onHideAll = props.onHideAll;                // Deselect all callback
         var counts = props.counts || {};                // Count per class
+        var onGenerate = props.onGenerate;              // Generate candidates from the selected classes' roots
 
         var containerStyle = {
             display: 'flex',
@@ -1341,7 +1458,18 @@
                         title: territory + ': ' + count + ' items'
                     }, territory);
                 })
-            )
+            ),
+            // AI candidate generation from the selected classes
+            onGenerate && createElement('button', {
+                style: Object.assign({}, controlBtnStyle, {
+                    marginTop: '4px',
+                    color: selectedTerritories.size > 0 ? 'var(--accent-primary)' : 'var(--text-faint)',
+                    cursor: selectedTerritories.size > 0 ? 'pointer' : 'not-allowed'
+                }),
+                disabled: selectedTerritories.size === 0,
+                onClick: onGenerate,
+                title: 'Coin new candidate names from the roots of the selected classes'
+            }, 'Generate candidates…')
         );
     }
 
@@ -1361,9 +1489,16 @@
         var isEvalSession = props.isEvalSession;
         var onStartEval = props.onStartEval;
         var onExitEval = props.onExitEval;
+        var onStartCompare = props.onStartCompare;
         var filteredCount = props.filteredCount || 0;
         var totalCount = props.totalCount || 0;
         var evalRatedCount = props.evalRatedCount || 0;
+        var evalTotal = props.evalTotal || 0;
+        var evalWave = props.evalWave || 0;
+        // Resumable eval session props
+        var savedEvalInfo = props.savedEvalInfo;
+        var onResumeEval = props.onResumeEval;
+        var onDiscardEval = props.onDiscardEval;
         // Pagination props
         var currentPage = props.currentPage || 0;
         var totalPages = props.totalPages || 1;
@@ -1385,6 +1520,7 @@
         var onToggleTerritory = props.onToggleTerritory;
         var onShowAllClasses = props.onShowAllClasses;
         var onHideAllClasses = props.onHideAllClasses;
+        var onGenerateCandidates = props.onGenerateCandidates;
         // Show/hide blocked roots props
         var showBlockedRoots = props.showBlockedRoots !== undefined ? props.showBlockedRoots : true;
         var setShowBlockedRoots = props.setShowBlockedRoots;
@@ -1442,8 +1578,8 @@
             // Stats summary (different display for eval mode)
             isEvalSession ? createElement('div', { style: { padding: '10px', backgroundColor: '#FEF3C7', borderRadius: '6px', fontSize: '12px', border: '1px solid #F59E0B' } },
                 createElement('div', { style: { fontWeight: '700', color: '#92400E', marginBottom: '4px' } }, '\u26A1 Eval Session'),
-                createElement('div', { style: { color: '#78350F' } }, 'Rated: ' + evalRatedCount),
-                createElement('div', { style: { color: '#78350F' } }, 'Remaining: ' + (stats.unranked || 0))
+                createElement('div', { style: { color: '#78350F' } }, 'Rated: ' + evalRatedCount + '/' + evalTotal),
+                createElement('div', { style: { color: '#78350F' } }, 'Wave: ' + evalWave)
             ) : createElement('div', { style: { padding: '10px', backgroundColor: 'var(--border-primary)', borderRadius: '6px', fontSize: '12px' } },
                 // Pagination controls in normal mode
                 createElement('div', { style: { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' } },
@@ -1544,6 +1680,7 @@
                         onToggle: onToggleTerritory,
                         onShowAll: onShowAllClasses,
                         onHideAll: onHideAllClasses,
+                        onGenerate: onGenerateCandidates,
                         counts: groupCounts
                     }),
                     // Show/Hide Blocked toggle
@@ -1604,6 +1741,8 @@
                 },
                     createElement('option', { value: 'ai-desc' }, 'AI Score \u2193'),
                     createElement('option', { value: 'ai-asc' }, 'AI Score \u2191'),
+                    createElement('option', { value: 'elo-desc' }, 'Elo \u2193'),
+                    createElement('option', { value: 'elo-asc' }, 'Elo \u2191'),
                     createElement('option', { value: 'alpha-asc' }, 'A \u2192 Z'),
                     createElement('option', { value: 'alpha-desc' }, 'Z \u2192 A'),
                     createElement('option', { value: 'random' }, 'Random')
@@ -1632,6 +1771,49 @@
             // Spacer
             createElement('div', { style: { flex: 1 } }),
 
+            // Resume banner (saved eval session from an earlier visit)
+            !isEvalSession && savedEvalInfo && createElement('div', {
+                style: { padding: '10px', backgroundColor: '#EFF6FF', borderRadius: '6px', fontSize: '12px', border: '1px solid #3B82F6' }
+            },
+                createElement('div', { style: { color: '#1E40AF', marginBottom: '8px' } },
+                    'Resume session from ' + new Date(savedEvalInfo.lastSaved).toLocaleString() + ', ' +
+                    savedEvalInfo.scored + '/' + savedEvalInfo.total + ' rated'
+                ),
+                createElement('div', { style: { display: 'flex', gap: '6px' } },
+                    createElement('button', {
+                        onClick: onResumeEval,
+                        style: { flex: 1, padding: '6px', backgroundColor: '#3B82F6', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontWeight: '600', fontSize: '12px' }
+                    }, 'Resume'),
+                    createElement('button', {
+                        onClick: onDiscardEval,
+                        style: { flex: 1, padding: '6px', backgroundColor: 'var(--bg-primary)', color: 'var(--text-secondary)', border: '1px solid var(--border-secondary)', borderRadius: '4px', cursor: 'pointer', fontWeight: '600', fontSize: '12px' }
+                    }, 'Discard')
+                )
+            ),
+
+            // Eval order (how the session picks candidates)
+            !isEvalSession && createElement('div', { style: sectionStyle },
+                createElement('div', { style: labelStyle }, 'Eval Order'),
+                createElement('select', {
+                    value: filters.selectionMethod || 'top-ai',
+                    onChange: function(e) { updateFilter('selectionMethod', e.target.value); },
+                    title: 'Most uncertain first serves candidates whose tier is hardest to predict from ratings on shared roots, classes and AI score bands',
+                    style: {
+                        padding: '6px',
+                        borderRadius: '4px',
+                        border: '1px solid var(--border-secondary)',
+                        backgroundColor: 'var(--bg-primary)',
+                        color: 'var(--text-secondary)',
+                        cursor: 'pointer'
+                    }
+                },
+                    createElement('option', { value: 'top-ai' }, 'Highest AI first'),
+                    createElement('option', { value: 'bottom-ai' }, 'Lowest AI first'),
+                    createElement('option', { value: 'random' }, 'Random'),
+                    createElement('option', { value: 'uncertainty' }, 'Most uncertain first')
+                )
+            ),
+
             // Eval session button
             isEvalSession ?
                 createElement('button', {
@@ -1659,7 +1841,23 @@
                         fontWeight: '600',
                         fontSize: '14px'
                     }
-                }, 'Start Eval Session')
+                }, 'Start Eval Session'),
+
+            // Pairwise comparison (candidates mode only, not during eval)
+            !isEvalSession && onStartCompare && dataFormat === 'candidates' && createElement('button', {
+                onClick: onStartCompare,
+                title: 'Compare candidates head-to-head to build an Elo ranking',
+                style: {
+                    padding: '8px',
+                    backgroundColor: 'var(--bg-primary)',
+                    color: 'var(--text-secondary)',
+                    border: '1px solid var(--border-secondary)',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    fontWeight: '600',
+                    fontSize: '13px'
+                }
+            }, 'Compare Head-to-Head')
         );
     }
 
@@ -1726,16 +1924,12 @@
 
     // ========== EXPORTS ==========
 
-    // Export filter functions to utils (use unique names to avoid colliding with utils.js)
-    window.GraphApp.utils = window.GraphApp.utils || {};
-    window.GraphApp.utils.filterGridNodes = filterNodes;
-    window.GraphApp.utils.sortGridNodes = sortGridNodes;
-
     // Export components
     window.GraphApp.components.GridCard = GridCard;
     window.GraphApp.components.GridDisplay = GridDisplay;
     window.GraphApp.components.FilterPanel = FilterPanel;
     window.GraphApp.components.FilterMatrix = FilterMatrix;
     window.GraphApp.components.Pagination = Pagination;
+    window.GraphApp.components.RootSuggestionsDialog = RootSuggestionsDialog;
 
 })(window);
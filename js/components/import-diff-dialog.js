@@ -0,0 +1,157 @@
+/**
+ * Import Diff Dialog Component
+ *
+ * Shown when a file is imported over existing data: lists what the import would change,
+ * grouped by category, each with an accept toggle. app.js applies the accepted
+ * categories as one undo step (or replaces everything, as a plain import would).
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    var MAX_DETAIL_ROWS = 100;
+    var TIER_LABELS = { 0: 'Blocked', 1: 'T1', 2: 'T2', 3: 'T3' };
+
+    var formatValue = function(value) {
+        return value === '' || value === undefined || value === null ? '—' : String(value);
+    };
+
+    var formatTier = function(score) {
+        return score === '' || score === undefined || score === null ? '—' : TIER_LABELS[score];
+    };
+
+    var formatRoots = function(fields) {
+        var parts = [1, 2, 3].map(function(n) {
+            var root = fields['Root' + n + '_xB'];
+            var cls = fields['Class' + n + '_xB'];
+            return root ? root + (cls ? ' (' + cls + ')' : '') : '';
+        }).filter(Boolean);
+        return parts.length > 0 ? parts.join(', ') : '—';
+    };
+
+    var nodeLabel = function(node) {
+        return window.GraphApp.utils.getBaseGroup(node.Group_xA) + ' / ' + node.Node_xA;
+    };
+
+    // One line of detail text per change
+    var describeChange = function(category, change) {
+        switch (category) {
+            case 'added': return nodeLabel(change) + (change.AI_Rank_xB !== '' ? ' (AI ' + change.AI_Rank_xB + ')' : '');
+            case 'removed': return nodeLabel(change.node);
+            case 'aiScores': return nodeLabel(change.node) + ': ' + formatValue(change.from) + ' → ' + formatValue(change.to);
+            case 'tiers': return nodeLabel(change.node) + ': ' + formatTier(change.from) + ' → ' + formatTier(change.to);
+            case 'roots': return nodeLabel(change.node) + ': ' + formatRoots(change.from) + ' → ' + formatRoots(change.to);
+            case 'blockedRoots': return change;
+            default: return '';
+        }
+    };
+
+    /**
+     * Import Diff Dialog
+     * Props: fileName, diff (core.importDiff.buildImportDiff), onApply(accepted), onReplace, onCancel
+     */
+    function ImportDiffDialog(props) {
+        var importDiff = window.GraphApp.core.importDiff;
+        var diff = props.diff;
+        var counts = importDiff.countChanges(diff);
+        var categories = Object.keys(importDiff.CATEGORIES);
+
+        // Everything except removals starts accepted (a partial export shouldn't delete data by default)
+        var _acceptState = useState(function() {
+            var initial = {};
+            categories.forEach(function(category) {
+                initial[category] = counts[category] > 0 && category !== 'removed';
+            });
+            return initial;
+        });
+        var accepted = _acceptState[0];
+        var setAccepted = _acceptState[1];
+
+        var _expandState = useState(null);
+        var expanded = _expandState[0];
+        var setExpanded = _expandState[1];
+
+        var anyAccepted = categories.some(function(category) { return accepted[category]; });
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onCancel();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[640px] max-w-[95vw] max-h-[85vh] flex flex-col"
+            },
+                createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1" }, 'Changes in "' + props.fileName + '"'),
+                createElement('p', { className: "text-sm text-gray-600 dark:text-gray-400 mb-4" },
+                    'Choose which changes to apply. Other fields of existing candidates are kept.'),
+
+                createElement('div', { className: "overflow-auto flex-1 mb-4" }, categories.map(function(category) {
+                    var items = diff[category];
+                    var isExpanded = expanded === category;
+                    return createElement('div', { key: category, className: "border-b border-gray-200 dark:border-gray-700 py-2" },
+                        createElement('div', { className: "flex items-center gap-3 text-sm text-gray-800 dark:text-gray-200" },
+                            createElement('input', {
+                                type: 'checkbox',
+                                checked: !!accepted[category],
+                                disabled: items.length === 0,
+                                onChange: function(e) {
+                                    var checked = e.target.checked;
+                                    setAccepted(function(prev) {
+                                        var next = Object.assign({}, prev);
+                                        next[category] = checked;
+                                        return next;
+                                    });
+                                }
+                            }),
+                            createElement('span', { className: "flex-1" + (items.length === 0 ? " text-gray-400 dark:text-gray-500" : "") },
+                                importDiff.CATEGORIES[category]),
+                            createElement('span', { className: "font-mono text-xs" }, items.length),
+                            items.length > 0 && createElement('button', {
+                                onClick: function() { setExpanded(isExpanded ? null : category); },
+                                className: "text-xs text-blue-500 hover:underline w-10 text-right"
+                            }, isExpanded ? 'Hide' : 'Show')
+                        ),
+                        isExpanded && createElement('ul', { className: "mt-1 ml-7 text-xs text-gray-600 dark:text-gray-400 space-y-0.5" },
+                            items.slice(0, MAX_DETAIL_ROWS).map(function(change, i) {
+                                return createElement('li', { key: i }, describeChange(category, change));
+                            }),
+                            items.length > MAX_DETAIL_ROWS && createElement('li', { className: "italic" },
+                                '… and ' + (items.length - MAX_DETAIL_ROWS) + ' more')
+                        )
+                    );
+                })),
+
+                createElement('div', { className: "flex justify-between gap-2" },
+                    createElement('button', {
+                        onClick: props.onReplace,
+                        className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600",
+                        title: 'Discard the current data and load the file as it is'
+                    }, 'Replace all'),
+                    createElement('div', { className: "flex gap-2" },
+                        createElement('button', {
+                            onClick: props.onCancel,
+                            className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600"
+                        }, 'Cancel'),
+                        createElement('button', {
+                            onClick: function() { props.onApply(accepted); },
+                            disabled: !anyAccepted,
+                            className: "px-4 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        }, 'Apply selected')
+                    )
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.ImportDiffDialog = ImportDiffDialog;
+
+})(window);
@@ -0,0 +1,287 @@
+/**
+ * Import Wizard Component
+ *
+ * Column mapping for CSV/Excel files: pick the sheet, map each source column to a
+ * node field, a custom field, or nothing, and preview the first rows before importing.
+ * Mappings can be saved by name and are offered again for files with the same headers.
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    var SAMPLE_ROWS = 3;
+    var PREVIEW_ROWS = 5;
+
+    // Initial mapping for a sheet: saved mapping for the same headers, else a guess
+    var initialMapping = function(sheet) {
+        var importMapping = window.GraphApp.core.importMapping;
+        var saved = importMapping.findSavedMapping(sheet.headers);
+        return {
+            mapping: saved ? importMapping.adaptMapping(saved.mapping, sheet.headers) : importMapping.guessMapping(sheet.headers),
+            savedName: saved ? saved.name : ''
+        };
+    };
+
+    // Sheet to show first: the sheet a saved mapping was made for, else the first non-empty sheet
+    var initialSheetIndex = function(sheets) {
+        var importMapping = window.GraphApp.core.importMapping;
+        var savedIndex = sheets.findIndex(function(sheet) { return !!importMapping.findSavedMapping(sheet.headers); });
+        if (savedIndex >= 0) return savedIndex;
+        var nonEmpty = sheets.findIndex(function(sheet) { return sheet.rows.length > 0; });
+        return nonEmpty >= 0 ? nonEmpty : 0;
+    };
+
+    /**
+     * Import Wizard
+     * Props: fileName, sheets ([{ name, headers, rows }]), onImport({ nodes, format, blockedRoots }), onCancel
+     */
+    function ImportWizard(props) {
+        var importMapping = window.GraphApp.core.importMapping;
+        var sheets = props.sheets;
+
+        var _sheetState = useState(function() { return initialSheetIndex(sheets); });
+        var sheetIndex = _sheetState[0];
+        var setSheetIndex = _sheetState[1];
+
+        var _mappingState = useState(function() { return initialMapping(sheets[sheetIndex]); });
+        var mappingState = _mappingState[0];
+        var setMappingState = _mappingState[1];
+
+        var _rememberState = useState(false);
+        var remember = _rememberState[0];
+        var setRemember = _rememberState[1];
+
+        var _nameState = useState(mappingState.savedName || props.fileName.replace(/\.[^.]+$/, ''));
+        var mappingName = _nameState[0];
+        var setMappingName = _nameState[1];
+
+        var _savedState = useState(function() { return importMapping.loadSavedMappings(); });
+        var savedMappings = _savedState[0];
+        var setSavedMappings = _savedState[1];
+
+        var sheet = sheets[sheetIndex];
+        var mapping = mappingState.mapping;
+        var result = importMapping.applyMapping(sheet.rows, mapping);
+
+        var mappedFields = sheet.headers.map(function(h) { return mapping[h]; });
+        var hasName = mappedFields.indexOf('Node_xA') >= 0 || mappedFields.indexOf('Group_xA') >= 0;
+        var duplicates = importMapping.FIELDS.filter(function(field) {
+            return mappedFields.filter(function(m) { return m === field.id; }).length > 1;
+        });
+        var customNames = mappedFields.filter(function(m) {
+            return m && m.indexOf(importMapping.CUSTOM_PREFIX) === 0;
+        });
+        var emptyCustom = customNames.some(function(m) { return !m.slice(importMapping.CUSTOM_PREFIX.length).trim(); });
+
+        var selectSheet = function(index) {
+            var next = initialMapping(sheets[index]);
+            setSheetIndex(index);
+            setMappingState(next);
+            if (next.savedName) setMappingName(next.savedName);
+        };
+
+        var setTarget = function(header, value) {
+            setMappingState(function(prev) {
+                var next = Object.assign({}, prev.mapping);
+                next[header] = value;
+                return { mapping: next, savedName: prev.savedName };
+            });
+        };
+
+        var applySaved = function(name) {
+            var saved = savedMappings.find(function(m) { return m.name === name; });
+            if (!saved) return;
+            setMappingState({ mapping: importMapping.adaptMapping(saved.mapping, sheet.headers), savedName: saved.name });
+            setMappingName(saved.name);
+        };
+
+        var deleteSaved = function(name) {
+            importMapping.deleteMapping(name);
+            setSavedMappings(importMapping.loadSavedMappings());
+            if (mappingState.savedName === name) {
+                setMappingState({ mapping: mapping, savedName: '' });
+            }
+        };
+
+        var handleImport = function() {
+            if (remember && mappingName.trim()) {
+                importMapping.saveMapping({
+                    name: mappingName.trim(),
+                    signature: importMapping.getSignature(sheet.headers),
+                    sheetName: sheet.name,
+                    mapping: mapping
+                });
+            }
+            props.onImport(result);
+        };
+
+        var canImport = hasName && !emptyCustom && result.nodes.length > 0;
+
+        var selectClass = "px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200";
+        var cellClass = "px-2 py-1 border-b border-gray-200 dark:border-gray-700 text-left";
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onCancel();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[820px] max-w-[95vw] max-h-[90vh] flex flex-col"
+            },
+                createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1" }, 'Import "' + props.fileName + '"'),
+                createElement('p', { className: "text-sm text-gray-600 dark:text-gray-400 mb-3" },
+                    sheet.rows.length + ' rows · ' + sheet.headers.length + ' columns' +
+                    (mappingState.savedName ? ' · using saved mapping "' + mappingState.savedName + '"' : '')
+                ),
+
+                // Sheet + saved mapping pickers
+                createElement('div', { className: "flex flex-wrap items-center gap-3 mb-3 text-sm text-gray-700 dark:text-gray-300" },
+                    sheets.length > 1 && createElement('label', { className: "flex items-center gap-2" }, 'Sheet:',
+                        createElement('select', {
+                            value: sheetIndex,
+                            onChange: function(e) { selectSheet(parseInt(e.target.value)); },
+                            className: selectClass
+                        }, sheets.map(function(s, i) {
+                            return createElement('option', { key: i, value: i }, s.name + ' (' + s.rows.length + ' rows)');
+                        }))
+                    ),
+                    savedMappings.length > 0 && createElement('label', { className: "flex items-center gap-2" }, 'Saved mapping:',
+                        createElement('select', {
+                            value: mappingState.savedName,
+                            onChange: function(e) { applySaved(e.target.value); },
+                            className: selectClass
+                        }, [createElement('option', { key: '', value: '' }, '—')].concat(savedMappings.map(function(m) {
+                            return createElement('option', { key: m.name, value: m.name }, m.name);
+                        })))
+                    ),
+                    mappingState.savedName && createElement('button', {
+                        onClick: function() { deleteSaved(mappingState.savedName); },
+                        className: "text-xs text-red-500 hover:underline"
+                    }, 'Delete saved mapping')
+                ),
+
+                // Column mapping
+                createElement('div', { className: "overflow-auto flex-1 border border-gray-200 dark:border-gray-700 rounded mb-3" },
+                    createElement('table', { className: "w-full text-sm text-gray-800 dark:text-gray-200" },
+                        createElement('thead', { className: "bg-gray-50 dark:bg-gray-900 sticky top-0" },
+                            createElement('tr', null,
+                                createElement('th', { className: cellClass }, 'Column'),
+                                createElement('th', { className: cellClass }, 'First values'),
+                                createElement('th', { className: cellClass }, 'Import as')
+                            )
+                        ),
+                        createElement('tbody', null, sheet.headers.map(function(header) {
+                            var target = mapping[header] || '';
+                            var isCustom = target.indexOf(importMapping.CUSTOM_PREFIX) === 0;
+                            var samples = sheet.rows.slice(0, SAMPLE_ROWS).map(function(row) {
+                                return row[header] === undefined || row[header] === null ? '' : String(row[header]);
+                            }).filter(function(v) { return v !== ''; });
+
+                            return createElement('tr', { key: header },
+                                createElement('td', { className: cellClass + " font-medium whitespace-nowrap" }, header),
+                                createElement('td', { className: cellClass + " text-gray-500 dark:text-gray-400 max-w-[260px] truncate", title: samples.join(', ') },
+                                    samples.join(', ') || '—'),
+                                createElement('td', { className: cellClass + " whitespace-nowrap" },
+                                    createElement('select', {
+                                        value: isCustom ? 'custom' : target,
+                                        onChange: function(e) {
+                                            var value = e.target.value;
+                                            setTarget(header, value === 'custom' ? importMapping.CUSTOM_PREFIX + header.trim() : value);
+                                        },
+                                        className: selectClass + (duplicates.some(function(f) { return f.id === target; }) ? " border-amber-500" : "")
+                                    },
+                                        createElement('option', { value: '' }, '(ignore)'),
+                                        importMapping.FIELDS.map(function(field) {
+                                            return createElement('option', { key: field.id, value: field.id }, field.label);
+                                        }),
+                                        createElement('option', { value: 'custom' }, 'Custom field…')
+                                    ),
+                                    isCustom && createElement('input', {
+                                        type: 'text',
+                                        value: target.slice(importMapping.CUSTOM_PREFIX.length),
+                                        onChange: function(e) { setTarget(header, importMapping.CUSTOM_PREFIX + e.target.value); },
+                                        placeholder: 'Field name',
+                                        className: selectClass + " ml-2 w-36"
+                                    })
+                                )
+                            );
+                        }))
+                    )
+                ),
+
+                // Preview of mapped nodes
+                createElement('div', { className: "text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1" },
+                    'Preview (' + result.nodes.length + ' nodes' + (result.format === 'roots' ? ', roots format' : '') + ')'),
+                createElement('div', { className: "overflow-auto max-h-40 border border-gray-200 dark:border-gray-700 rounded mb-2" },
+                    createElement('table', { className: "w-full text-xs text-gray-800 dark:text-gray-200" },
+                        createElement('thead', { className: "bg-gray-50 dark:bg-gray-900" },
+                            createElement('tr', null, ['Group', 'Node', 'AI', 'Tier', 'Roots', 'Custom'].map(function(label) {
+                                return createElement('th', { key: label, className: cellClass }, label);
+                            }))
+                        ),
+                        createElement('tbody', null, result.nodes.slice(0, PREVIEW_ROWS).map(function(node, i) {
+                            var custom = node.Custom_Fields_xB || {};
+                            return createElement('tr', { key: i },
+                                createElement('td', { className: cellClass }, node.Group_xA),
+                                createElement('td', { className: cellClass }, node.Node_xA),
+                                createElement('td', { className: cellClass }, node.AI_Rank_xB),
+                                createElement('td', { className: cellClass }, node.Rank_xB),
+                                createElement('td', { className: cellClass },
+                                    [node.Root1_xB, node.Root2_xB, node.Root3_xB].filter(Boolean).join(', ')),
+                                createElement('td', { className: cellClass + " truncate max-w-[200px]" },
+                                    Object.keys(custom).map(function(k) { return k + ': ' + custom[k]; }).join('; '))
+                            );
+                        }))
+                    )
+                ),
+
+                // Problems
+                !hasName && createElement('p', { className: "text-xs text-red-500 mb-1" }, 'Map at least one column to Group or Node.'),
+                emptyCustom && createElement('p', { className: "text-xs text-red-500 mb-1" }, 'Custom fields need a name.'),
+                duplicates.length > 0 && createElement('p', { className: "text-xs text-amber-600 mb-1" },
+                    duplicates.map(function(f) { return f.label; }).join(', ') + ' mapped more than once - the first non-empty value is used.'),
+
+                createElement('div', { className: "flex items-center justify-between gap-3 mt-2" },
+                    createElement('label', { className: "flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300" },
+                        createElement('input', {
+                            type: 'checkbox',
+                            checked: remember,
+                            onChange: function(e) { setRemember(e.target.checked); }
+                        }),
+                        'Remember mapping as',
+                        createElement('input', {
+                            type: 'text',
+                            value: mappingName,
+                            onChange: function(e) { setMappingName(e.target.value); },
+                            disabled: !remember,
+                            className: selectClass + " w-44"
+                        })
+                    ),
+                    createElement('div', { className: "flex gap-2" },
+                        createElement('button', {
+                            onClick: props.onCancel,
+                            className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600"
+                        }, 'Cancel'),
+                        createElement('button', {
+                            onClick: handleImport,
+                            disabled: !canImport,
+                            className: "px-4 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        }, 'Import ' + result.nodes.length + ' nodes')
+                    )
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.ImportWizard = ImportWizard;
+
+})(window);
@@ -0,0 +1,146 @@
+/**
+ * Keyboard Help Component
+ *
+ * "?" overlay listing the grid keyboard bindings.
+ * Each binding can be remapped: click Change, then press the new key (Escape cancels).
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+    var useEffect = React.useEffect;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    /**
+     * Keyboard Help overlay
+     * Props: bindings, userLabel, onRebind(action, key), onReset, onClose
+     */
+    function KeyboardHelp(props) {
+        var keybindings = window.GraphApp.core.keybindings;
+        var bindings = props.bindings;
+
+        var _captureState = useState(null);
+        var capturing = _captureState[0];  // Action waiting for a new key
+        var setCapturing = _captureState[1];
+
+        // Capture the next key press before the app's shortcut handlers see it
+        useEffect(function() {
+            if (!capturing) return;
+            var handleCapture = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                // Shift etc. on their own: wait for the key they modify (e.g. "?")
+                if (keybindings.MODIFIER_KEYS.indexOf(e.key) !== -1) return;
+                if (e.key !== 'Escape') {
+                    props.onRebind(capturing, e.key);
+                }
+                setCapturing(null);
+            };
+            window.addEventListener('keydown', handleCapture, true);
+            return function() { window.removeEventListener('keydown', handleCapture, true); };
+        }, [capturing]);
+
+        var keyStyle = {
+            display: 'inline-block',
+            minWidth: '22px',
+            padding: '2px 6px',
+            marginRight: '4px',
+            fontSize: '12px',
+            fontFamily: 'monospace',
+            textAlign: 'center',
+            border: '1px solid var(--border-secondary)',
+            borderBottomWidth: '2px',
+            borderRadius: '4px',
+            backgroundColor: 'var(--bg-tertiary)',
+            color: 'var(--text-primary)'
+        };
+
+        var linkStyle = {
+            fontSize: '11px',
+            padding: 0,
+            border: 'none',
+            background: 'none',
+            color: 'var(--accent-primary)',
+            cursor: 'pointer'
+        };
+
+        return createElement('div', {
+            style: {
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                backgroundColor: 'rgba(0,0,0,0.5)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 1000
+            },
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onClose();
+            }
+        },
+            createElement('div', {
+                style: {
+                    backgroundColor: 'var(--bg-primary)',
+                    color: 'var(--text-primary)',
+                    borderRadius: '12px',
+                    padding: '24px',
+                    width: '460px',
+                    maxWidth: '95vw',
+                    maxHeight: '85vh',
+                    overflow: 'auto',
+                    boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+                }
+            },
+                createElement('div', { style: { fontSize: '18px', fontWeight: '700', marginBottom: '4px' } }, 'Keyboard Shortcuts'),
+                createElement('div', { style: { fontSize: '12px', color: 'var(--text-muted)', marginBottom: '12px' } },
+                    'Saved for ' + props.userLabel + '. Shortcuts are ignored while typing in a field.'),
+
+                keybindings.ACTIONS.map(function(action) {
+                    var keys = bindings[action.id] || [];
+                    return createElement('div', {
+                        key: action.id,
+                        style: { display: 'flex', alignItems: 'center', gap: '8px', padding: '5px 0', borderBottom: '1px solid var(--border-primary)', fontSize: '13px' }
+                    },
+                        createElement('span', { style: { flex: 1 } }, action.label),
+                        capturing === action.id
+                            ? createElement('span', { style: { fontSize: '12px', color: 'var(--accent-primary)', fontStyle: 'italic' } }, 'Press a key…')
+                            : createElement('span', null,
+                                keys.length > 0
+                                    ? keys.map(function(key) {
+                                        return createElement('kbd', { key: key, style: keyStyle }, keybindings.formatKey(key));
+                                    })
+                                    : createElement('span', { style: { fontSize: '12px', color: 'var(--text-muted)' } }, 'unbound')
+                            ),
+                        createElement('button', {
+                            style: linkStyle,
+                            onClick: function() { setCapturing(capturing === action.id ? null : action.id); }
+                        }, capturing === action.id ? 'Cancel' : 'Change')
+                    );
+                }),
+
+                createElement('div', { style: { display: 'flex', justifyContent: 'space-between', marginTop: '16px' } },
+                    createElement('button', {
+                        onClick: props.onReset,
+                        style: { padding: '8px 14px', fontSize: '13px', border: '1px solid var(--border-secondary)', borderRadius: '6px', backgroundColor: 'var(--bg-primary)', color: 'var(--text-secondary)', cursor: 'pointer' }
+                    }, 'Reset to defaults'),
+                    createElement('button', {
+                        onClick: props.onClose,
+                        style: { padding: '8px 14px', fontSize: '13px', fontWeight: '600', border: 'none', borderRadius: '6px', backgroundColor: '#3B82F6', color: '#FFFFFF', cursor: 'pointer' }
+                    }, 'Close')
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.KeyboardHelp = KeyboardHelp;
+
+})(window);
@@ -0,0 +1,151 @@
+/**
+ * Merge Dialog Component
+ *
+ * Preview for "Import & merge": match summary, conflict table and resolution rule.
+ * Applying returns the chosen options; app.js performs the merge as one undo step.
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    var TIER_LABELS = { 0: 'Blocked', 1: 'T1', 2: 'T2', 3: 'T3' };
+
+    var formatTier = function(score) {
+        return score === '' || score === undefined || score === null ? '—' : TIER_LABELS[score];
+    };
+
+    /**
+     * Merge Dialog
+     * Props: fileName, plan (from core.merge.buildMergePlan), nodes (current), onApply(options), onCancel
+     */
+    function MergeDialog(props) {
+        var plan = props.plan;
+        var nodes = props.nodes;
+        var merge = window.GraphApp.core.merge;
+
+        var _useState = useState(plan.conflicts > 0 ? 'ask' : 'mine');
+        var rule = _useState[0];
+        var setRule = _useState[1];
+
+        var _useState2 = useState({});
+        var choices = _useState2[0];
+        var setChoices = _useState2[1];
+
+        var _useState3 = useState(true);
+        var includeAdded = _useState3[0];
+        var setIncludeAdded = _useState3[1];
+
+        var conflicts = plan.matched.filter(function(m) { return m.conflict; });
+        var filled = plan.matched.filter(function(m) { return m.mineScore === '' && m.theirsScore !== ''; }).length;
+
+        var setChoice = function(index, choice) {
+            setChoices(function(prev) {
+                var next = Object.assign({}, prev);
+                next[index] = choice;
+                return next;
+            });
+        };
+
+        var cellClass = "px-2 py-1 border-b border-gray-200 dark:border-gray-700";
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onCancel();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[720px] max-w-[95vw] max-h-[85vh] flex flex-col"
+            },
+                createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1" }, 'Merge "' + props.fileName + '"'),
+                createElement('p', { className: "text-sm text-gray-600 dark:text-gray-400 mb-4" },
+                    plan.matched.length + ' matched · ' + filled + ' new ratings · ' +
+                    plan.conflicts + ' conflicts · ' + plan.added.length + ' not in current data'
+                ),
+
+                createElement('div', { className: "flex items-center gap-3 mb-3 text-sm text-gray-700 dark:text-gray-300" },
+                    createElement('label', null, 'When tiers disagree:'),
+                    createElement('select', {
+                        value: rule,
+                        onChange: function(e) { setRule(e.target.value); },
+                        disabled: plan.conflicts === 0,
+                        className: "px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+                    }, Object.keys(merge.RESOLUTION_RULES).map(function(key) {
+                        return createElement('option', { key: key, value: key }, merge.RESOLUTION_RULES[key]);
+                    })),
+                    createElement('label', { className: "flex items-center gap-1 ml-auto" },
+                        createElement('input', {
+                            type: 'checkbox',
+                            checked: includeAdded,
+                            disabled: plan.added.length === 0,
+                            onChange: function(e) { setIncludeAdded(e.target.checked); }
+                        }),
+                        'Add ' + plan.added.length + ' unmatched rows'
+                    )
+                ),
+
+                conflicts.length > 0
+                    ? createElement('div', { className: "overflow-auto flex-1 border border-gray-200 dark:border-gray-700 rounded" },
+                        createElement('table', { className: "w-full text-sm text-gray-800 dark:text-gray-200" },
+                            createElement('thead', { className: "bg-gray-50 dark:bg-gray-900 sticky top-0" },
+                                createElement('tr', null,
+                                    createElement('th', { className: cellClass + " text-left" }, 'Class'),
+                                    createElement('th', { className: cellClass + " text-left" }, 'Candidate'),
+                                    createElement('th', { className: cellClass }, 'Mine'),
+                                    createElement('th', { className: cellClass }, 'Theirs'),
+                                    createElement('th', { className: cellClass }, 'Result')
+                                )
+                            ),
+                            createElement('tbody', null, conflicts.map(function(m) {
+                                var node = nodes[m.index];
+                                var choice = choices[m.index] || 'mine';
+                                var result = merge.resolveScore(m.mineScore, m.theirsScore, rule, choice);
+                                var pickButton = function(side, score) {
+                                    var active = rule === 'ask' && choice === side;
+                                    return createElement('button', {
+                                        onClick: function() { setChoice(m.index, side); },
+                                        disabled: rule !== 'ask',
+                                        className: "px-2 py-0.5 rounded " + (active
+                                            ? "bg-blue-500 text-white"
+                                            : "bg-gray-100 dark:bg-gray-700 " + (rule === 'ask' ? "hover:bg-gray-200 dark:hover:bg-gray-600" : "cursor-default"))
+                                    }, formatTier(score));
+                                };
+                                return createElement('tr', { key: m.index },
+                                    createElement('td', { className: cellClass }, window.GraphApp.utils.getBaseGroup(node.Group_xA)),
+                                    createElement('td', { className: cellClass + " font-medium" }, node.Node_xA),
+                                    createElement('td', { className: cellClass + " text-center" }, pickButton('mine', m.mineScore)),
+                                    createElement('td', { className: cellClass + " text-center" }, pickButton('theirs', m.theirsScore)),
+                                    createElement('td', { className: cellClass + " text-center font-semibold" }, formatTier(result))
+                                );
+                            }))
+                        )
+                    )
+                    : createElement('p', { className: "text-sm text-gray-500 dark:text-gray-400 py-4" }, 'No conflicting ratings.'),
+
+                createElement('div', { className: "flex justify-end gap-2 mt-4" },
+                    createElement('button', {
+                        onClick: props.onCancel,
+                        className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
+                    }, 'Cancel'),
+                    createElement('button', {
+                        onClick: function() {
+                            props.onApply({ rule: rule, choices: choices, includeAdded: includeAdded });
+                        },
+                        className: "px-4 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600"
+                    }, 'Merge')
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.MergeDialog = MergeDialog;
+
+})(window);
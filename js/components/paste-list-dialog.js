@@ -0,0 +1,99 @@
+/**
+ * Paste List Dialog Component
+ *
+ * Shown when a bare list of names is pasted: pick the class (existing or new)
+ * the names are added to. app.js skips names that already exist.
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    var PREVIEW_NAMES = 12;
+    var NEW_CLASS = '__new__';
+
+    /**
+     * Paste List Dialog
+     * Props: names, classes (existing base groups), defaultClass, classLabel ('class' | 'group'),
+     *        onAdd(className), onCancel
+     */
+    function PasteListDialog(props) {
+        var names = props.names;
+
+        var _classState = useState(props.classes.indexOf(props.defaultClass) >= 0 ? props.defaultClass : (props.classes[0] || NEW_CLASS));
+        var selected = _classState[0];
+        var setSelected = _classState[1];
+
+        var _newState = useState('');
+        var newClass = _newState[0];
+        var setNewClass = _newState[1];
+
+        var className = selected === NEW_CLASS ? newClass.trim() : selected;
+        var inputClass = "px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200";
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onCancel();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[440px] max-w-[95vw] max-h-[85vh] flex flex-col"
+            },
+                createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1" },
+                    'Add ' + names.length + ' pasted name' + (names.length === 1 ? '' : 's')),
+                createElement('p', { className: "text-sm text-gray-600 dark:text-gray-400 mb-3 truncate", title: names.join(', ') },
+                    names.slice(0, PREVIEW_NAMES).join(', ') + (names.length > PREVIEW_NAMES ? ', …' : '')),
+
+                createElement('label', { className: "flex items-center gap-2 mb-2 text-sm text-gray-700 dark:text-gray-300" },
+                    'Add to ' + props.classLabel + ':',
+                    createElement('select', {
+                        value: selected,
+                        onChange: function(e) { setSelected(e.target.value); },
+                        className: inputClass + " flex-1"
+                    },
+                        props.classes.map(function(c) {
+                            return createElement('option', { key: c, value: c }, c);
+                        }),
+                        createElement('option', { value: NEW_CLASS }, 'New ' + props.classLabel + '…')
+                    )
+                ),
+                selected === NEW_CLASS && createElement('input', {
+                    type: 'text',
+                    value: newClass,
+                    autoFocus: true,
+                    placeholder: 'Name of the new ' + props.classLabel,
+                    onChange: function(e) { setNewClass(e.target.value); },
+                    onKeyDown: function(e) {
+                        if (e.key === 'Enter' && className) props.onAdd(className);
+                    },
+                    className: inputClass + " mb-2"
+                }),
+                createElement('p', { className: "text-xs text-gray-500 dark:text-gray-400 mb-4" },
+                    'Names already in this ' + props.classLabel + ' are skipped.'),
+
+                createElement('div', { className: "flex justify-end gap-2" },
+                    createElement('button', {
+                        onClick: props.onCancel,
+                        className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600"
+                    }, 'Cancel'),
+                    createElement('button', {
+                        onClick: function() { props.onAdd(className); },
+                        disabled: !className,
+                        className: "px-4 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    }, 'Add')
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.PasteListDialog = PasteListDialog;
+
+})(window);
@@ -0,0 +1,216 @@
+/**
+ * Template Export Dialog Component
+ *
+ * Markdown / plain-text export: pick a built-in or saved template, edit it,
+ * preview the output and download it or copy it to the clipboard.
+ * Edited templates can be saved by name (core.exportTemplates).
+ */
+
+(function(window) {
+    'use strict';
+
+    var createElement = React.createElement;
+    var useState = React.useState;
+    var useMemo = React.useMemo;
+
+    // Ensure namespace exists
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.components = window.GraphApp.components || {};
+
+    var BUILT_IN_PREFIX = 'builtin:';
+    var SAVED_PREFIX = 'saved:';
+    var PREVIEW_CHARS = 5000;
+
+    /**
+     * Template Export Dialog
+     * Props: nodes, blockedRoots, title (report title), fileBaseName,
+     *        onDownload(text, filename), onCopy(text), onClose
+     */
+    function TemplateExportDialog(props) {
+        var exportTemplates = window.GraphApp.core.exportTemplates;
+        var builtIns = exportTemplates.BUILT_IN_TEMPLATES;
+
+        var _savedState = useState(function() { return exportTemplates.loadTemplates(); });
+        var savedTemplates = _savedState[0];
+        var setSavedTemplates = _savedState[1];
+
+        var _selectedState = useState(BUILT_IN_PREFIX + builtIns[0].id);
+        var selected = _selectedState[0];
+        var setSelected = _selectedState[1];
+
+        var _bodyState = useState(builtIns[0].body);
+        var body = _bodyState[0];
+        var setBody = _bodyState[1];
+
+        var _extensionState = useState(builtIns[0].extension);
+        var extension = _extensionState[0];
+        var setExtension = _extensionState[1];
+
+        var _shortlistState = useState(true);
+        var shortlistOnly = _shortlistState[0];
+        var setShortlistOnly = _shortlistState[1];
+
+        var _nameState = useState('');
+        var saveName = _nameState[0];
+        var setSaveName = _nameState[1];
+
+        var rendered = useMemo(function() {
+            try {
+                return {
+                    text: exportTemplates.renderTemplate(body, props.nodes, props.blockedRoots, {
+                        title: props.title,
+                        shortlistOnly: shortlistOnly
+                    }),
+                    error: ''
+                };
+            } catch (e) {
+                return { text: '', error: e.message };
+            }
+        }, [body, shortlistOnly, props.nodes, props.blockedRoots, props.title]);
+
+        var selectTemplate = function(value) {
+            var template = value.indexOf(BUILT_IN_PREFIX) === 0
+                ? builtIns.find(function(t) { return BUILT_IN_PREFIX + t.id === value; })
+                : savedTemplates.find(function(t) { return SAVED_PREFIX + t.name === value; });
+            if (!template) return;
+            setSelected(value);
+            setBody(template.body);
+            setExtension(template.extension || 'txt');
+            setSaveName(value.indexOf(SAVED_PREFIX) === 0 ? template.name : '');
+        };
+
+        var handleSave = function() {
+            var name = saveName.trim();
+            if (!name) return;
+            var updated = exportTemplates.saveTemplate({ name: name, extension: extension, body: body });
+            if (!updated) {
+                alert('Could not save the template (browser storage is full or unavailable).');
+                return;
+            }
+            setSavedTemplates(updated);
+            setSelected(SAVED_PREFIX + name);
+        };
+
+        var handleDelete = function() {
+            var name = selected.slice(SAVED_PREFIX.length);
+            setSavedTemplates(exportTemplates.deleteTemplate(name));
+            setSaveName('');
+            setSelected(BUILT_IN_PREFIX + builtIns[0].id);
+            setBody(builtIns[0].body);
+            setExtension(builtIns[0].extension);
+        };
+
+        var isSaved = selected.indexOf(SAVED_PREFIX) === 0;
+        var canExport = !rendered.error && rendered.text.trim() !== '';
+        var inputClass = "px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200";
+        var secondaryButton = "px-3 py-1 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed";
+
+        return createElement('div', {
+            className: "fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center",
+            onMouseDown: function(e) {
+                if (e.target === e.currentTarget) props.onClose();
+            }
+        },
+            createElement('div', {
+                className: "bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-[900px] max-w-[95vw] max-h-[90vh] flex flex-col"
+            },
+                createElement('h2', { className: "text-lg font-semibold text-gray-900 dark:text-gray-100 mb-3" }, 'Export with template'),
+
+                createElement('div', { className: "flex flex-wrap items-center gap-3 mb-3 text-sm text-gray-700 dark:text-gray-300" },
+                    createElement('select', {
+                        value: selected,
+                        onChange: function(e) { selectTemplate(e.target.value); },
+                        className: inputClass
+                    },
+                        createElement('optgroup', { label: 'Built-in' }, builtIns.map(function(t) {
+                            return createElement('option', { key: t.id, value: BUILT_IN_PREFIX + t.id }, t.name);
+                        })),
+                        savedTemplates.length > 0 && createElement('optgroup', { label: 'Saved' }, savedTemplates.map(function(t) {
+                            return createElement('option', { key: t.name, value: SAVED_PREFIX + t.name }, t.name);
+                        }))
+                    ),
+                    isSaved && createElement('button', {
+                        onClick: handleDelete,
+                        className: "text-xs text-red-500 hover:underline"
+                    }, 'Delete'),
+                    createElement('label', { className: "flex items-center gap-1" },
+                        'Save as',
+                        createElement('select', {
+                            value: extension,
+                            onChange: function(e) { setExtension(e.target.value); },
+                            className: inputClass
+                        },
+                            createElement('option', { value: 'md' }, 'Markdown (.md)'),
+                            createElement('option', { value: 'txt' }, 'Text (.txt)')
+                        )
+                    ),
+                    createElement('label', { className: "flex items-center gap-1" },
+                        createElement('input', {
+                            type: 'checkbox',
+                            checked: shortlistOnly,
+                            onChange: function(e) { setShortlistOnly(e.target.checked); }
+                        }),
+                        'Tier 2/3 only'
+                    )
+                ),
+
+                createElement('div', { className: "grid grid-cols-2 gap-3 flex-1 min-h-0 mb-3" },
+                    createElement('div', { className: "flex flex-col min-h-0" },
+                        createElement('div', { className: "text-xs text-gray-500 dark:text-gray-400 mb-1" },
+                            'Template: {{#groups}}…{{/groups}}, {{#candidates}}…{{/candidates}}, {{Node}}, {{Tier}}, {{Roots}}, {{Node_Info}}'),
+                        createElement('textarea', {
+                            value: body,
+                            onChange: function(e) { setBody(e.target.value); },
+                            spellCheck: false,
+                            className: inputClass + " font-mono text-xs flex-1 min-h-[280px] resize-none"
+                        })
+                    ),
+                    createElement('div', { className: "flex flex-col min-h-0" },
+                        createElement('div', { className: "text-xs text-gray-500 dark:text-gray-400 mb-1" }, 'Preview'),
+                        rendered.error
+                            ? createElement('div', { className: "text-sm text-red-600 dark:text-red-400 p-2 border border-red-200 rounded" }, rendered.error)
+                            : createElement('pre', {
+                                className: "flex-1 min-h-[280px] overflow-auto p-2 text-xs bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-700 rounded whitespace-pre-wrap"
+                            }, rendered.text.length > PREVIEW_CHARS ? rendered.text.slice(0, PREVIEW_CHARS) + '\n…' : rendered.text)
+                    )
+                ),
+
+                createElement('div', { className: "flex items-center gap-2 mb-4" },
+                    createElement('input', {
+                        type: 'text',
+                        value: saveName,
+                        placeholder: 'Template name',
+                        onChange: function(e) { setSaveName(e.target.value); },
+                        className: inputClass + " w-56"
+                    }),
+                    createElement('button', {
+                        onClick: handleSave,
+                        disabled: !saveName.trim() || !!rendered.error,
+                        className: secondaryButton
+                    }, 'Save template')
+                ),
+
+                createElement('div', { className: "flex justify-end gap-2" },
+                    createElement('button', {
+                        onClick: props.onClose,
+                        className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600"
+                    }, 'Close'),
+                    createElement('button', {
+                        onClick: function() { props.onCopy(rendered.text); },
+                        disabled: !canExport,
+                        className: "px-4 py-2 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    }, 'Copy'),
+                    createElement('button', {
+                        onClick: function() { props.onDownload(rendered.text, (props.fileBaseName || 'shortlist') + '.' + extension); },
+                        disabled: !canExport,
+                        className: "px-4 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    }, 'Download')
+                )
+            )
+        );
+    }
+
+    // Export to namespace
+    window.GraphApp.components.TemplateExportDialog = TemplateExportDialog;
+
+})(window);
@@ -3,7 +3,7 @@
  * Centralized configuration values used across multiple modules
  *
  * NOTE: This file must be loaded BEFORE modules that use these constants
- * (evaluation-engine.js, cytoscape-renderer.js)
+ * (evaluation-engine.js, excel-handler.js, import-mapping.js)
  */
 
 (function(window) {
@@ -17,6 +17,16 @@
             CELL_WIDTH: 200,     // Cell width in model units
             CELL_HEIGHT: 200,    // Cell height in model units (taller for vertical layout)
             CELL_SPACING: 12     // Spacing between cells
+        },
+
+        // Excel workbook sheet names (export writes all four, import reads them back)
+        workbook: {
+            SHEETS: {
+                candidates: 'Candidates',
+                roots: 'Roots',
+                classes: 'Classes',
+                history: 'History'
+            }
         }
     };
 
@@ -0,0 +1,124 @@
+/**
+ * AI Candidates Module
+ * Coins new candidate names from selected roots with the configured LLM provider
+ *
+ * Usage:
+ * - pickRoots() chooses the roots to send (not blocked, highest engagement first, at most MAX_ROOTS)
+ * - buildGenerationRequest() asks for a delta ADD operation (the AI chat's JSON format),
+ *   so the reply goes through the app's parseAIResponse / applyDeltaOperations
+ * - prepareAddOperation() cleans the reply: each candidate's classes come from its roots,
+ *   names already in the data (or repeated) are dropped and the list is cut to the count asked for
+ */
+
+(function(window) {
+    'use strict';
+
+    const MAX_ROOTS = 80;
+    const EXTRA_FRACTION = 0.25;  // Ask for more than needed; duplicates are dropped afterwards
+    const TOKENS_PER_CANDIDATE = 80;  // Reply budget per requested name (one JSON node)
+    const BASE_TOKENS = 500;          // Code fence, summary and slack
+
+    const normalizeName = name => String(name || '').trim().toLowerCase();
+
+    /**
+     * Roots to generate from
+     * @param {Array} rootNodes - Root nodes (Node_xA = root, Group_xA = class, AI_Rank_xB = engagement)
+     * @param {Set} blockedRoots - Blocked root names
+     * @returns {Object} { roots: up to MAX_ROOTS nodes, highest engagement first, omitted: usable roots left out }
+     */
+    const pickRoots = function(rootNodes, blockedRoots) {
+        const usable = rootNodes
+            .filter(node => node.Node_xA && node.AI_Rank_xB !== 0 && !(blockedRoots && blockedRoots.has(node.Node_xA)))
+            .sort((a, b) => (Number(b.AI_Rank_xB) || 0) - (Number(a.AI_Rank_xB) || 0));
+        return { roots: usable.slice(0, MAX_ROOTS), omitted: Math.max(0, usable.length - MAX_ROOTS) };
+    };
+
+    /**
+     * Request asking for new candidates as a delta ADD operation
+     * @param {Array} roots - From pickRoots
+     * @param {Object} options - { count, instructions (optional user guidance) }
+     * @returns {Object} { system, messages, maxTokens } for llmProviders.sendChat (the budget grows with the count)
+     */
+    const buildGenerationRequest = function(roots, options) {
+        const asked = options.count + Math.ceil(options.count * EXTRA_FRACTION);
+        const rootList = roots.map(node => {
+            const engagement = node.AI_Rank_xB === '' || node.AI_Rank_xB === undefined ? '' : ` [engagement ${node.AI_Rank_xB}]`;
+            return `- ${node.Node_xA} (class: ${node.Group_xA})${engagement}`;
+        }).join('\n');
+
+        return {
+            system: [
+                'You coin new candidate names by combining and adapting roots.',
+                'Each candidate is built from 1 to 3 of the given roots; list them as Root1_xB-Root3_xB with',
+                'the class of each root in Class1_xB-Class3_xB. Group_xA is the class of Root1_xB.',
+                'Prefer roots with higher engagement. Names must be new and distinct from each other.',
+                '',
+                'Reply with only this JSON in a ```json code block:',
+                '{"operations": [{"op": "ADD", "nodes": [{"Group_xA": "...", "Node_xA": "...", "Root1_xB": "...", "Class1_xB": "...",',
+                '"Root2_xB": "", "Class2_xB": "", "Root3_xB": "", "Class3_xB": ""}]}], "summary": "..."}'
+            ].join('\n'),
+            messages: [{
+                role: 'user',
+                content: `Coin ${asked} new candidate names from these roots:\n${rootList}` +
+                    (options.instructions ? `\n\nGuidance: ${options.instructions}` : '')
+            }],
+            maxTokens: BASE_TOKENS + TOKENS_PER_CANDIDATE * asked
+        };
+    };
+
+    /**
+     * Turn a parsed AI reply into one ADD operation of new, unranked candidates
+     * @param {Object} parsed - parseAIResponse result
+     * @param {Array} roots - Roots that were sent
+     * @param {Array} nodes - Current nodes (for de-duplication)
+     * @param {number} count - Maximum number of candidates
+     * @returns {Object} { operation: { op: 'ADD', nodes }, duplicates: number }
+     * @throws {Error} When the reply contains no candidates
+     */
+    const prepareAddOperation = function(parsed, roots, nodes, count) {
+        const proposed = parsed.type === 'delta'
+            ? [].concat(...parsed.operations.filter(op => op.op === 'ADD' && Array.isArray(op.nodes)).map(op => op.nodes))
+            : [];
+        if (proposed.length === 0) {
+            throw new Error('The AI did not return any candidates. Try again or add guidance.');
+        }
+
+        const classOfRoot = new Map(roots.map(node => [normalizeName(node.Node_xA), node]));
+        const taken = new Set(nodes.map(node => normalizeName(node.Node_xA)));
+        const candidates = [];
+        let duplicates = 0;
+
+        proposed.forEach(candidate => {
+            const name = String(candidate.Node_xA || '').trim();
+            if (!name || candidates.length >= count) return;
+            if (taken.has(normalizeName(name))) {
+                duplicates++;
+                return;
+            }
+            taken.add(normalizeName(name));
+
+            const node = { Node_xA: name, Rank_xB: '', AI_Rank_xB: '' };
+            [1, 2, 3].forEach(i => {
+                const root = classOfRoot.get(normalizeName(candidate[`Root${i}_xB`]));
+                // Use the spelling and class from the data when the root is known
+                node[`Root${i}_xB`] = root ? root.Node_xA : String(candidate[`Root${i}_xB`] || '').trim();
+                node[`Class${i}_xB`] = root ? root.Group_xA : String(candidate[`Class${i}_xB`] || '').trim();
+            });
+            node.Group_xA = node.Class1_xB || String(candidate.Group_xA || '').trim() || 'AI Candidates';
+            candidates.push(node);
+        });
+
+        return { operation: { op: 'ADD', nodes: candidates }, duplicates };
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.aiCandidates = {
+        MAX_ROOTS,
+        pickRoots,
+        buildGenerationRequest,
+        prepareAddOperation
+    };
+
+})(window);
@@ -0,0 +1,183 @@
+/**
+ * AI Proposals Module
+ * Turns AI delta operations into a reviewable proposal instead of applying them directly
+ *
+ * Usage:
+ * - buildProposal() previews each operation (before / after) so the user can pick which to apply
+ * - Operations are previewed in order, each against the result of the ones before it,
+ *   using the app's own applier (applyDeltaOperations), so previews match what gets applied
+ * - splitOperations() separates the leading non-destructive operations (ADD, CONNECT to an
+ *   unlinked node) for the optional auto-apply setting; everything from the first destructive
+ *   operation on still needs approval, so operations are always applied in the model's order
+ */
+
+(function(window) {
+    'use strict';
+
+    const AUTO_APPLY_STORAGE = 'haystack_ai_auto_apply';
+    const MAX_DETAILS = 5;  // Preview lines per operation
+
+    const findNode = (nodes, id) => nodes.find(n => n.ID_xA === id);
+    const show = value => (value === undefined || value === null || value === '') ? '(empty)' : String(value);
+
+    /**
+     * Whether an operation removes or overwrites existing data
+     * @param {Object} op - Delta operation
+     * @param {Array} nodes - Nodes the operation would be applied to
+     * @returns {boolean}
+     */
+    const isDestructive = function(op, nodes) {
+        if (op.op === 'ADD') return false;
+        if (op.op === 'CONNECT') {
+            const from = findNode(nodes, op.from);
+            return !!(from && from.Linked_Node_ID_xA);
+        }
+        return true;
+    };
+
+    // Label and before/after lines for one operation
+    const describe = function(op, before, after) {
+        switch (op.op) {
+            case 'ADD': {
+                const added = after.slice(before.length);
+                return {
+                    label: `Add ${added.length} node(s)`,
+                    details: added.map(n => ({ before: '', after: n.ID_xA })),
+                    matched: added.length > 0
+                };
+            }
+            case 'DELETE': {
+                const ids = new Set(op.ids || []);
+                const removed = before.filter(n => ids.has(n.ID_xA));
+                const unlinked = after.filter(n => !ids.has(n.ID_xA) && ids.has(n.Linked_Node_ID_xA)).length;
+                return {
+                    label: `Delete ${removed.length} node(s)` + (unlinked ? `, clearing ${unlinked} link(s)` : ''),
+                    details: removed.map(n => ({ before: n.ID_xA, after: '(deleted)' })),
+                    matched: removed.length > 0
+                };
+            }
+            case 'UPDATE': {
+                const index = before.findIndex(n => n.ID_xA === op.id);
+                if (index === -1) return { label: `Update ${op.id}`, details: [], matched: false };
+                const oldNode = before[index];
+                const newNode = after[index];
+                const keys = Object.keys(op.changes || {}).filter(key => key !== 'ID_xA');
+                if (newNode.ID_xA !== oldNode.ID_xA) keys.push('ID_xA');
+                return {
+                    label: `Update ${op.id}`,
+                    details: keys
+                        .filter(key => show(oldNode[key]) !== show(newNode[key]))
+                        .map(key => ({ field: key, before: show(oldNode[key]), after: show(newNode[key]) })),
+                    matched: true
+                };
+            }
+            case 'RENAME_GROUP': {
+                const count = before.filter(n => n.Group_xA === op.from).length;
+                return {
+                    label: `Rename group "${op.from}" (${count} nodes)`,
+                    details: [{ field: 'Group_xA', before: op.from, after: op.to }],
+                    matched: count > 0
+                };
+            }
+            case 'CONNECT': {
+                const from = findNode(before, op.from);
+                return {
+                    label: `Connect ${op.from} → ${op.to}`,
+                    details: from ? [{ field: 'Linked_Node_ID_xA', before: show(from.Linked_Node_ID_xA), after: op.to }] : [],
+                    matched: !!from
+                };
+            }
+            case 'DISCONNECT': {
+                const node = findNode(before, op.id);
+                return {
+                    label: `Disconnect ${op.id}`,
+                    details: node ? [{ field: 'Linked_Node_ID_xA', before: show(node.Linked_Node_ID_xA), after: '(empty)' }] : [],
+                    matched: !!node
+                };
+            }
+            default:
+                return { label: `Unknown operation ${op.op}`, details: [], matched: false };
+        }
+    };
+
+    /**
+     * Preview a list of delta operations
+     * @param {Array} operations - Delta operations from the AI response
+     * @param {Array} nodes - Current nodes
+     * @param {Function} applyOperations - (operations, nodes) => { nodes, changes }
+     * @returns {Array} [{ operation, label, details: [{ field, before, after }], moreDetails,
+     *                     destructive, matched, selected }] - unmatched operations start unselected
+     */
+    const buildProposal = function(operations, nodes, applyOperations) {
+        let current = nodes;
+        return operations.map(operation => {
+            const next = applyOperations([operation], current).nodes;
+            const description = describe(operation, current, next);
+            const item = {
+                operation,
+                label: description.label,
+                details: description.details.slice(0, MAX_DETAILS),
+                moreDetails: Math.max(0, description.details.length - MAX_DETAILS),
+                destructive: isDestructive(operation, current),
+                matched: description.matched,
+                selected: description.matched
+            };
+            current = next;
+            return item;
+        });
+    };
+
+    /**
+     * Split operations into those that can be auto-applied and those needing review.
+     * Only the non-destructive operations before the first destructive one are safe, so
+     * applying safe then review keeps the original order (later operations may depend on earlier ones).
+     * Each operation is checked against the result of the ones before it, so a second CONNECT
+     * from a node the first one just linked counts as an overwrite
+     * @param {Array} operations - Delta operations
+     * @param {Array} nodes - Current nodes
+     * @param {Function} applyOperations - (operations, nodes) => { nodes, changes }
+     * @returns {Object} { safe: Array, review: Array }
+     */
+    const splitOperations = function(operations, nodes, applyOperations) {
+        let current = nodes;
+        let cut = 0;
+        while (cut < operations.length && !isDestructive(operations[cut], current)) {
+            current = applyOperations([operations[cut]], current).nodes;
+            cut++;
+        }
+        return { safe: operations.slice(0, cut), review: operations.slice(cut) };
+    };
+
+    /**
+     * Auto-apply setting
+     * @returns {boolean} Whether non-destructive operations are applied without review
+     */
+    const loadAutoApply = function() {
+        try {
+            return localStorage.getItem(AUTO_APPLY_STORAGE) === 'true';
+        } catch (e) {
+            console.warn('Failed to load AI auto-apply setting', e);
+            return false;
+        }
+    };
+
+    const saveAutoApply = function(enabled) {
+        try {
+            localStorage.setItem(AUTO_APPLY_STORAGE, enabled ? 'true' : 'false');
+        } catch (e) {
+            console.warn('Failed to save AI auto-apply setting', e);
+        }
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.aiProposals = {
+        isDestructive,
+        buildProposal,
+        splitOperations,
+        loadAutoApply,
+        saveAutoApply
+    };
+
+})(window);
@@ -0,0 +1,307 @@
+/**
+ * AI Scoring Module
+ * Fills AI_Rank_xB (0-100) for candidates by asking the configured LLM provider in batches
+ *
+ * Usage:
+ * - createJob() picks the candidates to score; runScoring() works through them in batches
+ *   of BATCH_SIZE, calling onBatch with the scores of each finished batch
+ * - The job (candidates still to score) is kept in localStorage per project after every batch,
+ *   so a run that was stopped, failed or interrupted by a reload can be resumed with loadJob()
+ * - Candidates are tracked by base group + name (candidateKey), which survives rating
+ *   (rating changes the group suffix and so ID_xA)
+ * - Requests are spaced by MIN_INTERVAL_MS; rate-limit (429) and server (5xx) errors wait
+ *   (Retry-After, else exponential backoff) and retry the batch
+ * - The rubric is the skill's scoring section (a heading containing "Scoring" or "Rubric"),
+ *   or DEFAULT_RUBRIC when the skill has none
+ * - applyScores() writes the score and a one-line rationale into Node_Info
+ */
+
+(function(window) {
+    'use strict';
+
+    const JOB_STORAGE = 'haystack_ai_scoring_job';
+    const BATCH_SIZE = 20;
+    const MIN_INTERVAL_MS = 1500;
+    const MAX_RETRIES = 4;
+    const BACKOFF_MS = 10000;
+    const RATIONALE_PREFIX = 'AI rationale: ';
+    const MAX_INFO_CHARS = 200;  // Existing Node_Info sent as context, per candidate
+
+    const DEFAULT_RUBRIC = [
+        'Score each candidate name from 0 to 100 for how strong it is as a name in its class:',
+        '- 80-100: distinctive, memorable, easy to say and spell, fits the class well',
+        '- 50-79: solid but with a clear weakness (generic, long, awkward sound)',
+        '- 20-49: weak; confusing, hard to pronounce or a poor fit',
+        '- 0-19: unusable (offensive, misleading, clashes with a well-known name)'
+    ].join('\n');
+
+    /**
+     * Stable identity of a candidate: unlike ID_xA it doesn't change when the candidate is rated
+     * @param {Object} node
+     * @returns {string} Base group + '-' + Node_xA
+     */
+    const candidateKey = function(node) {
+        return window.GraphApp.utils.getBaseGroup(node.Group_xA) + '-' + node.Node_xA;
+    };
+
+    /**
+     * Whether a node still needs an AI score
+     * @param {Object} node
+     * @returns {boolean}
+     */
+    const isUnscored = function(node) {
+        return node.AI_Rank_xB === '' || node.AI_Rank_xB === undefined || node.AI_Rank_xB === null;
+    };
+
+    /**
+     * Scoring rubric from the active skill
+     * @param {string} skillContent - Skill markdown
+     * @returns {string} The section under the first heading mentioning scoring or a rubric, else DEFAULT_RUBRIC
+     */
+    const getScoringRubric = function(skillContent) {
+        const lines = String(skillContent || '').split(/\r?\n/);
+        const start = lines.findIndex(line => /^#{1,6}\s.*(scor|rubric)/i.test(line));
+        if (start === -1) return DEFAULT_RUBRIC;
+        const level = lines[start].match(/^#+/)[0].length;
+        const section = [];
+        for (let i = start + 1; i < lines.length; i++) {
+            const heading = lines[i].match(/^(#+)\s/);
+            if (heading && heading[1].length <= level) break;
+            section.push(lines[i]);
+        }
+        return section.join('\n').trim() || DEFAULT_RUBRIC;
+    };
+
+    // Node_Info without a previous AI rationale line
+    const stripRationale = function(info) {
+        return String(info || '').split('\n').filter(line => !line.startsWith(RATIONALE_PREFIX)).join('\n').trim();
+    };
+
+    /**
+     * Request for one batch; candidates are numbered from 1 within the batch
+     * @param {string} rubric - Scoring rubric
+     * @param {Array} batch - Nodes to score
+     * @returns {Object} { system, messages } for llmProviders.sendChat
+     */
+    const buildBatchRequest = function(rubric, batch) {
+        const getBaseGroup = window.GraphApp.utils.getBaseGroup;
+        const candidates = batch.map((node, index) => {
+            const candidate = { n: index + 1, name: node.Node_xA, class: getBaseGroup(node.Group_xA) };
+            const roots = [1, 2, 3]
+                .filter(i => node[`Root${i}_xB`])
+                .map(i => node[`Root${i}_xB`] + (node[`Class${i}_xB`] ? ` (${node[`Class${i}_xB`]})` : ''));
+            if (roots.length > 0) candidate.roots = roots.join(', ');
+            const info = stripRationale(node.Node_Info);
+            if (info) candidate.notes = info.slice(0, MAX_INFO_CHARS);
+            return candidate;
+        });
+
+        return {
+            system: 'You score candidate names.\n\nRUBRIC:\n' + rubric + '\n\n' +
+                'Reply with only a JSON array, one entry per candidate: ' +
+                '[{"n": <candidate number>, "score": <integer 0-100>, "rationale": "<one short sentence>"}]',
+            messages: [{ role: 'user', content: 'Candidates:\n' + JSON.stringify(candidates) }]
+        };
+    };
+
+    /**
+     * Scores from a batch reply
+     * @param {string} text - Model reply
+     * @param {Array} batch - The nodes that were sent
+     * @returns {Array} [{ key (candidateKey), score, rationale }] for the candidates with a valid score
+     * @throws {Error} When the reply contains no JSON array
+     */
+    const parseBatchResponse = function(text, batch) {
+        const match = String(text).match(/\[[\s\S]*\]/);
+        if (!match) throw new Error('No JSON array in the reply');
+        const entries = JSON.parse(match[0]);
+        if (!Array.isArray(entries)) throw new Error('No JSON array in the reply');
+
+        const results = [];
+        const seen = new Set();
+        entries.forEach(entry => {
+            const node = entry && batch[parseInt(entry.n, 10) - 1];
+            const score = entry && Math.round(Number(entry.score));
+            if (!node || seen.has(candidateKey(node)) || !isFinite(score)) return;
+            seen.add(candidateKey(node));
+            results.push({
+                key: candidateKey(node),
+                score: Math.max(0, Math.min(100, score)),
+                rationale: String(entry.rationale || '').replace(/\s+/g, ' ').trim()
+            });
+        });
+        return results;
+    };
+
+    /**
+     * Write scores into nodes
+     * @param {Array} nodes - Current nodes (not modified)
+     * @param {Array} results - [{ key, score, rationale }]
+     * @returns {Array} Nodes with AI_Rank_xB set and the rationale line in Node_Info replaced
+     */
+    const applyScores = function(nodes, results) {
+        const byKey = new Map(results.map(result => [result.key, result]));
+        return nodes.map(node => {
+            const result = byKey.get(candidateKey(node));
+            if (!result) return node;
+            const info = stripRationale(node.Node_Info);
+            const rationale = result.rationale ? RATIONALE_PREFIX + result.rationale : '';
+            return {
+                ...node,
+                AI_Rank_xB: result.score,
+                Node_Info: [info, rationale].filter(Boolean).join('\n')
+            };
+        });
+    };
+
+    // ========== JOBS ==========
+
+    const jobStorageKey = projectId => JOB_STORAGE + ':' + (projectId || '');
+
+    /**
+     * New scoring job
+     * @param {Array} nodes - Candidates to score
+     * @param {string|null} projectId - Project the job belongs to
+     * @returns {Object} { projectId, keys: remaining candidateKeys, total, scored, failed: candidateKeys }
+     */
+    const createJob = function(nodes, projectId) {
+        return { projectId: projectId || null, keys: nodes.map(candidateKey), total: nodes.length, scored: 0, failed: [] };
+    };
+
+    /**
+     * Unfinished job from a previous run in a project
+     * @param {string|null} projectId
+     * @returns {Object|null}
+     */
+    const loadJob = function(projectId) {
+        try {
+            const job = JSON.parse(localStorage.getItem(jobStorageKey(projectId)) || 'null');
+            return job && Array.isArray(job.keys) && job.keys.length > 0 ? job : null;
+        } catch (e) {
+            console.warn('Failed to load AI scoring job', e);
+            return null;
+        }
+    };
+
+    const saveJob = function(job) {
+        try {
+            if (job.keys.length > 0) {
+                localStorage.setItem(jobStorageKey(job.projectId), JSON.stringify(job));
+            } else {
+                localStorage.removeItem(jobStorageKey(job.projectId));
+            }
+        } catch (e) {
+            console.warn('Failed to save AI scoring job', e);
+        }
+    };
+
+    const clearJob = function(projectId) {
+        try {
+            localStorage.removeItem(jobStorageKey(projectId));
+        } catch (e) {
+            console.warn('Failed to clear AI scoring job', e);
+        }
+    };
+
+    // ========== RUNNING ==========
+
+    const abortError = function() {
+        const error = new Error('Scoring stopped');
+        error.name = 'AbortError';
+        return error;
+    };
+
+    const sleep = function(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(abortError());
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(abortError());
+                }, { once: true });
+            }
+        });
+    };
+
+    /**
+     * Score the job's remaining candidates
+     * @param {Object} settings - AI settings (llmProviders)
+     * @param {Object} job - From createJob / loadJob; updated and saved after each batch
+     * @param {Object} options - { rubric, getNodes() (latest nodes), signal: AbortSignal,
+     *                             onBatch(results, job) - must apply the results to the latest nodes,
+     *                             onWait(seconds) - rate-limit pause }
+     * @returns {Promise<Object>} The finished job
+     * @throws {Error} On aborts (AbortError) and non-retryable API errors; the job stays saved for resuming
+     */
+    const runScoring = async function(settings, job, options) {
+        const llmProviders = window.GraphApp.core.llmProviders;
+        let lastRequest = 0;
+
+        saveJob(job);
+        while (job.keys.length > 0) {
+            // Candidates deleted since the job started are dropped
+            const byKey = new Map(options.getNodes().map(node => [candidateKey(node), node]));
+            const batchKeys = job.keys.slice(0, BATCH_SIZE);
+            const batch = batchKeys.map(key => byKey.get(key)).filter(Boolean);
+            const request = buildBatchRequest(options.rubric, batch);
+
+            let results = [];
+            for (let attempt = 0; batch.length > 0; attempt++) {
+                await sleep(Math.max(0, lastRequest + MIN_INTERVAL_MS - Date.now()), options.signal);
+                lastRequest = Date.now();
+                let text;
+                try {
+                    text = await llmProviders.sendChat(settings, {
+                        system: request.system,
+                        messages: request.messages,
+                        maxTokens: 120 * batch.length + 200
+                    }, { signal: options.signal });
+                } catch (error) {
+                    const retryable = error.status === 429 || error.status >= 500;
+                    if (!retryable || attempt >= MAX_RETRIES) throw error;
+                    const waitSeconds = error.retryAfter || (BACKOFF_MS / 1000) * Math.pow(2, attempt);
+                    if (options.onWait) options.onWait(waitSeconds);
+                    await sleep(waitSeconds * 1000, options.signal);
+                    continue;
+                }
+                // A reply we can't read only fails this batch
+                try {
+                    results = parseBatchResponse(text, batch);
+                } catch (error) {
+                    console.warn('Failed to read AI scores for a batch', error);
+                }
+                break;
+            }
+
+            // Only count scores for candidates still there to receive them (deleted or renamed meanwhile)
+            const currentKeys = new Set(options.getNodes().map(candidateKey));
+            results = results.filter(result => currentKeys.has(result.key));
+            const scoredKeys = new Set(results.map(result => result.key));
+            job.keys = job.keys.slice(batchKeys.length);
+            job.scored += results.length;
+            job.failed = job.failed.concat(batch.map(candidateKey).filter(key => !scoredKeys.has(key)));
+            saveJob(job);
+            if (results.length > 0) options.onBatch(results, job);
+        }
+        return job;
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.aiScoring = {
+        BATCH_SIZE,
+        DEFAULT_RUBRIC,
+        isUnscored,
+        getScoringRubric,
+        buildBatchRequest,
+        parseBatchResponse,
+        applyScores,
+        createJob,
+        loadJob,
+        clearJob,
+        runScoring
+    };
+
+})(window);
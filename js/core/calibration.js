@@ -0,0 +1,183 @@
+/**
+ * Calibration Module
+ * Compares AI scores (AI_Rank_xB, 0-100) with human tiers (Rank_xB, 0-3)
+ *
+ * Usage:
+ * - buildCalibration() returns the AI-bucket x tier heatmap, Spearman correlation
+ *   and cut-off suggestions for all candidates and per class (base group)
+ * - Only candidates with both an AI score and a human tier are counted
+ * - A cut-off c means "auto-block everything with AI score < c"
+ */
+
+(function(window) {
+    'use strict';
+
+    const TIERS = [0, 1, 2, 3];
+    const DEFAULT_BUCKET_SIZE = 10;
+
+    const hasValue = function(value) {
+        return value !== '' && value !== undefined && value !== null && !isNaN(Number(value));
+    };
+
+    /**
+     * Candidates usable for calibration
+     * @param {Array} nodes
+     * @returns {Array<{ai: number, tier: number, group: string}>}
+     */
+    const getPairs = function(nodes) {
+        const getBaseGroup = window.GraphApp.utils.getBaseGroup;
+        return nodes
+            .filter(n => hasValue(n.AI_Rank_xB) && TIERS.includes(n.Rank_xB))
+            .map(n => ({ ai: Number(n.AI_Rank_xB), tier: n.Rank_xB, group: getBaseGroup(n.Group_xA) }));
+    };
+
+    /**
+     * Fractional ranks (ties share the average rank)
+     * @param {number[]} values
+     * @returns {number[]}
+     */
+    const rankValues = function(values) {
+        const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+        const ranks = new Array(values.length);
+        let i = 0;
+        while (i < order.length) {
+            let j = i;
+            while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+            const rank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+            i = j + 1;
+        }
+        return ranks;
+    };
+
+    /**
+     * Spearman rank correlation (Pearson on fractional ranks, so ties are handled)
+     * @param {number[]} xs
+     * @param {number[]} ys
+     * @returns {number|null} rho, or null if undefined (fewer than 3 items or no variance)
+     */
+    const spearman = function(xs, ys) {
+        const n = xs.length;
+        if (n < 3) return null;
+        const rx = rankValues(xs);
+        const ry = rankValues(ys);
+        const mean = (n + 1) / 2;
+        let cov = 0, varX = 0, varY = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (rx[i] - mean) * (ry[i] - mean);
+            varX += Math.pow(rx[i] - mean, 2);
+            varY += Math.pow(ry[i] - mean, 2);
+        }
+        if (varX === 0 || varY === 0) return null;
+        return cov / Math.sqrt(varX * varY);
+    };
+
+    /**
+     * What an auto-block cut-off would have done
+     * @param {Array} pairs - From getPairs
+     * @param {number} cutoff - Block when AI score < cutoff
+     * @returns {{cutoff, blocked: number[], totals: number[]}} blocked/totals indexed by tier
+     */
+    const evaluateCutoff = function(pairs, cutoff) {
+        const blocked = [0, 0, 0, 0];
+        const totals = [0, 0, 0, 0];
+        pairs.forEach(p => {
+            totals[p.tier]++;
+            if (p.ai < cutoff) blocked[p.tier]++;
+        });
+        return { cutoff: cutoff, blocked: blocked, totals: totals };
+    };
+
+    /**
+     * Suggested cut-offs
+     * - safe: highest cut-off that blocks no Tier 3
+     * - conservative: highest cut-off that blocks no Tier 2 or Tier 3
+     * @param {Array} pairs - From getPairs
+     * @returns {{safe: Object|null, conservative: Object|null}} evaluateCutoff results (null without Tier 0s)
+     */
+    const suggestCutoffs = function(pairs) {
+        if (!pairs.some(p => p.tier === 0)) return { safe: null, conservative: null };
+
+        const minAi = function(tiers) {
+            const scores = pairs.filter(p => tiers.includes(p.tier)).map(p => p.ai);
+            // No protected candidates: any cut-off above every Tier 0 works
+            return scores.length > 0 ? Math.min(...scores) : Math.max(...pairs.map(p => p.ai)) + 1;
+        };
+
+        return {
+            safe: evaluateCutoff(pairs, Math.min(100, minAi([3]))),
+            conservative: evaluateCutoff(pairs, Math.min(100, minAi([2, 3])))
+        };
+    };
+
+    /**
+     * Heatmap counts: rows are AI score buckets (high to low), columns are tiers 0-3
+     * @param {Array} pairs - From getPairs
+     * @param {number} bucketSize
+     * @returns {Array<{label: string, min: number, max: number, counts: number[]}>}
+     */
+    const buildHeatmap = function(pairs, bucketSize) {
+        const rows = [];
+        for (let min = 0; min < 100; min += bucketSize) {
+            const max = Math.min(100, min + bucketSize - 1);
+            rows.push({ label: min + '–' + (max === 99 ? 100 : max), min: min, max: max === 99 ? 100 : max, counts: [0, 0, 0, 0] });
+        }
+        pairs.forEach(p => {
+            const index = Math.min(rows.length - 1, Math.max(0, Math.floor(p.ai / bucketSize)));
+            rows[index].counts[p.tier]++;
+        });
+        return rows.reverse();
+    };
+
+    /**
+     * Summarise one set of pairs
+     * @param {Array} pairs
+     * @param {number} bucketSize
+     * @returns {{count, heatmap, rho, cutoffs}}
+     */
+    const summarise = function(pairs, bucketSize) {
+        return {
+            count: pairs.length,
+            heatmap: buildHeatmap(pairs, bucketSize),
+            rho: spearman(pairs.map(p => p.ai), pairs.map(p => p.tier)),
+            cutoffs: suggestCutoffs(pairs)
+        };
+    };
+
+    /**
+     * Full calibration report
+     * @param {Array} nodes
+     * @param {Object} [options] - { bucketSize, currentMin } currentMin = active aiScoreRange[0]
+     * @returns {{all: Object, classes: Array<{group} & Object>, current: Object|null}}
+     *   current evaluates the active AI score filter as if it were a cut-off
+     */
+    const buildCalibration = function(nodes, options) {
+        const opts = options || {};
+        const bucketSize = opts.bucketSize || DEFAULT_BUCKET_SIZE;
+        const pairs = getPairs(nodes);
+
+        const byGroup = new Map();
+        pairs.forEach(p => {
+            if (!byGroup.has(p.group)) byGroup.set(p.group, []);
+            byGroup.get(p.group).push(p);
+        });
+
+        return {
+            all: summarise(pairs, bucketSize),
+            classes: Array.from(byGroup.keys()).sort().map(group =>
+                Object.assign({ group: group }, summarise(byGroup.get(group), bucketSize))),
+            current: hasValue(opts.currentMin) ? evaluateCutoff(pairs, opts.currentMin) : null
+        };
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.calibration = {
+        buildCalibration,
+        spearman,
+        evaluateCutoff,
+        suggestCutoffs
+    };
+
+})(window);
@@ -0,0 +1,154 @@
+/**
+ * Data Worker Client
+ * Runs CSV parsing and grid queries in a Web Worker (js/workers/data-worker.js)
+ * so large lists don't block the UI
+ *
+ * Usage:
+ * - parseCSV() replaces exports.importCSV() for files, with the same result
+ * - queryGrid() returns the visible grid (as indexes into nodes) and the matrix counts;
+ *   app.js only uses it from MIN_NODES candidates, smaller lists are filtered synchronously
+ * - Node arrays are copied to the worker once, then patched with the changed positions
+ * - Without workers (no Worker support, file:// pages, worker script failing to load)
+ *   both fall back to running on the main thread
+ */
+
+(function(window) {
+    'use strict';
+
+    const WORKER_URL = 'js/workers/data-worker.js';
+    const MIN_NODES = 5000;
+    const MAX_PATCH = 1000;  // More changed nodes than this resend the whole array
+
+    let worker = null;
+    let workerFailed = false;
+    let nextId = 1;
+    const pending = new Map();  // id -> { resolve, reject, onProgress }
+    let syncedNodes = null;     // Array last copied to the worker
+
+    const stopWorker = function(error) {
+        console.warn('Failed to run the data worker, continuing on the main thread', error);
+        workerFailed = true;
+        if (worker) worker.terminate();
+        worker = null;
+        syncedNodes = null;
+        pending.forEach(request => request.reject(error));
+        pending.clear();
+    };
+
+    const handleMessage = function(event) {
+        const message = event.data;
+        const request = pending.get(message.id);
+        if (!request) return;
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message.fraction);
+            return;
+        }
+        pending.delete(message.id);
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else {
+            request.resolve(message);
+        }
+    };
+
+    const getWorker = function() {
+        if (worker || workerFailed) return worker;
+        if (typeof Worker === 'undefined') {
+            workerFailed = true;
+            return null;
+        }
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (e) {
+            stopWorker(e);
+            return null;
+        }
+        worker.onmessage = handleMessage;
+        worker.onerror = function(event) {
+            event.preventDefault();
+            stopWorker(new Error(event.message || 'Data worker error'));
+        };
+        return worker;
+    };
+
+    const request = function(message, onProgress) {
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject, onProgress });
+            worker.postMessage(Object.assign({ id }, message));
+        });
+    };
+
+    // Bring the worker's copy of the nodes up to date
+    const syncNodes = function(nodes) {
+        if (nodes === syncedNodes) return;
+        const changes = [];
+        if (syncedNodes) {
+            for (let i = 0; i < nodes.length && changes.length <= MAX_PATCH; i++) {
+                if (nodes[i] !== syncedNodes[i]) changes.push([i, nodes[i]]);
+            }
+        }
+        if (syncedNodes && changes.length <= MAX_PATCH) {
+            worker.postMessage({ type: 'patchNodes', length: nodes.length, changes });
+        } else {
+            worker.postMessage({ type: 'setNodes', nodes });
+        }
+        syncedNodes = nodes;
+    };
+
+    // Main-thread fallback for queryGrid
+    const queryOnMainThread = function(nodes, params) {
+        const gridQuery = window.GraphApp.core.gridQuery;
+        const indexByNode = new Map(nodes.map((node, index) => [node, index]));
+        return {
+            indexes: gridQuery.selectGridNodes(nodes, params).map(node => indexByNode.get(node)),
+            matrixCounts: gridQuery.computeMatrixCounts(nodes, params.blockedRoots)
+        };
+    };
+
+    /**
+     * Visible grid nodes and matrix counts
+     * @param {Array} nodes - All nodes
+     * @param {Object} params - As for gridQuery.selectGridNodes (Sets allowed)
+     * @returns {Promise<{indexes: number[], matrixCounts: Object}>} indexes into nodes, in display order
+     */
+    const queryGrid = function(nodes, params) {
+        if (!getWorker()) return Promise.resolve(queryOnMainThread(nodes, params));
+        syncNodes(nodes);
+        return request({
+            type: 'query',
+            params: Object.assign({}, params, {
+                selectedTerritories: Array.from(params.selectedTerritories || []),
+                blockedRoots: Array.from(params.blockedRoots || [])
+            })
+        }).then(
+            message => ({ indexes: message.indexes, matrixCounts: message.matrixCounts }),
+            error => workerFailed ? queryOnMainThread(nodes, params) : Promise.reject(error)
+        );
+    };
+
+    /**
+     * Parse a CSV file (same result as exports.importCSV)
+     * @param {File} file - CSV file
+     * @param {Function} onProgress - Optional, called with the fraction parsed (0-1)
+     * @returns {Promise<Object>} { nodes, format, blockedRoots }
+     */
+    const parseCSV = function(file, onProgress) {
+        const importCSV = window.GraphApp.exports.importCSV;
+        if (!getWorker()) return importCSV(file, onProgress);
+        return request({ type: 'parseCSV', file }, onProgress).then(
+            message => Object.assign({}, message.result, { blockedRoots: new Set(message.result.blockedRoots) }),
+            error => workerFailed ? importCSV(file, onProgress) : Promise.reject(error)
+        );
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.dataWorker = {
+        MIN_NODES,
+        queryGrid,
+        parseCSV
+    };
+
+})(window);
@@ -27,10 +27,37 @@
     var evalConfig = window.GraphApp.config.constants.evaluation;
     var GRID_CAPACITY = evalConfig.GRID_SIZE * evalConfig.GRID_SIZE;
 
+    // Saved sessions are kept per project, so starting one in a project leaves the others' alone
+    var SESSION_STORAGE = 'haystack_eval_session';
+
+    function sessionStorageKey(projectId) {
+        return projectId ? SESSION_STORAGE + ':' + projectId : SESSION_STORAGE;
+    }
+
+    /**
+     * Raw saved session of a project
+     * Sessions saved under the old shared key are moved to the project's key
+     * @param {string|null} projectId
+     * @returns {string|null} JSON or null
+     */
+    function readSavedSession(projectId) {
+        var key = sessionStorageKey(projectId);
+        var saved = localStorage.getItem(key);
+        if (saved || !projectId) return saved;
+
+        var legacy = localStorage.getItem(SESSION_STORAGE);
+        if (!legacy) return null;
+        var data = JSON.parse(legacy);
+        if (!data.config || data.config.projectId !== projectId) return null;
+        localStorage.setItem(key, legacy);
+        localStorage.removeItem(SESSION_STORAGE);
+        return legacy;
+    }
+
     var DEFAULT_SESSION_OPTIONS = {
         selectionCount: 50,
         batchSize: GRID_CAPACITY,  // Match grid capacity (9 for 3×3)
-        selectionMethod: 'top-ai',     // 'top-ai' | 'random' | 'bottom-ai'
+        selectionMethod: 'top-ai',     // 'top-ai' | 'random' | 'bottom-ai' | 'uncertainty'
         rankFilter: 'unranked',        // 'unranked' | 'ranked' | 'all'
         aiScoreThreshold: { min: 0, max: 100 },
         groupFilter: null,             // null = all, or ['GroupA', 'GroupB']
@@ -134,14 +161,129 @@
         return array;
     }
 
+    // ==================== Uncertainty (Active Learning) ====================
+
+    var TIERS = [0, 1, 2, 3];
+    var AI_BAND_SIZE = 10;
+    // How much each kind of evidence counts toward a prediction
+    var EVIDENCE_WEIGHTS = { root: 2, group: 1, band: 1 };
+
+    function isRated(c) {
+        return c.Rank_xB !== '' && c.Rank_xB !== undefined && c.Rank_xB !== null && TIERS.indexOf(c.Rank_xB) !== -1;
+    }
+
+    function getRootKeys(c) {
+        return [c.Root1_xB, c.Root2_xB, c.Root3_xB]
+            .filter(function(r) { return r && String(r).trim(); })
+            .map(function(r) { return String(r).trim().toLowerCase(); });
+    }
+
+    function getAIBand(c) {
+        var value = parseInt(c.AI_Rank_xB);
+        return isNaN(value) ? null : Math.min(Math.floor(value / AI_BAND_SIZE), Math.floor(100 / AI_BAND_SIZE) - 1);
+    }
+
+    /**
+     * Tier counts of rated candidates per root, class (base group) and AI score band
+     * @param {Array} ratedPool - Candidates to learn from (unrated ones are ignored)
+     * @returns {{root: Map, group: Map, band: Map}} key -> [n0, n1, n2, n3]
+     */
+    function buildTierEvidence(ratedPool) {
+        var getBaseGroup = window.GraphApp.utils.getBaseGroup;
+        var evidence = { root: new Map(), group: new Map(), band: new Map() };
+        var add = function(map, key, tier) {
+            if (key === null || key === '') return;
+            if (!map.has(key)) map.set(key, [0, 0, 0, 0]);
+            map.get(key)[tier]++;
+        };
+
+        ratedPool.forEach(function(c) {
+            if (!isRated(c)) return;
+            getRootKeys(c).forEach(function(root) { add(evidence.root, root, c.Rank_xB); });
+            add(evidence.group, getBaseGroup(c.Group_xA), c.Rank_xB);
+            add(evidence.band, getAIBand(c), c.Rank_xB);
+        });
+        return evidence;
+    }
+
+    /**
+     * Predicted tier distribution for a candidate (uniform prior + weighted evidence)
+     * @param {Object} c
+     * @param {Object} evidence - From buildTierEvidence
+     * @returns {number[]} probabilities for tiers 0-3
+     */
+    function predictTierDistribution(c, evidence) {
+        var counts = [1, 1, 1, 1];
+        var addCounts = function(tierCounts, weight) {
+            if (!tierCounts) return;
+            TIERS.forEach(function(t) { counts[t] += weight * tierCounts[t]; });
+        };
+
+        getRootKeys(c).forEach(function(root) { addCounts(evidence.root.get(root), EVIDENCE_WEIGHTS.root); });
+        addCounts(evidence.group.get(window.GraphApp.utils.getBaseGroup(c.Group_xA)), EVIDENCE_WEIGHTS.group);
+        addCounts(evidence.band.get(getAIBand(c)), EVIDENCE_WEIGHTS.band);
+
+        var total = counts.reduce(function(a, b) { return a + b; }, 0);
+        return counts.map(function(n) { return n / total; });
+    }
+
+    /**
+     * Normalised entropy of a distribution (1 = no idea, 0 = certain)
+     * @param {number[]} probs
+     * @returns {number}
+     */
+    function normalisedEntropy(probs) {
+        var h = probs.reduce(function(sum, p) { return p > 0 ? sum - p * Math.log(p) : sum; }, 0);
+        return h / Math.log(probs.length);
+    }
+
+    /**
+     * Seeded tie-break value for a candidate (independent of list order)
+     * @param {string} id
+     * @param {number} seed
+     * @returns {number} 0-1
+     */
+    function seededTieBreak(id, seed) {
+        var hash = seed | 0;
+        for (var i = 0; i < id.length; i++) {
+            hash = Math.imul(hash ^ id.charCodeAt(i), 0x5bd1e995);
+        }
+        return mulberry32(hash)();
+    }
+
+    /**
+     * Order candidates so the hardest-to-predict tiers come first
+     * Ties are broken by a seeded hash of the ID, so the same seed and ratings give the same order
+     * @param {Array} candidates
+     * @param {Array} ratedPool - Candidates to learn from
+     * @param {number|null} seed
+     * @returns {Array} ordered candidates
+     */
+    function orderByUncertainty(candidates, ratedPool, seed) {
+        var evidence = buildTierEvidence(ratedPool);
+        var tieSeed = seed === null || seed === undefined ? Date.now() : seed;
+        var scored = candidates.map(function(c) {
+            return {
+                c: c,
+                u: normalisedEntropy(predictTierDistribution(c, evidence)),
+                t: seededTieBreak(String(c.ID_xA || ''), tieSeed)
+            };
+        });
+        scored.sort(function(a, b) {
+            return (b.u - a.u) || (a.t - b.t);
+        });
+        return scored.map(function(s) { return s.c; });
+    }
+
     /**
      * Apply selection method (sort or shuffle)
      * @param {Array} candidates
-     * @param {string} method - 'top-ai' | 'random' | 'bottom-ai'
+     * @param {string} method - 'top-ai' | 'random' | 'bottom-ai' | 'uncertainty'
      * @param {number|null} seed - Random seed for reproducibility
+     * @param {Array} [ratedPool] - Candidates 'uncertainty' learns from (defaults to candidates)
      * @returns {Array} ordered candidates
      */
-    function applySelectionMethod(candidates, method, seed) {
+    function applySelectionMethod(candidates, method, seed, ratedPool) {
         var result = candidates.slice(); // Copy array
         switch (method) {
             case 'top-ai':
@@ -158,6 +300,8 @@
                 });
             case 'random':
                 return seededShuffle(result, seed);
+            case 'uncertainty':
+                return orderByUncertainty(result, ratedPool || candidates, seed);
             default:
                 return result;
         }
@@ -187,7 +331,7 @@
         candidates = applyAIScoreThreshold(candidates, options.aiScoreThreshold);
 
         // Step 5: Selection method (sort or shuffle)
-        candidates = applySelectionMethod(candidates, options.selectionMethod, options.randomSeed);
+        candidates = applySelectionMethod(candidates, options.selectionMethod, options.randomSeed, allCandidates);
 
         // Step 6: Selection count
         return candidates.slice(0, Math.min(options.selectionCount, candidates.length));
@@ -220,6 +364,78 @@
         return candidates.length;
     }
 
+    /**
+     * Convert grid filter state (app gridFilters) to session filter options
+     * @param {Object} filters - { rankFilter, groupFilter, aiScoreRange, selectionMethod }
+     * @returns {Object} options for filterCandidates()
+     */
+    function gridFiltersToOptions(filters) {
+        return {
+            rankFilter: filters.rankFilter || 'unranked',
+            aiScoreThreshold: {
+                min: filters.aiScoreRange ? filters.aiScoreRange[0] : 0,
+                max: filters.aiScoreRange ? filters.aiScoreRange[1] : 100
+            },
+            groupFilter: filters.groupFilter && filters.groupFilter.length > 0 ? filters.groupFilter : null,
+            selectionMethod: filters.selectionMethod || 'top-ai'
+        };
+    }
+
+    // ==================== Pairwise Comparison Helpers ====================
+
+    var ELO_DEFAULT = 1500;       // Rating for candidates never compared
+    var ELO_CLOSE_RANGE = 200;    // Rating gap still considered a close matchup
+
+    /**
+     * Current Elo rating of a candidate (Elo_xB, default 1500)
+     * @param {Object} candidate
+     * @returns {number}
+     */
+    function getEloRating(candidate) {
+        var value = parseFloat(candidate.Elo_xB);
+        return isNaN(value) ? ELO_DEFAULT : value;
+    }
+
+    /**
+     * Number of comparisons a candidate has taken part in (Elo_Games_xB)
+     * @param {Object} candidate
+     * @returns {number}
+     */
+    function getEloGames(candidate) {
+        return parseInt(candidate.Elo_Games_xB) || 0;
+    }
+
+    /**
+     * K-factor: provisional ratings move fast, settled ratings move slowly
+     * @param {number} games - Comparisons played so far
+     * @returns {number}
+     */
+    function eloKFactor(games) {
+        if (games < 10) return 40;
+        if (games < 30) return 24;
+        return 16;
+    }
+
+    /**
+     * Expected score of A against B (logistic Elo curve)
+     * @param {number} ratingA
+     * @param {number} ratingB
+     * @returns {number} probability A wins (0-1)
+     */
+    function eloExpected(ratingA, ratingB) {
+        return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+    }
+
+    /**
+     * Order-independent key for a pair of candidate IDs
+     * @param {string} idA
+     * @param {string} idB
+     * @returns {string}
+     */
+    function pairKey(idA, idB) {
+        return idA < idB ? idA + '|' + idB : idB + '|' + idA;
+    }
+
     // ==================== Grid Helper Functions ====================
 
     /**
@@ -290,8 +506,8 @@
             // Merge with defaults
             options = Object.assign({}, DEFAULT_SESSION_OPTIONS, options || {});
 
-            // Generate random seed if using random selection and none provided
-            if (options.selectionMethod === 'random' && !options.randomSeed) {
+            // Generate random seed if using random/uncertainty selection and none provided
+            if ((options.selectionMethod === 'random' || options.selectionMethod === 'uncertainty') && !options.randomSeed) {
                 options.randomSeed = Date.now();
             }
 
@@ -310,8 +526,8 @@
                 };
             }
 
-            // Clear any previous session
-            this.clearSession();
+            // Clear any previous session of this project
+            this.clearSession(options.projectId);
 
             var session = {
                 id: 'eval-' + Date.now(),
@@ -333,7 +549,10 @@
                     rankFilter: options.rankFilter,
                     aiScoreThreshold: options.aiScoreThreshold,
                     groupFilter: options.groupFilter,
-                    randomSeed: options.randomSeed
+                    randomSeed: options.randomSeed,
+                    // Grid UI state to restore on resume (grid eval sessions only)
+                    lockedFilters: options.lockedFilters || null,
+                    projectId: options.projectId || null
                 }
             };
 
@@ -557,7 +776,7 @@
                     // Persist config for resumption
                     config: session.config || {}
                 };
-                localStorage.setItem('haystack_eval_session', JSON.stringify(serializable));
+                localStorage.setItem(sessionStorageKey(serializable.config.projectId), JSON.stringify(serializable));
             } catch (e) {
                 console.warn('Failed to save evaluation session:', e);
             }
@@ -566,11 +785,12 @@
         /**
          * Load session from localStorage
          * @param {Array} allCandidates - Current nodes array to reconstruct candidates
+         * @param {string|null} projectId - Project the session belongs to
          * @returns {Object|null} session or null if none/invalid
          */
-        loadSession: function(allCandidates) {
+        loadSession: function(allCandidates, projectId) {
             try {
-                var saved = localStorage.getItem('haystack_eval_session');
+                var saved = readSavedSession(projectId);
                 if (!saved) return null;
 
                 var data = JSON.parse(saved);
@@ -593,7 +813,7 @@
                 // If too many candidates are missing, session is invalid
                 if (selectedCandidates.length < data.selectedIds.length * 0.9) {
                     console.warn('Session data mismatch - too many missing candidates');
-                    this.clearSession();
+                    this.clearSession(projectId);
                     return null;
                 }
 
@@ -606,15 +826,16 @@
                     grid.spacing = data.grid.spacing || grid.spacing;
                 }
 
-                // Restore current batch candidates with grid positions
+                // Restore current batch candidates with grid positions (copies - don't mutate app nodes)
                 var currentBatchCandidates = [];
                 if (data.currentBatchData) {
                     data.currentBatchData.forEach(function(item) {
                         var c = candidateMap.get(item.id);
                         if (c) {
-                            c.gridRow = item.gridRow;
-                            c.gridCol = item.gridCol;
-                            currentBatchCandidates.push(c);
+                            currentBatchCandidates.push(Object.assign({}, c, {
+                                gridRow: item.gridRow,
+                                gridCol: item.gridCol
+                            }));
                         }
                     });
                 }
@@ -642,10 +863,11 @@
 
         /**
          * Clear saved session
+         * @param {string|null} projectId - Project the session belongs to
          */
-        clearSession: function() {
+        clearSession: function(projectId) {
             try {
-                localStorage.removeItem('haystack_eval_session');
+                localStorage.removeItem(sessionStorageKey(projectId));
             } catch (e) {
                 console.warn('Failed to clear evaluation session:', e);
             }
@@ -653,11 +875,12 @@
 
         /**
          * Check if there's a resumable session
+         * @param {string|null} projectId - Project the session belongs to
          * @returns {boolean}
          */
-        hasResumableSession: function() {
+        hasResumableSession: function(projectId) {
             try {
-                var saved = localStorage.getItem('haystack_eval_session');
+                var saved = readSavedSession(projectId);
                 if (!saved) return false;
                 var data = JSON.parse(saved);
                 return !data.completedAt; // Not completed = resumable
@@ -668,17 +891,19 @@
 
         /**
          * Get saved session info (for UI display)
-         * @returns {Object|null} { scored, total, lastSaved, config }
+         * @param {string|null} projectId - Project the session belongs to
+         * @returns {Object|null} { scored, total, startedAt, lastSaved, config }
          */
-        getSavedSessionInfo: function() {
+        getSavedSessionInfo: function(projectId) {
             try {
-                var saved = localStorage.getItem('haystack_eval_session');
+                var saved = readSavedSession(projectId);
                 if (!saved) return null;
                 var data = JSON.parse(saved);
                 if (data.completedAt) return null;
                 return {
                     scored: data.scores.length,
                     total: data.selectedIds.length,
+                    startedAt: data.startedAt,
                     lastSaved: data.lastSaved,
                     // Include config for UI display
                     config: data.config || {}
@@ -952,6 +1177,272 @@
             return Array.from(rootMap.values());
         },
 
+        // ==================== Pairwise Comparison ====================
+
+        /**
+         * Pick the next set of candidates to compare head-to-head
+         * The least-compared candidate is the anchor; opponents are the closest-rated
+         * candidates, preferring ones with few comparisons and avoiding recent pairs.
+         * @param {Array} candidates - Pool to choose from (already filtered)
+         * @param {number} size - Candidates per comparison (2 = pair)
+         * @param {number} seed - Random seed for tie-breaking (reproducible)
+         * @param {Set} recentPairs - Pair keys shown recently (see getPairKey)
+         * @returns {Array} candidates to show side by side (empty if fewer than 2)
+         */
+        selectComparison: function(candidates, size, seed, recentPairs) {
+            var pool = candidates.filter(function(c) {
+                return c.Node_xA && String(c.Node_xA).trim() !== '';
+            });
+            if (pool.length < 2) return [];
+
+            size = Math.max(2, Math.min(size || 2, pool.length));
+            recentPairs = recentPairs || new Set();
+            var random = mulberry32(seed || Date.now());
+
+            // Anchor: fewest comparisons, random among ties
+            var minGames = Math.min.apply(null, pool.map(getEloGames));
+            var leastPlayed = pool.filter(function(c) { return getEloGames(c) === minGames; });
+            var anchor = leastPlayed[Math.floor(random() * leastPlayed.length)];
+            var anchorRating = getEloRating(anchor);
+
+            // Opponents: lowest cost = close rating + uncertain + not recently paired
+            var scored = pool
+                .filter(function(c) { return c.ID_xA !== anchor.ID_xA; })
+                .map(function(c) {
+                    var gap = Math.abs(getEloRating(c) - anchorRating);
+                    var cost = gap / ELO_CLOSE_RANGE
+                        - 1 / (1 + getEloGames(c))
+                        + random() * 0.25
+                        + (recentPairs.has(pairKey(anchor.ID_xA, c.ID_xA)) ? 10 : 0);
+                    return { candidate: c, cost: cost };
+                })
+                .sort(function(a, b) { return a.cost - b.cost; });
+
+            return [anchor].concat(scored.slice(0, size - 1).map(function(item) { return item.candidate; }));
+        },
+
+        /**
+         * Record a comparison result and update Elo ratings
+         * The winner is scored as beating each other candidate shown; all
+         * expectations use the ratings from before this comparison.
+         * @param {Array} nodes - All nodes from app state
+         * @param {string} winnerId - ID_xA of the preferred candidate
+         * @param {Array} loserIds - ID_xA of the other candidates shown
+         * @returns {Array} new nodes array with Elo_xB / Elo_Games_xB updated
+         */
+        recordComparison: function(nodes, winnerId, loserIds) {
+            var byId = new Map();
+            nodes.forEach(function(n) { byId.set(n.ID_xA, n); });
+
+            var winner = byId.get(winnerId);
+            if (!winner) return nodes;
+
+            var deltas = new Map();
+            var winnerRating = getEloRating(winner);
+            var winnerK = eloKFactor(getEloGames(winner));
+            var winnerDelta = 0;
+
+            loserIds.forEach(function(id) {
+                var loser = byId.get(id);
+                if (!loser) return;
+                var loserRating = getEloRating(loser);
+                var expectedWin = eloExpected(winnerRating, loserRating);
+                winnerDelta += winnerK * (1 - expectedWin);
+                deltas.set(id, -eloKFactor(getEloGames(loser)) * (1 - expectedWin));
+            });
+            if (deltas.size === 0) return nodes;
+            deltas.set(winnerId, winnerDelta);
+
+            return nodes.map(function(n) {
+                if (!deltas.has(n.ID_xA)) return n;
+                var games = n.ID_xA === winnerId ? deltas.size - 1 : 1;
+                return Object.assign({}, n, {
+                    Elo_xB: Math.round(getEloRating(n) + deltas.get(n.ID_xA)),
+                    Elo_Games_xB: getEloGames(n) + games
+                });
+            });
+        },
+
+        /**
+         * Order-independent key for a pair of candidates (for recentPairs)
+         * @param {string} idA
+         * @param {string} idB
+         * @returns {string}
+         */
+        getPairKey: function(idA, idB) {
+            return pairKey(idA, idB);
+        },
+
+        // ==================== Root Suggestions ====================
+
+        /**
+         * Suggest tiers for unrated candidates from ratings on the roots they share
+         * The suggested tier is the most common tier among rated candidates with the same roots
+         * (ties go to the tier nearest the mean). Confidence combines agreement and sample size.
+         * @param {Array} nodes - All nodes
+         * @returns {Map<string, {tier, confidence, level, roots, count}>} keyed by ID_xA;
+         *   roots = original root names that contributed evidence, count = ratings used,
+         *   level = 'high' | 'medium' | 'low'
+         */
+        suggestTiersFromRoots: function(nodes) {
+            var byRoot = new Map();
+            nodes.forEach(function(c) {
+                if (!isRated(c)) return;
+                getRootKeys(c).forEach(function(root) {
+                    if (!byRoot.has(root)) byRoot.set(root, [0, 0, 0, 0]);
+                    byRoot.get(root)[c.Rank_xB]++;
+                });
+            });
+
+            var suggestions = new Map();
+            if (byRoot.size === 0) return suggestions;
+
+            nodes.forEach(function(c) {
+                if (isRated(c)) return;
+
+                var counts = [0, 0, 0, 0];
+                var roots = [];
+                [c.Root1_xB, c.Root2_xB, c.Root3_xB].forEach(function(root) {
+                    var tierCounts = root && byRoot.get(String(root).trim().toLowerCase());
+                    if (!tierCounts) return;
+                    roots.push(root);
+                    TIERS.forEach(function(t) { counts[t] += tierCounts[t]; });
+                });
+
+                var total = counts.reduce(function(a, b) { return a + b; }, 0);
+                if (total === 0) return;
+
+                var mean = TIERS.reduce(function(sum, t) { return sum + t * counts[t]; }, 0) / total;
+                var best = TIERS.reduce(function(bestTier, t) {
+                    if (counts[t] > counts[bestTier]) return t;
+                    if (counts[t] === counts[bestTier] && Math.abs(t - mean) < Math.abs(bestTier - mean)) return t;
+                    return bestTier;
+                }, 0);
+
+                var confidence = (counts[best] / total) * (total / (total + 3));
+                suggestions.set(c.ID_xA, {
+                    tier: best,
+                    confidence: confidence,
+                    level: confidence >= 0.6 ? 'high' : confidence >= 0.35 ? 'medium' : 'low',
+                    roots: roots,
+                    count: total
+                });
+            });
+
+            return suggestions;
+        },
+
+        // ==================== Grid Session API ====================
+        // Persisted, resumable eval sessions driven by the grid's filter state
+
+        /**
+         * Start a persisted grid eval session (replaces the project's saved session)
+         * @param {Array} nodes - All nodes from app state
+         * @param {Object} lockedFilters - { gridFilters, filterMatrix } locked for the session
+         * @param {number} waveSize - Candidates per wave
+         * @param {string|null} projectId - Owning project (resume is offered only there)
+         * @returns {Object} session object or error object
+         */
+        createGridSession: function(nodes, lockedFilters, waveSize, projectId) {
+            var options = gridFiltersToOptions(lockedFilters.gridFilters || {});
+            options.selectionCount = nodes.length;
+            options.batchSize = waveSize || 6;
+            options.lockedFilters = lockedFilters;
+            options.projectId = projectId || null;
+            return this.createSession(nodes, options);
+        },
+
+        /**
+         * Resume the saved grid eval session of a project
+         * Drops candidates from the restored wave that were already processed
+         * @param {Array} nodes - All nodes from app state
+         * @param {string|null} projectId - Owning project
+         * @returns {Object|null} session or null if none/invalid
+         */
+        resumeGridSession: function(nodes, projectId) {
+            var session = this.loadSession(nodes, projectId);
+            if (!session) return null;
+
+            session.currentBatchCandidates = session.currentBatchCandidates.filter(function(c) {
+                var processed = session.scores.has(c.ID_xA) || session.undecided.has(c.ID_xA);
+                if (processed && c.gridRow !== undefined) {
+                    releaseGridCell(c.gridRow, c.gridCol, session.grid);
+                }
+                return !processed;
+            });
+            this.saveSession(session);
+            return session;
+        },
+
+        /**
+         * Serve the next wave of a grid session (fresh grid, fresh node data)
+         * The wave number advances once any candidate has been processed
+         * @param {Object} session
+         * @param {Array} nodes - All nodes from app state
+         * @returns {Array} candidates with gridRow, gridCol properties (empty when done)
+         */
+        startNextWave: function(session, nodes) {
+            var nodeMap = new Map();
+            nodes.forEach(function(n) { nodeMap.set(n.ID_xA, n); });
+
+            // Refresh snapshots so edits made since the session started are shown
+            session.selectedCandidates = session.selectedIds
+                .map(function(id) { return nodeMap.get(id); })
+                .filter(function(c) { return c !== undefined; });
+
+            if (session.scores.size + session.undecided.size > 0) {
+                session.currentBatchIndex++;
+            }
+
+            // Uncertainty ordering learns from every rating so far, including this session's
+            if (session.config.selectionMethod === 'uncertainty') {
+                var processed = session.selectedCandidates.filter(function(c) {
+                    return session.scores.has(c.ID_xA) || session.undecided.has(c.ID_xA);
+                });
+                var remaining = session.selectedCandidates.filter(function(c) {
+                    return !session.scores.has(c.ID_xA) && !session.undecided.has(c.ID_xA);
+                });
+                session.selectedCandidates = processed.concat(
+                    orderByUncertainty(remaining, nodes, session.config.randomSeed)
+                );
+                session.selectedIds = session.selectedCandidates.map(function(c) { return c.ID_xA; });
+            }
+            session.grid = initGrid();
+            return this.getNextBatchWithGridPositions(session);
+        },
+
+        /**
+         * Follow a candidate whose ID changed (rating renames Group_xA and ID_xA)
+         * @param {Object} session
+         * @param {string} oldId
+         * @param {string} newId
+         */
+        renameCandidate: function(session, oldId, newId) {
+            if (oldId === newId) return;
+
+            session.selectedIds = session.selectedIds.map(function(id) {
+                return id === oldId ? newId : id;
+            });
+            if (session.scores.has(oldId)) {
+                session.scores.set(newId, session.scores.get(oldId));
+                session.scores.delete(oldId);
+            }
+            if (session.undecided.has(oldId)) {
+                session.undecided.delete(oldId);
+                session.undecided.add(newId);
+            }
+            session.currentBatchCandidates = session.currentBatchCandidates.map(function(c) {
+                return c.ID_xA === oldId ? Object.assign({}, c, { ID_xA: newId }) : c;
+            });
+            session.grid.cells.forEach(function(candidateId, cellKey) {
+                if (candidateId === oldId) {
+                    session.grid.cells.set(cellKey, newId);
+                }
+            });
+
+            this.saveSession(session);
+        },
+
         // ==================== SIMPLIFIED API (v2.3) ====================
         // These methods support immediate-sync evaluation without session persistence
 
@@ -978,17 +1469,9 @@
             var currentSet = new Set(currentBatchIds || []);
 
             // Build options object for existing filter functions
-            var options = {
-                selectionCount: 9999,  // No limit - we filter by batch
-                rankFilter: filters.rankFilter || 'unranked',
-                aiScoreThreshold: {
-                    min: filters.aiScoreRange ? filters.aiScoreRange[0] : 0,
-                    max: filters.aiScoreRange ? filters.aiScoreRange[1] : 100
-                },
-                groupFilter: filters.groupFilter && filters.groupFilter.length > 0 ? filters.groupFilter : null,
-                selectionMethod: filters.selectionMethod || 'top-ai',
-                randomSeed: Date.now()
-            };
+            var options = gridFiltersToOptions(filters);
+            options.selectionCount = 9999;  // No limit - we filter by batch
+            options.randomSeed = Date.now();
 
             // Use existing filter pipeline
             var eligible = filterCandidates(nodes, options);
@@ -10,14 +10,19 @@
      * Import Excel file with formula preservation
      * Uses header-based column mapping for flexibility
      * Auto-generates ID_xA from Group-Node if missing
+     * Workbooks written by exportExcel are read back in full: Candidates sheet (incl. blocked roots
+     * and custom fields), Roots sheet blocked status and History sheet score history
+     * Other workbooks: first worksheet only
      * @param {File} file - Excel file object
-     * @returns {Promise<Array>} Promise resolving to array of node objects
+     * @returns {Promise<Object>} Promise resolving to { nodes, blockedRoots }
      */
     const importExcel = async function(file) {
         const workbook = new ExcelJS.Workbook();
         await workbook.xlsx.load(await file.arrayBuffer());
 
-        const worksheet = workbook.getWorksheet(1) || workbook.worksheets[0];
+        const SHEETS = window.GraphApp.config.constants.workbook.SHEETS;
+        const candidatesSheet = workbook.getWorksheet(SHEETS.candidates);
+        const worksheet = candidatesSheet || workbook.getWorksheet(1) || workbook.worksheets[0];
         if (!worksheet) {
             throw new Error('No worksheet found in Excel file');
         }
@@ -42,6 +47,16 @@
             return '';
         };
 
+        // Multi-rater columns (Rank_<Reviewer>)
+        const reviewers = window.GraphApp.core.reviewers;
+        const reviewerColumns = Object.keys(columnMap).filter(header => reviewers.parseColumnName(header));
+
+        // Our own workbook: any other column is a custom field
+        const customColumns = candidatesSheet
+            ? Object.keys(columnMap).filter(header => !window.GraphApp.core.importMapping.isKnownHeader(header))
+            : [];
+
+        const blockedRoots = new Set();
         const nodes = [];
 
         worksheet.eachRow((row, rowNumber) => {
@@ -62,6 +77,11 @@
             const rankRaw = getColumnValue(row, 'Rank', 'Rank_xB', 'User_Rank');
             const rank = rankRaw === '' ? '' : (parseInt(rankRaw) || 0);
 
+            // Parse Elo (pairwise comparison rating, empty if never compared)
+            const eloRaw = getColumnValue(row, 'Elo', 'Elo_xB');
+            const eloNumber = parseFloat(eloRaw);
+            const elo = eloRaw === '' || isNaN(eloNumber) ? '' : Math.round(eloNumber);
+
             const node = {
                 Group_xA: group,
                 Node_xA: nodeName,
@@ -74,6 +94,8 @@
                 Link_Arrow_xB: 'To',
                 AI_Rank_xB: aiRank,
                 Rank_xB: rank,
+                Elo_xB: elo,
+                Elo_Games_xB: parseInt(getColumnValue(row, 'Elo_Games', 'Elo_Games_xB')) || 0,
                 Root1_xB: getColumnValue(row, 'Root1', 'Root1_xB') || '',
                 Class1_xB: getColumnValue(row, 'Class1', 'Class1_xB') || '',
                 Root2_xB: getColumnValue(row, 'Root2', 'Root2_xB') || '',
@@ -81,16 +103,141 @@
                 Root3_xB: getColumnValue(row, 'Root3', 'Root3_xB') || '',
                 Class3_xB: getColumnValue(row, 'Class3', 'Class3_xB') || '',
                 Group_Info: getColumnValue(row, 'Group_Info') || '',
-                Node_Info: getColumnValue(row, 'Node_Info') || ''
+                Node_Info: getColumnValue(row, 'Node_Info') || '',
+                Reviewer_Scores_xB: reviewers.scoresFromRow(reviewerColumns.reduce((values, header) => {
+                    values[header] = getColumnValue(row, header);
+                    return values;
+                }, {}))
             };
 
+            // Blocked roots (same Blocked1/2/3 columns as CSV)
+            [1, 2, 3].forEach(n => {
+                const root = node['Root' + n + '_xB'];
+                if (root && getColumnValue(row, 'Blocked' + n) === '1') blockedRoots.add(root);
+            });
+
+            const custom = {};
+            customColumns.forEach(header => {
+                const value = getColumnValue(row, header);
+                if (value !== '') custom[header] = value;
+            });
+            if (Object.keys(custom).length > 0) {
+                node.Custom_Fields_xB = custom;
+            }
+
             // Only add if row has data
             if (node.Group_xA || node.Node_xA) {
                 nodes.push(node);
             }
         });
 
-        return nodes;
+        readRootsSheet(workbook.getWorksheet(SHEETS.roots), blockedRoots);
+        readHistorySheet(workbook.getWorksheet(SHEETS.history), nodes);
+
+        return { nodes, blockedRoots };
+    };
+
+    /**
+     * Rows of a sheet as header -> value objects
+     * @param {Object} worksheet - ExcelJS worksheet
+     * @returns {Array<Object>}
+     */
+    const getSheetRows = function(worksheet) {
+        const headers = [];
+        worksheet.getRow(1).eachCell((cell, colNumber) => {
+            headers[colNumber] = getCellValue(cell).trim();
+        });
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const values = {};
+            headers.forEach((header, colNumber) => {
+                if (header) values[header] = getCellValue(row.getCell(colNumber));
+            });
+            rows.push(values);
+        });
+        return rows;
+    };
+
+    /**
+     * Add roots marked Blocked on the Roots sheet
+     * @param {Object|undefined} worksheet - Roots sheet
+     * @param {Set} blockedRoots - Updated in place
+     */
+    const readRootsSheet = function(worksheet, blockedRoots) {
+        if (!worksheet) return;
+        getSheetRows(worksheet).forEach(row => {
+            if (row.Root && row.Blocked === '1') blockedRoots.add(row.Root);
+        });
+    };
+
+    /**
+     * Restore Score_History_xB from the History sheet (matched by ID)
+     * Reviewer score timestamps are taken from each reviewer's latest history entry
+     * @param {Object|undefined} worksheet - History sheet
+     * @param {Array} nodes - Updated in place
+     */
+    const readHistorySheet = function(worksheet, nodes) {
+        if (!worksheet) return;
+        const byId = new Map(nodes.map(node => [node.ID_xA, node]));
+
+        getSheetRows(worksheet).forEach(row => {
+            const node = byId.get(row.ID);
+            if (!node) return;
+            const score = row.Score === '' ? '' : parseInt(row.Score);
+            const timestamp = Date.parse(row.Timestamp);
+            node.Score_History_xB = node.Score_History_xB || [];
+            node.Score_History_xB.push({
+                score: isNaN(score) ? '' : score,
+                timestamp: isNaN(timestamp) ? '' : timestamp,
+                reviewer: row.Reviewer || '',
+                wave: row.Wave === '' ? '' : (parseInt(row.Wave) || '')
+            });
+        });
+
+        nodes.forEach(node => {
+            Object.keys(node.Reviewer_Scores_xB || {}).forEach(reviewer => {
+                const entries = (node.Score_History_xB || []).filter(entry => entry.reviewer === reviewer && entry.timestamp);
+                if (entries.length > 0) {
+                    node.Reviewer_Scores_xB[reviewer].timestamp = entries[entries.length - 1].timestamp;
+                }
+            });
+        });
+    };
+
+    /**
+     * Read every worksheet as raw rows (for the import wizard)
+     * Header row is the first row; values are cell strings (formula results)
+     * @param {File} file - Excel file object
+     * @returns {Promise<Array<{name, headers, rows}>>} One entry per worksheet
+     */
+    const readWorkbookSheets = async function(file) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await file.arrayBuffer());
+
+        return workbook.worksheets.map(worksheet => {
+            const columns = [];
+            worksheet.getRow(1).eachCell((cell, colNumber) => {
+                const header = getCellValue(cell).trim();
+                if (header && !columns.some(c => c.header === header)) {
+                    columns.push({ header, colNumber });
+                }
+            });
+
+            const rows = [];
+            worksheet.eachRow((row, rowNumber) => {
+                if (rowNumber === 1) return;
+                const values = {};
+                let hasData = false;
+                columns.forEach(c => {
+                    values[c.header] = getCellValue(row.getCell(c.colNumber));
+                    if (values[c.header] !== '') hasData = true;
+                });
+                if (hasData) rows.push(values);
+            });
+
+            return { name: worksheet.name, headers: columns.map(c => c.header), rows };
+        });
     };
 
     /**
@@ -105,25 +252,31 @@
 
         // If cell contains formula, use the cached result
         if (cell.type === ExcelJS.ValueType.Formula) {
-            return cell.result || '';
+            return cell.result === null || cell.result === undefined ? '' : String(cell.result);
         }
 
-        return String(cell.value || '');
+        // String() keeps 0 (Blocked tier) instead of treating it as empty
+        return String(cell.value);
     };
 
     /**
      * Export nodes to Excel with formula preservation
+     * Workbook sheets: Candidates (row colour by tier), Roots, Classes, History
      * Smart export: only include Group_Info/Node_Info if any values exist
      * @param {Array} nodes - Array of node objects
      * @param {String} filename - Output filename
+     * @param {Set} blockedRoots - Optional set of blocked root strings
      */
-    const exportExcel = async function(nodes, filename) {
+    const exportExcel = async function(nodes, filename, blockedRoots) {
+        const SHEETS = window.GraphApp.config.constants.workbook.SHEETS;
+        const rootsSet = blockedRoots || new Set();
         const workbook = new ExcelJS.Workbook();
-        const worksheet = workbook.addWorksheet('Sheet1');
+        const worksheet = workbook.addWorksheet(SHEETS.candidates, { views: [{ state: 'frozen', ySplit: 1 }] });
 
         // Check if optional columns have any non-empty values
         const hasAnyAIRank = nodes.some(n => n.AI_Rank_xB !== '' && n.AI_Rank_xB !== undefined);
         const hasAnyRank = nodes.some(n => n.Rank_xB !== '' && n.Rank_xB !== undefined);
+        const hasAnyElo = nodes.some(n => n.Elo_xB !== '' && n.Elo_xB !== undefined && n.Elo_xB !== null);
         const hasAnyRoot1 = nodes.some(n => n.Root1_xB && n.Root1_xB.trim());
         const hasAnyClass1 = nodes.some(n => n.Class1_xB && n.Class1_xB.trim());
         const hasAnyRoot2 = nodes.some(n => n.Root2_xB && n.Root2_xB.trim());
@@ -132,6 +285,8 @@
         const hasAnyClass3 = nodes.some(n => n.Class3_xB && n.Class3_xB.trim());
         const hasAnyGroupInfo = nodes.some(n => n.Group_Info && n.Group_Info.trim());
         const hasAnyNodeInfo = nodes.some(n => n.Node_Info && n.Node_Info.trim());
+        const hasAnyHidden = nodes.some(n => n.Hidden_Node_xB);
+        const hasAnyBlocked = [1, 2, 3].map(n => nodes.some(node => node['Root' + n + '_xB'] && rootsSet.has(node['Root' + n + '_xB'])));
 
         // Build headers dynamically (link columns removed - feature deprecated)
         // Export uses clean column names (translation layer)
@@ -141,26 +296,31 @@
             'ID'
         ];
         if (hasAnyAIRank) headers.push('AI_Rank');
+        if (hasAnyElo) headers.push('Elo', 'Elo_Games');
         if (hasAnyRank) headers.push('Rank');
+        // One column per reviewer (multi-rater scores)
+        const reviewers = window.GraphApp.core.reviewers;
+        const reviewerNames = reviewers.getReviewerNames(nodes);
+        reviewerNames.forEach(reviewer => headers.push(reviewers.getColumnName(reviewer)));
         if (hasAnyRoot1) headers.push('Root1');
         if (hasAnyClass1) headers.push('Class1');
+        if (hasAnyBlocked[0]) headers.push('Blocked1');
         if (hasAnyRoot2) headers.push('Root2');
         if (hasAnyClass2) headers.push('Class2');
+        if (hasAnyBlocked[1]) headers.push('Blocked2');
         if (hasAnyRoot3) headers.push('Root3');
         if (hasAnyClass3) headers.push('Class3');
+        if (hasAnyBlocked[2]) headers.push('Blocked3');
         if (hasAnyGroupInfo) headers.push('Group_Info');
         if (hasAnyNodeInfo) headers.push('Node_Info');
+        if (hasAnyHidden) headers.push('Hide_Node');
+        // Custom fields from the import wizard
+        const customFields = window.GraphApp.exports.getCustomFieldNames(nodes).filter(name => !headers.includes(name));
+        customFields.forEach(name => headers.push(name));
 
         worksheet.addRow(headers);
 
-        // Style header row
-        const headerRow = worksheet.getRow(1);
-        headerRow.font = { bold: true };
-        headerRow.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFE5E7EB' }
-        };
+        styleHeaderRow(worksheet);
 
         // Add data rows with formulas for ID_xA
         nodes.forEach((node, index) => {
@@ -173,15 +333,22 @@
                 '' // Will be replaced with formula
             ];
             if (hasAnyAIRank) rowData.push(node.AI_Rank_xB !== undefined ? node.AI_Rank_xB : '');
+            if (hasAnyElo) rowData.push(node.Elo_xB !== undefined && node.Elo_xB !== null ? node.Elo_xB : '', node.Elo_Games_xB || 0);
             if (hasAnyRank) rowData.push(node.Rank_xB !== undefined ? node.Rank_xB : '');
+            reviewerNames.forEach(reviewer => rowData.push(reviewers.getReviewerScore(node, reviewer)));
             if (hasAnyRoot1) rowData.push(node.Root1_xB || '');
             if (hasAnyClass1) rowData.push(node.Class1_xB || '');
+            if (hasAnyBlocked[0]) rowData.push(node.Root1_xB && rootsSet.has(node.Root1_xB) ? 1 : '');
             if (hasAnyRoot2) rowData.push(node.Root2_xB || '');
             if (hasAnyClass2) rowData.push(node.Class2_xB || '');
+            if (hasAnyBlocked[1]) rowData.push(node.Root2_xB && rootsSet.has(node.Root2_xB) ? 1 : '');
             if (hasAnyRoot3) rowData.push(node.Root3_xB || '');
             if (hasAnyClass3) rowData.push(node.Class3_xB || '');
+            if (hasAnyBlocked[2]) rowData.push(node.Root3_xB && rootsSet.has(node.Root3_xB) ? 1 : '');
             if (hasAnyGroupInfo) rowData.push(node.Group_Info || '');
             if (hasAnyNodeInfo) rowData.push(node.Node_Info || '');
+            if (hasAnyHidden) rowData.push(node.Hidden_Node_xB || '');
+            customFields.forEach(name => rowData.push((node.Custom_Fields_xB || {})[name] || ''));
 
             const row = worksheet.addRow(rowData);
 
@@ -194,8 +361,65 @@
             };
         });
 
-        // Auto-fit columns
-        worksheet.columns.forEach((column, index) => {
+        // Colour candidate rows by tier
+        if (hasAnyRank && nodes.length > 0) {
+            const rankColumn = worksheet.getColumn(headers.indexOf('Rank') + 1).letter;
+            const lastColumn = worksheet.getColumn(headers.length).letter;
+            worksheet.addConditionalFormatting({
+                ref: `A2:${lastColumn}${nodes.length + 1}`,
+                rules: TIER_FILLS.map((color, tier) => ({
+                    type: 'expression',
+                    priority: tier + 1,
+                    // Empty cells compare equal to 0 in Excel, so check for a value first
+                    formulae: [`AND($${rankColumn}2<>"",$${rankColumn}2=${tier})`],
+                    style: { fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: color } } }
+                }))
+            });
+        }
+        autoFitColumns(worksheet);
+
+        addRootsSheet(workbook.addWorksheet(SHEETS.roots, { views: [{ state: 'frozen', ySplit: 1 }] }), nodes, rootsSet);
+        addClassesSheet(workbook.addWorksheet(SHEETS.classes, { views: [{ state: 'frozen', ySplit: 1 }] }), nodes);
+        addHistorySheet(workbook.addWorksheet(SHEETS.history, { views: [{ state: 'frozen', ySplit: 1 }] }), nodes);
+
+        // Download file
+        const buffer = await workbook.xlsx.writeBuffer();
+        downloadBlob(buffer, filename || 'graph-data.xlsx',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    };
+
+    // Row fills for tiers 0 (Blocked) to 3 on the Candidates sheet
+    const TIER_FILLS = ['FFFEE2E2', 'FFFEF3C7', 'FFDBEAFE', 'FFD1FAE5'];
+
+    const hasTier = function(node) {
+        return [0, 1, 2, 3].includes(node.Rank_xB);
+    };
+
+    const average = function(values) {
+        if (values.length === 0) return '';
+        return Math.round(100 * values.reduce((sum, v) => sum + v, 0) / values.length) / 100;
+    };
+
+    /**
+     * Bold, shaded header row
+     * @param {Object} worksheet - ExcelJS worksheet
+     */
+    const styleHeaderRow = function(worksheet) {
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFE5E7EB' }
+        };
+    };
+
+    /**
+     * Auto-fit column widths (capped at 50)
+     * @param {Object} worksheet - ExcelJS worksheet
+     */
+    const autoFitColumns = function(worksheet) {
+        worksheet.columns.forEach(column => {
             let maxLength = 10;
             column.eachCell({ includeEmpty: true }, cell => {
                 const length = String(cell.value).length;
@@ -205,11 +429,87 @@
             });
             column.width = Math.min(maxLength + 2, 50);
         });
+    };
 
-        // Download file
-        const buffer = await workbook.xlsx.writeBuffer();
-        downloadBlob(buffer, filename || 'graph-data.xlsx',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    /**
+     * Roots sheet: one row per root with candidate counts, blocked status and average tier
+     * @param {Object} worksheet - ExcelJS worksheet
+     * @param {Array} nodes
+     * @param {Set} blockedRoots
+     */
+    const addRootsSheet = function(worksheet, nodes, blockedRoots) {
+        const roots = new Map();
+        nodes.forEach(node => {
+            [1, 2, 3].forEach(n => {
+                const root = node['Root' + n + '_xB'];
+                if (!root) return;
+                if (!roots.has(root)) {
+                    roots.set(root, { className: node['Class' + n + '_xB'] || '', candidates: 0, tiers: [] });
+                }
+                const entry = roots.get(root);
+                entry.candidates++;
+                if (hasTier(node)) entry.tiers.push(node.Rank_xB);
+            });
+        });
+
+        worksheet.addRow(['Root', 'Class', 'Candidates', 'Rated', 'Avg_Tier', 'Blocked']);
+        styleHeaderRow(worksheet);
+        Array.from(roots.keys()).sort().forEach(root => {
+            const entry = roots.get(root);
+            worksheet.addRow([root, entry.className, entry.candidates, entry.tiers.length,
+                average(entry.tiers), blockedRoots.has(root) ? 1 : '']);
+        });
+        autoFitColumns(worksheet);
+    };
+
+    /**
+     * Classes sheet: one row per class (base group) with tier distribution
+     * @param {Object} worksheet - ExcelJS worksheet
+     * @param {Array} nodes
+     */
+    const addClassesSheet = function(worksheet, nodes) {
+        const getBaseGroup = window.GraphApp.utils.getBaseGroup;
+        const classes = new Map();
+        nodes.forEach(node => {
+            const group = getBaseGroup(node.Group_xA);
+            if (!classes.has(group)) {
+                classes.set(group, { info: '', candidates: 0, tiers: [0, 0, 0, 0], aiScores: [] });
+            }
+            const entry = classes.get(group);
+            entry.candidates++;
+            if (!entry.info && node.Group_Info) entry.info = node.Group_Info;
+            if (hasTier(node)) entry.tiers[node.Rank_xB]++;
+            if (node.AI_Rank_xB !== '' && node.AI_Rank_xB !== undefined && node.AI_Rank_xB !== null) {
+                entry.aiScores.push(Number(node.AI_Rank_xB));
+            }
+        });
+
+        worksheet.addRow(['Class', 'Candidates', 'T3', 'T2', 'T1', 'Blocked', 'Unrated', 'Avg_AI_Rank', 'Group_Info']);
+        styleHeaderRow(worksheet);
+        Array.from(classes.keys()).sort().forEach(group => {
+            const entry = classes.get(group);
+            const rated = entry.tiers.reduce((sum, count) => sum + count, 0);
+            worksheet.addRow([group, entry.candidates, entry.tiers[3], entry.tiers[2], entry.tiers[1], entry.tiers[0],
+                entry.candidates - rated, average(entry.aiScores), entry.info]);
+        });
+        autoFitColumns(worksheet);
+    };
+
+    /**
+     * History sheet: every recorded rating (Score_History_xB), oldest first per candidate
+     * @param {Object} worksheet - ExcelJS worksheet
+     * @param {Array} nodes
+     */
+    const addHistorySheet = function(worksheet, nodes) {
+        worksheet.addRow(['ID', 'Group', 'Node', 'Score', 'Reviewer', 'Wave', 'Timestamp']);
+        styleHeaderRow(worksheet);
+        nodes.forEach(node => {
+            (node.Score_History_xB || []).forEach(entry => {
+                worksheet.addRow([node.ID_xA, node.Group_xA, node.Node_xA, entry.score, entry.reviewer || '',
+                    entry.wave || '', entry.timestamp ? new Date(entry.timestamp).toISOString() : '']);
+            });
+        });
+        autoFitColumns(worksheet);
     };
 
     /**
@@ -233,5 +533,6 @@
     // Expose to global namespace
     window.GraphApp.core.importExcel = importExcel;
     window.GraphApp.core.exportExcel = exportExcel;
+    window.GraphApp.core.readWorkbookSheets = readWorkbookSheets;
 
 })(window);
@@ -0,0 +1,282 @@
+/**
+ * Export Templates Module
+ * Template-based Markdown / plain-text export of the shortlist
+ *
+ * Usage:
+ * - renderTemplate() fills a template with the candidates, grouped by class (base group)
+ * - BUILT_IN_TEMPLATES ship with the app; users' own templates are kept in localStorage
+ *   (loadTemplates / saveTemplate / deleteTemplate)
+ *
+ * Template language (a small subset of Mustache):
+ * - {{Field}} inserts a value; {{Field|oneline}} collapses line breaks, {{Field|cell}} also escapes | for Markdown tables
+ * - {{#groups}}...{{/groups}} loops over classes, {{#candidates}}...{{/candidates}} over a class's candidates
+ * - {{#Field}}...{{/Field}} renders only when Field is non-empty, {{^Field}}...{{/Field}} only when it is empty
+ * - Section tags alone on a line don't leave a blank line behind
+ *
+ * Fields: Title, Date, Count, GroupCount (everywhere); Group, Count (per class);
+ * Node, Tier, Rank, AI_Rank, Elo, Roots, Root1-3, Class1-3, Node_Info, Group_Info, ID
+ * and custom fields (per candidate). Inner loops can use outer fields.
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'haystack_export_templates';
+    const SHORTLIST_TIERS = [2, 3];
+    const TIER_LABELS = { 0: 'Blocked', 1: 'Tier 1', 2: 'Tier 2', 3: 'Tier 3' };
+
+    const BUILT_IN_TEMPLATES = [
+        {
+            id: 'markdown-table',
+            name: 'Markdown table',
+            extension: 'md',
+            body: [
+                '# {{Title}}',
+                '',
+                '{{#groups}}',
+                '## {{Group}} ({{Count}})',
+                '',
+                '| Candidate | Tier | AI score | Roots | Notes |',
+                '| --- | --- | --- | --- | --- |',
+                '{{#candidates}}',
+                '| {{Node|cell}} | {{Tier}} | {{AI_Rank}} | {{Roots|cell}} | {{Node_Info|cell}} |',
+                '{{/candidates}}',
+                '',
+                '{{/groups}}'
+            ].join('\n')
+        },
+        {
+            id: 'bullet-list',
+            name: 'Bullet list',
+            extension: 'md',
+            body: [
+                '# {{Title}}',
+                '',
+                '{{#groups}}',
+                '**{{Group}}**',
+                '{{#candidates}}',
+                '- {{Node}} ({{Tier}}{{#AI_Rank}}, AI {{AI_Rank}}{{/AI_Rank}}){{#Roots}}: {{Roots}}{{/Roots}}',
+                '{{/candidates}}',
+                '',
+                '{{/groups}}'
+            ].join('\n')
+        },
+        {
+            id: 'slack',
+            name: 'Slack message',
+            extension: 'txt',
+            body: [
+                '*{{Title}}* ({{Count}} candidates)',
+                '{{#groups}}',
+                '',
+                '*{{Group}}*',
+                '{{#candidates}}',
+                '• {{Node}} _{{Tier}}_{{#Node_Info}}: {{Node_Info|oneline}}{{/Node_Info}}',
+                '{{/candidates}}',
+                '{{/groups}}'
+            ].join('\n')
+        }
+    ];
+
+    const FILTERS = {
+        oneline: value => value.replace(/\s*\r?\n\s*/g, ' ').trim(),
+        cell: value => FILTERS.oneline(value).replace(/\|/g, '\\|')
+    };
+
+    // ========== TEMPLATE LANGUAGE ==========
+
+    const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([\w.]+)(?:\s*\|\s*(\w+))?\s*\}\}/g;
+
+    /**
+     * Parse a template into a tree of text, value and section tokens
+     * @param {string} body - Template text
+     * @returns {Array} Tokens
+     * @throws {Error} On unknown filters and unbalanced sections
+     */
+    const parseTemplate = function(body) {
+        // Standalone section tags take their line with them
+        const text = String(body || '').replace(/^[ \t]*(\{\{\s*[#^/][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+        const root = { children: [] };
+        const stack = [root];
+        let last = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            if (match.index > last) current.children.push({ type: 'text', text: text.slice(last, match.index) });
+            last = TAG_PATTERN.lastIndex;
+
+            const kind = match[1];
+            const name = match[2];
+            if (kind === '#' || kind === '^') {
+                const section = { type: 'section', name, inverted: kind === '^', children: [] };
+                current.children.push(section);
+                stack.push(section);
+            } else if (kind === '/') {
+                if (stack.length === 1 || current.name !== name) {
+                    throw new Error(`Unexpected {{/${name}}}` + (stack.length > 1 ? ` (expected {{/${current.name}}})` : ''));
+                }
+                stack.pop();
+            } else {
+                if (match[3] && !FILTERS[match[3]]) throw new Error(`Unknown filter "${match[3]}" in {{${name}|${match[3]}}}`);
+                current.children.push({ type: 'value', name, filter: match[3] || null });
+            }
+        }
+        if (stack.length > 1) throw new Error(`Missing {{/${stack[stack.length - 1].name}}}`);
+        if (last < text.length) root.children.push({ type: 'text', text: text.slice(last) });
+        return root.children;
+    };
+
+    // Look a name up from the innermost context outwards
+    const lookup = function(contexts, name) {
+        for (let i = contexts.length - 1; i >= 0; i--) {
+            if (contexts[i][name] !== undefined) return contexts[i][name];
+        }
+        return undefined;
+    };
+
+    const isEmpty = function(value) {
+        return value === undefined || value === null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+    };
+
+    const renderTokens = function(tokens, contexts) {
+        return tokens.map(token => {
+            if (token.type === 'text') return token.text;
+            const value = lookup(contexts, token.name);
+            if (token.type === 'value') {
+                const text = isEmpty(value) ? '' : String(value);
+                return token.filter ? FILTERS[token.filter](text) : text;
+            }
+            if (token.inverted) return isEmpty(value) ? renderTokens(token.children, contexts) : '';
+            if (isEmpty(value)) return '';
+            if (Array.isArray(value)) {
+                return value.map(item => renderTokens(token.children, contexts.concat([item]))).join('');
+            }
+            return renderTokens(token.children, contexts);
+        }).join('');
+    };
+
+    // ========== DATA ==========
+
+    /**
+     * Template data: candidates grouped by class, best tier and AI score first
+     * @param {Array} nodes - Array of node objects
+     * @param {Set} blockedRoots - Optional set of blocked root strings
+     * @param {Object} options - { title, shortlistOnly (Tier 2/3 only) }
+     * @returns {Object} Root context { Title, Date, Count, GroupCount, groups: [{ Group, Count, candidates }] }
+     */
+    const buildTemplateData = function(nodes, blockedRoots, options) {
+        const getBaseGroup = window.GraphApp.utils.getBaseGroup;
+        const opts = options || {};
+        const classes = {};
+
+        window.GraphApp.exports.transformForExport(nodes, blockedRoots)
+            .filter(row => !opts.shortlistOnly || SHORTLIST_TIERS.includes(row.Rank))
+            .forEach(row => {
+                const group = getBaseGroup(row.Group);
+                const candidate = Object.assign({}, row, {
+                    Group: group,
+                    Tier: TIER_LABELS[row.Rank] || 'Unrated',
+                    Roots: [1, 2, 3]
+                        .filter(n => row['Root' + n])
+                        .map(n => row['Root' + n] + (row['Class' + n] ? ` (${row['Class' + n]})` : ''))
+                        .join(', ')
+                });
+                (classes[group] = classes[group] || []).push(candidate);
+            });
+
+        const rankOf = candidate => candidate.Rank === '' ? -1 : candidate.Rank;
+        const groups = Object.keys(classes)
+            .sort((a, b) => a.localeCompare(b))
+            .map(group => ({
+                Group: group,
+                Count: classes[group].length,
+                candidates: classes[group].sort((a, b) => (rankOf(b) - rankOf(a)) || ((b.AI_Rank || 0) - (a.AI_Rank || 0)))
+            }));
+
+        return {
+            Title: opts.title || 'Shortlist',
+            Date: new Date().toLocaleDateString(),
+            Count: groups.reduce((sum, group) => sum + group.Count, 0),
+            GroupCount: groups.length,
+            groups
+        };
+    };
+
+    /**
+     * Render a template for the given nodes
+     * @param {string} body - Template text
+     * @param {Array} nodes - Array of node objects
+     * @param {Set} blockedRoots - Optional set of blocked root strings
+     * @param {Object} options - As for buildTemplateData
+     * @returns {string} Output text
+     * @throws {Error} When the template is invalid
+     */
+    const renderTemplate = function(body, nodes, blockedRoots, options) {
+        return renderTokens(parseTemplate(body), [buildTemplateData(nodes, blockedRoots, options)]);
+    };
+
+    // ========== SAVED TEMPLATES ==========
+
+    /**
+     * User-saved templates
+     * @returns {Array} [{ name, extension, body }]
+     */
+    const loadTemplates = function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.warn('Failed to load export templates', e);
+            return [];
+        }
+    };
+
+    const storeTemplates = function(templates) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save export templates', e);
+            return false;
+        }
+    };
+
+    /**
+     * Save (or overwrite by name) a user template
+     * @param {Object} template - { name, extension, body }
+     * @returns {Array|null} Updated list, null when storage failed
+     */
+    const saveTemplate = function(template) {
+        const templates = loadTemplates().filter(t => t.name !== template.name);
+        templates.push({ name: template.name, extension: template.extension || 'txt', body: template.body });
+        templates.sort((a, b) => a.name.localeCompare(b.name));
+        return storeTemplates(templates) ? templates : null;
+    };
+
+    /**
+     * Delete a user template
+     * @param {string} name
+     * @returns {Array} Updated list
+     */
+    const deleteTemplate = function(name) {
+        const templates = loadTemplates().filter(t => t.name !== name);
+        storeTemplates(templates);
+        return templates;
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.exportTemplates = {
+        BUILT_IN_TEMPLATES,
+        parseTemplate,
+        buildTemplateData,
+        renderTemplate,
+        loadTemplates,
+        saveTemplate,
+        deleteTemplate
+    };
+
+})(window);
@@ -1,11 +1,26 @@
 /**
  * Export Functions Module
- * Export data to various formats (CSV, PNG, Mermaid)
+ * Export data to various formats (CSV, PNG, Mermaid, HTML report)
  */
 
 (function(window) {
     'use strict';
 
+    /**
+     * Names of custom fields (Custom_Fields_xB) used by any node, in first-seen order
+     * @param {Array} nodes - Array of node objects
+     * @returns {Array<string>} Field names
+     */
+    const getCustomFieldNames = function(nodes) {
+        const names = [];
+        nodes.forEach(node => {
+            Object.keys(node.Custom_Fields_xB || {}).forEach(name => {
+                if (!names.includes(name)) names.push(name);
+            });
+        });
+        return names;
+    };
+
     /**
      * Build CSV column list based on whether info columns have data
      * Uses clean column names (translation layer)
@@ -16,6 +31,7 @@
     const getCSVColumns = function(nodes, blockedRoots) {
         const hasAnyAIRank = nodes.some(n => n.AI_Rank_xB !== '' && n.AI_Rank_xB !== undefined && n.AI_Rank_xB !== null);
         const hasAnyRank = nodes.some(n => n.Rank_xB !== '' && n.Rank_xB !== undefined && n.Rank_xB !== null);
+        const hasAnyElo = nodes.some(n => n.Elo_xB !== '' && n.Elo_xB !== undefined && n.Elo_xB !== null);
         const hasAnyRoot1 = nodes.some(n => n.Root1_xB && n.Root1_xB.trim());
         const hasAnyClass1 = nodes.some(n => n.Class1_xB && n.Class1_xB.trim());
         const hasAnyRoot2 = nodes.some(n => n.Root2_xB && n.Root2_xB.trim());
@@ -38,7 +54,12 @@
             'ID'
         ];
         if (hasAnyAIRank) columns.push('AI_Rank');
+        if (hasAnyElo) columns.push('Elo', 'Elo_Games');
         if (hasAnyRank) columns.push('Rank');
+        // One column per reviewer (multi-rater scores)
+        window.GraphApp.core.reviewers.getReviewerNames(nodes).forEach(reviewer => {
+            columns.push(window.GraphApp.core.reviewers.getColumnName(reviewer));
+        });
         if (hasAnyRoot1) columns.push('Root1');
         if (hasAnyClass1) columns.push('Class1');
         if (hasAnyBlocked1) columns.push('Blocked1');
@@ -50,6 +71,10 @@
         if (hasAnyBlocked3) columns.push('Blocked3');
         if (hasAnyGroupInfo) columns.push('Group_Info');
         if (hasAnyNodeInfo) columns.push('Node_Info');
+        // Custom fields from the import wizard
+        getCustomFieldNames(nodes).forEach(name => {
+            if (!columns.includes(name)) columns.push(name);
+        });
 
         return columns;
     };
@@ -63,11 +88,15 @@
      */
     const transformForExport = function(nodes, blockedRoots) {
         const rootsSet = blockedRoots || new Set();
-        return nodes.map(node => ({
+        const reviewers = window.GraphApp.core.reviewers;
+        const reviewerNames = reviewers.getReviewerNames(nodes);
+        return nodes.map(node => Object.assign({}, node.Custom_Fields_xB || {}, {
             'Group': node.Group_xA || '',
             'Node': node.Node_xA || '',
             'ID': node.ID_xA || '',
             'AI_Rank': (node.AI_Rank_xB !== '' && node.AI_Rank_xB !== undefined && node.AI_Rank_xB !== null) ? node.AI_Rank_xB : '',
+            'Elo': (node.Elo_xB !== '' && node.Elo_xB !== undefined && node.Elo_xB !== null) ? node.Elo_xB : '',
+            'Elo_Games': node.Elo_Games_xB || '',
             'Rank': (node.Rank_xB !== '' && node.Rank_xB !== undefined && node.Rank_xB !== null) ? node.Rank_xB : '',
             'Root1': node.Root1_xB || '',
             'Class1': node.Class1_xB || '',
@@ -80,7 +109,10 @@
             'Blocked3': (node.Root3_xB && rootsSet.has(node.Root3_xB)) ? 1 : '',
             'Group_Info': node.Group_Info || '',
             'Node_Info': node.Node_Info || ''
-        }));
+        }, reviewerNames.reduce((cols, reviewer) => {
+            cols[reviewers.getColumnName(reviewer)] = reviewers.getReviewerScore(node, reviewer);
+            return cols;
+        }, {})));
     };
 
     /**
@@ -119,13 +151,14 @@
     /**
      * Export nodes to Roots CSV format
      * Columns: class, root, class_description, engagement
+     * Candidates generated from the roots (Root1_xB set) are left out
      * @param {Array} nodes - Array of node objects
      * @param {String} filename - Output filename
      */
     const exportRootsCSV = function(nodes, filename) {
         const columns = ['class', 'root', 'class_description', 'engagement'];
 
-        const exportData = nodes.map(node => ({
+        const exportData = nodes.filter(window.GraphApp.utils.isRootRow).map(node => ({
             'class': node.Group_xA || '',
             'root': node.Node_xA || '',
             'class_description': node.Group_Info || '',
@@ -189,6 +222,24 @@
         URL.revokeObjectURL(url);
     };
 
+    /**
+     * Export already-formatted text (template exports)
+     * @param {String} text - File contents
+     * @param {String} filename - Output filename (.md is saved as Markdown)
+     */
+    const exportText = function(text, filename) {
+        const type = /\.md$/i.test(filename || '') ? 'text/markdown' : 'text/plain';
+        const blob = new Blob([text], { type: type + ';charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename || 'shortlist.txt';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
     /**
      * Copy nodes to clipboard as CSV text
      * Uses modern Clipboard API (96%+ browser support)
@@ -207,108 +258,140 @@
         }
     };
 
+    // Rows per parsed chunk are collected as they stream in; progress is reported per chunk
+    const CSV_CHUNK_SIZE = 1024 * 1024;
+
     /**
-     * Import CSV file
+     * Convert parsed CSV rows (header: true) to nodes
      * Accepts both new clean column names and old _xA/_xB names (backward compatible)
-     * @param {File} file - CSV file object
+     * @param {Array<Object>} rows - Parsed rows keyed by header
+     * @returns {Object} { nodes, format, blockedRoots }
+     */
+    const csvRowsToImport = function(rows) {
+        // Collect blocked roots from Blocked1/2/3 columns
+        const blockedRoots = new Set();
+
+        // Column name translation: New clean names first, old _xA/_xB names as fallback
+        // Internal fields still use _xA/_xB for code clarity
+        const nodes = rows.map(row => {
+            // Primary fields - new names first, old as fallback, roots format aliases last
+            // Always stringify to handle dynamicTyping converting numeric values
+            const group = String(row.Group || row.Group_xA || row.class || '');
+            const nodeName = String(row.Node || row.Node_xA || row.root || '');
+            const id = String(row.ID || row.ID_xA || '');
+
+            // Parse AI_Rank - accept 'AI_Rank' (new), 'AI_Rank_xB' (old), or 'engagement' (roots format)
+            const aiRankVal = row.AI_Rank !== undefined ? row.AI_Rank
+                : (row['AI Rank'] !== undefined ? row['AI Rank']
+                : (row.AI_Rank_xB !== undefined ? row.AI_Rank_xB
+                : (row.engagement !== undefined ? row.engagement
+                : '')));
+
+            // Parse Rank - accept 'Rank' (new) or 'Rank_xB' (old), default to empty
+            const rankVal = row.Rank !== undefined ? row.Rank : (row.Rank_xB !== undefined ? row.Rank_xB : '');
+
+            // Parse Elo (pairwise comparison rating) - optional
+            const eloVal = row.Elo !== undefined ? row.Elo : (row.Elo_xB !== undefined ? row.Elo_xB : '');
+            const eloNumber = parseFloat(eloVal);
+
+            // Extract root values
+            const root1 = row.Root1 || row.Root1_xB || '';
+            const root2 = row.Root2 || row.Root2_xB || '';
+            const root3 = row.Root3 || row.Root3_xB || '';
+
+            // Check Blocked1/2/3 columns and collect blocked roots
+            // Columns are optional - if missing, roots are not blocked
+            const blocked1 = row.Blocked1 === 1 || row.Blocked1 === '1';
+            const blocked2 = row.Blocked2 === 1 || row.Blocked2 === '1';
+            const blocked3 = row.Blocked3 === 1 || row.Blocked3 === '1';
+
+            if (blocked1 && root1) blockedRoots.add(root1);
+            if (blocked2 && root2) blockedRoots.add(root2);
+            if (blocked3 && root3) blockedRoots.add(root3);
+
+            return {
+                Group_xA: group,
+                Node_xA: nodeName,
+                ID_xA: id || `${group}-${nodeName}`,  // Auto-generate ID if not provided
+                // Link columns accepted for backward compat but stored as empty (feature deprecated)
+                Linked_Node_ID_xA: '',
+                Hidden_Node_xB: parseInt(row.Hide_Node || row['Hide Node'] || row.Hidden_Node_xB || row['Hidden Node_xB']) || 0,
+                Hidden_Link_xB: 0,
+                Link_Label_xB: '',
+                Link_Arrow_xB: 'To',
+                AI_Rank_xB: (aiRankVal === '' || aiRankVal === null || aiRankVal === undefined) ? '' : parseInt(aiRankVal),
+                Rank_xB: (rankVal === '' || rankVal === null || rankVal === undefined) ? '' : parseInt(rankVal),
+                Elo_xB: isNaN(eloNumber) ? '' : Math.round(eloNumber),
+                Elo_Games_xB: parseInt(row.Elo_Games || row.Elo_Games_xB) || 0,
+                Root1_xB: root1,
+                Class1_xB: row.Class1 || row.Class1_xB || '',
+                Root2_xB: root2,
+                Class2_xB: row.Class2 || row.Class2_xB || '',
+                Root3_xB: root3,
+                Class3_xB: row.Class3 || row.Class3_xB || '',
+                Group_Info: row.Group_Info || row.class_description || '',
+                Node_Info: row.Node_Info || '',
+                Reviewer_Scores_xB: window.GraphApp.core.reviewers.scoresFromRow(row)
+            };
+        });
+
+        // Detect format from column names
+        const headers = Object.keys(rows[0] || {});
+        const isRootsFormat = headers.includes('class') && headers.includes('root');
+        const format = isRootsFormat ? 'roots' : 'candidates';
+
+        // Legacy scale detection for roots format
+        // If max engagement value is <= 5, assume old 0-5 scale and convert to 0-100
+        if (isRootsFormat) {
+            const numericScores = nodes
+                .map(n => n.AI_Rank_xB)
+                .filter(v => v !== '' && v !== null && v !== undefined && !isNaN(v));
+
+            if (numericScores.length > 0) {
+                const maxScore = Math.max(...numericScores);
+                if (maxScore <= 5) {
+                    // Legacy 0-5 scale detected - convert to 0-100
+                    console.log('Legacy 0-5 engagement scale detected, converting to 0-100');
+                    nodes.forEach(n => {
+                        if (n.AI_Rank_xB !== '' && n.AI_Rank_xB !== null && n.AI_Rank_xB !== undefined) {
+                            // Convert: multiply by 20, handle negatives as 0
+                            const oldValue = n.AI_Rank_xB;
+                            n.AI_Rank_xB = oldValue < 0 ? 0 : Math.round(oldValue * 20);
+                        }
+                    });
+                }
+            }
+        }
+
+        return { nodes, format, blockedRoots };
+    };
+
+    /**
+     * Import CSV file
+     * Parsed in chunks so large files report progress (also runs inside the data worker)
+     * @param {File|string} file - CSV file object, or pasted CSV/TSV text (delimiter auto-detected)
+     * @param {Function} onProgress - Optional, called with the fraction parsed (0-1) after each chunk
      * @returns {Promise<Object>} Promise resolving to { nodes, format, blockedRoots }
      */
-    const importCSV = function(file) {
+    const importCSV = function(file, onProgress) {
+        const size = typeof file === 'string' ? file.length : file.size;
+        const rows = [];
         return new Promise((resolve, reject) => {
             Papa.parse(file, {
                 header: true,
                 dynamicTyping: true,
                 skipEmptyLines: true,
-                complete: function(results) {
-                    // Collect blocked roots from Blocked1/2/3 columns
-                    const blockedRoots = new Set();
-
-                    // Column name translation: New clean names first, old _xA/_xB names as fallback
-                    // Internal fields still use _xA/_xB for code clarity
-                    const nodes = results.data.map(row => {
-                        // Primary fields - new names first, old as fallback, roots format aliases last
-                        // Always stringify to handle dynamicTyping converting numeric values
-                        const group = String(row.Group || row.Group_xA || row.class || '');
-                        const nodeName = String(row.Node || row.Node_xA || row.root || '');
-                        const id = String(row.ID || row.ID_xA || '');
-
-                        // Parse AI_Rank - accept 'AI_Rank' (new), 'AI_Rank_xB' (old), or 'engagement' (roots format)
-                        const aiRankVal = row.AI_Rank !== undefined ? row.AI_Rank
-                            : (row['AI Rank'] !== undefined ? row['AI Rank']
-                            : (row.AI_Rank_xB !== undefined ? row.AI_Rank_xB
-                            : (row.engagement !== undefined ? row.engagement
-                            : '')));
-
-                        // Parse Rank - accept 'Rank' (new) or 'Rank_xB' (old), default to empty
-                        const rankVal = row.Rank !== undefined ? row.Rank : (row.Rank_xB !== undefined ? row.Rank_xB : '');
-
-                        // Extract root values
-                        const root1 = row.Root1 || row.Root1_xB || '';
-                        const root2 = row.Root2 || row.Root2_xB || '';
-                        const root3 = row.Root3 || row.Root3_xB || '';
-
-                        // Check Blocked1/2/3 columns and collect blocked roots
-                        // Columns are optional - if missing, roots are not blocked
-                        const blocked1 = row.Blocked1 === 1 || row.Blocked1 === '1';
-                        const blocked2 = row.Blocked2 === 1 || row.Blocked2 === '1';
-                        const blocked3 = row.Blocked3 === 1 || row.Blocked3 === '1';
-
-                        if (blocked1 && root1) blockedRoots.add(root1);
-                        if (blocked2 && root2) blockedRoots.add(root2);
-                        if (blocked3 && root3) blockedRoots.add(root3);
-
-                        return {
-                            Group_xA: group,
-                            Node_xA: nodeName,
-                            ID_xA: id || `${group}-${nodeName}`,  // Auto-generate ID if not provided
-                            // Link columns accepted for backward compat but stored as empty (feature deprecated)
-                            Linked_Node_ID_xA: '',
-                            Hidden_Node_xB: parseInt(row.Hide_Node || row['Hide Node'] || row.Hidden_Node_xB || row['Hidden Node_xB']) || 0,
-                            Hidden_Link_xB: 0,
-                            Link_Label_xB: '',
-                            Link_Arrow_xB: 'To',
-                            AI_Rank_xB: (aiRankVal === '' || aiRankVal === null || aiRankVal === undefined) ? '' : parseInt(aiRankVal),
-                            Rank_xB: (rankVal === '' || rankVal === null || rankVal === undefined) ? '' : parseInt(rankVal),
-                            Root1_xB: root1,
-                            Class1_xB: row.Class1 || row.Class1_xB || '',
-                            Root2_xB: root2,
-                            Class2_xB: row.Class2 || row.Class2_xB || '',
-                            Root3_xB: root3,
-                            Class3_xB: row.Class3 || row.Class3_xB || '',
-                            Group_Info: row.Group_Info || row.class_description || '',
-                            Node_Info: row.Node_Info || ''
-                        };
-                    });
-
-                    // Detect format from column names
-                    const headers = Object.keys(results.data[0] || {});
-                    const isRootsFormat = headers.includes('class') && headers.includes('root');
-                    const format = isRootsFormat ? 'roots' : 'candidates';
-
-                    // Legacy scale detection for roots format
-                    // If max engagement value is <= 5, assume old 0-5 scale and convert to 0-100
-                    if (isRootsFormat) {
-                        const numericScores = nodes
-                            .map(n => n.AI_Rank_xB)
-                            .filter(v => v !== '' && v !== null && v !== undefined && !isNaN(v));
-
-                        if (numericScores.length > 0) {
-                            const maxScore = Math.max(...numericScores);
-                            if (maxScore <= 5) {
-                                // Legacy 0-5 scale detected - convert to 0-100
-                                console.log('Legacy 0-5 engagement scale detected, converting to 0-100');
-                                nodes.forEach(n => {
-                                    if (n.AI_Rank_xB !== '' && n.AI_Rank_xB !== null && n.AI_Rank_xB !== undefined) {
-                                        // Convert: multiply by 20, handle negatives as 0
-                                        const oldValue = n.AI_Rank_xB;
-                                        n.AI_Rank_xB = oldValue < 0 ? 0 : Math.round(oldValue * 20);
-                                    }
-                                });
-                            }
-                        }
+                chunkSize: CSV_CHUNK_SIZE,
+                chunk: function(results) {
+                    results.data.forEach(row => rows.push(row));
+                    if (onProgress && size) onProgress(Math.min(1, results.meta.cursor / size));
+                },
+                complete: function() {
+                    try {
+                        resolve(csvRowsToImport(rows));
+                    } catch (e) {
+                        reject(e);
                     }
-
-                    resolve({ nodes, format, blockedRoots });
                 },
                 error: function(error) {
                     reject(error);
@@ -341,16 +424,36 @@
      */
     const importMermaid = async function(file) {
         const text = await file.text();
-        return window.GraphApp.utils.parseMermaidToNodes(text);
+        return window.GraphApp.core.graphImport.parseMermaid(text);
     };
 
     /**
-     * Export nodes to JSON
-     * @param {Array} nodes - Array of node objects
+     * Import GraphML file (as written by exportGraphML, yEd or other tools)
+     * @param {File} file - GraphML file object
+     * @returns {Promise<Array>} Promise resolving to array of node objects
+     */
+    const importGraphML = async function(file) {
+        const text = await file.text();
+        return window.GraphApp.core.graphImport.parseGraphML(text);
+    };
+
+    /**
+     * Import GraphViz DOT file (.dot / .gv)
+     * @param {File} file - DOT file object
+     * @returns {Promise<Array>} Promise resolving to array of node objects
+     */
+    const importDOT = async function(file) {
+        const text = await file.text();
+        return window.GraphApp.core.graphImport.parseDOT(text);
+    };
+
+    /**
+     * Export data to JSON (app.js passes a project from core.projectFile.buildProject)
+     * @param {Object|Array} data - Data to write
      * @param {String} filename - Output filename
      */
-    const exportJSON = function(nodes, filename) {
-        const jsonData = JSON.stringify(nodes, null, 2);
+    const exportJSON = function(data, filename) {
+        const jsonData = JSON.stringify(data, null, 2);
         const blob = new Blob([jsonData], { type: 'application/json;charset=utf-8' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -362,6 +465,170 @@
         URL.revokeObjectURL(url);
     };
 
+    // HTML report: shortlisted tiers and chart colours/labels (same as the evaluation ResultsSummary)
+    const REPORT_TIERS = [3, 2];
+    const REPORT_CHART = [
+        { score: 3, label: 'Tier 3', color: '#3B82F6' },
+        { score: 2, label: 'Tier 2', color: '#3B82F6' },
+        { score: 1, label: 'Tier 1', color: '#3B82F6' },
+        { score: 0, label: 'Block', color: '#EF4444' }
+    ];
+
+    const escapeHTML = function(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    };
+
+    /**
+     * Tier statistics in the shape of evaluationEngine.getResults() (distribution, totalScored)
+     * @param {Array} nodes - Array of node objects
+     * @returns {Object} { distribution: {0,1,2,3}, totalScored, unratedCount }
+     */
+    const getTierStatistics = function(nodes) {
+        const distribution = { 0: 0, 1: 0, 2: 0, 3: 0 };
+        nodes.forEach(node => {
+            if (distribution[node.Rank_xB] !== undefined && node.Rank_xB !== '') distribution[node.Rank_xB]++;
+        });
+        const totalScored = distribution[0] + distribution[1] + distribution[2] + distribution[3];
+        return { distribution, totalScored, unratedCount: nodes.length - totalScored };
+    };
+
+    /**
+     * Build a self-contained HTML report of the shortlist (Tier 2/3) for sharing
+     * Inline CSS only, no scripts or external resources, so the file works offline and prints cleanly
+     * @param {Array} nodes - Array of node objects
+     * @param {Set} blockedRoots - Optional set of blocked root strings
+     * @param {Object} options - { title }
+     * @returns {String} HTML document
+     */
+    const buildHTMLReport = function(nodes, blockedRoots, options) {
+        const getBaseGroup = window.GraphApp.utils.getBaseGroup;
+        const title = (options && options.title) || 'Shortlist';
+        const stats = getTierStatistics(nodes);
+
+        // Shortlist rows from the export data, grouped by class (base group) in name order
+        const classes = {};
+        transformForExport(nodes, blockedRoots)
+            .filter(row => REPORT_TIERS.includes(row.Rank))
+            .forEach(row => {
+                const className = getBaseGroup(row.Group);
+                (classes[className] = classes[className] || []).push(row);
+            });
+        const classNames = Object.keys(classes).sort((a, b) => a.localeCompare(b));
+        const shortlisted = classNames.reduce((sum, name) => sum + classes[name].length, 0);
+
+        const chart = REPORT_CHART.map(bar => {
+            const count = stats.distribution[bar.score];
+            const percent = stats.totalScored > 0 ? (count / stats.totalScored) * 100 : 0;
+            return `<div class="bar-row"><span class="bar-label" style="color:${bar.score === 0 ? '#6B7280' : bar.color}">${bar.label}</span>` +
+                `<div class="bar-bg"><div class="bar-fill" style="width:${percent.toFixed(1)}%;background:${bar.color}"></div></div>` +
+                `<span class="bar-count">${count}</span></div>`;
+        }).join('\n');
+
+        const formatRoots = row => [1, 2, 3]
+            .filter(n => row['Root' + n])
+            .map(n => {
+                const cls = row['Class' + n] ? ` <span class="muted">(${escapeHTML(row['Class' + n])})</span>` : '';
+                const blocked = row['Blocked' + n] ? ' <span class="blocked">blocked</span>' : '';
+                return `<span class="root">${escapeHTML(row['Root' + n])}${cls}${blocked}</span>`;
+            })
+            .join(' ');
+
+        const sections = classNames.map(className => {
+            const rows = classes[className]
+                .slice()
+                .sort((a, b) => (b.Rank - a.Rank) || ((b.AI_Rank || 0) - (a.AI_Rank || 0)))
+                .map(row => `<tr><td class="name">${escapeHTML(row.Node)}</td>` +
+                    `<td class="tier tier${row.Rank}">Tier ${row.Rank}</td>` +
+                    `<td class="num">${escapeHTML(row.AI_Rank)}</td>` +
+                    `<td>${formatRoots(row)}</td>` +
+                    `<td class="notes">${escapeHTML(row.Node_Info)}</td></tr>`)
+                .join('\n');
+            return `<section><h2>${escapeHTML(className)} <span class="muted">${classes[className].length}</span></h2>\n` +
+                `<table><thead><tr><th>Candidate</th><th>Tier</th><th>AI score</th><th>Roots</th><th>Notes</th></tr></thead>\n` +
+                `<tbody>\n${rows}\n</tbody></table></section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1F2937; max-width: 1000px; margin: 0 auto; padding: 32px; }
+h1 { font-size: 24px; margin: 0 0 4px; }
+h2 { font-size: 18px; margin: 28px 0 8px; border-bottom: 2px solid #E5E7EB; padding-bottom: 4px; }
+.muted { color: #6B7280; font-weight: normal; }
+.summary { display: flex; gap: 32px; align-items: flex-start; margin: 24px 0; }
+.chart { flex: 1; max-width: 450px; }
+.bar-row { display: flex; align-items: center; margin-bottom: 12px; }
+.bar-label { width: 60px; font-size: 14px; font-weight: 500; }
+.bar-bg { flex: 1; height: 24px; background: #F3F4F6; border-radius: 4px; overflow: hidden; margin: 0 12px; }
+.bar-fill { height: 100%; }
+.bar-count { width: 40px; font-size: 14px; color: #6B7280; text-align: right; }
+.totals { font-size: 14px; color: #4B5563; line-height: 1.8; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th { text-align: left; color: #6B7280; font-weight: 600; border-bottom: 1px solid #D1D5DB; padding: 6px 8px; }
+td { border-bottom: 1px solid #F3F4F6; padding: 6px 8px; vertical-align: top; }
+.name { font-weight: 600; }
+.num { text-align: right; }
+.tier { white-space: nowrap; font-weight: 600; }
+.tier3 { color: #1D4ED8; }
+.tier2 { color: #3B82F6; }
+.root { display: inline-block; margin-right: 8px; }
+.blocked { color: #DC2626; font-size: 11px; text-transform: uppercase; }
+.notes { white-space: pre-wrap; color: #374151; }
+@media print {
+  body { padding: 0; max-width: none; }
+  section { break-inside: avoid-page; }
+  tr { break-inside: avoid; }
+  thead { display: table-header-group; }
+  .bar-fill, .bar-bg { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="muted">Generated ${escapeHTML(new Date().toLocaleString())}</div>
+<div class="summary">
+<div class="chart">
+${chart}
+</div>
+<div class="totals">
+<div><strong>${shortlisted}</strong> shortlisted (Tier 2/3) in ${classNames.length} ${classNames.length === 1 ? 'class' : 'classes'}</div>
+<div>${stats.totalScored} of ${nodes.length} candidates rated</div>
+</div>
+</div>
+${sections || '<p class="muted">No Tier 2 or Tier 3 candidates yet.</p>'}
+</body>
+</html>
+`;
+    };
+
+    /**
+     * Export the shortlist as a self-contained HTML report
+     * @param {Array} nodes - Array of node objects
+     * @param {String} filename - Output filename
+     * @param {Set} blockedRoots - Optional set of blocked root strings
+     * @param {Object} options - { title }
+     */
+    const exportHTMLReport = function(nodes, filename, blockedRoots, options) {
+        const html = buildHTMLReport(nodes, blockedRoots, options);
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename || 'shortlist-report.html';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
     /**
      * Export nodes to GraphML format (yEd-compatible with full visual data)
      * @param {Array} nodes - Array of node objects
@@ -579,12 +846,19 @@
         exportRootsCSV,
         importCSV,
         exportTXT,
+        exportText,
         exportMermaid,
         importMermaid,
+        importGraphML,
+        importDOT,
         exportJSON,
+        buildHTMLReport,
+        exportHTMLReport,
         exportGraphML,
         exportDOT,
-        copyToClipboard
+        copyToClipboard,
+        getCustomFieldNames,
+        transformForExport
     };
 
 })(window);
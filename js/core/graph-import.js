@@ -0,0 +1,642 @@
+/**
+ * Graph Import Module
+ * Reads GraphML, GraphViz DOT and Mermaid flowchart files back into nodes
+ * (counterpart of exportGraphML / exportDOT / exportMermaid)
+ *
+ * Usage:
+ * - parseGraphML(): group nodes (yfiles.foldertype="group" or nodes with a nested graph) become
+ *   Group_xA, child labels become Node_xA; Group/Node/ID/description data keys win when present
+ * - parseDOT(): subgraph clusters become Group_xA (cluster label, else its name), node labels
+ *   become Node_xA and node IDs become ID_xA; Group/Node/ID node attributes win when present
+ * - parseMermaid(): subgraph blocks become Group_xA (title, else id), node labels become Node_xA;
+ *   understands every node shape, ---/-->/-.->/==> edges (with text), chains and & fan-out,
+ *   classDef/class/style statements and %% comments, and reports any other line with its number
+ * - Tier suffixes in group names (" T2", " Blocked") restore Rank_xB
+ * - Edges are ignored (link feature deprecated), except in Mermaid: a node's first outgoing link
+ *   goes into its Linked_Node_ID_xA as before, and each further one becomes a clone row
+ *   (same group and name, ID from utils.generateMuxCloneID) carrying that link
+ */
+
+(function(window) {
+    'use strict';
+
+    const DEFAULT_GROUP = 'Default';  // Nodes outside any group (same as the Mermaid importer)
+
+    const makeNode = function(group, name, id, info) {
+        const utils = window.GraphApp.utils;
+        return {
+            Group_xA: group,
+            Node_xA: name,
+            ID_xA: id || `${group}-${name}`,
+            Linked_Node_ID_xA: '',
+            Hidden_Node_xB: 0,
+            Hidden_Link_xB: 0,
+            Link_Label_xB: '',
+            Link_Arrow_xB: 'To',
+            AI_Rank_xB: '',
+            Rank_xB: utils.getRatingFromGroup(group),
+            Elo_xB: '',
+            Elo_Games_xB: 0,
+            Root1_xB: '',
+            Class1_xB: '',
+            Root2_xB: '',
+            Class2_xB: '',
+            Root3_xB: '',
+            Class3_xB: '',
+            Group_Info: '',
+            Node_Info: info || ''
+        };
+    };
+
+    // ========== GRAPHML ==========
+
+    // Data key names (attr.name) -> field, clean export names and internal names
+    const GRAPHML_FIELDS = {
+        group: 'group', group_xa: 'group',
+        node: 'node', node_xa: 'node',
+        id: 'id', id_xa: 'id',
+        description: 'info', node_info: 'info'
+    };
+
+    const childElements = function(element, localName) {
+        return Array.from(element.children).filter(child => child.localName === localName);
+    };
+
+    /**
+     * Parse GraphML text (yEd or plain)
+     * @param {string} text - File contents
+     * @returns {Array} Nodes
+     * @throws {Error} When the XML is invalid or has no graph
+     */
+    const parseGraphML = function(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parseError = doc.getElementsByTagName('parsererror')[0];
+        if (parseError) {
+            throw new Error('Invalid GraphML: ' + parseError.textContent.trim().split('\n')[0]);
+        }
+        const root = doc.documentElement;
+        const graph = root && root.localName === 'graphml' ? childElements(root, 'graph')[0] : null;
+        if (!graph) throw new Error('Invalid GraphML: no <graph> element');
+
+        // key id -> field for node data keys
+        const keyFields = {};
+        childElements(root, 'key').forEach(key => {
+            const forType = key.getAttribute('for');
+            const field = GRAPHML_FIELDS[(key.getAttribute('attr.name') || '').toLowerCase()];
+            if (field && (!forType || forType === 'node' || forType === 'all')) {
+                keyFields[key.getAttribute('id')] = field;
+            }
+        });
+
+        const readData = function(element) {
+            const values = {};
+            childElements(element, 'data').forEach(data => {
+                const field = keyFields[data.getAttribute('key')];
+                const value = data.textContent.trim();
+                if (field && value) values[field] = value;
+            });
+            return values;
+        };
+
+        // yEd label: first NodeLabel inside the node's own graphics (not its children's)
+        const readLabel = function(element) {
+            const graphics = childElements(element, 'data').find(data => !keyFields[data.getAttribute('key')]);
+            const label = graphics ? graphics.getElementsByTagNameNS('*', 'NodeLabel')[0] : null;
+            return label ? label.textContent.trim() : '';
+        };
+
+        const nodes = [];
+        const walk = function(graphElement, groupName) {
+            childElements(graphElement, 'node').forEach(element => {
+                const values = readData(element);
+                const nested = childElements(element, 'graph')[0];
+                const isGroup = !!nested || element.getAttribute('yfiles.foldertype') === 'group';
+                if (isGroup) {
+                    // exportGraphML writes the group name into the ID key of group nodes
+                    const name = readLabel(element) || values.group || values.id || element.getAttribute('id');
+                    if (nested) walk(nested, name);
+                    return;
+                }
+                const name = values.node || readLabel(element) || element.getAttribute('id');
+                const group = values.group || groupName || DEFAULT_GROUP;
+                nodes.push(makeNode(group, name, values.id, values.info));
+            });
+        };
+        walk(graph, '');
+        return nodes;
+    };
+
+    // ========== DOT ==========
+
+    /**
+     * Split DOT text into tokens: { type: 'id' | 'punct' | 'edge', value, line }
+     * Comments, #-preprocessor lines and HTML-like labels' markup are skipped
+     */
+    const tokenizeDOT = function(text) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\n') { line++; i++; continue; }
+            if (/\s/.test(ch)) { i++; continue; }
+            if (ch === '/' && text[i + 1] === '/') { while (i < text.length && text[i] !== '\n') i++; continue; }
+            if (ch === '#' && (i === 0 || text[i - 1] === '\n')) { while (i < text.length && text[i] !== '\n') i++; continue; }
+            if (ch === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                const stop = end === -1 ? text.length : end + 2;
+                line += (text.slice(i, stop).match(/\n/g) || []).length;
+                i = stop;
+                continue;
+            }
+            if (ch === '"') {
+                let value = '';
+                const startLine = line;
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && i + 1 < text.length) {
+                        const next = text[i + 1];
+                        if (next === '"' || next === '\\') value += next;
+                        else if (next === 'n' || next === 'l' || next === 'r') value += '\n';
+                        else if (next === '\n') line++;  // Line continuation
+                        else value += '\\' + next;
+                        i += 2;
+                        continue;
+                    }
+                    if (text[i] === '\n') line++;
+                    value += text[i++];
+                }
+                if (i >= text.length) throw new Error(`Invalid DOT: unterminated string starting on line ${startLine}`);
+                i++;
+                tokens.push({ type: 'id', value, line: startLine });
+                continue;
+            }
+            if (ch === '<') {
+                // HTML-like string: keep the text content
+                let depth = 0;
+                const start = i;
+                do {
+                    if (text[i] === '<') depth++;
+                    else if (text[i] === '>') depth--;
+                    else if (text[i] === '\n') line++;
+                    i++;
+                } while (i < text.length && depth > 0);
+                tokens.push({ type: 'id', value: text.slice(start + 1, i - 1).replace(/<[^>]*>/g, '').trim(), line });
+                continue;
+            }
+            if (ch === '-' && (text[i + 1] === '>' || text[i + 1] === '-')) {
+                tokens.push({ type: 'edge', value: text.slice(i, i + 2), line });
+                i += 2;
+                continue;
+            }
+            if ('{}[];,=:'.includes(ch)) {
+                tokens.push({ type: 'punct', value: ch, line });
+                i++;
+                continue;
+            }
+            const match = text.slice(i).match(/^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/);
+            if (!match) throw new Error(`Invalid DOT: unexpected "${ch}" on line ${line}`);
+            tokens.push({ type: 'id', value: match[0], line });
+            i += match[0].length;
+        }
+        return tokens;
+    };
+
+    /**
+     * Parse GraphViz DOT text
+     * @param {string} text - File contents
+     * @returns {Array} Nodes, in order of first appearance
+     * @throws {Error} With the line number on syntax errors
+     */
+    const parseDOT = function(text) {
+        const tokens = tokenizeDOT(text);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isPunct = (value) => peek() && peek().type === 'punct' && peek().value === value;
+        const fail = (expected) => {
+            const token = peek();
+            throw new Error(token
+                ? `Invalid DOT: expected ${expected} but found "${token.value}" on line ${token.line}`
+                : `Invalid DOT: expected ${expected} at end of file`);
+        };
+        const expectPunct = (value) => {
+            if (!isPunct(value)) fail(`"${value}"`);
+            pos++;
+        };
+        const readId = (what) => {
+            if (!peek() || peek().type !== 'id') fail(what);
+            return tokens[pos++].value;
+        };
+        const keyword = (word) => peek() && peek().type === 'id' && peek().value.toLowerCase() === word;
+
+        // [a=b, c=d; ...] [...]
+        const readAttrs = function() {
+            const attrs = {};
+            while (isPunct('[')) {
+                pos++;
+                while (!isPunct(']')) {
+                    const name = readId('an attribute name');
+                    expectPunct('=');
+                    attrs[name] = readId(`a value for ${name}`);
+                    if (isPunct(',') || isPunct(';')) pos++;
+                }
+                pos++;
+            }
+            return attrs;
+        };
+
+        const nodesById = new Map();  // DOT id -> { cluster, attrs }
+        const order = [];
+
+        // Clusters on the stack: the innermost cluster is the node's group
+        const innermostCluster = function(stack) {
+            for (let i = stack.length - 1; i >= 0; i--) {
+                if (stack[i].isCluster) return stack[i];
+            }
+            return null;
+        };
+
+        // A node belongs to the first cluster it appears in (edges may mention it earlier, outside)
+        const touchNode = function(id, stack, attrs) {
+            let entry = nodesById.get(id);
+            if (!entry) {
+                entry = { cluster: null, attrs: {} };
+                nodesById.set(id, entry);
+                order.push(id);
+            }
+            if (!entry.cluster) entry.cluster = innermostCluster(stack);
+            Object.assign(entry.attrs, attrs || {});
+        };
+
+        // Node IDs of a statement operand (a node or a subgraph)
+        const readOperand = function(stack) {
+            if (isPunct('{') || keyword('subgraph')) return readSubgraph(stack);
+            const id = readId('a node ID');
+            if (isPunct(':')) {  // Port
+                pos++;
+                readId('a port');
+                if (isPunct(':')) { pos++; readId('a compass point'); }
+            }
+            return [id];
+        };
+
+        const readStatements = function(stack) {
+            const ids = [];
+            while (!isPunct('}')) {
+                if (!peek()) fail('"}"');
+                if (isPunct(';')) { pos++; continue; }
+
+                // graph/node/edge [attrs] - only graph attributes matter (cluster label)
+                if ((keyword('graph') || keyword('node') || keyword('edge')) && tokens[pos + 1] && tokens[pos + 1].type === 'punct' && tokens[pos + 1].value === '[') {
+                    const target = tokens[pos++].value.toLowerCase();
+                    const attrs = readAttrs();
+                    if (target === 'graph') Object.assign(stack[stack.length - 1].attrs, attrs);
+                    continue;
+                }
+                // label="..." at graph level
+                if (peek().type === 'id' && tokens[pos + 1] && tokens[pos + 1].type === 'punct' && tokens[pos + 1].value === '=') {
+                    const name = readId('an attribute name');
+                    pos++;
+                    stack[stack.length - 1].attrs[name] = readId(`a value for ${name}`);
+                    continue;
+                }
+
+                // Node or edge statement
+                const operands = [readOperand(stack)];
+                while (peek() && peek().type === 'edge') {
+                    pos++;
+                    operands.push(readOperand(stack));
+                }
+                const attrs = readAttrs();
+                operands.forEach(operandIds => {
+                    operandIds.forEach(id => {
+                        // Only node statements carry node attributes; edges just declare their ends
+                        touchNode(id, stack, operands.length === 1 ? attrs : null);
+                        ids.push(id);
+                    });
+                });
+            }
+            return ids;
+        };
+
+        const readSubgraph = function(stack) {
+            let name = '';
+            if (keyword('subgraph')) {
+                pos++;
+                if (peek() && peek().type === 'id') name = readId('a subgraph name');
+            }
+            expectPunct('{');
+            const scope = { name, isCluster: /^cluster/i.test(name), attrs: {} };
+            const inner = stack.concat([scope]);
+            const ids = readStatements(inner);
+            expectPunct('}');
+            return ids;
+        };
+
+        // [strict] (graph | digraph) [ID] { ... }
+        if (keyword('strict')) pos++;
+        if (!keyword('graph') && !keyword('digraph')) fail('"graph" or "digraph"');
+        pos++;
+        if (peek() && peek().type === 'id') readId('a graph name');
+        expectPunct('{');
+        readStatements([{ name: '', isCluster: false, attrs: {} }]);
+        expectPunct('}');
+        if (peek()) fail('end of file');
+
+        // Cluster scopes are shared objects, so a label set after the nodes still applies
+        return order.map(id => {
+            const entry = nodesById.get(id);
+            const label = entry.attrs.label && entry.attrs.label !== '\\N' ? entry.attrs.label : '';
+            const cluster = entry.cluster;
+            const group = entry.attrs.Group ||
+                (cluster ? cluster.attrs.label || cluster.name.replace(/^cluster_?/i, '') || DEFAULT_GROUP : DEFAULT_GROUP);
+            return makeNode(group, entry.attrs.Node || label || id, entry.attrs.ID || id, entry.attrs.Node_Info || '');
+        });
+    };
+
+    // ========== MERMAID ==========
+
+    // Node shapes, longest opener first: [opener, closers]
+    const MERMAID_SHAPES = [
+        ['(((', [')))']],
+        ['([', ['])']],
+        ['[[', [']]']],
+        ['[(', [')]']],
+        ['((', ['))']],
+        ['{{', ['}}']],
+        ['[/', ['/]', '\\]']],
+        ['[\\', ['\\]', '/]']],
+        ['(', [')']],
+        ['[', [']']],
+        ['{', ['}']],
+        ['>', [']']]
+    ];
+
+    // Links: optional start marker, then -- / == / -. / ~~~ bodies with an optional end marker
+    const MERMAID_LINK = /^\s*[<xo]?(?:-{2,}[->xo]?|={2,}[=>xo]?|-?\.+-[>xo]?|~{3,})\s*/;
+    // "-- text -->" style links: opener, text, closer
+    const MERMAID_LINK_TEXT_OPEN = /^\s*[<xo]?(--|==|-\.)\s+/;
+    const MERMAID_LINK_TEXT_CLOSE = /\s+(-{2,}[->xo]?|={2,}[=>xo]?|\.+-[>xo]?)\s*/;
+    const MERMAID_ID = /^\s*([\w\u00c0-\uffff]+)/;
+
+    // Statements that don't affect the data
+    const MERMAID_IGNORED = /^(direction|style|linkStyle|click|accTitle|accDescr)\b/;
+
+    // Mermaid label text: drop quotes/markdown backticks, <br> to space, #entity; codes
+    const cleanMermaidLabel = function(text) {
+        let label = text.trim();
+        if (label.length >= 2 && label[0] === '"' && label[label.length - 1] === '"') label = label.slice(1, -1);
+        if (label.length >= 2 && label[0] === '`' && label[label.length - 1] === '`') label = label.slice(1, -1);
+        return label
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/#quot;/g, '"')
+            .replace(/#amp;/g, '&')
+            .replace(/#lt;/g, '<')
+            .replace(/#gt;/g, '>')
+            .replace(/#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code)))
+            .trim();
+    };
+
+    // Split a line on ; outside quotes
+    const splitMermaidStatements = function(line) {
+        const parts = [];
+        let current = '';
+        let quoted = false;
+        for (const ch of line) {
+            if (ch === '"') quoted = !quoted;
+            if (ch === ';' && !quoted) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(Boolean);
+    };
+
+    /**
+     * Parse a Mermaid flowchart (graph / flowchart)
+     * @param {string} text - File contents
+     * @returns {Array} Nodes, in order of first appearance
+     * @throws {Error} Listing every line that couldn't be parsed, with its line number
+     */
+    const parseMermaid = function(text) {
+        const entries = new Map();   // Mermaid id -> { label, subgraph }
+        const order = [];
+        const edges = [];            // { from, to, label }
+        const subgraphIds = new Set();
+        const errors = [];
+        const stack = [];            // Open subgraphs { id, title }
+        let sawHeader = false;
+
+        const touch = function(id, label) {
+            let entry = entries.get(id);
+            if (!entry) {
+                entry = { label: '', subgraph: null };
+                entries.set(id, entry);
+                order.push(id);
+            }
+            if (label) entry.label = label;
+            if (!entry.subgraph && stack.length > 0) entry.subgraph = stack[stack.length - 1];
+        };
+
+        // One node reference: id, optional shape with label, optional :::class
+        // Returns { id, rest } or null
+        const readNode = function(source) {
+            const idMatch = source.match(MERMAID_ID);
+            if (!idMatch) return null;
+            const id = idMatch[1];
+            let rest = source.slice(idMatch[0].length);
+            let label = '';
+
+            if (rest.startsWith('@{')) {
+                // Shape data syntax: id@{ shape: rect, label: "Text" }
+                const end = rest.indexOf('}');
+                if (end === -1) return null;
+                const labelMatch = rest.slice(2, end).match(/label\s*:\s*("([^"]*)"|[^,]+)/);
+                if (labelMatch) label = cleanMermaidLabel(labelMatch[2] !== undefined ? labelMatch[2] : labelMatch[1]);
+                rest = rest.slice(end + 1);
+            } else {
+                const shape = MERMAID_SHAPES.find(s => rest.startsWith(s[0]));
+                if (shape) {
+                    let body = rest.slice(shape[0].length);
+                    let consumed;
+                    if (body.trimStart().startsWith('"')) {
+                        // Quoted label may contain the closer
+                        const start = body.indexOf('"');
+                        const close = body.indexOf('"', start + 1);
+                        if (close === -1) return null;
+                        const after = body.slice(close + 1).trimStart();
+                        const closer = shape[1].find(c => after.startsWith(c));
+                        if (!closer) return null;
+                        label = cleanMermaidLabel(body.slice(start, close + 1));
+                        consumed = body.length - after.length + closer.length;
+                    } else {
+                        const positions = shape[1].map(c => ({ c, index: body.indexOf(c) })).filter(p => p.index >= 0);
+                        if (positions.length === 0) return null;
+                        const first = positions.reduce((a, b) => (b.index < a.index ? b : a));
+                        label = cleanMermaidLabel(body.slice(0, first.index));
+                        consumed = first.index + first.c.length;
+                    }
+                    rest = body.slice(consumed);
+                }
+            }
+
+            const classMatch = rest.match(/^:::([\w-]+)/);
+            if (classMatch) rest = rest.slice(classMatch[0].length);
+            return { id, label, rest };
+        };
+
+        // node (& node)*
+        const readGroup = function(source) {
+            const ids = [];
+            let rest = source;
+            for (;;) {
+                const node = readNode(rest);
+                if (!node) return null;
+                touch(node.id, node.label);
+                ids.push(node.id);
+                rest = node.rest;
+                const amp = rest.match(/^\s*&\s*/);
+                if (!amp) break;
+                rest = rest.slice(amp[0].length);
+            }
+            return { ids, rest };
+        };
+
+        // Link with optional text; returns { label, rest } or null
+        const readLink = function(source) {
+            const textOpen = source.match(MERMAID_LINK_TEXT_OPEN);
+            if (textOpen) {
+                const after = source.slice(textOpen[0].length);
+                const close = after.match(MERMAID_LINK_TEXT_CLOSE);
+                if (close) {
+                    return { label: cleanMermaidLabel(after.slice(0, close.index)), rest: after.slice(close.index + close[0].length) };
+                }
+            }
+            const link = source.match(MERMAID_LINK);
+            if (!link) return null;
+            let rest = source.slice(link[0].length);
+            let label = '';
+            const pipe = rest.match(/^\|([^|]*)\|\s*/);
+            if (pipe) {
+                label = cleanMermaidLabel(pipe[1]);
+                rest = rest.slice(pipe[0].length);
+            }
+            return { label, rest };
+        };
+
+        const parseStatement = function(statement) {
+            let group = readGroup(statement);
+            if (!group) return false;
+            let rest = group.rest;
+            while (rest.trim()) {
+                const link = readLink(rest);
+                if (!link) return false;
+                const target = readGroup(link.rest);
+                if (!target) return false;
+                group.ids.forEach(from => target.ids.forEach(to => edges.push({ from, to, label: link.label })));
+                group = target;
+                rest = target.rest;
+            }
+            return true;
+        };
+
+        let inFrontMatter = false;
+        String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.trim();
+            // YAML front matter (---) before the header
+            if (line === '---' && !sawHeader) {
+                inFrontMatter = !inFrontMatter;
+                return;
+            }
+            if (inFrontMatter || !line || line.startsWith('%%')) return;
+
+            splitMermaidStatements(line.replace(/\s+%%.*$/, '')).forEach(statement => {
+                if (!sawHeader) {
+                    if (/^(graph|flowchart)\b/i.test(statement)) {
+                        sawHeader = true;
+                    } else {
+                        errors.push(`Line ${lineNumber}: expected "graph" or "flowchart" (only flowcharts can be imported)`);
+                        sawHeader = true;
+                    }
+                    return;
+                }
+
+                const subgraph = statement.match(/^subgraph\b\s*(.*)$/);
+                if (subgraph) {
+                    // subgraph id [title] | subgraph "title" | subgraph title
+                    const spec = subgraph[1].trim();
+                    const withTitle = spec.match(/^([\w-]+)\s*\[(.*)\]$/);
+                    const id = withTitle ? withTitle[1] : spec.replace(/^"|"$/g, '');
+                    const title = withTitle ? cleanMermaidLabel(withTitle[2]) : cleanMermaidLabel(spec);
+                    if (id) subgraphIds.add(id);
+                    stack.push({ id, title: title || id });
+                    return;
+                }
+                if (/^end$/.test(statement)) {
+                    if (stack.length === 0) errors.push(`Line ${lineNumber}: "end" without a matching subgraph`);
+                    else stack.pop();
+                    return;
+                }
+                if (/^classDef\s+\S+/.test(statement) || /^class\s+\S+\s+\S+/.test(statement) || MERMAID_IGNORED.test(statement)) {
+                    return;
+                }
+                if (!parseStatement(statement)) {
+                    errors.push(`Line ${lineNumber}: could not parse "${statement}"`);
+                }
+            });
+        });
+
+        if (!sawHeader) throw new Error('Empty Mermaid file');
+        stack.forEach(open => errors.push(`Subgraph "${open.title}" is missing "end"`));
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 10);
+            if (errors.length > shown.length) shown.push(`… and ${errors.length - shown.length} more`);
+            throw new Error('Invalid Mermaid:\n' + shown.join('\n'));
+        }
+
+        // Subgraph ids used as edge ends are clusters, not candidates
+        const nodeIds = order.filter(id => !(subgraphIds.has(id) && !entries.get(id).label));
+        const nodesById = new Map(nodeIds.map(id => {
+            const entry = entries.get(id);
+            return [id, makeNode(entry.subgraph ? entry.subgraph.title : DEFAULT_GROUP, entry.label || id)];
+        }));
+
+        // A row holds one link: the first outgoing link stays on the node, further ones get clone rows
+        const clones = [];
+        const cloneIds = new Set();
+        edges.forEach(edge => {
+            const from = nodesById.get(edge.from);
+            const to = nodesById.get(edge.to);
+            if (!from || !to) return;
+            if (!from.Linked_Node_ID_xA) {
+                from.Linked_Node_ID_xA = to.ID_xA;
+                from.Link_Label_xB = edge.label;
+                return;
+            }
+            const cloneId = window.GraphApp.utils.generateMuxCloneID(from.ID_xA, to.ID_xA);
+            if (from.Linked_Node_ID_xA === to.ID_xA || cloneIds.has(cloneId)) return;  // Repeated edge
+            cloneIds.add(cloneId);
+            const clone = makeNode(from.Group_xA, from.Node_xA, cloneId);
+            clone.Linked_Node_ID_xA = to.ID_xA;
+            clone.Link_Label_xB = edge.label;
+            clones.push(clone);
+        });
+
+        return Array.from(nodesById.values()).concat(clones);
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.graphImport = {
+        parseGraphML,
+        parseDOT,
+        parseMermaid
+    };
+
+})(window);
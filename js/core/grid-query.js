@@ -0,0 +1,189 @@
+/**
+ * Grid Query Module
+ * Filtering, sorting and matrix counts for the grid, without DOM or React
+ *
+ * Usage:
+ * - selectGridNodes() is the full pipeline app.js shows in the grid
+ *   (class visibility in roots mode, filter matrix / filters, sort)
+ * - computeMatrixCounts() counts candidates per status × root count cell
+ * - Also loaded by the data worker (js/workers/data-worker.js), so it must only
+ *   depend on GraphApp.utils
+ */
+
+(function(window) {
+    'use strict';
+
+    const isRootBlocked = function(node, blockedRoots) {
+        return blockedRoots.size > 0 && (
+            blockedRoots.has(node.Root1_xB) ||
+            blockedRoots.has(node.Root2_xB) ||
+            blockedRoots.has(node.Root3_xB)
+        );
+    };
+
+    /**
+     * Filter nodes by criteria
+     * @param {Array} nodes - Nodes to filter
+     * @param {Object} filters - Filter criteria
+     * @param {Set} blockedRoots - Set of blocked root names (optional)
+     * @returns {Array} Matching nodes
+     */
+    const filterGridNodes = function(nodes, filters, blockedRoots) {
+        const countRoots = window.GraphApp.utils.countRoots;
+        const getStatusFromRank = window.GraphApp.utils.getStatusFromRank;
+        blockedRoots = blockedRoots || new Set();
+
+        return nodes.filter(node => {
+            // Rank filter
+            const rank = node.Rank_xB;
+            const isUnranked = rank === '' || rank === undefined || rank === null;
+            const isTier0 = rank === 0;
+            const isRanked = !isUnranked && !isTier0;
+
+            // Filter Matrix (Status × Root Count) - takes priority if defined
+            if (filters.filterMatrix && Object.keys(filters.filterMatrix).length > 0) {
+                const matrixRow = filters.filterMatrix[getStatusFromRank(rank)];
+
+                // If the cell is unchecked, hide this node
+                if (!matrixRow || !matrixRow['r' + countRoots(node)]) {
+                    return false;
+                }
+
+                // Root-blocked filter: three-state mode ('show' | 'only' | 'hide')
+                const rootBlockedMode = filters.filterMatrix['rootblocked'] || 'show';
+                if (rootBlockedMode === 'hide' && isRootBlocked(node, blockedRoots)) {
+                    return false;  // Hide blocked candidates
+                }
+                if (rootBlockedMode === 'only' && !isRootBlocked(node, blockedRoots)) {
+                    return false;  // Only show blocked candidates
+                }
+                // 'show' mode: include all (no filtering by root-blocked status)
+            } else {
+                // Legacy rank filter (only if matrix not used)
+                if (filters.rankFilter === 'unranked' && !isUnranked) return false;
+                if (filters.rankFilter === 'ranked' && !isRanked) return false;
+                if (filters.rankFilter === 'blocked' && !isTier0) return false;
+                if (filters.rankFilter === 'rank1' && rank !== 1) return false;
+                if (filters.rankFilter === 'rank2' && rank !== 2) return false;
+                if (filters.rankFilter === 'rank3' && rank !== 3) return false;
+            }
+
+            // Group filter (empty = all)
+            if (filters.groupFilter && filters.groupFilter.length > 0) {
+                if (!filters.groupFilter.includes(node.Group_xA)) return false;
+            }
+
+            // AI Score range
+            const aiScore = node.AI_Rank_xB || 0;
+            if (filters.aiScoreRange) {
+                if (aiScore < filters.aiScoreRange[0] || aiScore > filters.aiScoreRange[1]) return false;
+            }
+
+            // Search text
+            if (filters.searchText && filters.searchText.trim()) {
+                const searchLower = filters.searchText.toLowerCase();
+                const nodeName = (node.Node_xA || '').toLowerCase();
+                if (!nodeName.includes(searchLower)) return false;
+            }
+
+            return true;
+        });
+    };
+
+    /**
+     * Sort nodes by grid filter criteria (different from table sort)
+     * @param {Array} nodes - Nodes to sort (not modified)
+     * @param {string} sortBy - 'ai-desc' | 'ai-asc' | 'elo-desc' | 'elo-asc' | 'alpha-asc' | 'alpha-desc' | 'random'
+     * @returns {Array} Sorted copy
+     */
+    const sortGridNodes = function(nodes, sortBy) {
+        const eloOrDefault = (node, fallback) =>
+            node.Elo_xB === '' || node.Elo_xB === undefined || node.Elo_xB === null ? fallback : node.Elo_xB;
+
+        const sorted = nodes.slice(); // Copy array
+        switch (sortBy) {
+            case 'ai-desc':
+                return sorted.sort((a, b) => (b.AI_Rank_xB || 0) - (a.AI_Rank_xB || 0));
+            case 'ai-asc':
+                return sorted.sort((a, b) => (a.AI_Rank_xB || 0) - (b.AI_Rank_xB || 0));
+            case 'elo-desc':
+                // Never-compared candidates (no Elo) go last
+                return sorted.sort((a, b) => eloOrDefault(b, -Infinity) - eloOrDefault(a, -Infinity));
+            case 'elo-asc':
+                return sorted.sort((a, b) => eloOrDefault(a, Infinity) - eloOrDefault(b, Infinity));
+            case 'alpha-asc':
+                return sorted.sort((a, b) => (a.Node_xA || '').localeCompare(b.Node_xA || ''));
+            case 'alpha-desc':
+                return sorted.sort((a, b) => (b.Node_xA || '').localeCompare(a.Node_xA || ''));
+            case 'random':
+                return sorted.sort(() => Math.random() - 0.5);
+            default:
+                return sorted;
+        }
+    };
+
+    /**
+     * Nodes shown in the grid, filtered and sorted
+     * @param {Array} nodes - All nodes
+     * @param {Object} params - { filters (grid filters incl. filterMatrix), dataFormat,
+     *                            selectedTerritories: Set, showBlockedRoots, blockedRoots: Set }
+     * @returns {Array} Visible nodes in display order
+     */
+    const selectGridNodes = function(nodes, params) {
+        let filtered = nodes;
+
+        // Apply class filter in root mode (selected classes are visible; generated candidates aren't roots)
+        if (params.dataFormat === 'roots') {
+            filtered = filtered.filter(n => params.selectedTerritories.has(n.Group_xA) && window.GraphApp.utils.isRootRow(n));
+            // Filter out blocked roots (engagement=0) if showBlockedRoots is false
+            if (!params.showBlockedRoots) {
+                filtered = filtered.filter(n => n.AI_Rank_xB !== 0);
+            }
+        }
+
+        filtered = filterGridNodes(filtered, params.filters, params.blockedRoots);
+        return sortGridNodes(filtered, params.filters.sortBy || 'ai-desc');
+    };
+
+    /**
+     * Candidates per status × root count cell (filter matrix badges)
+     * @param {Array} nodes - All nodes
+     * @param {Set} blockedRoots - Blocked root names
+     * @returns {Object} status -> { r1, r2, r3 }, plus a rootblocked row
+     */
+    const computeMatrixCounts = function(nodes, blockedRoots) {
+        const countRoots = window.GraphApp.utils.countRoots;
+        const getStatusFromRank = window.GraphApp.utils.getStatusFromRank;
+        const counts = {
+            unranked:    { r1: 0, r2: 0, r3: 0 },
+            blocked:     { r1: 0, r2: 0, r3: 0 },
+            tier1:       { r1: 0, r2: 0, r3: 0 },
+            tier2:       { r1: 0, r2: 0, r3: 0 },
+            tier3:       { r1: 0, r2: 0, r3: 0 },
+            rootblocked: { r1: 0, r2: 0, r3: 0 }
+        };
+        nodes.forEach(node => {
+            const status = getStatusFromRank(node.Rank_xB);
+            const colKey = 'r' + countRoots(node);
+            if (counts[status] && counts[status][colKey] !== undefined) {
+                counts[status][colKey]++;
+            }
+            // Also count root-blocked candidates
+            if (isRootBlocked(node, blockedRoots) && counts.rootblocked[colKey] !== undefined) {
+                counts.rootblocked[colKey]++;
+            }
+        });
+        return counts;
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.gridQuery = {
+        filterGridNodes,
+        sortGridNodes,
+        selectGridNodes,
+        computeMatrixCounts
+    };
+
+})(window);
@@ -0,0 +1,150 @@
+/**
+ * Import Diff Module
+ * Compares a re-imported file with the current data so changes can be reviewed before applying
+ *
+ * Usage:
+ * - buildImportDiff() matches rows like core.merge (ID_xA, then base group + node name)
+ *   and sorts the differences into CATEGORIES
+ * - applyImportDiff() applies only the accepted categories and returns the new nodes
+ *   plus the roots to add to the blocked set
+ * - Fields outside the categories (info, Elo, reviewer scores) are left as they are
+ */
+
+(function(window) {
+    'use strict';
+
+    // Change categories (value -> label), in display order
+    const CATEGORIES = {
+        added: 'Added candidates',
+        removed: 'Removed candidates',
+        aiScores: 'Changed AI scores',
+        tiers: 'Changed tiers',
+        roots: 'Changed roots / classes',
+        blockedRoots: 'Newly blocked roots'
+    };
+
+    const ROOT_FIELDS = ['Root1_xB', 'Class1_xB', 'Root2_xB', 'Class2_xB', 'Root3_xB', 'Class3_xB'];
+
+    const normalize = function(value) {
+        return value === undefined || value === null ? '' : value;
+    };
+
+    /**
+     * Differences between the current nodes and an imported file
+     * @param {Array} current - Current nodes
+     * @param {Array} imported - Imported nodes
+     * @param {Set} currentBlocked - Current blocked roots
+     * @param {Set} importedBlocked - Blocked roots in the file
+     * @returns {Object} { added: [node], removed: [{index, node}], aiScores / tiers / roots: [{index, node, from, to}],
+     *   blockedRoots: [root] } - index is the position in current
+     */
+    const buildImportDiff = function(current, imported, currentBlocked, importedBlocked) {
+        const plan = window.GraphApp.core.merge.buildMergePlan(current, imported);
+        const matchedIndexes = new Set(plan.matched.map(m => m.index));
+
+        const diff = {
+            added: plan.added,
+            removed: current.map((node, index) => ({ index, node })).filter(entry => !matchedIndexes.has(entry.index)),
+            aiScores: [],
+            tiers: [],
+            roots: [],
+            blockedRoots: Array.from(importedBlocked || []).filter(root => !(currentBlocked || new Set()).has(root)).sort()
+        };
+
+        plan.matched.forEach(m => {
+            const node = current[m.index];
+            const theirs = m.theirs;
+            if (normalize(node.AI_Rank_xB) !== normalize(theirs.AI_Rank_xB)) {
+                diff.aiScores.push({ index: m.index, node, from: normalize(node.AI_Rank_xB), to: normalize(theirs.AI_Rank_xB) });
+            }
+            if (m.mineScore !== m.theirsScore) {
+                diff.tiers.push({ index: m.index, node, from: m.mineScore, to: m.theirsScore });
+            }
+            if (ROOT_FIELDS.some(field => normalize(node[field]) !== normalize(theirs[field]))) {
+                const pick = source => ROOT_FIELDS.reduce((values, field) => {
+                    values[field] = normalize(source[field]);
+                    return values;
+                }, {});
+                diff.roots.push({ index: m.index, node, from: pick(node), to: pick(theirs) });
+            }
+        });
+
+        return diff;
+    };
+
+    /**
+     * Number of changes per category
+     * @param {Object} diff - From buildImportDiff
+     * @returns {Object} category -> count
+     */
+    const countChanges = function(diff) {
+        return Object.keys(CATEGORIES).reduce((counts, category) => {
+            counts[category] = diff[category].length;
+            return counts;
+        }, {});
+    };
+
+    /**
+     * Apply the accepted categories
+     * @param {Array} current - Current nodes
+     * @param {Object} diff - From buildImportDiff
+     * @param {Object} accepted - category -> boolean
+     * @param {string} reviewer - Active reviewer ('' for none); tier changes are recorded as their ratings
+     * @returns {{nodes: Array, blockedRoots: Array}} New nodes (group suffix, ID and links follow tier changes)
+     *   and roots to add to the blocked set
+     */
+    const applyImportDiff = function(current, diff, accepted, reviewer) {
+        const utils = window.GraphApp.utils;
+        const reviewers = window.GraphApp.core.reviewers;
+        const result = current.slice();
+        const idChanges = new Map();
+
+        if (accepted.aiScores) {
+            diff.aiScores.forEach(change => {
+                result[change.index] = Object.assign({}, result[change.index], { AI_Rank_xB: change.to });
+            });
+        }
+        if (accepted.roots) {
+            diff.roots.forEach(change => {
+                result[change.index] = Object.assign({}, result[change.index], change.to);
+            });
+        }
+        if (accepted.tiers) {
+            diff.tiers.forEach(change => {
+                const node = result[change.index];
+                const group = utils.getGroupWithRating(utils.getBaseGroup(node.Group_xA), change.to);
+                const id = group + '-' + node.Node_xA;
+                if (id !== node.ID_xA) idChanges.set(node.ID_xA, id);
+                const rated = reviewers.recordRating(node, reviewer, change.to, '');
+                result[change.index] = Object.assign(rated, { Rank_xB: change.to, Group_xA: group, ID_xA: id });
+            });
+        }
+
+        const removed = new Set(accepted.removed ? diff.removed.map(entry => entry.index) : []);
+        let nodes = result.filter((node, index) => !removed.has(index));
+        if (idChanges.size > 0) {
+            nodes = nodes.map(node => idChanges.has(node.Linked_Node_ID_xA)
+                ? Object.assign({}, node, { Linked_Node_ID_xA: idChanges.get(node.Linked_Node_ID_xA) })
+                : node);
+        }
+        if (accepted.added) {
+            nodes = nodes.concat(diff.added);
+        }
+
+        return {
+            nodes: nodes,
+            blockedRoots: accepted.blockedRoots ? diff.blockedRoots : []
+        };
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.importDiff = {
+        CATEGORIES,
+        buildImportDiff,
+        countChanges,
+        applyImportDiff
+    };
+
+})(window);
@@ -0,0 +1,424 @@
+/**
+ * Import Mapping Module
+ * Column mapping for CSV/Excel files whose headers the standard importers don't recognise
+ *
+ * Usage:
+ * - readCSVSheet() / core.readWorkbookSheets() load raw rows ({ name, headers, rows });
+ *   readCSVHeaders() reads just the header row
+ * - classifyPastedText() tells pasted tables from bare lists of names
+ * - guessMapping() maps each header to a node field, a custom field, or nothing
+ * - needsWizard() is false for files the standard importers already understand
+ * - applyMapping() builds nodes (same parsing rules as importCSV/importExcel)
+ * - Mappings are remembered in localStorage by header signature, so the
+ *   next file from the same source maps itself
+ *
+ * Mapping values: node field name (e.g. 'Node_xA'), 'Blocked1'-'Blocked3',
+ * 'custom:<Name>' (stored in Custom_Fields_xB), or '' (ignore)
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'haystack_import_mappings';
+    const CUSTOM_PREFIX = 'custom:';
+
+    // Target fields offered in the wizard (value -> label)
+    const FIELDS = [
+        { id: 'Group_xA', label: 'Group / Class' },
+        { id: 'Node_xA', label: 'Node / Name' },
+        { id: 'ID_xA', label: 'ID' },
+        { id: 'AI_Rank_xB', label: 'AI Score (0-100)' },
+        { id: 'Rank_xB', label: 'Tier (0-3)' },
+        { id: 'Elo_xB', label: 'Elo' },
+        { id: 'Elo_Games_xB', label: 'Elo games' },
+        { id: 'Root1_xB', label: 'Root 1' },
+        { id: 'Class1_xB', label: 'Root 1 class' },
+        { id: 'Root2_xB', label: 'Root 2' },
+        { id: 'Class2_xB', label: 'Root 2 class' },
+        { id: 'Root3_xB', label: 'Root 3' },
+        { id: 'Class3_xB', label: 'Root 3 class' },
+        { id: 'Group_Info', label: 'Group info' },
+        { id: 'Node_Info', label: 'Node info / notes' },
+        { id: 'Hidden_Node_xB', label: 'Hide node (0/1)' },
+        { id: 'Blocked1', label: 'Root 1 blocked (0/1)' },
+        { id: 'Blocked2', label: 'Root 2 blocked (0/1)' },
+        { id: 'Blocked3', label: 'Root 3 blocked (0/1)' }
+    ];
+
+    // Header aliases the standard importers already accept (normalised)
+    const STANDARD_ALIASES = {
+        Group_xA: ['group', 'groupxa', 'class'],
+        Node_xA: ['node', 'nodexa', 'root'],
+        ID_xA: ['id', 'idxa'],
+        AI_Rank_xB: ['airank', 'airankxb', 'engagement'],
+        Rank_xB: ['rank', 'rankxb', 'userrank'],
+        Elo_xB: ['elo', 'eloxb'],
+        Elo_Games_xB: ['elogames', 'elogamesxb'],
+        Root1_xB: ['root1', 'root1xb'],
+        Class1_xB: ['class1', 'class1xb'],
+        Root2_xB: ['root2', 'root2xb'],
+        Class2_xB: ['class2', 'class2xb'],
+        Root3_xB: ['root3', 'root3xb'],
+        Class3_xB: ['class3', 'class3xb'],
+        Group_Info: ['groupinfo', 'classdescription'],
+        Node_Info: ['nodeinfo'],
+        Hidden_Node_xB: ['hidenode', 'hiddennodexb'],
+        Blocked1: ['blocked1'],
+        Blocked2: ['blocked2'],
+        Blocked3: ['blocked3']
+    };
+
+    // Extra guesses for files from other tools (wizard only)
+    const EXTRA_ALIASES = {
+        Group_xA: ['category', 'brief', 'territory', 'theme', 'cluster'],
+        Node_xA: ['name', 'candidate', 'candidatename', 'namecandidate', 'word', 'term'],
+        AI_Rank_xB: ['score', 'aiscore', 'modelscore', 'confidence'],
+        Rank_xB: ['tier', 'rating', 'humanrank'],
+        Group_Info: ['description', 'categorydescription'],
+        Node_Info: ['notes', 'note', 'comment', 'comments', 'rationale', 'info']
+    };
+
+    // Deprecated link columns - recognised, but never imported
+    const IGNORED_ALIASES = ['linkednodeidxa', 'hiddenlinkxb', 'linklabelxb', 'linkarrowxb', 'linkinfo'];
+
+    const normalizeHeader = function(header) {
+        return String(header || '').toLowerCase().replace(/[\s_\-.]+/g, '');
+    };
+
+    const findAlias = function(aliases, header) {
+        const key = normalizeHeader(header);
+        return Object.keys(aliases).find(field => aliases[field].includes(key)) || null;
+    };
+
+    // ========== READING ==========
+
+    /**
+     * Read a CSV file (or pasted CSV/TSV text, delimiter auto-detected) as raw rows (no type conversion)
+     * @param {File|string} file
+     * @param {string} [name] - Sheet name for pasted text
+     * @returns {Promise<{name, headers, rows}>}
+     */
+    const readCSVSheet = function(file, name) {
+        return new Promise((resolve, reject) => {
+            Papa.parse(file, {
+                header: true,
+                skipEmptyLines: true,
+                complete: function(results) {
+                    resolve({
+                        name: name || file.name,
+                        headers: (results.meta.fields || []).filter(h => h !== ''),
+                        rows: results.data
+                    });
+                },
+                error: function(error) {
+                    reject(error);
+                }
+            });
+        });
+    };
+
+    /**
+     * Read only the header row of a CSV file, enough for needsWizard() without parsing a large file twice
+     * @param {File|string} file
+     * @param {string} [name] - Sheet name for pasted text
+     * @returns {Promise<{name, headers, rows}>} rows is empty
+     */
+    const readCSVHeaders = function(file, name) {
+        return new Promise((resolve, reject) => {
+            Papa.parse(file, {
+                header: true,
+                preview: 1,
+                complete: function(results) {
+                    resolve({
+                        name: name || file.name,
+                        headers: (results.meta.fields || []).filter(h => h !== ''),
+                        rows: []
+                    });
+                },
+                error: function(error) {
+                    reject(error);
+                }
+            });
+        });
+    };
+
+    /**
+     * Classify pasted text: a table (tab- or comma-separated, first row = headers)
+     * or a bare list of names (one per line)
+     * @param {string} text - Clipboard text
+     * @returns {{kind: 'table'|'list'|'empty', names: string[]}} names: unique list entries (kind 'list')
+     */
+    const classifyPastedText = function(text) {
+        const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines.length === 0) return { kind: 'empty', names: [] };
+
+        // Names may contain commas ("Smith, Jones"), so commas only count when every line has the same number
+        const isTable = lines.some(line => line.includes('\t')) ||
+            (lines.length > 1 && lines.every(line => line.split(',').length > 1 &&
+                line.split(',').length === lines[0].split(',').length));
+        if (isTable) return { kind: 'table', names: [] };
+
+        // A one-column range copied with its header ("Name", "Node", ...)
+        if (lines.length > 1 && (findAlias(STANDARD_ALIASES, lines[0]) || findAlias(EXTRA_ALIASES, lines[0])) === 'Node_xA') {
+            lines.shift();
+        }
+
+        const seen = new Set();
+        const names = lines.filter(name => {
+            const key = name.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        return { kind: 'list', names };
+    };
+
+    // ========== MAPPING ==========
+
+    /**
+     * Guess a mapping from headers (unknown columns become custom fields so nothing is lost)
+     * @param {string[]} headers
+     * @returns {Object} header -> mapping value
+     */
+    const guessMapping = function(headers) {
+        const reviewers = window.GraphApp.core.reviewers;
+        const used = new Set();
+        const mapping = {};
+
+        headers.forEach(header => {
+            if (IGNORED_ALIASES.includes(normalizeHeader(header)) || reviewers.parseColumnName(header)) {
+                mapping[header] = '';
+                return;
+            }
+            let field = findAlias(STANDARD_ALIASES, header) || findAlias(EXTRA_ALIASES, header);
+            if (field && used.has(field)) field = null;  // First matching column wins
+            if (field) {
+                used.add(field);
+                mapping[header] = field;
+            } else {
+                mapping[header] = CUSTOM_PREFIX + String(header).trim();
+            }
+        });
+        return mapping;
+    };
+
+    /**
+     * Whether the standard importers read this column (known alias, reviewer column or ignored link column)
+     * @param {string} header
+     * @returns {boolean}
+     */
+    const isKnownHeader = function(header) {
+        return IGNORED_ALIASES.includes(normalizeHeader(header)) ||
+            !!window.GraphApp.core.reviewers.parseColumnName(header) ||
+            !!findAlias(STANDARD_ALIASES, header);
+    };
+
+    /**
+     * Whether the standard importers already understand these headers
+     * (every column is known - unless unknown columns are custom fields - and group + node are present)
+     * @param {string[]} headers
+     * @param {boolean} [allowCustom] - Unknown columns are custom fields (our own workbook)
+     * @returns {boolean}
+     */
+    const isStandardHeaders = function(headers, allowCustom) {
+        const fields = new Set(headers.map(header => findAlias(STANDARD_ALIASES, header)).filter(Boolean));
+        const allKnown = allowCustom || headers.every(isKnownHeader);
+        return allKnown && fields.has('Group_xA') && fields.has('Node_xA');
+    };
+
+    /**
+     * Whether a file should go through the wizard
+     * Workbooks written by exportExcel (Candidates + summary sheets) import directly
+     * @param {Array<{name, headers}>} sheets
+     * @returns {boolean}
+     */
+    const needsWizard = function(sheets) {
+        const SHEETS = window.GraphApp.config.constants.workbook.SHEETS;
+        const sheetNames = Object.keys(SHEETS).map(key => SHEETS[key]);
+        const candidates = sheets.find(sheet => sheet.name === SHEETS.candidates);
+        if (candidates && sheets.every(sheet => sheetNames.includes(sheet.name))) {
+            return !isStandardHeaders(candidates.headers, true);
+        }
+        return sheets.length !== 1 || !isStandardHeaders(sheets[0].headers);
+    };
+
+    const toInt = function(value) {
+        if (value === '' || value === null || value === undefined) return '';
+        const parsed = parseInt(value);
+        return isNaN(parsed) ? '' : parsed;
+    };
+
+    /**
+     * Build nodes from raw rows and a mapping
+     * @param {Array<Object>} rows - header -> value
+     * @param {Object} mapping - header -> mapping value
+     * @returns {{nodes: Array, format: string, blockedRoots: Set}}
+     *   format is 'roots' when class/root columns hold group/node (same rule as importCSV)
+     */
+    const applyMapping = function(rows, mapping) {
+        const headers = Object.keys(mapping).filter(h => mapping[h]);
+        const blockedRoots = new Set();
+
+        const nodes = rows.map(row => {
+            const values = {};
+            const custom = {};
+            headers.forEach(header => {
+                const raw = row[header];
+                const value = raw === null || raw === undefined ? '' : String(raw).trim();
+                const target = mapping[header];
+                if (target.indexOf(CUSTOM_PREFIX) === 0) {
+                    if (value !== '') custom[target.slice(CUSTOM_PREFIX.length)] = value;
+                } else if (values[target] === undefined || values[target] === '') {
+                    values[target] = value;
+                }
+            });
+
+            const group = values.Group_xA || '';
+            const nodeName = values.Node_xA || '';
+            const elo = values.Elo_xB ? Math.round(parseFloat(values.Elo_xB)) : '';
+
+            [1, 2, 3].forEach(n => {
+                const flag = values['Blocked' + n];
+                const root = values['Root' + n + '_xB'];
+                if ((flag === '1' || String(flag).toLowerCase() === 'true') && root) blockedRoots.add(root);
+            });
+
+            const node = {
+                Group_xA: group,
+                Node_xA: nodeName,
+                ID_xA: values.ID_xA || `${group}-${nodeName}`,
+                Linked_Node_ID_xA: '',
+                Hidden_Node_xB: toInt(values.Hidden_Node_xB) || 0,
+                Hidden_Link_xB: 0,
+                Link_Label_xB: '',
+                Link_Arrow_xB: 'To',
+                AI_Rank_xB: toInt(values.AI_Rank_xB),
+                Rank_xB: toInt(values.Rank_xB),
+                Elo_xB: isNaN(elo) ? '' : elo,
+                Elo_Games_xB: toInt(values.Elo_Games_xB) || 0,
+                Root1_xB: values.Root1_xB || '',
+                Class1_xB: values.Class1_xB || '',
+                Root2_xB: values.Root2_xB || '',
+                Class2_xB: values.Class2_xB || '',
+                Root3_xB: values.Root3_xB || '',
+                Class3_xB: values.Class3_xB || '',
+                Group_Info: values.Group_Info || '',
+                Node_Info: values.Node_Info || '',
+                Reviewer_Scores_xB: window.GraphApp.core.reviewers.scoresFromRow(row)
+            };
+            if (Object.keys(custom).length > 0) {
+                node.Custom_Fields_xB = custom;
+            }
+            return node;
+        }).filter(node => node.Group_xA || node.Node_xA);
+
+        const sourceOf = field => normalizeHeader(Object.keys(mapping).find(h => mapping[h] === field));
+        const format = sourceOf('Group_xA') === 'class' && sourceOf('Node_xA') === 'root' ? 'roots' : 'candidates';
+
+        return { nodes, format, blockedRoots };
+    };
+
+    // ========== SAVED MAPPINGS ==========
+
+    /**
+     * Signature identifying a source by its headers (order-independent, case-insensitive)
+     * @param {string[]} headers
+     * @returns {string}
+     */
+    const getSignature = function(headers) {
+        return headers.map(normalizeHeader).sort().join('|');
+    };
+
+    /**
+     * All saved mappings
+     * @returns {Array<{name, signature, sheetName, mapping, savedAt}>}
+     */
+    const loadSavedMappings = function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.warn('Failed to read saved import mappings:', e);
+            return [];
+        }
+    };
+
+    /**
+     * Save (or replace, by name) a mapping
+     * @param {Object} entry - { name, signature, sheetName, mapping }
+     */
+    const saveMapping = function(entry) {
+        try {
+            const others = loadSavedMappings().filter(m => m.name !== entry.name);
+            others.unshift(Object.assign({}, entry, { savedAt: new Date().toISOString() }));
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(others));
+        } catch (e) {
+            console.warn('Failed to save import mapping:', e);
+        }
+    };
+
+    /**
+     * Delete a saved mapping
+     * @param {string} name
+     */
+    const deleteMapping = function(name) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(loadSavedMappings().filter(m => m.name !== name)));
+        } catch (e) {
+            console.warn('Failed to delete import mapping:', e);
+        }
+    };
+
+    /**
+     * Saved mapping for a set of headers, if any
+     * @param {string[]} headers
+     * @returns {Object|null}
+     */
+    const findSavedMapping = function(headers) {
+        const signature = getSignature(headers);
+        return loadSavedMappings().find(m => m.signature === signature) || null;
+    };
+
+    /**
+     * Fit a saved mapping to the given headers (matched like signatures; new headers get a fresh guess)
+     * @param {Object} mapping - Saved mapping
+     * @param {string[]} headers
+     * @returns {Object}
+     */
+    const adaptMapping = function(mapping, headers) {
+        const guessed = guessMapping(headers);
+        const byKey = {};
+        Object.keys(mapping).forEach(header => {
+            byKey[normalizeHeader(header)] = mapping[header];
+        });
+        const result = {};
+        headers.forEach(header => {
+            const key = normalizeHeader(header);
+            result[header] = Object.prototype.hasOwnProperty.call(byKey, key) ? byKey[key] : guessed[header];
+        });
+        return result;
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.importMapping = {
+        FIELDS,
+        CUSTOM_PREFIX,
+        readCSVSheet,
+        readCSVHeaders,
+        classifyPastedText,
+        guessMapping,
+        isKnownHeader,
+        isStandardHeaders,
+        needsWizard,
+        applyMapping,
+        getSignature,
+        loadSavedMappings,
+        saveMapping,
+        deleteMapping,
+        findSavedMapping,
+        adaptMapping
+    };
+
+})(window);
@@ -0,0 +1,193 @@
+/**
+ * Keybindings Module
+ * Keyboard rating workflow for the grid: actions, default keys and per-user remapping
+ *
+ * Usage:
+ * - getActionForEvent() maps a keydown event to an action name (or null)
+ * - Bindings are saved in localStorage per user (active reviewer, or 'default')
+ * - Letter keys are case-insensitive; modifier combos (Ctrl/Cmd/Alt) are never bound
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'haystack_keybindings';
+    const DEFAULT_USER = 'default';
+
+    // Action -> keys (KeyboardEvent.key values, letters lowercase)
+    const DEFAULT_BINDINGS = {
+        moveUp: ['ArrowUp', 'k'],
+        moveDown: ['ArrowDown', 'j'],
+        moveLeft: ['ArrowLeft', 'h'],
+        moveRight: ['ArrowRight', 'l'],
+        tier0: ['0'],
+        tier1: ['1'],
+        tier2: ['2'],
+        tier3: ['3'],
+        skip: ['n'],
+        blockRoot: ['b'],
+        prevPage: ['PageUp'],
+        nextPage: ['PageDown'],
+        openInfo: ['Enter'],
+        showHelp: ['?']
+    };
+
+    // Display order and labels for the help overlay
+    const ACTIONS = [
+        { id: 'moveUp', label: 'Move focus up' },
+        { id: 'moveDown', label: 'Move focus down' },
+        { id: 'moveLeft', label: 'Move focus left' },
+        { id: 'moveRight', label: 'Move focus right' },
+        { id: 'tier0', label: 'Tier 0 (reject)' },
+        { id: 'tier1', label: 'Tier 1' },
+        { id: 'tier2', label: 'Tier 2' },
+        { id: 'tier3', label: 'Tier 3' },
+        { id: 'skip', label: 'Not rated (skip)' },
+        { id: 'blockRoot', label: "Block the card's first root" },
+        { id: 'prevPage', label: 'Previous page' },
+        { id: 'nextPage', label: 'Next page' },
+        { id: 'openInfo', label: 'Open info popup' },
+        { id: 'showHelp', label: 'Show this help' }
+    ];
+
+    // Keys that can't be bound (reserved for closing dialogs / typing)
+    const RESERVED_KEYS = ['Escape', 'Tab', 'Shift', 'Control', 'Alt', 'Meta'];
+
+    // Keys pressed on their own before the real key (e.g. Shift for "?"); capture waits past them
+    const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock', 'Fn', 'OS'];
+
+    // Actions that must keep a key: the help overlay is the only way back to the bindings
+    const REQUIRED_ACTIONS = ['showHelp'];
+
+    /**
+     * Normalise a key name (letters are case-insensitive)
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string}
+     */
+    function normalizeKey(key) {
+        return key && key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * Human-readable key name
+     * @param {string} key
+     * @returns {string}
+     */
+    function formatKey(key) {
+        const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ' ': 'Space' };
+        if (names[key]) return names[key];
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    function readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+        } catch (e) {
+            console.warn('Failed to read keybindings:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Load a user's bindings (defaults fill in any action they haven't remapped)
+     * @param {string} user - Reviewer name, or '' for the default profile
+     * @returns {Object} action -> keys
+     */
+    function loadBindings(user) {
+        const saved = readAll()[user || DEFAULT_USER] || {};
+        const bindings = Object.assign({}, DEFAULT_BINDINGS, saved);
+        // Older saves could leave a required action without a key; it gets its default keys back
+        REQUIRED_ACTIONS.forEach(id => {
+            if (bindings[id] && bindings[id].length > 0) return;
+            Object.keys(bindings).forEach(action => {
+                bindings[action] = bindings[action].filter(key => !DEFAULT_BINDINGS[id].includes(key));
+            });
+            bindings[id] = DEFAULT_BINDINGS[id].slice();
+        });
+        return bindings;
+    }
+
+    /**
+     * Save a user's bindings
+     * @param {string} user - Reviewer name, or '' for the default profile
+     * @param {Object} bindings - action -> keys
+     */
+    function saveBindings(user, bindings) {
+        try {
+            const all = readAll();
+            all[user || DEFAULT_USER] = bindings;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Failed to save keybindings:', e);
+        }
+    }
+
+    /**
+     * Why a key can't be bound to an action
+     * @param {Object} bindings - action -> keys
+     * @param {string} action
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string} User-facing reason, '' when the key can be bound
+     */
+    function getRebindError(bindings, action, key) {
+        const normalized = normalizeKey(key);
+        if (!normalized || RESERVED_KEYS.includes(normalized)) {
+            return '"' + key + '" is reserved and can\'t be bound.';
+        }
+        const emptied = REQUIRED_ACTIONS.find(id => id !== action && bindings[id] &&
+            bindings[id].length > 0 && bindings[id].every(k => k === normalized));
+        if (emptied) {
+            const label = ACTIONS.find(a => a.id === emptied).label;
+            return '"' + formatKey(normalized) + '" is the only key for "' + label + '" and can\'t be moved.';
+        }
+        return '';
+    }
+
+    /**
+     * Bind a key to an action (the key is removed from any other action)
+     * @param {Object} bindings - action -> keys
+     * @param {string} action
+     * @param {string} key - KeyboardEvent.key
+     * @returns {Object|null} New bindings, or null if the key can't be bound (see getRebindError)
+     */
+    function rebind(bindings, action, key) {
+        if (getRebindError(bindings, action, key)) return null;
+        const normalized = normalizeKey(key);
+
+        const next = {};
+        Object.keys(bindings).forEach(id => {
+            next[id] = bindings[id].filter(k => k !== normalized);
+        });
+        next[action] = [normalized];
+        return next;
+    }
+
+    /**
+     * Action bound to a keydown event
+     * @param {Object} bindings - action -> keys
+     * @param {KeyboardEvent} e
+     * @returns {string|null} Action name
+     */
+    function getActionForEvent(bindings, e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return null;
+        const key = normalizeKey(e.key);
+        return Object.keys(bindings).find(action => bindings[action].includes(key)) || null;
+    }
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.keybindings = {
+        DEFAULT_BINDINGS,
+        ACTIONS,
+        MODIFIER_KEYS,
+        normalizeKey,
+        formatKey,
+        loadBindings,
+        saveBindings,
+        getRebindError,
+        rebind,
+        getActionForEvent
+    };
+
+})(window);
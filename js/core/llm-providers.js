@@ -0,0 +1,338 @@
+/**
+ * LLM Providers Module
+ * Chat completion adapters for the AI features (Anthropic, OpenAI-compatible)
+ *
+ * Usage:
+ * - sendChat() sends a system prompt plus messages to the active provider and
+ *   resolves with the reply text; with onText it streams, reporting the text so far
+ * - Replies cut off (aborted, connection lost, token limit) reject instead of
+ *   resolving, so callers never act on partial output
+ * - Each provider keeps its own API key, model and base URL; settings are stored
+ *   in localStorage (loadSettings / saveSettings)
+ * - The OpenAI-compatible adapter also works with OpenRouter, Ollama, LM Studio etc.
+ *   via the base URL; local servers don't need a key
+ * - To add a provider: add an entry to PROVIDERS with buildRequest(), parseResponse()
+ *   and parseStreamEvent()
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'haystack_ai_settings';
+    // Settings from before providers were configurable (Anthropic only)
+    const LEGACY_KEY_STORAGE = 'anthropic_api_key';
+    const LEGACY_MODEL_STORAGE = 'anthropic_model';
+
+    const trimSlash = url => url.replace(/\/+$/, '');
+
+    const PROVIDERS = {
+        anthropic: {
+            id: 'anthropic',
+            name: 'Anthropic',
+            defaultBaseUrl: 'https://api.anthropic.com/v1',
+            keyPlaceholder: 'sk-ant-...',
+            requiresKey: true,
+            models: [
+                { id: 'claude-sonnet-4-5-20250929', name: 'Sonnet 4.5', description: 'faster, cheaper' },
+                { id: 'claude-opus-4-5-20250929', name: 'Opus 4.5', description: 'best quality' }
+            ],
+            buildRequest: function(request) {
+                return {
+                    path: '/messages',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-api-key': request.apiKey,
+                        'anthropic-version': '2023-06-01',
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    },
+                    body: {
+                        model: request.model,
+                        max_tokens: request.maxTokens,
+                        system: request.system,
+                        messages: request.messages,
+                        stream: request.stream
+                    }
+                };
+            },
+            parseResponse: function(data) {
+                return {
+                    text: (data.content || [])
+                        .filter(block => block.type === 'text')
+                        .map(block => block.text)
+                        .join(''),
+                    truncated: data.stop_reason === 'max_tokens'
+                };
+            },
+            parseStreamEvent: function(event) {
+                if (event.type === 'error') throw new Error((event.error && event.error.message) || 'Stream error');
+                if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    return { text: event.delta.text };
+                }
+                if (event.type === 'message_delta' && event.delta.stop_reason === 'max_tokens') {
+                    return { truncated: true };
+                }
+                return { done: event.type === 'message_stop' };
+            }
+        },
+        openai: {
+            id: 'openai',
+            name: 'OpenAI-compatible',
+            defaultBaseUrl: 'https://api.openai.com/v1',
+            keyPlaceholder: 'sk-...',
+            requiresKey: false,
+            models: [
+                { id: 'gpt-4.1', name: 'GPT-4.1', description: 'best quality' },
+                { id: 'gpt-4.1-mini', name: 'GPT-4.1 mini', description: 'faster, cheaper' },
+                { id: 'gpt-4o', name: 'GPT-4o', description: '' }
+            ],
+            buildRequest: function(request) {
+                const headers = { 'Content-Type': 'application/json' };
+                if (request.apiKey) headers['Authorization'] = 'Bearer ' + request.apiKey;
+                return {
+                    path: '/chat/completions',
+                    headers,
+                    body: {
+                        model: request.model,
+                        max_tokens: request.maxTokens,
+                        messages: [{ role: 'system', content: request.system }].concat(request.messages),
+                        stream: request.stream
+                    }
+                };
+            },
+            parseResponse: function(data) {
+                const choice = data.choices && data.choices[0];
+                return {
+                    text: (choice && choice.message && choice.message.content) || '',
+                    truncated: !!choice && choice.finish_reason === 'length'
+                };
+            },
+            parseStreamEvent: function(event) {
+                if (event === '[DONE]') return { done: true };
+                if (event.error) throw new Error(event.error.message || 'Stream error');
+                const choice = event.choices && event.choices[0];
+                if (!choice) return {};
+                return {
+                    text: (choice.delta && choice.delta.content) || '',
+                    truncated: choice.finish_reason === 'length',
+                    // Some compatible servers close the stream without [DONE]
+                    done: !!choice.finish_reason
+                };
+            }
+        }
+    };
+
+    const DEFAULT_PROVIDER = 'anthropic';
+
+    const defaultProviderSettings = function(providerId) {
+        return { apiKey: '', model: PROVIDERS[providerId].models[0].id, baseUrl: '' };
+    };
+
+    /**
+     * Default settings: every provider with no key and its first model
+     * @returns {Object} { provider, providers: { [id]: { apiKey, model, baseUrl } } }
+     */
+    const getDefaultSettings = function() {
+        const providers = {};
+        Object.keys(PROVIDERS).forEach(id => { providers[id] = defaultProviderSettings(id); });
+        return { provider: DEFAULT_PROVIDER, providers };
+    };
+
+    /**
+     * Load AI settings from localStorage (migrates the old Anthropic-only keys)
+     * @returns {Object} Settings, see getDefaultSettings
+     */
+    const loadSettings = function() {
+        const settings = getDefaultSettings();
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && typeof saved === 'object') {
+                if (PROVIDERS[saved.provider]) settings.provider = saved.provider;
+                Object.keys(PROVIDERS).forEach(id => {
+                    const stored = saved.providers && saved.providers[id];
+                    if (stored) Object.assign(settings.providers[id], stored);
+                });
+            } else {
+                settings.providers.anthropic.apiKey = localStorage.getItem(LEGACY_KEY_STORAGE) || '';
+                settings.providers.anthropic.model = localStorage.getItem(LEGACY_MODEL_STORAGE) || settings.providers.anthropic.model;
+            }
+        } catch (e) {
+            console.warn('Failed to load AI settings', e);
+        }
+        return settings;
+    };
+
+    /**
+     * Save AI settings to localStorage
+     * @param {Object} settings - See getDefaultSettings
+     * @returns {boolean} Success status
+     */
+    const saveSettings = function(settings) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            localStorage.removeItem(LEGACY_KEY_STORAGE);
+            localStorage.removeItem(LEGACY_MODEL_STORAGE);
+            return true;
+        } catch (e) {
+            console.warn('Failed to save AI settings', e);
+            return false;
+        }
+    };
+
+    /**
+     * Settings of the active provider, with the base URL resolved
+     * @param {Object} settings - See getDefaultSettings
+     * @returns {Object} { provider, apiKey, model, baseUrl }
+     */
+    const getActiveConfig = function(settings) {
+        const provider = PROVIDERS[settings.provider] ? settings.provider : DEFAULT_PROVIDER;
+        const stored = settings.providers[provider] || defaultProviderSettings(provider);
+        return {
+            provider,
+            apiKey: stored.apiKey || '',
+            model: stored.model || PROVIDERS[provider].models[0].id,
+            baseUrl: trimSlash(stored.baseUrl || PROVIDERS[provider].defaultBaseUrl)
+        };
+    };
+
+    /**
+     * Whether the active provider can be called (has a key, or is a custom
+     * OpenAI-compatible server that may not need one)
+     * @param {Object} settings - See getDefaultSettings
+     * @returns {boolean}
+     */
+    const isConfigured = function(settings) {
+        const config = getActiveConfig(settings);
+        if (config.apiKey) return true;
+        return !PROVIDERS[config.provider].requiresKey && !!settings.providers[config.provider].baseUrl;
+    };
+
+    /**
+     * Display name of a model
+     * @param {string} providerId
+     * @param {string} modelId
+     * @returns {string} Listed name, or the model ID for custom models
+     */
+    const getModelLabel = function(providerId, modelId) {
+        const provider = PROVIDERS[providerId];
+        const model = provider && provider.models.find(m => m.id === modelId);
+        return model ? model.name : modelId;
+    };
+
+    const TRUNCATED_MESSAGE = 'The response hit the length limit before it finished, so nothing was applied. Try asking for a smaller change.';
+
+    /**
+     * Read a server-sent events body, passing each parsed data payload to onEvent
+     * @param {Response} response - Streaming fetch response
+     * @param {Function} onEvent - Called with the JSON payload (or the raw string if not JSON)
+     */
+    const readEventStream = async function(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const handleLine = function(line) {
+            if (!line.startsWith('data:')) return;
+            const data = line.slice(5).trim();
+            if (!data) return;
+            let payload = data;
+            try { payload = JSON.parse(data); } catch (e) { /* e.g. [DONE] */ }
+            onEvent(payload);
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        buffer += decoder.decode();
+        if (buffer) handleLine(buffer);
+    };
+
+    /**
+     * Send a chat request to the active provider
+     * @param {Object} settings - See getDefaultSettings
+     * @param {Object} request - { system, messages: [{ role, content }], maxTokens }
+     * @param {Object} options - Optional { signal: AbortSignal, onText(textSoFar) - streams the reply }
+     * @returns {Promise<string>} Complete reply text
+     * @throws {Error} With a user-facing message on HTTP errors (plus status and retryAfter seconds)
+     *                 and cut-off replies; an AbortError when the signal aborts
+     */
+    const sendChat = async function(settings, request, options) {
+        const opts = options || {};
+        const stream = typeof opts.onText === 'function';
+        const config = getActiveConfig(settings);
+        const provider = PROVIDERS[config.provider];
+        const built = provider.buildRequest({
+            apiKey: config.apiKey,
+            model: config.model,
+            system: request.system,
+            messages: request.messages,
+            maxTokens: request.maxTokens || 4096,
+            stream
+        });
+
+        const response = await fetch(config.baseUrl + built.path, {
+            method: 'POST',
+            headers: built.headers,
+            body: JSON.stringify(built.body),
+            signal: opts.signal
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            let error;
+            if (response.status === 401) {
+                error = new Error('Invalid API key. Check your key in Settings.');
+            } else if (response.status === 429) {
+                error = new Error('Rate limit exceeded. Please wait a moment and try again.');
+            } else {
+                error = new Error((errorData.error && errorData.error.message) || `API error: ${response.status}`);
+            }
+            // For callers that retry (batch scoring)
+            error.status = response.status;
+            error.retryAfter = parseFloat(response.headers.get('retry-after')) || 0;
+            throw error;
+        }
+
+        if (!stream) {
+            const result = provider.parseResponse(await response.json());
+            if (result.truncated) throw new Error(TRUNCATED_MESSAGE);
+            return result.text;
+        }
+
+        let text = '';
+        let finished = false;
+        let truncated = false;
+        await readEventStream(response, event => {
+            const result = provider.parseStreamEvent(event);
+            if (result.truncated) truncated = true;
+            if (result.done) finished = true;
+            if (result.text) {
+                text += result.text;
+                opts.onText(text);
+            }
+        });
+
+        if (truncated) throw new Error(TRUNCATED_MESSAGE);
+        if (!finished) throw new Error('The connection closed before the response finished, so nothing was applied. Please try again.');
+        return text;
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.llmProviders = {
+        PROVIDERS,
+        getDefaultSettings,
+        loadSettings,
+        saveSettings,
+        getActiveConfig,
+        isConfigured,
+        getModelLabel,
+        sendChat
+    };
+
+})(window);
@@ -0,0 +1,202 @@
+/**
+ * Merge Module
+ * Combines rating files from several reviewers into the current dataset
+ *
+ * Usage:
+ * - buildMergePlan() matches incoming rows to existing candidates by ID_xA,
+ *   falling back to base group + node name (tier suffix stripped, case-insensitive)
+ * - Rows whose tiers disagree are listed as conflicts
+ * - applyMerge() resolves conflicts with one rule (or per-row choices) and returns new nodes
+ */
+
+(function(window) {
+    'use strict';
+
+    // Conflict resolution rules (value -> label)
+    const RESOLUTION_RULES = {
+        mine: 'Keep mine',
+        theirs: 'Keep theirs',
+        max: 'Higher tier',
+        min: 'Lower tier',
+        mean: 'Mean (rounded)',
+        ask: 'Ask per row'
+    };
+
+    // Fields copied from the incoming row when ours is empty
+    const FILL_FIELDS = [
+        'AI_Rank_xB',
+        'Root1_xB', 'Root2_xB', 'Root3_xB',
+        'Class1_xB', 'Class2_xB', 'Class3_xB',
+        'Group_Info', 'Node_Info'
+    ];
+
+    const isEmpty = function(value) {
+        return value === '' || value === undefined || value === null;
+    };
+
+    /**
+     * Key used when IDs differ (e.g. the other reviewer rated the candidate into a different tier group)
+     * @param {Object} node
+     * @returns {string}
+     */
+    const getMatchKey = function(node) {
+        const base = window.GraphApp.utils.getBaseGroup(node.Group_xA);
+        return (base + '|' + (node.Node_xA || '')).trim().toLowerCase();
+    };
+
+    /**
+     * Match incoming rows against the current nodes
+     * @param {Array} mine - Current nodes
+     * @param {Array} theirs - Imported nodes
+     * @returns {{matched: Array<{index, theirs, mineScore, theirsScore, conflict}>, added: Array, conflicts: number}}
+     *   index is the position in mine; added holds rows with no match (each candidate once)
+     */
+    const buildMergePlan = function(mine, theirs) {
+        const byId = new Map();
+        const byKey = new Map();
+        mine.forEach((node, index) => {
+            if (node.ID_xA && !byId.has(node.ID_xA)) byId.set(node.ID_xA, index);
+            const key = getMatchKey(node);
+            if (!byKey.has(key)) byKey.set(key, index);
+        });
+
+        const matched = [];
+        const added = [];
+        const used = new Set();
+        const addedIds = new Set();
+        const addedKeys = new Set();
+
+        theirs.forEach(row => {
+            let index = byId.has(row.ID_xA) ? byId.get(row.ID_xA) : byKey.get(getMatchKey(row));
+            // A second row for the same candidate is treated as a duplicate and ignored
+            if (index !== undefined && used.has(index)) return;
+            if (index === undefined) {
+                if (addedIds.has(row.ID_xA) || addedKeys.has(getMatchKey(row))) return;
+                addedIds.add(row.ID_xA);
+                addedKeys.add(getMatchKey(row));
+                added.push(row);
+                return;
+            }
+            used.add(index);
+
+            const mineScore = isEmpty(mine[index].Rank_xB) ? '' : mine[index].Rank_xB;
+            const theirsScore = isEmpty(row.Rank_xB) ? '' : row.Rank_xB;
+            matched.push({
+                index: index,
+                theirs: row,
+                mineScore: mineScore,
+                theirsScore: theirsScore,
+                conflict: mineScore !== '' && theirsScore !== '' && mineScore !== theirsScore
+            });
+        });
+
+        return {
+            matched: matched,
+            added: added,
+            conflicts: matched.filter(m => m.conflict).length
+        };
+    };
+
+    /**
+     * Resolve one conflicting tier
+     * @param {number} mineScore
+     * @param {number} theirsScore
+     * @param {string} rule - Key of RESOLUTION_RULES ('ask' uses choice)
+     * @param {string} [choice] - 'mine' | 'theirs' for rule 'ask' (defaults to mine)
+     * @returns {number}
+     */
+    const resolveScore = function(mineScore, theirsScore, rule, choice) {
+        switch (rule) {
+            case 'theirs': return theirsScore;
+            case 'max': return Math.max(mineScore, theirsScore);
+            case 'min': return Math.min(mineScore, theirsScore);
+            case 'mean': return Math.round((mineScore + theirsScore) / 2);
+            case 'ask': return choice === 'theirs' ? theirsScore : mineScore;
+            default: return mineScore;
+        }
+    };
+
+    /**
+     * Combine per-reviewer scores (the newer timestamp wins for the same reviewer)
+     * @param {Object} mine - Reviewer_Scores_xB
+     * @param {Object} theirs - Reviewer_Scores_xB
+     * @returns {Object}
+     */
+    const mergeReviewerScores = function(mine, theirs) {
+        const merged = Object.assign({}, mine || {});
+        Object.keys(theirs || {}).forEach(reviewer => {
+            const existing = merged[reviewer];
+            if (!existing || (theirs[reviewer].timestamp || 0) > (existing.timestamp || 0)) {
+                merged[reviewer] = theirs[reviewer];
+            }
+        });
+        return merged;
+    };
+
+    /**
+     * Apply a merge plan
+     * @param {Array} mine - Current nodes
+     * @param {Object} plan - From buildMergePlan
+     * @param {Object} options - { rule, choices: { [index]: 'mine'|'theirs' }, includeAdded,
+     *                            reviewer: active reviewer ('' for none), changed tiers are recorded as their ratings }
+     * @returns {Array} New nodes array (group suffix, ID and links follow any tier change)
+     */
+    const applyMerge = function(mine, plan, options) {
+        const utils = window.GraphApp.utils;
+        const reviewers = window.GraphApp.core.reviewers;
+        const rule = options.rule || 'mine';
+        const choices = options.choices || {};
+        const result = mine.slice();
+        const idChanges = new Map();
+
+        plan.matched.forEach(m => {
+            const node = result[m.index];
+            let score = m.mineScore;
+            if (m.conflict) {
+                score = resolveScore(m.mineScore, m.theirsScore, rule, choices[m.index]);
+            } else if (score === '') {
+                score = m.theirsScore;
+            }
+
+            let updated = Object.assign({}, node);
+            FILL_FIELDS.forEach(field => {
+                if (isEmpty(updated[field]) && !isEmpty(m.theirs[field])) {
+                    updated[field] = m.theirs[field];
+                }
+            });
+            if (m.theirs.Reviewer_Scores_xB || node.Reviewer_Scores_xB) {
+                updated.Reviewer_Scores_xB = mergeReviewerScores(node.Reviewer_Scores_xB, m.theirs.Reviewer_Scores_xB);
+            }
+
+            if (score !== m.mineScore) {
+                updated = reviewers.recordRating(updated, options.reviewer, score, '');
+                updated.Rank_xB = score;
+                updated.Group_xA = utils.getGroupWithRating(utils.getBaseGroup(node.Group_xA), score);
+                updated.ID_xA = updated.Group_xA + '-' + node.Node_xA;
+                if (updated.ID_xA !== node.ID_xA) idChanges.set(node.ID_xA, updated.ID_xA);
+            }
+            result[m.index] = updated;
+        });
+
+        const merged = idChanges.size === 0 ? result : result.map(node => idChanges.has(node.Linked_Node_ID_xA)
+            ? Object.assign({}, node, { Linked_Node_ID_xA: idChanges.get(node.Linked_Node_ID_xA) })
+            : node);
+
+        if (options.includeAdded === false) return merged;
+        // Never add a row whose ID is already taken (e.g. by a tier rename above)
+        const ids = new Set(merged.map(node => node.ID_xA));
+        return merged.concat(plan.added.filter(row => !ids.has(row.ID_xA)));
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.merge = {
+        RESOLUTION_RULES,
+        getMatchKey,
+        buildMergePlan,
+        resolveScore,
+        applyMerge
+    };
+
+})(window);
@@ -0,0 +1,148 @@
+/**
+ * Project File Module
+ * Versioned JSON project format (File > Export > JSON) with import and migrations
+ *
+ * Usage:
+ * - buildProject() turns the app workspace (same shape as workspaceStore) plus the
+ *   AI skill into a plain object; exports.exportJSON() writes it
+ * - parseProject() reads any known version and returns { workspace, skill }
+ *   with Sets rebuilt, ready for applyWorkspace()
+ *
+ * Versions:
+ * - 0: raw nodes array (exportJSON before the project format existed)
+ * - 1: nodes, blocked roots, territories, data format, filters, grid size, AI conversation + skill
+ *
+ * To change the format: bump CURRENT_VERSION and add MIGRATIONS[previous version]
+ */
+
+(function(window) {
+    'use strict';
+
+    const FORMAT_ID = 'haystack-project';
+    const CURRENT_VERSION = 1;
+
+    // Each migration upgrades a project from version N to N + 1
+    const MIGRATIONS = {
+        0: function(nodes) {
+            return {
+                format: FORMAT_ID,
+                version: 1,
+                exportedAt: '',
+                fileName: '',
+                dataFormat: 'candidates',
+                nodes: nodes,
+                blockedRoots: [],
+                selectedTerritories: [],
+                filterMatrix: null,
+                gridFilters: null,
+                gridSize: null,
+                ai: { conversation: [], skill: null }
+            };
+        }
+    };
+
+    /**
+     * Build a project object from the workspace
+     * @param {Object} workspace - { nodes, blockedRoots, selectedTerritories, dataFormat, currentFileName,
+     *                               filterMatrix, gridFilters, gridSize, aiConversation }
+     * @param {Object} skill - Current AI skill { name, isCustom, content }
+     * @returns {Object} Project (CURRENT_VERSION)
+     */
+    const buildProject = function(workspace, skill) {
+        return {
+            format: FORMAT_ID,
+            version: CURRENT_VERSION,
+            exportedAt: new Date().toISOString(),
+            fileName: workspace.currentFileName || '',
+            dataFormat: workspace.dataFormat || 'candidates',
+            nodes: workspace.nodes || [],
+            blockedRoots: Array.from(workspace.blockedRoots || []),
+            selectedTerritories: Array.from(workspace.selectedTerritories || []),
+            filterMatrix: workspace.filterMatrix || null,
+            gridFilters: workspace.gridFilters || null,
+            gridSize: workspace.gridSize || null,
+            ai: {
+                conversation: workspace.aiConversation || [],
+                // Custom skill text travels with the project; the default skill is loaded from file
+                skill: skill ? { name: skill.name, isCustom: !!skill.isCustom, content: skill.isCustom ? skill.content : '' } : null
+            }
+        };
+    };
+
+    /**
+     * Version of parsed JSON data
+     * @param {*} data
+     * @returns {number}
+     */
+    const getVersion = function(data) {
+        if (Array.isArray(data)) return 0;
+        if (data && data.format === FORMAT_ID && Number.isInteger(data.version)) return data.version;
+        throw new Error('Not a Haystack project file');
+    };
+
+    /**
+     * Upgrade parsed JSON data to CURRENT_VERSION
+     * @param {*} data - Parsed JSON (any known version)
+     * @returns {Object} Project (CURRENT_VERSION)
+     */
+    const migrateProject = function(data) {
+        let version = getVersion(data);
+        if (version > CURRENT_VERSION) {
+            throw new Error(`Project file version ${version} is newer than this app supports (${CURRENT_VERSION}). Please update the app.`);
+        }
+        let project = data;
+        while (version < CURRENT_VERSION) {
+            project = MIGRATIONS[version](project);
+            version = project.version;
+        }
+        return project;
+    };
+
+    /**
+     * Parse a project file's text
+     * @param {string} text - File contents
+     * @returns {{workspace: Object, skill: Object|null, version: number}}
+     *   workspace matches workspaceStore.loadProject(); version is the file's original version
+     */
+    const parseProject = function(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Invalid JSON: ' + e.message);
+        }
+
+        const version = getVersion(data);
+        const project = migrateProject(data);
+        if (!Array.isArray(project.nodes)) {
+            throw new Error('Project file has no nodes');
+        }
+
+        return {
+            workspace: {
+                nodes: project.nodes,
+                blockedRoots: new Set(project.blockedRoots || []),
+                selectedTerritories: new Set(project.selectedTerritories || []),
+                dataFormat: project.dataFormat || 'candidates',
+                currentFileName: project.fileName || '',
+                filterMatrix: project.filterMatrix || null,
+                gridFilters: project.gridFilters || null,
+                gridSize: project.gridSize || null,
+                aiConversation: (project.ai && project.ai.conversation) || []
+            },
+            skill: (project.ai && project.ai.skill) || null,
+            version: version
+        };
+    };
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.projectFile = {
+        CURRENT_VERSION,
+        buildProject,
+        migrateProject,
+        parseProject
+    };
+
+})(window);
@@ -0,0 +1,319 @@
+/**
+ * Reviewers Module
+ * Named reviewer profiles, per-reviewer scores and inter-rater agreement
+ *
+ * Usage:
+ * - Each node keeps every reviewer's tier in Reviewer_Scores_xB:
+ *   { "Ana": { score: 2, timestamp: 1700000000000 }, ... }
+ * - Rank_xB (and the group's tier suffix) shows the active reviewer's score
+ * - Profiles and the active reviewer are stored in localStorage
+ * - Exports carry one Rank_<Reviewer> column per reviewer
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'haystack_reviewers';
+    const TIERS = [0, 1, 2, 3];
+    const COLUMN_PREFIX = 'Rank_';
+
+    // ========== PROFILES ==========
+
+    /**
+     * Load reviewer profiles
+     * @returns {{reviewers: string[], active: string}} active is '' when nobody is selected
+     */
+    function loadProfiles() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && Array.isArray(saved.reviewers)) {
+                return { reviewers: saved.reviewers, active: saved.active || '' };
+            }
+        } catch (e) {
+            console.warn('Failed to read reviewer profiles:', e);
+        }
+        return { reviewers: [], active: '' };
+    }
+
+    /**
+     * Save reviewer profiles
+     * @param {{reviewers: string[], active: string}} profiles
+     */
+    function saveProfiles(profiles) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+        } catch (e) {
+            console.warn('Failed to save reviewer profiles:', e);
+        }
+    }
+
+    /**
+     * Validate a new reviewer name
+     * @param {string} name - Proposed name
+     * @param {string[]} existing - Names already in use
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validateReviewerName(name, existing) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return 'Reviewer name is empty';
+        if (!/^[\w .-]+$/.test(trimmed)) return 'Use letters, numbers, spaces, dots, dashes or underscores';
+        if (trimmed === 'xB') return 'Reserved name';
+        if (existing.some(r => r.toLowerCase() === trimmed.toLowerCase())) return 'Reviewer already exists';
+        return null;
+    }
+
+    // ========== SCORES ==========
+
+    /**
+     * Get one reviewer's score for a node
+     * @param {Object} node
+     * @param {string} reviewer
+     * @returns {number|string} 0-3, or '' if not rated by this reviewer
+     */
+    function getReviewerScore(node, reviewer) {
+        const entry = node.Reviewer_Scores_xB && node.Reviewer_Scores_xB[reviewer];
+        return entry && entry.score !== '' && entry.score !== undefined && entry.score !== null ? entry.score : '';
+    }
+
+    /**
+     * Record (or clear) a reviewer's score on a node
+     * @param {Object} node
+     * @param {string} reviewer
+     * @param {number|string} score - 0-3, or '' to clear
+     * @returns {Object} New node object
+     */
+    function setReviewerScore(node, reviewer, score) {
+        const scores = Object.assign({}, node.Reviewer_Scores_xB || {});
+        if (score === '' || score === undefined || score === null) {
+            delete scores[reviewer];
+        } else {
+            scores[reviewer] = { score: score, timestamp: Date.now() };
+        }
+        return Object.assign({}, node, { Reviewer_Scores_xB: scores });
+    }
+
+    /**
+     * Record a new rating: the reviewer's score (when there is an active reviewer) plus a
+     * Score_History_xB entry. Group suffix, ID and Rank_xB are left to the caller.
+     * @param {Object} node
+     * @param {string} reviewer - Active reviewer, '' for none
+     * @param {number|string} score - 0-3, or '' for unrated
+     * @param {number|string} wave - Eval wave number, '' outside eval
+     * @returns {Object} New node object
+     */
+    function recordRating(node, reviewer, score, wave) {
+        const scored = reviewer ? setReviewerScore(node, reviewer, score) : Object.assign({}, node);
+        const entry = { score: score, timestamp: Date.now(), reviewer: reviewer || '', wave: wave || '' };
+        return Object.assign(scored, { Score_History_xB: (node.Score_History_xB || []).concat([entry]) });
+    }
+
+    /**
+     * Attribute existing Rank_xB values that no reviewer owns yet (used when the first profile is created)
+     * @param {Array} nodes
+     * @param {string} reviewer
+     * @returns {Array} New nodes array
+     */
+    function claimUnattributedRanks(nodes, reviewer) {
+        return nodes.map(node => {
+            const hasRank = node.Rank_xB !== '' && node.Rank_xB !== undefined && node.Rank_xB !== null;
+            const hasScores = node.Reviewer_Scores_xB && Object.keys(node.Reviewer_Scores_xB).length > 0;
+            return hasRank && !hasScores ? setReviewerScore(node, reviewer, node.Rank_xB) : node;
+        });
+    }
+
+    /**
+     * Record the shown Rank_xB values under the active reviewer where they differ from that
+     * reviewer's stored score (tiers written by merges, import diffs or plain imports)
+     * @param {Array} nodes
+     * @param {string} reviewer - Active reviewer
+     * @returns {Array} New nodes array (unchanged nodes are reused)
+     */
+    function attributeShownRanks(nodes, reviewer) {
+        return nodes.map(node => {
+            const rank = node.Rank_xB;
+            if (rank === '' || rank === undefined || rank === null) return node;
+            return getReviewerScore(node, reviewer) === rank ? node : setReviewerScore(node, reviewer, rank);
+        });
+    }
+
+    /**
+     * All reviewer names that appear in the data (sorted)
+     * @param {Array} nodes
+     * @returns {string[]}
+     */
+    function getReviewerNames(nodes) {
+        const names = new Set();
+        nodes.forEach(node => {
+            Object.keys(node.Reviewer_Scores_xB || {}).forEach(name => names.add(name));
+        });
+        return Array.from(names).sort();
+    }
+
+    // ========== IMPORT / EXPORT COLUMNS ==========
+
+    /**
+     * Export column name for a reviewer
+     * @param {string} reviewer
+     * @returns {string} e.g. "Rank_Ana"
+     */
+    function getColumnName(reviewer) {
+        return COLUMN_PREFIX + reviewer;
+    }
+
+    /**
+     * Reviewer name for an import column, or null if the column isn't a reviewer column
+     * @param {string} header - Column header
+     * @returns {string|null}
+     */
+    function parseColumnName(header) {
+        if (!header || header.indexOf(COLUMN_PREFIX) !== 0 || header === 'Rank_xB') return null;
+        const name = header.slice(COLUMN_PREFIX.length).trim();
+        return name || null;
+    }
+
+    /**
+     * Build Reviewer_Scores_xB from an imported row
+     * @param {Object} row - Header -> value map
+     * @returns {Object} Reviewer scores (timestamps are the import time)
+     */
+    function scoresFromRow(row) {
+        const scores = {};
+        Object.keys(row).forEach(header => {
+            const reviewer = parseColumnName(header);
+            const value = row[header];
+            if (!reviewer || value === '' || value === null || value === undefined) return;
+            const score = parseInt(value);
+            if (TIERS.includes(score)) {
+                scores[reviewer] = { score: score, timestamp: Date.now() };
+            }
+        });
+        return scores;
+    }
+
+    // ========== AGREEMENT STATISTICS ==========
+
+    /**
+     * Cohen's kappa for two reviewers (items rated by both)
+     * @param {Array<[number, number]>} pairs - [scoreA, scoreB] per item
+     * @returns {number|null} kappa, or null if no shared items
+     */
+    function cohenKappa(pairs) {
+        const n = pairs.length;
+        if (n === 0) return null;
+
+        let agree = 0;
+        const countA = [0, 0, 0, 0];
+        const countB = [0, 0, 0, 0];
+        pairs.forEach(([a, b]) => {
+            if (a === b) agree++;
+            countA[a]++;
+            countB[b]++;
+        });
+
+        const observed = agree / n;
+        const expected = TIERS.reduce((sum, t) => sum + (countA[t] / n) * (countB[t] / n), 0);
+        if (expected === 1) return observed === 1 ? 1 : 0;
+        return (observed - expected) / (1 - expected);
+    }
+
+    /**
+     * Fleiss' kappa for any number of reviewers
+     * Items may have different rater counts; items with fewer than 2 ratings are ignored
+     * @param {Array<number[]>} items - Scores given to each item
+     * @returns {number|null} kappa, or null if no item has 2+ ratings
+     */
+    function fleissKappa(items) {
+        const rated = items.filter(scores => scores.length >= 2);
+        if (rated.length === 0) return null;
+
+        const totals = [0, 0, 0, 0];
+        let totalRatings = 0;
+        let agreementSum = 0;
+
+        rated.forEach(scores => {
+            const counts = [0, 0, 0, 0];
+            scores.forEach(s => { counts[s]++; });
+            const m = scores.length;
+            const pairsAgreeing = counts.reduce((sum, c) => sum + c * (c - 1), 0);
+            agreementSum += pairsAgreeing / (m * (m - 1));
+            counts.forEach((c, t) => { totals[t] += c; });
+            totalRatings += m;
+        });
+
+        const observed = agreementSum / rated.length;
+        const expected = totals.reduce((sum, c) => sum + Math.pow(c / totalRatings, 2), 0);
+        if (expected === 1) return observed === 1 ? 1 : 0;
+        return (observed - expected) / (1 - expected);
+    }
+
+    /**
+     * Consensus statistics per class (base group)
+     * @param {Array} nodes
+     * @param {string[]} reviewers - Reviewers to include
+     * @returns {Array<{group, candidates, multiRated, meanTier, spread, splitCount, kappa, kappaType}>}
+     *   spread = mean (max - min) tier across items rated by 2+ reviewers;
+     *   splitCount = items whose ratings differ by 2+ tiers;
+     *   kappaType = 'cohen' (2 reviewers) or 'fleiss' (3+)
+     */
+    function computeConsensus(nodes, reviewers) {
+        const getBaseGroup = window.GraphApp.utils.getBaseGroup;
+        const byGroup = new Map();
+
+        nodes.forEach(node => {
+            const group = getBaseGroup(node.Group_xA);
+            if (!byGroup.has(group)) byGroup.set(group, []);
+            byGroup.get(group).push(reviewers
+                .map(r => getReviewerScore(node, r))
+                .filter(s => s !== ''));
+        });
+
+        return Array.from(byGroup.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([group, items]) => {
+            const allScores = [].concat(...items);
+            const multi = items.filter(scores => scores.length >= 2);
+            const ranges = multi.map(scores => Math.max(...scores) - Math.min(...scores));
+
+            let kappa = null;
+            let kappaType = null;
+            if (reviewers.length === 2) {
+                kappaType = 'cohen';
+                kappa = cohenKappa(multi.map(scores => [scores[0], scores[1]]));
+            } else if (reviewers.length > 2) {
+                kappaType = 'fleiss';
+                kappa = fleissKappa(multi);
+            }
+
+            return {
+                group: group,
+                candidates: items.length,
+                multiRated: multi.length,
+                meanTier: allScores.length > 0 ? allScores.reduce((a, b) => a + b, 0) / allScores.length : null,
+                spread: ranges.length > 0 ? ranges.reduce((a, b) => a + b, 0) / ranges.length : null,
+                splitCount: ranges.filter(r => r >= 2).length,
+                kappa: kappa,
+                kappaType: kappaType
+            };
+        });
+    }
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.reviewers = {
+        loadProfiles,
+        saveProfiles,
+        validateReviewerName,
+        getReviewerScore,
+        setReviewerScore,
+        recordRating,
+        claimUnattributedRanks,
+        attributeShownRanks,
+        getReviewerNames,
+        getColumnName,
+        parseColumnName,
+        scoresFromRow,
+        cohenKappa,
+        fleissKappa,
+        computeConsensus
+    };
+
+})(window);
@@ -4,7 +4,8 @@
  *
  * Usage:
  * - Default skill loaded from js/skills/default-skill.md
- * - Custom skills stored in localStorage
+ * - Custom skills stored in localStorage; a stored skill can be set aside (inactive) so the
+ *   default is used without deleting it (e.g. opening a project saved with the default skill)
  * - To update default: edit default-skill.md only (no code changes needed)
  */
 
@@ -40,14 +41,14 @@
     }
 
     /**
-     * Get the current skill (custom from localStorage, or default)
+     * Get the current skill (active custom skill from localStorage, or default)
      * @returns {Promise<{content: string, isCustom: boolean, name: string}>}
      */
     async function getCurrentSkill() {
         try {
             const customSkill = localStorage.getItem(STORAGE_KEY);
-            if (customSkill) {
-                const parsed = JSON.parse(customSkill);
+            const parsed = customSkill ? JSON.parse(customSkill) : null;
+            if (parsed && parsed.active !== false) {
                 return {
                     content: parsed.content,
                     isCustom: true,
@@ -91,6 +92,39 @@
         }
     }
 
+    /**
+     * The custom skill stored in localStorage, active or set aside
+     * @returns {{content: string, name: string, active: boolean}|null}
+     */
+    function getStoredCustomSkill() {
+        try {
+            const customSkill = localStorage.getItem(STORAGE_KEY);
+            if (!customSkill) return null;
+            const parsed = JSON.parse(customSkill);
+            return { content: parsed.content, name: parsed.name || 'Custom Skill', active: parsed.active !== false };
+        } catch (e) {
+            console.warn('Error reading custom skill from localStorage:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Use the stored custom skill, or set it aside in favour of the default without deleting it
+     * @param {boolean} active
+     * @returns {boolean} Success status
+     */
+    function setCustomSkillActive(active) {
+        try {
+            const customSkill = localStorage.getItem(STORAGE_KEY);
+            if (!customSkill) return true;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.assign(JSON.parse(customSkill), { active: active })));
+            return true;
+        } catch (e) {
+            console.error('Error updating custom skill:', e);
+            return false;
+        }
+    }
+
     /**
      * Clear custom skill (revert to default)
      * @returns {boolean} Success status
@@ -140,6 +174,8 @@
         loadDefaultSkill,
         getCurrentSkill,
         saveCustomSkill,
+        getStoredCustomSkill,
+        setCustomSkillActive,
         clearCustomSkill,
         validateSkill,
         STORAGE_KEY
@@ -0,0 +1,360 @@
+/**
+ * Workspace Store Module
+ * Persists named projects (workspaces) to IndexedDB for crash recovery
+ *
+ * Usage:
+ * - Each project holds its own nodes, blocked roots, filters, grid size and AI conversation
+ * - app.js autosaves the active project (debounced) and switches between projects
+ * - On startup, getProjectInfo() drives the "Restore last workspace" prompt
+ * - IndexedDB is used instead of localStorage to avoid the ~5MB quota
+ *
+ * Storage layout:
+ * - 'workspaces' store: full project data, keyed by project id
+ * - 'projects' store: lightweight metadata for the switcher (no nodes), same keys
+ */
+
+(function(window) {
+    'use strict';
+
+    const DB_NAME = 'haystack_workspace';
+    const DB_VERSION = 2;
+    const DATA_STORE = 'workspaces';
+    const META_STORE = 'projects';
+    const LEGACY_KEY = 'current';  // v1 saved a single workspace under this key
+    const ACTIVE_PROJECT_KEY = 'haystack_active_project';
+
+    let dbPromise = null;
+
+    /**
+     * Count rated candidates (any Rank_xB value, including Tier 0)
+     * @param {Array} nodes - Nodes array
+     * @returns {number}
+     */
+    function countRated(nodes) {
+        return nodes.filter(n => n.Rank_xB !== '' && n.Rank_xB !== undefined && n.Rank_xB !== null).length;
+    }
+
+    /**
+     * Build the metadata record for a project
+     * @param {string} id - Project id
+     * @param {Object} meta - Existing metadata (name, archived, createdAt) or {}
+     * @param {Object} data - Project data record
+     * @returns {Object} Metadata record
+     */
+    function buildMeta(id, meta, data) {
+        const nodes = (data && data.nodes) || [];
+        return {
+            id: id,
+            name: meta.name || 'Untitled project',
+            archived: !!meta.archived,
+            createdAt: meta.createdAt || (data && data.savedAt) || new Date().toISOString(),
+            savedAt: (data && data.savedAt) || meta.savedAt || new Date().toISOString(),
+            candidates: nodes.length,
+            rated: countRated(nodes),
+            fileName: (data && data.currentFileName) || ''
+        };
+    }
+
+    /**
+     * Open (or create/upgrade) the workspace database (cached after first open)
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DATA_STORE)) {
+                    db.createObjectStore(DATA_STORE);
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    const metaStore = db.createObjectStore(META_STORE);
+                    // Register the v1 single workspace as the first project
+                    if (event.oldVersion === 1) {
+                        const legacy = request.transaction.objectStore(DATA_STORE).get(LEGACY_KEY);
+                        legacy.onsuccess = () => {
+                            if (legacy.result) {
+                                metaStore.put(buildMeta(LEGACY_KEY, {}, legacy.result), LEGACY_KEY);
+                            }
+                        };
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a retry on the next call if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a transaction against one or both stores
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} action - Receives { data, meta } object stores, returns an IDBRequest (optional)
+     * @returns {Promise<*>} Result of the returned request (undefined if none)
+     */
+    async function runTransaction(mode, action) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([DATA_STORE, META_STORE], mode);
+            const request = action({
+                data: tx.objectStore(DATA_STORE),
+                meta: tx.objectStore(META_STORE)
+            });
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Generate a unique project id
+     * @returns {string}
+     */
+    function generateProjectId() {
+        return 'p-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+    }
+
+    // ========== PROJECT DATA ==========
+
+    /**
+     * Save a project's data (Sets are stored as arrays), keeping its name and archive flag
+     * @param {string} id - Project id
+     * @param {Object} workspace - { nodes, blockedRoots, selectedTerritories, dataFormat, currentFileName,
+     *                               filterMatrix, gridFilters, gridSize, aiConversation }
+     * @returns {Promise<boolean>} Success status
+     */
+    async function saveProject(id, workspace) {
+        const record = {
+            nodes: workspace.nodes || [],
+            blockedRoots: Array.from(workspace.blockedRoots || []),
+            selectedTerritories: Array.from(workspace.selectedTerritories || []),
+            dataFormat: workspace.dataFormat || 'candidates',
+            currentFileName: workspace.currentFileName || '',
+            filterMatrix: workspace.filterMatrix || null,
+            gridFilters: workspace.gridFilters || null,
+            gridSize: workspace.gridSize || null,
+            aiConversation: workspace.aiConversation || [],
+            savedAt: new Date().toISOString()
+        };
+
+        try {
+            await runTransaction('readwrite', stores => {
+                stores.data.put(record, id);
+                const existing = stores.meta.get(id);
+                existing.onsuccess = () => {
+                    stores.meta.put(buildMeta(id, existing.result || {}, record), id);
+                };
+            });
+            return true;
+        } catch (e) {
+            console.warn('Failed to autosave workspace:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load a project's data (Sets are rebuilt from arrays)
+     * @param {string} id - Project id
+     * @returns {Promise<Object|null>} Workspace or null if not found.
+     *   filterMatrix, gridFilters and gridSize are null for projects saved before they were tracked.
+     */
+    async function loadProject(id) {
+        try {
+            const record = await runTransaction('readonly', stores => stores.data.get(id));
+            if (!record || !Array.isArray(record.nodes)) return null;
+            return {
+                nodes: record.nodes,
+                blockedRoots: new Set(record.blockedRoots || []),
+                selectedTerritories: new Set(record.selectedTerritories || []),
+                dataFormat: record.dataFormat || 'candidates',
+                currentFileName: record.currentFileName || '',
+                filterMatrix: record.filterMatrix || null,
+                gridFilters: record.gridFilters || null,
+                gridSize: record.gridSize || null,
+                aiConversation: record.aiConversation || [],
+                savedAt: record.savedAt
+            };
+        } catch (e) {
+            console.warn('Failed to load saved workspace:', e);
+            return null;
+        }
+    }
+
+    // ========== PROJECT MANAGEMENT ==========
+
+    /**
+     * List all projects (metadata only), most recently saved first
+     * @returns {Promise<Array<{id, name, archived, createdAt, savedAt, candidates, rated, fileName}>>}
+     */
+    async function listProjects() {
+        try {
+            const projects = await runTransaction('readonly', stores => stores.meta.getAll());
+            return (projects || []).sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+        } catch (e) {
+            console.warn('Failed to list projects:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Metadata for one project (used by the restore prompt)
+     * @param {string} id - Project id
+     * @returns {Promise<Object|null>}
+     */
+    async function getProjectInfo(id) {
+        if (!id) return null;
+        try {
+            const meta = await runTransaction('readonly', stores => stores.meta.get(id));
+            return meta || null;
+        } catch (e) {
+            console.warn('Failed to read saved workspace info:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Create a new project
+     * @param {string} name - Display name
+     * @param {Object} [workspace] - Initial data (empty project if omitted)
+     * @returns {Promise<string|null>} New project id, or null on failure
+     */
+    async function createProject(name, workspace) {
+        const id = generateProjectId();
+        try {
+            await runTransaction('readwrite', stores => {
+                stores.meta.put(buildMeta(id, { name: name }, null), id);
+            });
+            await saveProject(id, workspace || {});
+            return id;
+        } catch (e) {
+            console.warn('Failed to create project:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Update a project's metadata fields (name, archived)
+     * @param {string} id - Project id
+     * @param {Object} changes - Fields to merge
+     * @returns {Promise<boolean>} Success status
+     */
+    async function updateProjectMeta(id, changes) {
+        try {
+            await runTransaction('readwrite', stores => {
+                const existing = stores.meta.get(id);
+                existing.onsuccess = () => {
+                    if (existing.result) {
+                        stores.meta.put(Object.assign({}, existing.result, changes), id);
+                    }
+                };
+            });
+            return true;
+        } catch (e) {
+            console.warn('Failed to update project:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Rename a project
+     * @param {string} id - Project id
+     * @param {string} name - New display name
+     * @returns {Promise<boolean>}
+     */
+    function renameProject(id, name) {
+        return updateProjectMeta(id, { name: name });
+    }
+
+    /**
+     * Archive or unarchive a project (archived projects are hidden from the switcher list)
+     * @param {string} id - Project id
+     * @param {boolean} archived - Archive flag
+     * @returns {Promise<boolean>}
+     */
+    function setProjectArchived(id, archived) {
+        return updateProjectMeta(id, { archived: archived });
+    }
+
+    /**
+     * Duplicate a project's saved data under a new name
+     * @param {string} id - Source project id
+     * @param {string} name - Name for the copy
+     * @returns {Promise<string|null>} New project id, or null on failure
+     */
+    async function duplicateProject(id, name) {
+        const source = await loadProject(id);
+        if (!source) return null;
+        return createProject(name, source);
+    }
+
+    /**
+     * Delete a project and its data
+     * @param {string} id - Project id
+     * @returns {Promise<boolean>} Success status
+     */
+    async function deleteProject(id) {
+        try {
+            await runTransaction('readwrite', stores => {
+                stores.data.delete(id);
+                stores.meta.delete(id);
+            });
+            return true;
+        } catch (e) {
+            console.warn('Failed to delete project:', e);
+            return false;
+        }
+    }
+
+    // ========== ACTIVE PROJECT ==========
+
+    /**
+     * Get the id of the project open in this browser
+     * @returns {string|null}
+     */
+    function getActiveProjectId() {
+        try { return localStorage.getItem(ACTIVE_PROJECT_KEY); }
+        catch { return null; }
+    }
+
+    /**
+     * Remember the project open in this browser
+     * @param {string} id - Project id
+     */
+    function setActiveProjectId(id) {
+        try { localStorage.setItem(ACTIVE_PROJECT_KEY, id); }
+        catch (e) { console.warn('Failed to store active project:', e); }
+    }
+
+    // Export to namespace
+    window.GraphApp = window.GraphApp || {};
+    window.GraphApp.core = window.GraphApp.core || {};
+    window.GraphApp.core.workspaceStore = {
+        saveProject,
+        loadProject,
+        listProjects,
+        getProjectInfo,
+        createProject,
+        renameProject,
+        setProjectArchived,
+        duplicateProject,
+        deleteProject,
+        getActiveProjectId,
+        setActiveProjectId,
+        LEGACY_KEY
+    };
+
+})(window);
@@ -116,86 +116,6 @@
         return `${baseName}_${maxSuffix + 1}`;
     };
 
-    /**
-     * Parse Mermaid file content to node data
-     * @param {String} mermaidContent - Mermaid .mmd file content
-     * @returns {Array} Array of node objects
-     */
-    const parseMermaidToNodes = function(mermaidContent) {
-        const nodes = [];
-        const nodeMap = new Map(); // Map of nodeId -> {Group, Node, ID}
-        const links = [];
-
-        const lines = mermaidContent.split('\n');
-
-        lines.forEach(line => {
-            line = line.trim();
-
-            // Skip comments and graph declaration
-            if (line.startsWith('%%') || line.startsWith('graph') || line === '') {
-                return;
-            }
-
-            // Parse node definition: nodeId["Label"] or nodeId("Label")
-            const nodeMatch = line.match(/(\w+)[\[\(]"([^"]+)"[\]\)]/);
-            if (nodeMatch) {
-                const nodeId = nodeMatch[1];
-                const label = nodeMatch[2];
-
-                // Try to extract Group-Node from label
-                let group = 'Default';
-                let node = label;
-
-                if (label.includes('-')) {
-                    const parts = label.split('-');
-                    group = parts[0].trim();
-                    node = parts.slice(1).join('-').trim();
-                }
-
-                nodeMap.set(nodeId, { Group: group, Node: node, ID: label });
-            }
-
-            // Parse link: nodeA --> nodeB or nodeA -->|label| nodeB
-            const linkMatch = line.match(/(\w+)\s*-->\s*(?:\|([^|]+)\|)?\s*(\w+)/);
-            if (linkMatch) {
-                const fromId = linkMatch[1];
-                const label = linkMatch[2] || '';
-                const toId = linkMatch[3];
-
-                links.push({ from: fromId, to: toId, label: label.trim() });
-            }
-        });
-
-        // Convert to node array
-        nodeMap.forEach((data, nodeId) => {
-            const node = {
-                Group_xA: data.Group,
-                Node_xA: data.Node,
-                ID_xA: data.ID,
-                Linked_Node_ID_xA: '',
-                Hidden_Node_xB: 0,
-                Hidden_Link_xB: 0,
-                Link_Label_xB: '',
-                Link_Arrow_xB: 'To'
-            };
-
-            // Find links from this node
-            const outgoingLinks = links.filter(l => l.from === nodeId);
-            if (outgoingLinks.length > 0) {
-                const link = outgoingLinks[0]; // Take first link
-                const targetNode = nodeMap.get(link.to);
-                if (targetNode) {
-                    node.Linked_Node_ID_xA = targetNode.ID;
-                    node.Link_Label_xB = link.label;
-                }
-            }
-
-            nodes.push(node);
-        });
-
-        return nodes;
-    };
-
     /**
      * Generate context summary for AI chat
      * Used to provide token-efficient context for large graphs
@@ -241,6 +161,16 @@
         return count || 1; // Default to 1 if no roots populated
     };
 
+    /**
+     * Whether a roots-mode row is a root: candidates generated from roots (AI candidates)
+     * carry their roots in Root1_xB and are kept out of the roots list
+     * @param {Object} node
+     * @returns {Boolean}
+     */
+    const isRootRow = function(node) {
+        return !(node.Root1_xB && String(node.Root1_xB).trim());
+    };
+
     /**
      * Get status key from Rank_xB value
      * @param {*} rank - Rank_xB value
@@ -255,6 +185,42 @@
         return 'unranked';
     };
 
+    /**
+     * Strip the rating suffix that tiering appends to a group (" T1", " T2", " T3", " Blocked")
+     * @param {String} group - Group_xA value
+     * @returns {String} Base group name
+     */
+    const getBaseGroup = function(group) {
+        if (!group) return '';
+        return String(group).replace(/\s+(T[123]|Blocked)$/i, '');
+    };
+
+    /**
+     * Append the rating suffix for a tier to a base group (inverse of getBaseGroup)
+     * @param {String} baseGroup - Group name without suffix
+     * @param {*} score - 0-3, or '' for unrated
+     * @returns {String} Group name, e.g. "Nature T2"
+     */
+    const getGroupWithRating = function(baseGroup, score) {
+        if (!baseGroup) return baseGroup;
+        if (score === 0) return baseGroup + ' Blocked';
+        if (score === 1) return baseGroup + ' T1';
+        if (score === 2) return baseGroup + ' T2';
+        if (score === 3) return baseGroup + ' T3';
+        return baseGroup;
+    };
+
+    /**
+     * Tier encoded in a group's rating suffix (inverse of getGroupWithRating)
+     * @param {String} group - Group_xA value
+     * @returns {*} 0-3, or '' when the group has no suffix
+     */
+    const getRatingFromGroup = function(group) {
+        const match = String(group || '').match(/\s+(T[123]|Blocked)$/i);
+        if (!match) return '';
+        return match[1].toLowerCase() === 'blocked' ? 0 : parseInt(match[1].slice(1));
+    };
+
     // === MUX Node Utilities ===
 
     /**
@@ -297,10 +263,13 @@
         validateNodes,
         generateID,
         generateUniqueGroupName,
-        parseMermaidToNodes,
         generateContextSummary,
         countRoots,
+        isRootRow,
         getStatusFromRank,
+        getBaseGroup,
+        getGroupWithRating,
+        getRatingFromGroup,
         isMuxNode,
         generateMuxCloneID,
         parseMuxCloneID,
@@ -0,0 +1,91 @@
+/**
+ * Data Worker
+ * Web Worker that parses CSV files and runs grid queries off the main thread
+ *
+ * Started by core.dataWorker (js/core/data-worker.js), which owns the message protocol:
+ * - { type: 'setNodes', nodes } / { type: 'patchNodes', length, changes: [[index, node]] }
+ *   keep the worker's copy of the nodes in sync
+ * - { type: 'query', id, params } -> { type: 'queryResult', id, indexes, matrixCounts }
+ *   (params as for gridQuery.selectGridNodes, Sets sent as arrays)
+ * - { type: 'parseCSV', id, file } -> { type: 'progress', id, fraction } per chunk,
+ *   then { type: 'parsed', id, result } (blockedRoots sent as an array)
+ * - Failures answer { type: 'error', id, message }
+ */
+
+// The shared modules register themselves on window.GraphApp
+self.window = self;
+self.GraphApp = { config: {}, core: {} };
+
+importScripts(
+    'https://unpkg.com/papaparse@5.4.1/papaparse.min.js',
+    '../utils/utils.js',
+    '../core/reviewers.js',
+    '../core/exports.js',
+    '../core/grid-query.js'
+);
+
+(function() {
+    'use strict';
+
+    let nodes = [];
+    let indexByNode = new Map();  // node -> position in nodes (query results are sent as indexes)
+
+    const indexNodes = function() {
+        indexByNode = new Map();
+        nodes.forEach((node, index) => indexByNode.set(node, index));
+    };
+
+    const handlers = {
+        setNodes: function(message) {
+            nodes = message.nodes;
+            indexNodes();
+        },
+
+        patchNodes: function(message) {
+            nodes.length = message.length;
+            message.changes.forEach(change => {
+                nodes[change[0]] = change[1];
+            });
+            indexNodes();
+        },
+
+        query: function(message) {
+            const gridQuery = self.GraphApp.core.gridQuery;
+            const params = Object.assign({}, message.params, {
+                selectedTerritories: new Set(message.params.selectedTerritories),
+                blockedRoots: new Set(message.params.blockedRoots)
+            });
+            const visible = gridQuery.selectGridNodes(nodes, params);
+            self.postMessage({
+                type: 'queryResult',
+                id: message.id,
+                indexes: visible.map(node => indexByNode.get(node)),
+                matrixCounts: gridQuery.computeMatrixCounts(nodes, params.blockedRoots)
+            });
+        },
+
+        parseCSV: function(message) {
+            const onProgress = fraction => self.postMessage({ type: 'progress', id: message.id, fraction });
+            return self.GraphApp.exports.importCSV(message.file, onProgress).then(result => {
+                self.postMessage({
+                    type: 'parsed',
+                    id: message.id,
+                    result: Object.assign({}, result, { blockedRoots: Array.from(result.blockedRoots) })
+                });
+            });
+        }
+    };
+
+    self.onmessage = function(event) {
+        const message = event.data;
+        const reportError = error => {
+            self.postMessage({ type: 'error', id: message.id, message: error && error.message ? error.message : String(error) });
+        };
+        try {
+            const pending = handlers[message.type](message);
+            if (pending) pending.catch(reportError);
+        } catch (e) {
+            reportError(e);
+        }
+    };
+})();